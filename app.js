@@ -7,9 +7,18 @@ import doctorRoute, { swaggerConfig as doctorSpec } from './routes/doctor.routes
 import adminRoute, { swaggerConfig as adminSpec } from './routes/admin.routes.js'
 import patientRoute, { swaggerConfig as patientSpec } from './routes/patient.routes.js'
 import staffRoute, { swaggerConfig as staffSpec } from './routes/staff.routes.js'
+import kioskRoute, { swaggerConfig as kioskSpec } from './routes/kiosk.routes.js'
+import webhookRoute, { swaggerConfig as webhookSpec } from './routes/webhook.routes.js'
 import mongoose from 'mongoose'
 import { errorHandler, notFound } from './middlewares/error.js'
 import redisCache from './utils/redis.js'
+import reminderScheduler from './utils/reminderScheduler.js'
+import paymentExpiryReaper from './utils/paymentExpiryReaper.js'
+import waitlistOfferReaper from './utils/waitlistOfferReaper.js'
+import slotHoldReaper from './utils/slotHoldReaper.js'
+import paymentReconciliationJob from './utils/paymentReconciliationJob.js'
+import slotEventStream from './utils/slotEventStream.js'
+import staffDashboard from './utils/staffDashboard.js'
 
 const PORT = process.env.PORT || 3000;
 
@@ -29,7 +38,7 @@ const server = loggedServer(PORT, () => {
 const app = server.app;
 
 // Setup Swagger documentation
-await setupSwagger(app, [helloSpec, authSpec, doctorSpec, adminSpec, patientSpec, staffSpec]);
+await setupSwagger(app, [helloSpec, authSpec, doctorSpec, adminSpec, patientSpec, staffSpec, kioskSpec, webhookSpec]);
 
 // Use routes
 app.use('/', helloRoute);
@@ -38,11 +47,26 @@ app.use('/doctor', doctorRoute);
 app.use('/admin', adminRoute);
 app.use('/patient', patientRoute);
 app.use('/staff', staffRoute);
+app.use('/kiosk', kioskRoute);
+app.use('/webhooks', webhookRoute);
 
 // Error handling
 app.use(notFound);
 app.use(errorHandler);
 
-server.start(() => {
+const httpServer = server.start(() => {
     console.log('Server startup complete.');
-});
\ No newline at end of file
+});
+
+// Background jobs
+reminderScheduler.start();
+paymentExpiryReaper.start();
+waitlistOfferReaper.start();
+slotHoldReaper.start();
+paymentReconciliationJob.start();
+
+// Relay slot updates to Server-Sent Events clients
+await slotEventStream.start();
+
+// Live front-desk board for staff over WebSocket
+await staffDashboard.start(httpServer);
\ No newline at end of file
@@ -0,0 +1,2 @@
+export * from './massCancellation.controller.js';
+export * from './substitution.controller.js';
\ No newline at end of file
@@ -0,0 +1,20 @@
+import User from '../../../models/users.model.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import massCancellationService from '../../../utils/massCancellationService.js';
+
+/**
+ * Cancel every booking with a doctor over a date/time range (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} cancellationData - { startDate, endDate, startTime, endTime, reason, initiatedBy }
+ * @returns {Object} - Report of each booking's outcome
+ */
+export const cancelDoctorAppointmentsByAdmin = async (admin, doctorId, cancellationData) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  return await massCancellationService.cancelRange(doctor, cancellationData, admin);
+};
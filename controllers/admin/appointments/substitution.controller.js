@@ -0,0 +1,42 @@
+import User from '../../../models/users.model.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import substitutionService from '../../../utils/substitutionService.js';
+
+/**
+ * Find a doctor by ID or fail
+ * @private
+ */
+const findDoctor = async (doctorId) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  return doctor;
+};
+
+/**
+ * Propose substitute doctors' free slots for a doctor's appointments over a range (admin only)
+ * @param {string} doctorId - Unavailable doctor ID
+ * @param {Object} query - { startDate, endDate, startTime, endTime }
+ * @returns {Object} - Proposed slot per appointment
+ */
+export const getSubstituteProposals = async (doctorId, query) => {
+  const doctor = await findDoctor(doctorId);
+
+  return await substitutionService.propose(doctor, query);
+};
+
+/**
+ * Move appointments to substitute doctors' slots (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {string} doctorId - Unavailable doctor ID
+ * @param {Object} reassignmentData - { assignments: [{ appointmentId, slotId }] }
+ * @returns {Object} - Bulk operation results
+ */
+export const reassignAppointments = async (admin, doctorId, reassignmentData) => {
+  const doctor = await findDoctor(doctorId);
+
+  return await substitutionService.reassignMany(doctor, reassignmentData.assignments, admin);
+};
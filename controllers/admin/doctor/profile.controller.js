@@ -70,7 +70,7 @@ export const getDoctorById = async (doctorId) => {
   const schedules = await DoctorSchedule.find({
     doctorId,
     isActive: true
-  }).sort({ dayOfWeek: 1 });
+  }).sort({ dayOfWeek: 1, startTime: 1 });
 
   // Get upcoming slots count
   const upcomingSlots = await AvailabilitySlot.countDocuments({
@@ -0,0 +1,2 @@
+export * from './insurancePlan.controller.js';
+export * from './insuranceClaim.controller.js';
\ No newline at end of file
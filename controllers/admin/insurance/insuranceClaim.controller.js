@@ -0,0 +1,119 @@
+import Appointment from '../../../models/Appointment.js';
+import InsuranceClaim from '../../../models/InsuranceClaim.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import insuranceService from '../../../utils/insuranceService.js';
+
+/**
+ * Filter for claims matching list and export query parameters
+ * @param {Object} query - Query parameters (status, provider, planId, doctorId, patientId, from, to)
+ * @returns {Object} - MongoDB filter
+ */
+const buildClaimFilter = (query) => {
+  const { status, provider, planId, doctorId, patientId, from, to } = query;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (provider) filter.provider = provider;
+  if (planId) filter.plan = planId;
+  if (doctorId) filter.doctor = doctorId;
+  if (patientId) filter.patient = patientId;
+  if (from || to) {
+    filter.submittedAt = {};
+    if (from) filter.submittedAt.$gte = new Date(from);
+    if (to) filter.submittedAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+/**
+ * Get insurance claims, newest first (admin only)
+ * @param {Object} query - Query parameters (page, limit, status, provider, planId, doctorId, patientId, from, to)
+ * @returns {Object} - Claims and pagination info
+ */
+export const getInsuranceClaims = async (query) => {
+  const { page = 1, limit = 10 } = query;
+  const skip = (page - 1) * limit;
+  const filter = buildClaimFilter(query);
+
+  const claims = await InsuranceClaim.find(filter)
+    .populate('patient', 'name email')
+    .populate('doctor', 'name email')
+    .sort({ submittedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await InsuranceClaim.countDocuments(filter);
+
+  return {
+    claims: claims.map(claim => insuranceService.formatClaim(claim)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Submit the claim for a completed appointment whose claim is missing (admin only)
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Submitted claim
+ */
+export const submitInsuranceClaim = async (appointmentId) => {
+  const appointment = await Appointment.findOne({ appointmentId });
+
+  if (!appointment) {
+    throw ApiError.notFound('Appointment not found');
+  }
+
+  if (appointment.status !== 'completed') {
+    throw ApiError.badRequest('Claims are only submitted for completed appointments');
+  }
+
+  const claim = await insuranceService.submitClaim(appointment);
+
+  if (!claim) {
+    throw ApiError.badRequest('The appointment has no insurance share to claim');
+  }
+
+  return {
+    claim: insuranceService.formatClaim(claim)
+  };
+};
+
+/**
+ * Approve or deny a submitted claim (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {string} claimNumber - Claim number
+ * @param {Object} decision - { status: 'approved' | 'denied', approvedAmount, note }
+ * @returns {Object} - Decided claim
+ */
+export const updateInsuranceClaim = async (admin, claimNumber, decision) => {
+  const claim = await insuranceService.decideClaim(claimNumber, admin, decision);
+
+  return {
+    claim: insuranceService.formatClaim(claim)
+  };
+};
+
+/**
+ * Export claims as CSV, oldest first (admin only)
+ * @param {Object} query - Query parameters (status, provider, planId, doctorId, patientId, from, to)
+ * @returns {Object} - { filename, contentType, body }
+ */
+export const exportInsuranceClaims = async (query) => {
+  const claims = await InsuranceClaim.find(buildClaimFilter(query))
+    .populate('patient', 'name')
+    .populate('doctor', 'name')
+    .sort({ submittedAt: 1 });
+
+  return {
+    filename: `insurance-claims-${new Date().toISOString().slice(0, 10)}.csv`,
+    contentType: 'text/csv; charset=utf-8',
+    body: insuranceService.toCsv(claims)
+  };
+};
@@ -0,0 +1,135 @@
+import User from '../../../models/users.model.js';
+import InsurancePlan from '../../../models/InsurancePlan.js';
+import ApiError from '../../../utils/ApiError.util.js';
+
+// Fields an admin may set on a plan
+const PLAN_FIELDS = [
+  'name',
+  'provider',
+  'description',
+  'networkDoctors',
+  'networkClinics',
+  'copay',
+  'coveragePercent',
+  'outOfNetworkCoveragePercent'
+];
+
+/**
+ * Reject network doctors who aren't doctors
+ * @param {Array} doctorIds - Network doctor IDs
+ */
+const assertNetworkDoctors = async (doctorIds = []) => {
+  if (doctorIds.length === 0) {
+    return;
+  }
+
+  const doctorCount = await User.countDocuments({ _id: { $in: doctorIds }, role: 'doctor' });
+
+  if (doctorCount !== new Set(doctorIds.map(String)).size) {
+    throw ApiError.notFound('Doctor not found');
+  }
+};
+
+/**
+ * Get insurance plans (admin only)
+ * @param {Object} query - Query parameters (provider, doctorId, clinic, includeInactive)
+ * @returns {Object} - Insurance plans
+ */
+export const getInsurancePlans = async (query) => {
+  const { provider, doctorId, clinic, includeInactive } = query;
+
+  const filter = {};
+  if (provider) filter.provider = provider;
+  if (doctorId) filter.networkDoctors = doctorId;
+  if (clinic) filter.networkClinics = clinic;
+  if (includeInactive !== 'true') filter.isActive = true;
+
+  const plans = await InsurancePlan.find(filter)
+    .populate('networkDoctors', 'name email doctorProfile.hospital')
+    .sort({ provider: 1, name: 1 });
+
+  return {
+    plans
+  };
+};
+
+/**
+ * Create an insurance plan (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {Object} planData - Plan data
+ * @returns {Object} - Created plan
+ */
+export const createInsurancePlan = async (admin, planData) => {
+  const existing = await InsurancePlan.findOne({ provider: planData.provider, name: planData.name, isActive: true });
+
+  if (existing) {
+    throw ApiError.conflict(`An active ${planData.provider} plan named ${planData.name} already exists`);
+  }
+
+  await assertNetworkDoctors(planData.networkDoctors);
+
+  const plan = new InsurancePlan({
+    ...Object.fromEntries(PLAN_FIELDS.filter(field => planData[field] !== undefined)
+      .map(field => [field, planData[field]])),
+    createdBy: admin._id
+  });
+
+  await plan.save();
+
+  return {
+    plan
+  };
+};
+
+/**
+ * Update an insurance plan's network or coverage (admin only). Bookings already made keep
+ * the split they were booked with.
+ * @param {string} planId - Plan ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} - Updated plan
+ */
+export const updateInsurancePlan = async (planId, updateData) => {
+  const plan = await InsurancePlan.findOne({ _id: planId, isActive: true });
+
+  if (!plan) {
+    throw ApiError.notFound('Insurance plan not found');
+  }
+
+  if (updateData.networkDoctors !== undefined) {
+    await assertNetworkDoctors(updateData.networkDoctors);
+  }
+
+  PLAN_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) {
+      plan[field] = updateData[field];
+    }
+  });
+
+  await plan.save();
+
+  return {
+    plan
+  };
+};
+
+/**
+ * Deactivate an insurance plan so new bookings can no longer be paid by it (admin only).
+ * Claims already submitted under it are unaffected.
+ * @param {string} planId - Plan ID
+ * @returns {Object} - Success message
+ */
+export const deactivateInsurancePlan = async (planId) => {
+  const plan = await InsurancePlan.findOneAndUpdate(
+    { _id: planId, isActive: true },
+    { $set: { isActive: false } },
+    { new: true }
+  );
+
+  if (!plan) {
+    throw ApiError.notFound('Insurance plan not found');
+  }
+
+  return {
+    message: 'Insurance plan deactivated successfully'
+  };
+};
@@ -0,0 +1,83 @@
+import PayoutRecord from '../../../models/PayoutRecord.js';
+import earningsService from '../../../utils/earningsService.js';
+
+/**
+ * Get doctor earnings per month with the clinic's commission and what is due to each doctor (admin only)
+ * @param {Object} query - Query parameters (from, to as YYYY-MM, doctorId)
+ * @returns {Object} - Earnings rows and totals
+ */
+export const getEarningsReport = async (query) => {
+  const { from, to, doctorId } = query;
+
+  return await earningsService.getEarnings({ from, to, doctorId });
+};
+
+/**
+ * Export doctor earnings as CSV (admin only)
+ * @param {Object} query - Query parameters (from, to as YYYY-MM, doctorId)
+ * @returns {Object} - { filename, contentType, body }
+ */
+export const exportEarningsReport = async (query) => {
+  const { from, to, doctorId } = query;
+  const report = await earningsService.getEarnings({ from, to, doctorId });
+  const range = report.from === report.to ? report.from : `${report.from}-to-${report.to}`;
+
+  return {
+    filename: `doctor-earnings-${range}.csv`,
+    contentType: 'text/csv; charset=utf-8',
+    body: earningsService.toCsv(report.earnings)
+  };
+};
+
+/**
+ * Get settled payouts, latest period first (admin only)
+ * @param {Object} query - Query parameters (page, limit, doctorId, from, to as YYYY-MM)
+ * @returns {Object} - Payout records and pagination info
+ */
+export const getPayouts = async (query) => {
+  const { page = 1, limit = 10, doctorId, from, to } = query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (doctorId) filter.doctor = doctorId;
+  if (from || to) {
+    filter.period = {};
+    if (from) filter.period.$gte = from;
+    if (to) filter.period.$lte = to;
+  }
+
+  const payouts = await PayoutRecord.find(filter)
+    .populate('doctor', 'name email')
+    .populate('settledBy', 'name email')
+    .sort({ period: -1, createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await PayoutRecord.countDocuments(filter);
+
+  return {
+    payouts,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Mark a doctor's month as paid out, recording the amounts it was settled for (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {Object} payoutData - { doctorId, period as YYYY-MM, reference, note }
+ * @returns {Object} - Payout record
+ */
+export const settlePayout = async (admin, payoutData) => {
+  const payout = await earningsService.settle(admin, payoutData);
+
+  return {
+    payout
+  };
+};
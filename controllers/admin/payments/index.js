@@ -0,0 +1,3 @@
+export * from './reconciliation.controller.js';
+export * from './invoice.controller.js';
+export * from './earnings.controller.js';
\ No newline at end of file
@@ -0,0 +1,76 @@
+import Invoice from '../../../models/Invoice.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import invoiceService from '../../../utils/invoiceService.js';
+
+/**
+ * Get invoices and credit notes, newest first (admin only)
+ * @param {Object} query - Query parameters (page, limit, type, status, appointmentId, patientId, doctorId, from, to)
+ * @returns {Object} - Documents and pagination info
+ */
+export const getInvoices = async (query) => {
+  const { page = 1, limit = 10, type, status, appointmentId, patientId, doctorId, from, to } = query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (appointmentId) filter.appointmentId = appointmentId;
+  if (patientId) filter.patient = patientId;
+  if (doctorId) filter.doctor = doctorId;
+  if (from || to) {
+    filter.issuedAt = {};
+    if (from) filter.issuedAt.$gte = new Date(from);
+    if (to) filter.issuedAt.$lte = new Date(to);
+  }
+
+  const invoices = await Invoice.find(filter)
+    .sort({ issuedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Invoice.countDocuments(filter);
+
+  return {
+    invoices: invoices.map(invoice => invoiceService.formatInvoice(invoice)),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Download any invoice, receipt or credit note (admin only)
+ * @param {string} invoiceNumber - Invoice or credit note number
+ * @param {Object} options - { format: 'pdf' | 'html', receipt }
+ * @returns {Object} - { filename, contentType, body }
+ */
+export const downloadInvoiceByAdmin = async (invoiceNumber, options = {}) => {
+  const invoice = await Invoice.findOne({ invoiceNumber });
+
+  if (!invoice) {
+    throw ApiError.notFound('Invoice not found');
+  }
+
+  return await invoiceService.renderFile(invoice, options);
+};
+
+/**
+ * Void a document and issue a corrected copy under a new number (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {string} invoiceNumber - Number of the document to re-issue
+ * @param {Object} data - { reason }
+ * @returns {Object} - Voided and newly issued documents
+ */
+export const reissueInvoice = async (admin, invoiceNumber, data = {}) => {
+  const { voided, issued } = await invoiceService.reissue(invoiceNumber, admin, data.reason);
+
+  return {
+    voided: invoiceService.formatInvoice(voided),
+    invoice: invoiceService.formatInvoice(issued)
+  };
+};
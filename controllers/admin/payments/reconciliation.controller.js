@@ -0,0 +1,74 @@
+import ReconciliationReport from '../../../models/ReconciliationReport.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import paymentReconciliationJob from '../../../utils/paymentReconciliationJob.js';
+
+/**
+ * Get payment reconciliation runs, newest first, without their entries (admin only)
+ * @param {Object} query - Query parameters (page, limit, hasMismatches)
+ * @returns {Object} - Reports and pagination info
+ */
+export const getReconciliationReports = async (query) => {
+  const { page = 1, limit = 10, hasMismatches } = query;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (hasMismatches === 'true') filter['summary.mismatches'] = { $gt: 0 };
+
+  const reports = await ReconciliationReport.find(filter)
+    .select('-fixes -mismatches')
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await ReconciliationReport.countDocuments(filter);
+
+  return {
+    reports,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Get a reconciliation run with its fixes and unresolved mismatches (admin only)
+ * @param {string} reportId - Report ID
+ * @returns {Object} - Report
+ */
+export const getReconciliationReport = async (reportId) => {
+  const report = await ReconciliationReport.findById(reportId)
+    .populate('triggeredBy', 'name email');
+
+  if (!report) {
+    throw ApiError.notFound('Reconciliation report not found');
+  }
+
+  return {
+    report
+  };
+};
+
+/**
+ * Reconcile payments with the gateway now instead of waiting for the next scheduled run (admin only)
+ * @param {Object} admin - Admin user object
+ * @returns {Object} - Report of the run
+ */
+export const runReconciliation = async (admin) => {
+  const result = await paymentReconciliationJob.runSweep(new Date(), {
+    trigger: 'manual',
+    triggeredBy: admin._id
+  });
+
+  if (result.skipped) {
+    throw ApiError.conflict('A reconciliation run is already in progress');
+  }
+
+  return {
+    report: await ReconciliationReport.findById(result.reportId)
+  };
+};
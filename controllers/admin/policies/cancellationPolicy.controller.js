@@ -0,0 +1,143 @@
+import User from '../../../models/users.model.js';
+import CancellationPolicy from '../../../models/CancellationPolicy.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import cancellationPolicyService from '../../../utils/cancellationPolicyService.js';
+
+// Terms an admin may change on an existing policy; the scope and its target are fixed
+const EDITABLE_FIELDS = ['name', 'description', 'tiers', 'cancellationFee', 'cutoffHours'];
+
+/**
+ * Get cancellation policies (admin only)
+ * @param {Object} query - Query parameters (scope, clinic, doctorId, includeInactive)
+ * @returns {Object} - Cancellation policies
+ */
+export const getCancellationPolicies = async (query) => {
+  const { scope, clinic, doctorId, includeInactive } = query;
+
+  const filter = {};
+  if (scope) filter.scope = scope;
+  if (clinic) filter.clinic = clinic;
+  if (doctorId) filter.doctorId = doctorId;
+  if (includeInactive !== 'true') filter.isActive = true;
+
+  const policies = await CancellationPolicy.find(filter)
+    .populate('doctorId', 'name email doctorProfile.hospital')
+    .sort({ scope: 1, createdAt: -1 });
+
+  return {
+    policies
+  };
+};
+
+/**
+ * Create a cancellation policy for everyone, a clinic or a doctor (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {Object} policyData - Policy data
+ * @returns {Object} - Created policy
+ */
+export const createCancellationPolicy = async (admin, policyData) => {
+  const { scope, clinic, doctorId } = policyData;
+
+  if (scope === 'doctor') {
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+    if (!doctor) {
+      throw ApiError.notFound('Doctor not found');
+    }
+  }
+
+  const target = {
+    scope,
+    ...(scope === 'clinic' && { clinic }),
+    ...(scope === 'doctor' && { doctorId })
+  };
+
+  const existing = await CancellationPolicy.findOne({ ...target, isActive: true });
+
+  if (existing) {
+    throw ApiError.conflict(`An active ${scope} cancellation policy already exists; update or deactivate it first`);
+  }
+
+  const policy = new CancellationPolicy({
+    ...target,
+    ...Object.fromEntries(EDITABLE_FIELDS.filter(field => policyData[field] !== undefined)
+      .map(field => [field, policyData[field]])),
+    createdBy: admin._id
+  });
+
+  await policy.save();
+
+  return {
+    policy
+  };
+};
+
+/**
+ * Update a cancellation policy's terms (admin only). Appointments already booked keep
+ * the terms they were booked under.
+ * @param {string} policyId - Policy ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} - Updated policy
+ */
+export const updateCancellationPolicy = async (policyId, updateData) => {
+  const policy = await CancellationPolicy.findOne({ _id: policyId, isActive: true });
+
+  if (!policy) {
+    throw ApiError.notFound('Cancellation policy not found');
+  }
+
+  if (['scope', 'clinic', 'doctorId'].some(field => updateData[field] !== undefined)) {
+    throw ApiError.badRequest('A policy\'s scope cannot be changed; create a new policy instead');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) {
+      policy[field] = updateData[field];
+    }
+  });
+
+  await policy.save();
+
+  return {
+    policy
+  };
+};
+
+/**
+ * Deactivate a cancellation policy (admin only). New bookings fall back to the next
+ * broader policy.
+ * @param {string} policyId - Policy ID
+ * @returns {Object} - Success message
+ */
+export const deactivateCancellationPolicy = async (policyId) => {
+  const policy = await CancellationPolicy.findOneAndUpdate(
+    { _id: policyId, isActive: true },
+    { $set: { isActive: false } },
+    { new: true }
+  );
+
+  if (!policy) {
+    throw ApiError.notFound('Cancellation policy not found');
+  }
+
+  return {
+    message: 'Cancellation policy deactivated successfully'
+  };
+};
+
+/**
+ * Get the cancellation terms new bookings with a doctor would get (admin only)
+ * @param {string} doctorId - Doctor ID
+ * @returns {Object} - Effective terms
+ */
+export const getDoctorCancellationPolicy = async (doctorId) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  return {
+    policy: await cancellationPolicyService.getTermsForDoctor(doctor)
+  };
+};
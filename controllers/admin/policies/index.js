@@ -0,0 +1 @@
+export * from './cancellationPolicy.controller.js';
\ No newline at end of file
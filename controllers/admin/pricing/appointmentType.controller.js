@@ -0,0 +1,147 @@
+import User from '../../../models/users.model.js';
+import AppointmentType from '../../../models/AppointmentType.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import appointmentTypeService from '../../../utils/appointmentTypeService.js';
+
+// Fields an admin may change on an existing entry; the type, scope and its target are fixed
+const EDITABLE_FIELDS = ['name', 'description', 'durationMinutes', 'price'];
+
+/**
+ * Get appointment type prices (admin only)
+ * @param {Object} query - Query parameters (code, scope, clinic, doctorId, includeInactive)
+ * @returns {Object} - Appointment types
+ */
+export const getAppointmentTypes = async (query) => {
+  const { code, scope, clinic, doctorId, includeInactive } = query;
+
+  const filter = {};
+  if (code) filter.code = code;
+  if (scope) filter.scope = scope;
+  if (clinic) filter.clinic = clinic;
+  if (doctorId) filter.doctorId = doctorId;
+  if (includeInactive !== 'true') filter.isActive = true;
+
+  const appointmentTypes = await AppointmentType.find(filter)
+    .populate('doctorId', 'name email doctorProfile.hospital')
+    .sort({ code: 1, scope: 1, createdAt: -1 });
+
+  return {
+    appointmentTypes
+  };
+};
+
+/**
+ * Set the length and price of an appointment type for everyone, a clinic or a doctor (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {Object} typeData - Appointment type data
+ * @returns {Object} - Created appointment type
+ */
+export const createAppointmentType = async (admin, typeData) => {
+  const { code, scope, clinic, doctorId } = typeData;
+
+  if (scope === 'doctor') {
+    const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+    if (!doctor) {
+      throw ApiError.notFound('Doctor not found');
+    }
+  }
+
+  const target = {
+    code,
+    scope,
+    ...(scope === 'clinic' && { clinic }),
+    ...(scope === 'doctor' && { doctorId })
+  };
+
+  const existing = await AppointmentType.findOne({ ...target, isActive: true });
+
+  if (existing) {
+    throw ApiError.conflict(`An active ${scope} price for ${code} appointments already exists; update or deactivate it first`);
+  }
+
+  const appointmentType = new AppointmentType({
+    ...target,
+    ...Object.fromEntries(EDITABLE_FIELDS.filter(field => typeData[field] !== undefined)
+      .map(field => [field, typeData[field]])),
+    createdBy: admin._id
+  });
+
+  await appointmentType.save();
+
+  return {
+    appointmentType
+  };
+};
+
+/**
+ * Update an appointment type's name, length or price (admin only). Appointments already
+ * booked keep the length and price they were booked with.
+ * @param {string} typeId - Appointment type ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} - Updated appointment type
+ */
+export const updateAppointmentType = async (typeId, updateData) => {
+  const appointmentType = await AppointmentType.findOne({ _id: typeId, isActive: true });
+
+  if (!appointmentType) {
+    throw ApiError.notFound('Appointment type not found');
+  }
+
+  if (['code', 'scope', 'clinic', 'doctorId'].some(field => updateData[field] !== undefined)) {
+    throw ApiError.badRequest('An appointment type\'s code and scope cannot be changed; create a new one instead');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) {
+      appointmentType[field] = updateData[field];
+    }
+  });
+
+  await appointmentType.save();
+
+  return {
+    appointmentType
+  };
+};
+
+/**
+ * Deactivate an appointment type (admin only). New bookings fall back to the next broader
+ * price, or can no longer choose the type if there is none.
+ * @param {string} typeId - Appointment type ID
+ * @returns {Object} - Success message
+ */
+export const deactivateAppointmentType = async (typeId) => {
+  const appointmentType = await AppointmentType.findOneAndUpdate(
+    { _id: typeId, isActive: true },
+    { $set: { isActive: false } },
+    { new: true }
+  );
+
+  if (!appointmentType) {
+    throw ApiError.notFound('Appointment type not found');
+  }
+
+  return {
+    message: 'Appointment type deactivated successfully'
+  };
+};
+
+/**
+ * Get the appointment types, lengths and prices new bookings with a doctor would get (admin only)
+ * @param {string} doctorId - Doctor ID
+ * @returns {Object} - Effective catalog
+ */
+export const getDoctorAppointmentTypes = async (doctorId) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  const appointmentTypes = await appointmentTypeService.getCatalog(doctor);
+
+  return {
+    appointmentTypes: appointmentTypes.map(type => appointmentTypeService.formatType(type))
+  };
+};
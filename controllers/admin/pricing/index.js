@@ -0,0 +1,2 @@
+export * from './appointmentType.controller.js';
+export * from './promoCode.controller.js';
\ No newline at end of file
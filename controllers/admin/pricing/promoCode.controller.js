@@ -0,0 +1,144 @@
+import User from '../../../models/users.model.js';
+import PromoCode from '../../../models/PromoCode.js';
+import ApiError from '../../../utils/ApiError.util.js';
+
+// Fields an admin may set; the code itself is fixed once created
+const EDITABLE_FIELDS = [
+  'description',
+  'discountType',
+  'discountValue',
+  'validFrom',
+  'validUntil',
+  'maxUses',
+  'maxUsesPerPatient',
+  'doctors',
+  'specializations'
+];
+
+/**
+ * Reject a validity window that ends before it starts, and doctor restrictions naming
+ * users who aren't doctors
+ * @param {Object} promoCode - Promo code with the changes applied
+ */
+const assertValidTerms = async (promoCode) => {
+  if (promoCode.validFrom && promoCode.validUntil &&
+      new Date(promoCode.validFrom) >= new Date(promoCode.validUntil)) {
+    throw ApiError.badRequest('Valid from must be before valid until');
+  }
+
+  const doctorIds = promoCode.doctors || [];
+
+  if (doctorIds.length > 0) {
+    const doctorCount = await User.countDocuments({ _id: { $in: doctorIds }, role: 'doctor' });
+
+    if (doctorCount !== new Set(doctorIds.map(String)).size) {
+      throw ApiError.notFound('Doctor not found');
+    }
+  }
+};
+
+/**
+ * Get promo codes (admin only)
+ * @param {Object} query - Query parameters (code, doctorId, specialization, includeInactive)
+ * @returns {Object} - Promo codes
+ */
+export const getPromoCodes = async (query) => {
+  const { code, doctorId, specialization, includeInactive } = query;
+
+  const filter = {};
+  if (code) filter.code = String(code).trim().toUpperCase();
+  if (doctorId) filter.doctors = doctorId;
+  if (specialization) filter.specializations = specialization;
+  if (includeInactive !== 'true') filter.isActive = true;
+
+  const promoCodes = await PromoCode.find(filter)
+    .populate('doctors', 'name email doctorProfile.specialization')
+    .sort({ createdAt: -1 });
+
+  return {
+    promoCodes
+  };
+};
+
+/**
+ * Create a promo code (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {Object} promoData - Promo code data
+ * @returns {Object} - Created promo code
+ */
+export const createPromoCode = async (admin, promoData) => {
+  const code = String(promoData.code || '').trim().toUpperCase();
+
+  const existing = await PromoCode.findOne({ code });
+
+  if (existing) {
+    throw ApiError.conflict(`Promo code ${code} already exists`);
+  }
+
+  const promoCode = new PromoCode({
+    code,
+    ...Object.fromEntries(EDITABLE_FIELDS.filter(field => promoData[field] !== undefined)
+      .map(field => [field, promoData[field]])),
+    createdBy: admin._id
+  });
+
+  await assertValidTerms(promoCode);
+  await promoCode.save();
+
+  return {
+    promoCode
+  };
+};
+
+/**
+ * Update a promo code's discount, validity, caps or restrictions (admin only). Bookings
+ * already made keep the discount they got.
+ * @param {string} promoCodeId - Promo code ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Object} - Updated promo code
+ */
+export const updatePromoCode = async (promoCodeId, updateData) => {
+  const promoCode = await PromoCode.findOne({ _id: promoCodeId, isActive: true });
+
+  if (!promoCode) {
+    throw ApiError.notFound('Promo code not found');
+  }
+
+  if (updateData.code !== undefined && String(updateData.code).trim().toUpperCase() !== promoCode.code) {
+    throw ApiError.badRequest('A promo code cannot be renamed; create a new one instead');
+  }
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) {
+      promoCode[field] = updateData[field];
+    }
+  });
+
+  await assertValidTerms(promoCode);
+  await promoCode.save();
+
+  return {
+    promoCode
+  };
+};
+
+/**
+ * Deactivate a promo code so it can no longer be used (admin only)
+ * @param {string} promoCodeId - Promo code ID
+ * @returns {Object} - Success message
+ */
+export const deactivatePromoCode = async (promoCodeId) => {
+  const promoCode = await PromoCode.findOneAndUpdate(
+    { _id: promoCodeId, isActive: true },
+    { $set: { isActive: false } },
+    { new: true }
+  );
+
+  if (!promoCode) {
+    throw ApiError.notFound('Promo code not found');
+  }
+
+  return {
+    message: 'Promo code deactivated successfully'
+  };
+};
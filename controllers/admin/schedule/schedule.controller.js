@@ -2,6 +2,28 @@ import User from '../../../models/users.model.js';
 import DoctorSchedule from '../../../models/DoctorSchedule.js';
 import ApiError from '../../../utils/ApiError.util.js';
 import redisCache from '../../../utils/redis.js';
+import distributedLock from '../../../utils/distributedLock.js';
+import scheduleExceptionService from '../../../utils/scheduleExceptionService.js';
+
+/**
+ * Reject a session that overlaps another active session of the doctor on the same day
+ * @param {Object} session - Schedule (session) to check
+ */
+const assertNoOverlap = async (session) => {
+  const overlapping = await DoctorSchedule.findOverlapping(
+    session.doctorId,
+    session.dayOfWeek,
+    session.startTime,
+    session.endTime,
+    session._id
+  );
+
+  if (overlapping) {
+    throw ApiError.conflict(
+      `Session overlaps the ${overlapping.startTime}-${overlapping.endTime} session on ${session.dayOfWeek}`
+    );
+  }
+};
 
 /**
  * Get doctor's schedule (admin only)
@@ -18,7 +40,7 @@ export const getDoctorSchedule = async (doctorId) => {
   const schedules = await DoctorSchedule.find({
     doctorId,
     isActive: true
-  }).sort({ dayOfWeek: 1 });
+  }).sort({ dayOfWeek: 1, startTime: 1 });
 
   return {
     schedules
@@ -38,17 +60,7 @@ export const createDoctorScheduleByAdmin = async (doctorId, scheduleData) => {
     throw ApiError.notFound('Doctor not found');
   }
 
-  const { dayOfWeek, startTime, endTime, slotDuration, breakTimes } = scheduleData;
-
-  // Check if schedule already exists for this day
-  const existingSchedule = await DoctorSchedule.findOne({
-    doctorId,
-    dayOfWeek
-  });
-
-  if (existingSchedule) {
-    throw ApiError.conflict('Schedule already exists for this day');
-  }
+  const { dayOfWeek, startTime, endTime, slotDuration, breakTimes, location } = scheduleData;
 
   const schedule = new DoctorSchedule({
     doctorId,
@@ -56,12 +68,18 @@ export const createDoctorScheduleByAdmin = async (doctorId, scheduleData) => {
     startTime,
     endTime,
     slotDuration: slotDuration || 30,
-    breakTimes: breakTimes || []
+    breakTimes: breakTimes || [],
+    location
   });
 
-  await schedule.save();
+  // Serialize session changes per day so concurrent requests cannot overlap
+  await distributedLock.withLock(`doctor_schedule_${doctorId}_${dayOfWeek}`, async () => {
+    await assertNoOverlap(schedule);
+    await schedule.save();
+  });
 
   // Clear cache
+  await redisCache.del(`doctor_schedules_${doctorId}`);
   await redisCache.del(`doctor_schedule_${doctorId}`);
 
   return {
@@ -86,7 +104,7 @@ export const updateDoctorScheduleByAdmin = async (doctorId, scheduleId, updates)
     throw ApiError.notFound('Schedule not found');
   }
 
-  const allowedFields = ['startTime', 'endTime', 'slotDuration', 'breakTimes', 'isActive'];
+  const allowedFields = ['startTime', 'endTime', 'slotDuration', 'breakTimes', 'isActive', 'location'];
   const filteredUpdates = {};
 
   Object.keys(updates).forEach(key => {
@@ -96,12 +114,62 @@ export const updateDoctorScheduleByAdmin = async (doctorId, scheduleId, updates)
   });
 
   Object.assign(schedule, filteredUpdates);
-  await schedule.save();
+
+  await distributedLock.withLock(`doctor_schedule_${doctorId}_${schedule.dayOfWeek}`, async () => {
+    if (schedule.isActive) {
+      await assertNoOverlap(schedule);
+    }
+    await schedule.save();
+  });
 
   // Clear cache
+  await redisCache.del(`doctor_schedules_${doctorId}`);
   await redisCache.del(`doctor_schedule_${doctorId}`);
 
   return {
     schedule
   };
+};
+
+/**
+ * Get doctor's schedule exceptions (admin only)
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Schedule exceptions
+ */
+export const getScheduleExceptionsByAdmin = async (doctorId, query) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  return await scheduleExceptionService.getExceptions(doctorId, query);
+};
+
+/**
+ * Create schedule exception for doctor (admin only)
+ * @param {Object} admin - Admin user object
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} exceptionData - Exception data
+ * @returns {Object} - Created exception, slot changes and conflicting appointments
+ */
+export const createScheduleExceptionByAdmin = async (admin, doctorId, exceptionData) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  return await scheduleExceptionService.createException(doctor, exceptionData, admin._id);
+};
+
+/**
+ * Delete doctor's schedule exception (admin only)
+ * @param {string} doctorId - Doctor ID
+ * @param {string} exceptionId - Exception ID
+ * @returns {Object} - Slot changes
+ */
+export const deleteScheduleExceptionByAdmin = async (doctorId, exceptionId) => {
+  return await scheduleExceptionService.removeException(doctorId, exceptionId);
 };
\ No newline at end of file
@@ -3,6 +3,9 @@ import DoctorSchedule from '../../../models/DoctorSchedule.js';
 import AvailabilitySlot from '../../../models/AvailabilitySlot.js';
 import ApiError from '../../../utils/ApiError.util.js';
 import redisCache from '../../../utils/redis.js';
+import waitlistService from '../../../utils/waitlistService.js';
+import scheduleExceptionService from '../../../utils/scheduleExceptionService.js';
+import { addDays, dayRange, getDayOfWeek, getDoctorTimezone, startOfDay } from '../../../utils/timezone.js';
 
 /**
  * Get doctor's availability slots (admin only)
@@ -23,11 +26,7 @@ export const getDoctorSlotsByAdmin = async (doctorId, query) => {
   let filter = { doctorId };
 
   if (date) {
-    const queryDate = new Date(date);
-    filter.date = {
-      $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-      $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-    };
+    filter.date = dayRange(date);
   }
 
   if (status) {
@@ -70,18 +69,33 @@ export const generateDoctorSlotsByAdmin = async (doctorId, slotData) => {
 
   const { scheduleId, startDate, endDate, overrideExisting = false } = slotData;
 
-  const schedule = await DoctorSchedule.findOne({
-    _id: scheduleId,
-    doctorId,
-    isActive: true
-  });
+  // A single session, or every active session of the doctor
+  let schedules;
+  if (scheduleId) {
+    const schedule = await DoctorSchedule.findOne({
+      _id: scheduleId,
+      doctorId,
+      isActive: true
+    });
+    schedules = schedule ? [schedule] : [];
+  } else {
+    schedules = await DoctorSchedule.find({
+      doctorId,
+      isActive: true
+    });
+  }
 
-  if (!schedule) {
+  if (schedules.length === 0) {
     throw ApiError.notFound('Schedule not found');
   }
 
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+    throw ApiError.badRequest('Invalid date range');
+  }
+
+  const start = startOfDay(startDate);
+  const end = startOfDay(endDate);
+  const timezone = getDoctorTimezone(doctor);
   const slots = [];
 
   // Validate date range
@@ -93,37 +107,60 @@ export const generateDoctorSlotsByAdmin = async (doctorId, slotData) => {
     throw ApiError.badRequest('Date range cannot exceed 90 days');
   }
 
-  for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-    const dayName = date.toLocaleLowerCase('en-US', { weekday: 'long' });
-
-    if (dayName !== schedule.dayOfWeek) continue;
-
-    // Check if slots already exist for this date
-    if (!overrideExisting) {
-      const existingSlots = await AvailabilitySlot.countDocuments({
-        doctorId,
+  // Leave, modified hours and extra sessions override the weekly pattern
+  const exceptions = await scheduleExceptionService.getExceptionsForRange(doctorId, start, end);
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const dayName = getDayOfWeek(date);
+
+    for (const schedule of schedules) {
+      if (dayName !== schedule.dayOfWeek) continue;
+
+      const hours = scheduleExceptionService.getWorkingHours(schedule, date, exceptions);
+
+      // Doctor is on leave
+      if (!hours) continue;
+
+      // Check if slots already exist for this session on this date
+      if (!overrideExisting) {
+        const existingSlots = await AvailabilitySlot.countDocuments({
+          doctorId,
+          date,
+          scheduleId: schedule._id
+        });
+
+        if (existingSlots > 0) continue;
+      } else {
+        // Delete existing slots
+        await AvailabilitySlot.deleteMany({
+          doctorId,
+          date,
+          scheduleId: schedule._id,
+          status: 'available'
+        });
+      }
+
+      // Generate slots for this session
+      const daySlots = scheduleExceptionService.buildSlotsForDate(
+        {
+          doctorId: schedule.doctorId,
+          slotDuration: schedule.slotDuration,
+          breakTimes: schedule.breakTimes,
+          ...hours
+        },
         date,
-        scheduleId
-      });
-
-      if (existingSlots > 0) continue;
-    } else {
-      // Delete existing slots
-      await AvailabilitySlot.deleteMany({
-        doctorId,
-        date,
-        scheduleId,
-        status: 'available'
-      });
+        { scheduleId: schedule._id, location: schedule.location },
+        timezone
+      );
+      slots.push(...daySlots);
     }
-
-    // Generate slots for this date
-    const daySlots = generateSlotsForDate(schedule, date);
-    slots.push(...daySlots);
   }
 
   if (slots.length > 0) {
-    await AvailabilitySlot.insertMany(slots);
+    const createdSlots = await AvailabilitySlot.insertMany(slots);
+
+    // Offer the new slots to the waitlist
+    await waitlistService.notifySlotsAvailable(createdSlots || []);
   }
 
   // Clear cache
@@ -133,46 +170,4 @@ export const generateDoctorSlotsByAdmin = async (doctorId, slotData) => {
     message: `${slots.length} slots generated successfully`,
     slotsCount: slots.length
   };
-};
-
-/**
- * Helper function to generate slots for a specific date
- * @param {Object} schedule - Doctor schedule
- * @param {Date} date - Date for slots
- * @returns {Array} - Generated slots
- */
-const generateSlotsForDate = (schedule, date) => {
-  const slots = [];
-  const startTime = new Date(`${date.toISOString().split('T')[0]}T${schedule.startTime}:00`);
-  const endTime = new Date(`${date.toISOString().split('T')[0]}T${schedule.endTime}:00`);
-
-  let currentTime = new Date(startTime);
-
-  while (currentTime < endTime) {
-    const slotEndTime = new Date(currentTime.getTime() + schedule.slotDuration * 60000);
-
-    // Check if slot overlaps with break times
-    const isInBreak = schedule.breakTimes.some(breakTime => {
-      const breakStart = new Date(`${date.toISOString().split('T')[0]}T${breakTime.startTime}:00`);
-      const breakEnd = new Date(`${date.toISOString().split('T')[0]}T${breakTime.endTime}:00`);
-
-      return (currentTime >= breakStart && currentTime < breakEnd) ||
-             (slotEndTime > breakStart && slotEndTime <= breakEnd);
-    });
-
-    if (!isInBreak && slotEndTime <= endTime) {
-      slots.push({
-        doctorId: schedule.doctorId,
-        scheduleId: schedule._id,
-        date,
-        startTime: currentTime.toTimeString().slice(0, 5),
-        endTime: slotEndTime.toTimeString().slice(0, 5),
-        status: 'available'
-      });
-    }
-
-    currentTime = slotEndTime;
-  }
-
-  return slots;
 };
\ No newline at end of file
@@ -3,7 +3,7 @@ import jwt from 'jsonwebtoken';
 import User from '../models/users.model.js';
 import ApiError from '../utils/ApiError.util.js';
 import { sendEmail } from '../utils/email.js';
-import { generateAccessToken, generateRefreshToken } from '../middlewares/auth.js';
+import { generateAccessToken, generateRefreshToken, generateStreamTicket } from '../middlewares/auth.js';
 import redisCache from '../utils/redis.js';
 
 /**
@@ -138,6 +138,15 @@ export const refreshToken = async (user) => {
   };
 };
 
+/**
+ * Issue a single-use ticket for opening a slot stream or the staff dashboard
+ * @param {Object} user - User object from middleware
+ * @returns {Promise<Object>} - Ticket and its lifetime in seconds
+ */
+export const createStreamTicket = async (user) => {
+  return generateStreamTicket(user);
+};
+
 /**
  * Logout user
  * @param {Object} user - User object from middleware
@@ -0,0 +1,241 @@
+import Appointment from '../../../models/Appointment.js';
+import ApiError from '../../../utils/ApiError.util.js';
+import redisCache from '../../../utils/redis.js';
+import transactionManager from '../../../utils/transactionManager.js';
+import waitingRoomService from '../../../utils/waitingRoomService.js';
+import insuranceService from '../../../utils/insuranceService.js';
+import { getStartInstant, getZonedTimes } from '../../../utils/timezone.js';
+
+/**
+ * Shape an appointment for the doctor-facing API
+ * @param {Object} appointment - Appointment document with populated patient
+ * @returns {Object} - Appointment summary
+ */
+const formatDoctorAppointment = (appointment) => ({
+  appointmentId: appointment.appointmentId,
+  slotId: appointment.slotId?._id || appointment.slotId,
+  patient: appointment.patientId ? {
+    id: appointment.patientId._id,
+    name: appointment.patientId.name,
+    email: appointment.patientId.email,
+    phone: appointment.patientId.profile?.phone
+  } : null,
+  date: appointment.date,
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+  ...getZonedTimes(appointment),
+  status: appointment.status,
+  bookingType: appointment.bookingType,
+  isOverbooked: appointment.isOverbooked,
+  reason: appointment.reason,
+  symptoms: appointment.symptoms,
+  notes: appointment.notes,
+  payment: {
+    amount: appointment.payment?.amount,
+    currency: appointment.payment?.currency,
+    status: appointment.payment?.status
+  },
+  checkedInAt: appointment.checkIn?.checkedInAt,
+  consultationStartedAt: appointment.consultationStartedAt,
+  completedAt: appointment.completedAt,
+  noShowAt: appointment.noShowAt,
+  createdAt: appointment.createdAt
+});
+
+/**
+ * Load an active appointment belonging to the doctor and make sure it has started.
+ * A patient who has checked in may be seen before their slot begins.
+ * @param {Object} doctor - Doctor user object
+ * @param {string} appointmentId - Appointment ID
+ * @param {Array} statuses - Statuses the appointment may be in
+ * @returns {Promise<Object>} - Appointment document
+ */
+const findStartedAppointment = async (doctor, appointmentId, statuses = ['pending', 'confirmed']) => {
+  const appointment = await Appointment.findOne({
+    appointmentId,
+    doctorId: doctor._id
+  })
+    .populate('patientId', 'name email profile')
+    .populate('slotId');
+
+  if (!appointment) {
+    throw ApiError.notFound('Appointment not found');
+  }
+
+  if (!statuses.includes(appointment.status)) {
+    throw ApiError.badRequest(`Appointment is already ${appointment.status}`);
+  }
+
+  const hasArrived = ['checked_in', 'in_consultation'].includes(appointment.status);
+  const appointmentDateTime = getStartInstant(appointment);
+
+  if (!hasArrived && appointmentDateTime > new Date()) {
+    throw ApiError.badRequest('Appointment has not started yet');
+  }
+
+  return appointment;
+};
+
+/**
+ * Get the doctor's appointments
+ * @param {Object} doctor - Doctor user object
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Doctor appointments
+ */
+export const getDoctorAppointmentsList = async (doctor, query) => {
+  const { status, date, dateFrom, dateTo, page = 1, limit = 20 } = query;
+  const skip = (page - 1) * limit;
+
+  const appointmentsQuery = Appointment.getDoctorAppointments(doctor._id, {
+    status,
+    date,
+    dateFrom,
+    dateTo
+  });
+
+  const total = await Appointment.countDocuments(appointmentsQuery.getFilter());
+  const appointments = await appointmentsQuery
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  return {
+    appointments: appointments.map(formatDoctorAppointment),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+};
+
+/**
+ * Get a single appointment of the doctor
+ * @param {Object} doctor - Doctor user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Appointment details
+ */
+export const getDoctorAppointmentDetails = async (doctor, appointmentId) => {
+  const appointment = await Appointment.findOne({
+    appointmentId,
+    doctorId: doctor._id
+  })
+    .populate('patientId', 'name email profile patientProfile')
+    .populate('slotId');
+
+  if (!appointment) {
+    throw ApiError.notFound('Appointment not found');
+  }
+
+  return {
+    appointment: {
+      ...formatDoctorAppointment(appointment),
+      patientProfile: appointment.patientId?.patientProfile,
+      cancellation: appointment.cancellation
+    }
+  };
+};
+
+/**
+ * Get the doctor's waiting-room queue for today
+ * @param {Object} doctor - Doctor user object
+ * @returns {Object} - Queue with wait estimates and running-late indicator
+ */
+export const getDoctorQueue = async (doctor) => {
+  return await waitingRoomService.getQueue(doctor);
+};
+
+/**
+ * Call a checked-in patient in for their consultation
+ * @param {Object} doctor - Doctor user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Appointment in consultation
+ */
+export const startAppointmentConsultation = async (doctor, appointmentId) => {
+  const appointment = await waitingRoomService.startConsultation(appointmentId, doctor._id);
+  await appointment.populate('patientId', 'name email profile');
+
+  return {
+    appointment: formatDoctorAppointment(appointment)
+  };
+};
+
+/**
+ * Mark an appointment as completed
+ * @param {Object} doctor - Doctor user object
+ * @param {string} appointmentId - Appointment ID
+ * @param {Object} completionData - Completion data
+ * @returns {Object} - Completed appointment
+ */
+export const completeAppointment = async (doctor, appointmentId, completionData = {}) => {
+  const { notes } = completionData;
+
+  const appointment = await findStartedAppointment(doctor, appointmentId,
+    ['pending', 'confirmed', 'checked_in', 'in_consultation']);
+
+  // The slot stays booked as a record of the consultation
+  await appointment.complete(notes);
+
+  // Claim the insurer's share now that the consultation took place
+  await insuranceService.submitClaimQuietly(appointment);
+
+  await redisCache.publish('slot_updates', {
+    slotId: appointment.slotId?._id,
+    doctorId: doctor._id,
+    patientId: appointment.patientId?._id,
+    appointmentId: appointment._id,
+    action: 'completed',
+    status: 'booked',
+    timestamp: new Date()
+  });
+
+  return {
+    appointment: formatDoctorAppointment(appointment),
+    paymentOutstanding: appointment.payment.status !== 'paid'
+  };
+};
+
+/**
+ * Mark an appointment as a no-show and release the slot
+ * @param {Object} doctor - Doctor user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Updated appointment
+ */
+export const markAppointmentNoShow = async (doctor, appointmentId) => {
+  const appointment = await findStartedAppointment(doctor, appointmentId);
+
+  await transactionManager.withTransaction(async (session) => {
+    await appointment.markNoShow(session);
+
+    // Free the slot so the remaining time can be given to a walk-in; an overbooked
+    // appointment only gives back its extra place
+    if (!appointment.slotId) return;
+
+    const released = appointment.isOverbooked
+      ? await appointment.slotId.releaseOverbooking(session)
+      : await appointment.slotId.cancelBooking(session);
+
+    if (!released) {
+      throw ApiError.conflict('Slot changed while marking the no-show, please try again');
+    }
+  });
+
+  await redisCache.publish('slot_updates', {
+    slotId: appointment.slotId?._id,
+    doctorId: doctor._id,
+    patientId: appointment.patientId?._id,
+    appointmentId: appointment._id,
+    action: 'no_show',
+    status: appointment.isOverbooked ? 'booked' : 'available',
+    timestamp: new Date()
+  });
+
+  // Clear cache
+  await redisCache.del(`doctor_slots_${doctor._id}`);
+
+  return {
+    appointment: formatDoctorAppointment(appointment)
+  };
+};
@@ -0,0 +1,31 @@
+import scheduleExceptionService from '../../../utils/scheduleExceptionService.js';
+
+/**
+ * Create a schedule exception (leave, extra session or modified hours)
+ * @param {Object} doctor - Doctor user object
+ * @param {Object} exceptionData - Exception data
+ * @returns {Object} - Created exception, slot changes and conflicting appointments
+ */
+export const createScheduleException = async (doctor, exceptionData) => {
+  return await scheduleExceptionService.createException(doctor, exceptionData, doctor._id);
+};
+
+/**
+ * Get doctor's schedule exceptions
+ * @param {Object} doctor - Doctor user object
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Schedule exceptions
+ */
+export const getScheduleExceptions = async (doctor, query) => {
+  return await scheduleExceptionService.getExceptions(doctor._id, query);
+};
+
+/**
+ * Delete a schedule exception
+ * @param {Object} doctor - Doctor user object
+ * @param {string} exceptionId - Exception ID
+ * @returns {Object} - Slot changes
+ */
+export const deleteScheduleException = async (doctor, exceptionId) => {
+  return await scheduleExceptionService.removeException(doctor._id, exceptionId);
+};
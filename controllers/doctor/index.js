@@ -6,9 +6,22 @@ export {
   updateDoctorSchedule,
   deleteDoctorSchedule
 } from './schedule/schedule.controller.js';
+export {
+  createScheduleException,
+  getScheduleExceptions,
+  deleteScheduleException
+} from './exceptions/exceptions.controller.js';
 export {
   generateAvailabilitySlots,
   getDoctorSlots,
   updateSlotStatus,
   bulkUpdateSlotStatus
-} from './slots/slots.controller.js';
\ No newline at end of file
+} from './slots/slots.controller.js';
+export {
+  getDoctorAppointmentsList,
+  getDoctorAppointmentDetails,
+  getDoctorQueue,
+  startAppointmentConsultation,
+  completeAppointment,
+  markAppointmentNoShow
+} from './appointments/appointments.controller.js';
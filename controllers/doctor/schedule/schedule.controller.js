@@ -2,6 +2,28 @@ import DoctorSchedule from '../../../models/DoctorSchedule.js';
 import AvailabilitySlot from '../../../models/AvailabilitySlot.js';
 import ApiError from '../../../utils/ApiError.util.js';
 import redisCache from '../../../utils/redis.js';
+import distributedLock from '../../../utils/distributedLock.js';
+import { getDoctorTimezone, todayInTimezone } from '../../../utils/timezone.js';
+
+/**
+ * Reject a session that overlaps another active session of the doctor on the same day
+ * @param {Object} session - Schedule (session) to check
+ */
+const assertNoOverlap = async (session) => {
+  const overlapping = await DoctorSchedule.findOverlapping(
+    session.doctorId,
+    session.dayOfWeek,
+    session.startTime,
+    session.endTime,
+    session._id
+  );
+
+  if (overlapping) {
+    throw ApiError.conflict(
+      `Session overlaps the ${overlapping.startTime}-${overlapping.endTime} session on ${session.dayOfWeek}`
+    );
+  }
+};
 
 /**
  * Create doctor schedule
@@ -10,17 +32,7 @@ import redisCache from '../../../utils/redis.js';
  * @returns {Object} - Created schedule
  */
 export const createDoctorSchedule = async (doctor, scheduleData) => {
-  const { dayOfWeek, startTime, endTime, slotDuration, breakTimes } = scheduleData;
-
-  // Check if schedule already exists for this day
-  const existingSchedule = await DoctorSchedule.findOne({
-    doctorId: doctor._id,
-    dayOfWeek
-  });
-
-  if (existingSchedule) {
-    throw ApiError.conflict('Schedule already exists for this day');
-  }
+  const { dayOfWeek, startTime, endTime, slotDuration, breakTimes, location } = scheduleData;
 
   const schedule = new DoctorSchedule({
     doctorId: doctor._id,
@@ -28,20 +40,18 @@ export const createDoctorSchedule = async (doctor, scheduleData) => {
     startTime,
     endTime,
     slotDuration: slotDuration || 30,
-    breakTimes: breakTimes || []
+    breakTimes: breakTimes || [],
+    location
   });
 
-  try {
+  // Serialize session changes per day so concurrent requests cannot overlap
+  await distributedLock.withLock(`doctor_schedule_${doctor._id}_${dayOfWeek}`, async () => {
+    await assertNoOverlap(schedule);
     await schedule.save();
-  } catch (error) {
-    // Handle duplicate key errors from concurrent requests
-    if (error.code === 11000) {
-      throw ApiError.conflict('Schedule already exists for this day');
-    }
-    throw error;
-  }
+  });
 
   // Clear cache
+  await redisCache.del(`doctor_schedules_${doctor._id}`);
   await redisCache.del(`doctor_schedule_${doctor._id}`);
 
   return {
@@ -63,7 +73,7 @@ export const getDoctorSchedules = async (doctor) => {
     schedules = await DoctorSchedule.find({
       doctorId: doctor._id,
       isActive: true
-    }).sort({ dayOfWeek: 1 });
+    }).sort({ dayOfWeek: 1, startTime: 1 });
 
     // Cache for 1 hour
     await redisCache.set(cacheKey, schedules, 3600);
@@ -91,7 +101,7 @@ export const updateDoctorSchedule = async (doctor, scheduleId, updates) => {
     throw ApiError.notFound('Schedule not found');
   }
 
-  const allowedFields = ['startTime', 'endTime', 'slotDuration', 'breakTimes', 'isActive'];
+  const allowedFields = ['startTime', 'endTime', 'slotDuration', 'breakTimes', 'isActive', 'location'];
   const filteredUpdates = {};
 
   Object.keys(updates).forEach(key => {
@@ -101,7 +111,13 @@ export const updateDoctorSchedule = async (doctor, scheduleId, updates) => {
   });
 
   Object.assign(schedule, filteredUpdates);
-  await schedule.save();
+
+  await distributedLock.withLock(`doctor_schedule_${doctor._id}_${schedule.dayOfWeek}`, async () => {
+    if (schedule.isActive) {
+      await assertNoOverlap(schedule);
+    }
+    await schedule.save();
+  });
 
   // Clear cache
   await redisCache.del(`doctor_schedules_${doctor._id}`);
@@ -129,12 +145,9 @@ export const deleteDoctorSchedule = async (doctor, scheduleId) => {
   }
 
   // Check if there are future slots for this schedule
-  const futureDate = new Date();
-  futureDate.setHours(0, 0, 0, 0);
-
   const futureSlots = await AvailabilitySlot.countDocuments({
     scheduleId,
-    date: { $gte: futureDate },
+    date: { $gte: todayInTimezone(getDoctorTimezone(doctor)) },
     status: { $in: ['available', 'booked'] }
   });
 
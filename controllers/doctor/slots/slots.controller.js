@@ -1,7 +1,12 @@
 import DoctorSchedule from '../../../models/DoctorSchedule.js';
 import AvailabilitySlot from '../../../models/AvailabilitySlot.js';
+import Appointment from '../../../models/Appointment.js';
 import ApiError from '../../../utils/ApiError.util.js';
 import redisCache from '../../../utils/redis.js';
+import waitlistService from '../../../utils/waitlistService.js';
+import scheduleExceptionService from '../../../utils/scheduleExceptionService.js';
+import transactionManager from '../../../utils/transactionManager.js';
+import { addDays, dayRange, getDayOfWeek, getDoctorTimezone, startOfDay } from '../../../utils/timezone.js';
 
 /**
  * Generate availability slots for a date range
@@ -12,18 +17,33 @@ import redisCache from '../../../utils/redis.js';
 export const generateAvailabilitySlots = async (doctor, slotData) => {
   const { scheduleId, startDate, endDate, overrideExisting = false } = slotData;
 
-  const schedule = await DoctorSchedule.findOne({
-    _id: scheduleId,
-    doctorId: doctor._id,
-    isActive: true
-  });
+  // A single session, or every active session of the doctor
+  let schedules;
+  if (scheduleId) {
+    const schedule = await DoctorSchedule.findOne({
+      _id: scheduleId,
+      doctorId: doctor._id,
+      isActive: true
+    });
+    schedules = schedule ? [schedule] : [];
+  } else {
+    schedules = await DoctorSchedule.find({
+      doctorId: doctor._id,
+      isActive: true
+    });
+  }
 
-  if (!schedule) {
+  if (schedules.length === 0) {
     throw ApiError.notFound('Schedule not found');
   }
 
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(endDate).getTime())) {
+    throw ApiError.badRequest('Invalid date range');
+  }
+
+  const start = startOfDay(startDate);
+  const end = startOfDay(endDate);
+  const timezone = getDoctorTimezone(doctor);
   const slots = [];
 
   // Validate date range
@@ -35,37 +55,60 @@ export const generateAvailabilitySlots = async (doctor, slotData) => {
     throw ApiError.badRequest('Date range cannot exceed 90 days');
   }
 
-  for (let date = new Date(start); date <= end; date.setDate(date.getDate() + 1)) {
-    const dayName = date.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-
-    if (dayName !== schedule.dayOfWeek) continue;
-
-    // Check if slots already exist for this date
-    if (!overrideExisting) {
-      const existingSlots = await AvailabilitySlot.countDocuments({
-        doctorId: doctor._id,
+  // Leave, modified hours and extra sessions override the weekly pattern
+  const exceptions = await scheduleExceptionService.getExceptionsForRange(doctor._id, start, end);
+
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    const dayName = getDayOfWeek(date);
+
+    for (const schedule of schedules) {
+      if (dayName !== schedule.dayOfWeek) continue;
+
+      const hours = scheduleExceptionService.getWorkingHours(schedule, date, exceptions);
+
+      // Doctor is on leave
+      if (!hours) continue;
+
+      // Check if slots already exist for this session on this date
+      if (!overrideExisting) {
+        const existingSlots = await AvailabilitySlot.countDocuments({
+          doctorId: doctor._id,
+          date,
+          scheduleId: schedule._id
+        });
+
+        if (existingSlots > 0) continue;
+      } else {
+        // Delete existing slots
+        await AvailabilitySlot.deleteMany({
+          doctorId: doctor._id,
+          date,
+          scheduleId: schedule._id,
+          status: 'available'
+        });
+      }
+
+      // Generate slots for this session
+      const daySlots = scheduleExceptionService.buildSlotsForDate(
+        {
+          doctorId: schedule.doctorId,
+          slotDuration: schedule.slotDuration,
+          breakTimes: schedule.breakTimes,
+          ...hours
+        },
         date,
-        scheduleId
-      });
-
-      if (existingSlots > 0) continue;
-    } else {
-      // Delete existing slots
-      await AvailabilitySlot.deleteMany({
-        doctorId: doctor._id,
-        date,
-        scheduleId,
-        status: 'available'
-      });
+        { scheduleId: schedule._id, location: schedule.location },
+        timezone
+      );
+      slots.push(...daySlots);
     }
-
-    // Generate slots for this date
-    const daySlots = generateSlotsForDate(schedule, date);
-    slots.push(...daySlots);
   }
 
   if (slots.length > 0) {
-    await AvailabilitySlot.insertMany(slots);
+    const createdSlots = await AvailabilitySlot.insertMany(slots);
+
+    // Offer the new slots to the waitlist
+    await waitlistService.notifySlotsAvailable(createdSlots || []);
   }
 
   // Clear cache
@@ -77,48 +120,6 @@ export const generateAvailabilitySlots = async (doctor, slotData) => {
   };
 };
 
-/**
- * Helper function to generate slots for a specific date
- * @param {Object} schedule - Doctor schedule
- * @param {Date} date - Date for slots
- * @returns {Array} - Generated slots
- */
-const generateSlotsForDate = (schedule, date) => {
-  const slots = [];
-  const startTime = new Date(`${date.toISOString().split('T')[0]}T${schedule.startTime}:00`);
-  const endTime = new Date(`${date.toISOString().split('T')[0]}T${schedule.endTime}:00`);
-
-  let currentTime = new Date(startTime);
-
-  while (currentTime < endTime) {
-    const slotEndTime = new Date(currentTime.getTime() + schedule.slotDuration * 60000);
-
-    // Check if slot overlaps with break times
-    const isInBreak = schedule.breakTimes.some(breakTime => {
-      const breakStart = new Date(`${date.toISOString().split('T')[0]}T${breakTime.startTime}:00`);
-      const breakEnd = new Date(`${date.toISOString().split('T')[0]}T${breakTime.endTime}:00`);
-
-      return (currentTime >= breakStart && currentTime < breakEnd) ||
-             (slotEndTime > breakStart && slotEndTime <= breakEnd);
-    });
-
-    if (!isInBreak && slotEndTime <= endTime) {
-      slots.push({
-        doctorId: schedule.doctorId,
-        scheduleId: schedule._id,
-        date,
-        startTime: currentTime.toTimeString().slice(0, 5),
-        endTime: slotEndTime.toTimeString().slice(0, 5),
-        status: 'available'
-      });
-    }
-
-    currentTime = slotEndTime;
-  }
-
-  return slots;
-};
-
 /**
  * Get doctor's availability slots
  * @param {Object} doctor - Doctor user object
@@ -132,11 +133,7 @@ export const getDoctorSlots = async (doctor, query) => {
   let filter = { doctorId: doctor._id };
 
   if (date) {
-    const queryDate = new Date(date);
-    filter.date = {
-      $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-      $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-    };
+    filter.date = dayRange(date);
   }
 
   if (status) {
@@ -193,13 +190,31 @@ export const updateSlotStatus = async (user, slotId, action, reason = '') => {
       throw ApiError.badRequest('Cannot block a booked slot');
     }
 
-    await slot.blockSlot(user._id, reason);
+    // Block inside a transaction so a booking committed meanwhile wins
+    await transactionManager.withTransaction(async (session) => {
+      const activeAppointment = await Appointment.exists({
+        slotId: slot._id,
+        status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+      }).session(session);
+
+      if (activeAppointment) {
+        throw ApiError.badRequest('Cannot block a booked slot');
+      }
+
+      const blockedSlot = await slot.blockSlot(user._id, reason, session);
+      if (!blockedSlot) {
+        throw ApiError.conflict('Slot can no longer be blocked');
+      }
+    });
   } else if (action === 'unblock') {
     if (slot.status !== 'blocked') {
       throw ApiError.badRequest('Slot is not blocked');
     }
 
-    await slot.unblockSlot();
+    const unblockedSlot = await slot.unblockSlot();
+    if (!unblockedSlot) {
+      throw ApiError.conflict('Slot is no longer blocked');
+    }
   } else {
     throw ApiError.badRequest('Invalid action. Use "block" or "unblock"');
   }
@@ -216,6 +231,11 @@ export const updateSlotStatus = async (user, slotId, action, reason = '') => {
   // Clear cache
   await redisCache.del(`doctor_slots_${slot.doctorId}`);
 
+  if (action === 'unblock') {
+    // Offer the freed slot to the waitlist
+    await waitlistService.notifySlotsAvailable([slot]);
+  }
+
   return {
     slot
   };
@@ -0,0 +1,19 @@
+import ApiError from '../../utils/ApiError.util.js';
+import waitingRoomService from '../../utils/waitingRoomService.js';
+
+/**
+ * Self check-in from a clinic kiosk
+ * @param {Object} checkInData - { appointmentId } as shown on the booking confirmation
+ * @returns {Object} - Check-in with queue position and estimated wait
+ */
+export const kioskCheckIn = async (checkInData = {}) => {
+  const { appointmentId } = checkInData;
+
+  if (!appointmentId) {
+    throw ApiError.badRequest('Appointment ID is required');
+  }
+
+  const appointment = await waitingRoomService.checkIn(String(appointmentId).trim(), { method: 'kiosk' });
+
+  return await waitingRoomService.describeCheckIn(appointment);
+};
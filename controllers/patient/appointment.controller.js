@@ -7,13 +7,23 @@ import distributedLock from '../../utils/distributedLock.js';
 import paymentService from '../../utils/paymentService.js';
 import notificationService from '../../utils/notificationService.js';
 import retryUtility from '../../utils/retryUtility.js';
+import waitlistService from '../../utils/waitlistService.js';
+import transactionManager from '../../utils/transactionManager.js';
+import slotEventStream from '../../utils/slotEventStream.js';
+import cancellationPolicyService from '../../utils/cancellationPolicyService.js';
+import invoiceService from '../../utils/invoiceService.js';
+import appointmentTypeService from '../../utils/appointmentTypeService.js';
+import promoCodeService from '../../utils/promoCodeService.js';
+import insuranceService from '../../utils/insuranceService.js';
+import { dayRange, getDayOfWeek, getStartInstant, getZonedTimes } from '../../utils/timezone.js';
 
 /**
  * Get available doctors with enhanced search capabilities
  * @param {Object} query - Query parameters
+ * @param {Object} patient - Requesting patient, whose own held slots still count as available
  * @returns {Object} - Available doctors
  */
-export const getAvailableDoctors = async (query) => {
+export const getAvailableDoctors = async (query, patient) => {
   const {
     specialization,
     symptoms,
@@ -29,6 +39,9 @@ export const getAvailableDoctors = async (query) => {
 
   const skip = (page - 1) * limit;
 
+  // Slots held for other patients do not count as available
+  const slotVisibility = AvailabilitySlot.visibleToCondition(patient?._id);
+
   let filter = { role: 'doctor', isActive: true };
 
   // Text search on name
@@ -72,8 +85,7 @@ export const getAvailableDoctors = async (query) => {
 
   // Availability filter
   if (date) {
-    const queryDate = new Date(date);
-    const dayName = queryDate.toLocaleLowerCase('en-US', { weekday: 'long' });
+    const dayName = getDayOfWeek(date);
 
     // Find doctors who have schedules for this day
     const doctorsWithSchedules = await User.distinct('_id', {
@@ -83,11 +95,9 @@ export const getAvailableDoctors = async (query) => {
 
     // Find doctors who have available slots on this date
     const doctorsWithSlots = await AvailabilitySlot.distinct('doctorId', {
-      date: {
-        $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-        $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-      },
-      status: 'available'
+      date: dayRange(date),
+      status: 'available',
+      ...slotVisibility
     });
 
     // Combine both conditions
@@ -124,11 +134,15 @@ export const getAvailableDoctors = async (query) => {
       const nextSlot = await AvailabilitySlot.findOne({
         doctorId: doctor._id,
         date: { $gte: new Date() },
-        status: 'available'
+        status: 'available',
+        ...slotVisibility
       }).sort({ date: 1, startTime: 1 });
 
-      // Calculate consultation fee
-      const consultationFee = paymentService.calculateFee(doctor);
+      // Calculate consultation fee, from the doctor's catalog when they have one
+      const appointmentTypes = await appointmentTypeService.getCatalog(doctor);
+      const consultationFee = paymentService.calculateFee(doctor, {
+        appointmentType: appointmentTypes.find(type => type.code === 'new_consultation') || appointmentTypes[0]
+      });
 
       return {
         ...doctor,
@@ -138,10 +152,12 @@ export const getAvailableDoctors = async (query) => {
           endTime: nextSlot.endTime
         } : null,
         consultationFee,
+        appointmentTypes: appointmentTypes.map(type => appointmentTypeService.formatType(type)),
         totalSlots: await AvailabilitySlot.countDocuments({
           doctorId: doctor._id,
           date: { $gte: new Date() },
-          status: 'available'
+          status: 'available',
+          ...slotVisibility
         })
       };
     })
@@ -224,9 +240,10 @@ function mapSymptomsToSpecializations(symptoms) {
 /**
  * Get doctor details for patients
  * @param {string} doctorId - Doctor ID
+ * @param {Object} patient - Requesting patient, whose own held slots stay visible
  * @returns {Object} - Doctor details
  */
-export const getDoctorDetails = async (doctorId) => {
+export const getDoctorDetails = async (doctorId, patient) => {
   const doctor = await User.findOne({
     _id: doctorId,
     role: 'doctor',
@@ -247,14 +264,18 @@ export const getDoctorDetails = async (doctorId) => {
   const availableSlots = await AvailabilitySlot.find({
     doctorId,
     date: { $gte: today, $lt: nextWeek },
-    status: 'available'
+    status: 'available',
+    ...AvailabilitySlot.visibleToCondition(patient?._id)
   })
     .sort({ date: 1, startTime: 1 })
     .limit(50);
 
+  const appointmentTypes = await appointmentTypeService.getCatalog(doctor);
+
   return {
     doctor: {
       ...doctor,
+      appointmentTypes: appointmentTypes.map(type => appointmentTypeService.formatType(type)),
       availableSlots
     }
   };
@@ -264,9 +285,11 @@ export const getDoctorDetails = async (doctorId) => {
  * Get doctor's available slots for a specific date
  * @param {string} doctorId - Doctor ID
  * @param {string} date - Date string
+ * @param {Object} patient - Requesting patient, whose own held slots stay visible
+ * @param {string} appointmentTypeCode - Only list slots this appointment type can be booked in
  * @returns {Object} - Available slots
  */
-export const getDoctorAvailableSlots = async (doctorId, date) => {
+export const getDoctorAvailableSlots = async (doctorId, date, patient, appointmentTypeCode) => {
   const doctor = await User.findOne({
     _id: doctorId,
     role: 'doctor',
@@ -277,23 +300,148 @@ export const getDoctorAvailableSlots = async (doctorId, date) => {
     throw ApiError.notFound('Doctor not found');
   }
 
-  const queryDate = new Date(date);
+  const appointmentType = appointmentTypeCode ?
+    await appointmentTypeService.resolve(doctor, appointmentTypeCode) :
+    null;
+
   const slots = await AvailabilitySlot.find({
     doctorId,
-    date: {
-      $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-      $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-    },
-    status: 'available'
+    date: dayRange(date),
+    status: 'available',
+    ...AvailabilitySlot.visibleToCondition(patient?._id)
   }).sort({ startTime: 1 });
 
   return {
     doctorId,
     date,
-    availableSlots: slots
+    ...(appointmentType && { appointmentType: appointmentTypeService.formatType(appointmentType) }),
+    availableSlots: slots.filter(slot => appointmentTypeService.fitsSlot(slot, appointmentType, slots))
   };
 };
 
+/**
+ * Stream a doctor's slot changes to the client as Server-Sent Events
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} query - Query parameters (date)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const streamDoctorSlotUpdates = async (doctorId, query, req, res) => {
+  const doctor = await User.findOne({
+    _id: doctorId,
+    role: 'doctor',
+    isActive: true
+  });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  const filter = slotEventStream.buildFilter([doctorId], query.date);
+
+  slotEventStream.connect(req, res, filter, req.get('Last-Event-ID') || query.lastEventId);
+};
+
+/**
+ * Minutes a slot stays reserved for a patient while they complete the booking
+ * @returns {number} - Hold duration in minutes
+ */
+const getCheckoutHoldMinutes = () => parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 10;
+
+/**
+ * Reserve a slot for the patient while they fill in the booking form
+ * @param {Object} patient - Patient user object
+ * @param {string} slotId - Slot ID to hold
+ * @returns {Object} - Hold details
+ */
+export const holdSlot = async (patient, slotId) => {
+  return await distributedLock.withLock(`slot_booking_${slotId}`, async () => {
+    const slot = await AvailabilitySlot.findById(slotId);
+
+    if (!slot) {
+      throw ApiError.notFound('Slot not found');
+    }
+
+    if (slot.status !== 'available') {
+      throw ApiError.badRequest('Slot is not available');
+    }
+
+    if (slot.isHeldForOther(patient._id)) {
+      throw ApiError.conflict('Slot is currently held for another patient');
+    }
+
+    const now = new Date();
+    const slotDateTime = getStartInstant(slot);
+
+    if (slotDateTime <= now) {
+      throw ApiError.badRequest('Cannot hold past or current time slots');
+    }
+
+    let heldSlot = slot;
+
+    // Holding the same slot again keeps the existing hold
+    if (!slot.hold?.expiresAt || slot.hold.expiresAt <= now) {
+      // A patient checks out one slot at a time, so drop any other checkout hold
+      const previousHolds = await AvailabilitySlot.find({
+        _id: { $ne: slot._id },
+        'hold.patientId': patient._id,
+        'hold.source': 'checkout',
+        'hold.expiresAt': { $gt: now }
+      });
+
+      for (const previousSlot of previousHolds) {
+        await AvailabilitySlot.releaseHold(previousSlot._id, patient._id);
+
+        await redisCache.publish('slot_updates', {
+          slotId: previousSlot._id,
+          doctorId: previousSlot.doctorId,
+          patientId: patient._id,
+          action: 'hold_released',
+          status: 'available',
+          timestamp: new Date()
+        });
+
+        await redisCache.del(`doctor_slots_${previousSlot.doctorId}`);
+      }
+
+      heldSlot = await AvailabilitySlot.placeHold(slot._id, {
+        patientId: patient._id,
+        source: 'checkout',
+        expiresAt: new Date(now.getTime() + getCheckoutHoldMinutes() * 60 * 1000)
+      });
+
+      if (!heldSlot) {
+        throw ApiError.conflict('Slot is currently held for another patient');
+      }
+
+      // Publish real-time update
+      await redisCache.publish('slot_updates', {
+        slotId: heldSlot._id,
+        doctorId: heldSlot.doctorId,
+        patientId: patient._id,
+        action: 'held',
+        status: 'available',
+        holdExpiresAt: heldSlot.hold.expiresAt,
+        timestamp: new Date()
+      });
+
+      // Clear cache
+      await redisCache.del(`doctor_slots_${heldSlot.doctorId}`);
+    }
+
+    return {
+      hold: {
+        slotId: heldSlot._id,
+        doctorId: heldSlot.doctorId,
+        date: heldSlot.date,
+        startTime: heldSlot.startTime,
+        endTime: heldSlot.endTime,
+        expiresAt: heldSlot.hold.expiresAt
+      }
+    };
+  });
+};
+
 /**
  * Book an appointment with enhanced features
  * @param {Object} patient - Patient user object
@@ -307,6 +455,8 @@ export const bookAppointment = async (patient, slotId, bookingData = {}) => {
     symptoms,
     notes,
     paymentMethod = 'card',
+    appointmentType: appointmentTypeCode,
+    promoCode,
     idempotencyKey
   } = bookingData;
 
@@ -340,9 +490,15 @@ export const bookAppointment = async (patient, slotId, bookingData = {}) => {
         throw ApiError.badRequest('Slot is not available');
       }
 
+      if (slot.isHeldForOther(patient._id)) {
+        throw ApiError.conflict('Slot is currently held for another patient');
+      }
+
+      const waitlistId = slot.hold?.source === 'waitlist' ? slot.hold.waitlistId : null;
+
       // Check if slot is in the future
       const now = new Date();
-      const slotDateTime = new Date(`${slot.date.toISOString().split('T')[0]}T${slot.startTime}:00`);
+      const slotDateTime = getStartInstant(slot);
 
       if (slotDateTime <= now) {
         throw ApiError.badRequest('Cannot book past or current time slots');
@@ -353,15 +509,29 @@ export const bookAppointment = async (patient, slotId, bookingData = {}) => {
         patientId: patient._id,
         date: slot.date,
         startTime: slot.startTime,
-        status: { $in: ['pending', 'confirmed'] }
+        status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
       });
 
       if (conflictingAppointment) {
         throw ApiError.badRequest('You already have a booking at this time');
       }
 
-      // Calculate payment amount
-      const paymentAmount = paymentService.calculateFee(slot.doctorId);
+      // The appointment type sets the length and price when the doctor has a catalog
+      const appointmentType = await appointmentTypeService.resolve(slot.doctorId, appointmentTypeCode);
+
+      // Calculate payment amount, less any promo code discount
+      const fee = paymentService.calculateFee(slot.doctorId, { appointmentType });
+      const promotion = promoCode ?
+        await promoCodeService.validate(promoCode, { patient, doctor: slot.doctorId, amount: fee, now }) :
+        null;
+      const amountDue = fee - (promotion?.discount || 0);
+      // Insurance covers its share of what's left and the patient pays the rest
+      const insurance = paymentMethod === 'insurance' ?
+        await insuranceService.getCoverage(patient, slot.doctorId, amountDue) :
+        null;
+      const paymentAmount = insurance ? insurance.patientShare : amountDue;
+      // A booking with nothing left to pay is confirmed straight away
+      const nothingToPay = paymentAmount === 0;
 
       // Create appointment record
       const appointmentData = {
@@ -369,16 +539,26 @@ export const bookAppointment = async (patient, slotId, bookingData = {}) => {
         patientId: patient._id,
         doctorId: slot.doctorId._id,
         date: slot.date,
-        startTime: slot.startTime,
-        endTime: slot.endTime,
+        ...appointmentTypeService.getTimes(slot, appointmentType),
+        appointmentType: appointmentTypeService.toSnapshot(appointmentType),
+        ...(nothingToPay && { status: 'confirmed' }),
         reason: reason || '',
         symptoms: Array.isArray(symptoms) ? symptoms : symptoms ? symptoms.split(',').map(s => s.trim()) : [],
         notes: notes || '',
         payment: {
           amount: paymentAmount,
+          ...(promotion && {
+            originalAmount: fee,
+            discount: promoCodeService.toPaymentDiscount(promotion)
+          }),
+          ...(insurance && { insurance }),
           currency: 'USD',
-          paymentMethod
+          paymentMethod,
+          ...(nothingToPay ?
+            { status: 'paid', paidAt: now } :
+            { expiresAt: paymentService.getPaymentDeadline() })
         },
+        cancellationPolicy: await cancellationPolicyService.getTermsForDoctor(slot.doctorId),
         metadata: {
           source: 'api',
           userAgent: bookingData.userAgent,
@@ -389,29 +569,52 @@ export const bookAppointment = async (patient, slotId, bookingData = {}) => {
 
       const appointment = new Appointment(appointmentData);
 
-      // Save appointment with retry
-      await retryUtility.withDbRetry(async () => {
-        await appointment.save();
+      // Create the appointment and book the slot together, so one never exists without the other.
+      // The slot update only applies while the slot is still available, which keeps booking safe
+      // even when the lock above falls back to a per-process lock.
+      let freedSlot = null;
+      await transactionManager.withTransaction(async (session) => {
+        await appointment.save({ session });
+
+        const bookedSlot = await slot.bookSlot(patient._id, appointment._id, notes, session);
+        if (!bookedSlot) {
+          throw ApiError.conflict('Slot is no longer available');
+        }
+
+        freedSlot = await appointmentTypeService.fitBookedSlot(slot, appointmentType, session);
+
+        if (promotion) {
+          await promoCodeService.redeem(promotion.promoCode, session);
+        }
       });
 
-      // Update slot status
-      await slot.bookSlot(patient._id, appointment._id, notes);
+      if (waitlistId) {
+        await waitlistService.markBooked(waitlistId, appointment._id);
+      }
+
+      // Offer time a shorter appointment left free to the waitlist
+      await waitlistService.notifySlotsAvailable([freedSlot]);
 
       // Initiate payment
       let paymentResult = null;
-      try {
-        paymentResult = await retryUtility.withPaymentRetry(async () => {
-          return await paymentService.initiatePayment(appointment, { paymentMethod });
-        });
-
-        if (paymentResult.success) {
-          appointment.payment.status = 'pending';
-          appointment.payment.transactionId = paymentResult.payment.transactionId;
-          await appointment.save();
+      if (nothingToPay) {
+        await invoiceService.syncDocumentsQuietly(appointment);
+      } else {
+        try {
+          paymentResult = await retryUtility.withPaymentRetry(async () => {
+            return await paymentService.initiatePayment(appointment, { paymentMethod });
+          });
+
+          if (paymentResult.success) {
+            appointment.payment.status = 'pending';
+            appointment.payment.transactionId = paymentResult.payment.transactionId;
+            appointment.payment.expiresAt = paymentResult.payment.expiresAt;
+            await appointment.save();
+          }
+        } catch (paymentError) {
+          console.error('Payment initiation failed:', paymentError);
+          // Continue with booking even if payment fails initially
         }
-      } catch (paymentError) {
-        console.error('Payment initiation failed:', paymentError);
-        // Continue with booking even if payment fails initially
       }
 
       // Send notifications
@@ -458,21 +661,26 @@ export const bookAppointment = async (patient, slotId, bookingData = {}) => {
             email: patient.email
           },
           date: slot.date,
-          startTime: slot.startTime,
-          endTime: slot.endTime,
+          ...appointmentTypeService.getTimes(slot, appointmentType),
+          appointmentType: appointment.appointmentType,
           status: appointment.status,
           reason: appointment.reason,
           symptoms: appointment.symptoms,
           notes: appointment.notes,
           payment: {
             amount: appointment.payment.amount,
+            originalAmount: appointment.payment.originalAmount,
+            discount: appointment.payment.discount,
+            insurance: appointment.payment.insurance,
             currency: appointment.payment.currency,
             status: appointment.payment.status,
-            paymentUrl: paymentResult?.payment?.paymentUrl
+            paymentUrl: paymentResult?.payment?.paymentUrl,
+            expiresAt: appointment.payment.expiresAt
           },
+          cancellationPolicy: appointment.cancellationPolicy,
           createdAt: appointment.createdAt
         },
-        paymentRequired: !paymentResult?.success,
+        paymentRequired: !nothingToPay && !paymentResult?.success,
         message: 'Appointment booked successfully'
       };
     }, 30); // 30 second lock
@@ -504,11 +712,7 @@ export const getPatientAppointments = async (patient, query) => {
   }
 
   if (date) {
-    const queryDate = new Date(date);
-    filter.date = {
-      $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-      $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-    };
+    filter.date = dayRange(date);
   }
 
   // Build sort object
@@ -549,6 +753,7 @@ export const getPatientAppointments = async (patient, query) => {
       date: apt.date,
       startTime: apt.startTime,
       endTime: apt.endTime,
+      ...getZonedTimes(apt),
       status: apt.status,
       reason: apt.reason,
       symptoms: apt.symptoms,
@@ -593,22 +798,30 @@ export const cancelAppointment = async (patient, appointmentId, cancellationData
       throw ApiError.notFound('Appointment not found or cannot be cancelled');
     }
 
-    // Check if appointment is in the future (allow cancellation up to 2 hours before)
-    const now = new Date();
-    const appointmentDateTime = new Date(`${appointment.date.toISOString().split('T')[0]}T${appointment.startTime}:00`);
-    const twoHoursFromNow = new Date(now.getTime() + 2 * 60 * 60 * 1000);
+    // Patients can cancel up to the cutoff of the policy they booked under
+    cancellationPolicyService.assertBeforeCutoff(appointment, 'cancel');
 
-    if (appointmentDateTime <= twoHoursFromNow) {
-      throw ApiError.badRequest('Cannot cancel appointment less than 2 hours before the scheduled time');
-    }
+    // Cancel appointment and free the slot in one transaction
+    await transactionManager.withTransaction(async (session) => {
+      // A concurrent cancellation that committed first wins
+      const stillActive = await Appointment.exists({
+        _id: appointment._id,
+        status: { $in: ['pending', 'confirmed'] }
+      }).session(session);
 
-    // Cancel appointment
-    await appointment.cancel(patient._id, reason);
+      if (!stillActive) {
+        throw ApiError.notFound('Appointment not found or cannot be cancelled');
+      }
 
-    // Update slot status back to available
-    if (appointment.slotId) {
-      await appointment.slotId.cancelBooking();
-    }
+      await appointment.cancel(patient._id, reason, session);
+
+      // Only free the slot if it still belongs to this appointment; an overbooked one gives back its extra place
+      if (appointment.slotId?.appointmentId?.toString() === appointment._id.toString()) {
+        await appointment.slotId.cancelBooking(session);
+      } else if (appointment.isOverbooked && appointment.slotId) {
+        await appointment.slotId.releaseOverbooking(session);
+      }
+    });
 
     // Process refund if payment was made
     let refundResult = null;
@@ -619,7 +832,8 @@ export const cancelAppointment = async (patient, appointmentId, cancellationData
         });
 
         if (refundResult.success) {
-          appointment.cancellation.refundStatus = 'processed';
+          appointment.cancellation.refundStatus = paymentService.getRefundStatus(refundResult);
+          appointment.cancellation.refundId = refundResult.refundId;
           await appointment.save();
         } else {
           appointment.cancellation.refundStatus = 'failed';
@@ -654,13 +868,16 @@ export const cancelAppointment = async (patient, appointmentId, cancellationData
       patientId: patient._id,
       appointmentId: appointment._id,
       action: 'cancelled',
-      status: 'available',
+      status: appointment.isOverbooked ? 'booked' : 'available',
       timestamp: new Date()
     });
 
     // Clear cache
     await redisCache.del(`doctor_slots_${appointment.doctorId._id}`);
 
+    // Offer the freed slot to the waitlist
+    await waitlistService.notifySlotsAvailable([appointment.slotId]);
+
     return {
       appointment: {
         appointmentId: appointment.appointmentId,
@@ -714,21 +931,41 @@ export const confirmAppointmentPayment = async (patient, appointmentId, paymentD
     };
   }
 
+  // Only the transaction started for this booking can pay for it; any other ID the patient
+  // sends could be a payment made for something else
+  if (!appointment.payment.transactionId || transactionId !== appointment.payment.transactionId) {
+    throw ApiError.badRequest('Transaction does not belong to this appointment');
+  }
+
   // Confirm payment
   const paymentResult = await retryUtility.withPaymentRetry(async () => {
     return await paymentService.confirmPayment(transactionId, {
       amount: appointment.payment.amount,
-      currency: appointment.payment.currency
+      currency: appointment.payment.currency,
+      paymentMethod
     });
   });
 
   if (!paymentResult.success) {
-    throw ApiError.badRequest('Payment confirmation failed');
+    throw ApiError.badRequest(paymentResult.error ? `Payment confirmation failed: ${paymentResult.error}` : 'Payment confirmation failed');
   }
 
   // Update appointment
   await appointment.markAsPaid(transactionId, paymentMethod);
 
+  // Issue the invoice now; if that fails it is issued when the patient asks for it
+  await invoiceService.syncDocumentsQuietly(appointment);
+
+  // Publish real-time update
+  await redisCache.publish('appointment_updates', {
+    appointmentId: appointment._id,
+    slotId: appointment.slotId,
+    doctorId: appointment.doctorId,
+    action: 'paid',
+    status: appointment.status,
+    timestamp: new Date()
+  });
+
   return {
     message: 'Payment confirmed successfully',
     appointment: {
@@ -771,13 +1008,20 @@ export const getAppointmentDetails = async (patient, appointmentId) => {
       date: appointment.date,
       startTime: appointment.startTime,
       endTime: appointment.endTime,
+      ...getZonedTimes(appointment),
+      appointmentType: appointment.appointmentType,
       status: appointment.status,
       reason: appointment.reason,
       symptoms: appointment.symptoms,
       notes: appointment.notes,
       payment: appointment.payment,
       cancellation: appointment.cancellation,
+      cancellationPolicy: cancellationPolicyService.getTerms(appointment),
       notifications: appointment.notifications,
+      rescheduledFrom: appointment.rescheduledFrom,
+      rescheduledTo: appointment.rescheduledTo,
+      rescheduledAt: appointment.rescheduledAt,
+      reassignment: appointment.reassignment,
       createdAt: appointment.createdAt,
       updatedAt: appointment.updatedAt
     }
@@ -785,7 +1029,8 @@ export const getAppointmentDetails = async (patient, appointmentId) => {
 };
 
 /**
- * Reschedule appointment (cancel current and create new)
+ * Reschedule appointment by moving the booking to a new slot in a single transaction.
+ * The original appointment stays intact if any step fails.
  * @param {Object} patient - Patient user object
  * @param {string} appointmentId - Current appointment ID
  * @param {string} newSlotId - New slot ID
@@ -793,20 +1038,372 @@ export const getAppointmentDetails = async (patient, appointmentId) => {
  * @returns {Object} - Reschedule result
  */
 export const rescheduleAppointment = async (patient, appointmentId, newSlotId, rescheduleData = {}) => {
-  // First cancel the current appointment
-  const cancellationResult = await cancelAppointment(patient, appointmentId, {
-    reason: 'Rescheduled to different time'
+  const { reason, notes } = rescheduleData;
+
+  const currentAppointment = await Appointment.findOne({
+    appointmentId,
+    patientId: patient._id,
+    status: { $in: ['pending', 'confirmed'] }
   });
 
-  // Then book the new appointment
-  const bookingResult = await bookAppointment(patient, newSlotId, {
-    ...rescheduleData,
-    reason: rescheduleData.reason || 'Rescheduled appointment'
+  if (!currentAppointment) {
+    throw ApiError.notFound('Appointment not found or cannot be rescheduled');
+  }
+
+  const oldSlotId = currentAppointment.slotId.toString();
+
+  if (oldSlotId === newSlotId.toString()) {
+    throw ApiError.badRequest('Appointment is already booked in this slot');
+  }
+
+  // Lock both slots in a fixed order so concurrent reschedules cannot deadlock
+  const [firstLock, secondLock] = [oldSlotId, newSlotId.toString()].sort();
+
+  const result = await distributedLock.withLock(`slot_booking_${firstLock}`, async () => {
+    return await distributedLock.withLock(`slot_booking_${secondLock}`, async () => {
+      return await transactionManager.withTransaction(async (session) => {
+        const appointment = await Appointment.findOne({
+          _id: currentAppointment._id,
+          status: { $in: ['pending', 'confirmed'] }
+        }).session(session);
+
+        if (!appointment) {
+          throw ApiError.notFound('Appointment not found or cannot be rescheduled');
+        }
+
+        // Same cut-off as cancellation
+        const now = new Date();
+        cancellationPolicyService.assertBeforeCutoff(appointment, 'reschedule', now);
+
+        const newSlot = await AvailabilitySlot.findById(newSlotId)
+          .populate('doctorId', 'name email doctorProfile profile')
+          .session(session);
+
+        if (!newSlot) {
+          throw ApiError.notFound('Slot not found');
+        }
+
+        if (newSlot.status !== 'available') {
+          throw ApiError.badRequest('Slot is not available');
+        }
+
+        if (newSlot.isHeldForOther(patient._id)) {
+          throw ApiError.conflict('Slot is currently held for another patient');
+        }
+
+        // The payment carries over, so the booking stays with the same doctor
+        if (newSlot.doctorId._id.toString() !== appointment.doctorId.toString()) {
+          throw ApiError.badRequest('Appointments can only be rescheduled with the same doctor');
+        }
+
+        const newSlotDateTime = getStartInstant(newSlot);
+
+        if (newSlotDateTime <= now) {
+          throw ApiError.badRequest('Cannot book past or current time slots');
+        }
+
+        const conflictingAppointment = await Appointment.findOne({
+          _id: { $ne: appointment._id },
+          patientId: patient._id,
+          date: newSlot.date,
+          startTime: newSlot.startTime,
+          status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+        }).session(session);
+
+        if (conflictingAppointment) {
+          throw ApiError.badRequest('You already have a booking at this time');
+        }
+
+        const oldSlot = await AvailabilitySlot.findById(appointment.slotId).session(session);
+        const waitlistId = newSlot.hold?.source === 'waitlist' ? newSlot.hold.waitlistId : null;
+
+        const newAppointment = new Appointment({
+          slotId: newSlot._id,
+          patientId: patient._id,
+          doctorId: appointment.doctorId,
+          date: newSlot.date,
+          ...appointmentTypeService.getTimes(newSlot, appointment.appointmentType),
+          status: appointment.status,
+          bookingType: appointment.bookingType,
+          // Same type, length and price as the original booking
+          appointmentType: appointment.appointmentType,
+          reason: reason || appointment.reason,
+          symptoms: appointment.symptoms,
+          notes: notes || appointment.notes,
+          // Carry the payment over instead of refunding and charging again
+          payment: {
+            amount: appointment.payment.amount,
+            originalAmount: appointment.payment.originalAmount,
+            discount: appointment.payment.discount,
+            insurance: appointment.payment.insurance,
+            currency: appointment.payment.currency,
+            status: appointment.payment.status,
+            transactionId: appointment.payment.transactionId,
+            paymentMethod: appointment.payment.paymentMethod,
+            paidAt: appointment.payment.paidAt,
+            expiresAt: appointment.payment.expiresAt
+          },
+          // The original booking's cancellation terms still apply
+          cancellationPolicy: appointment.cancellationPolicy,
+          rescheduledFrom: appointment._id,
+          metadata: {
+            source: 'reschedule',
+            userAgent: rescheduleData.userAgent,
+            ipAddress: rescheduleData.ipAddress
+          }
+        });
+
+        await newAppointment.save({ session });
+        await appointment.markRescheduled(newAppointment._id);
+
+        // Only free the old slot if it still belongs to this appointment; an overbooked one gives back its extra place
+        if (oldSlot && oldSlot.appointmentId?.toString() === appointment._id.toString()) {
+          await oldSlot.cancelBooking(session);
+        } else if (oldSlot && appointment.isOverbooked) {
+          await oldSlot.releaseOverbooking(session);
+        }
+
+        const bookedSlot = await newSlot.bookSlot(patient._id, newAppointment._id, notes, session);
+        if (!bookedSlot) {
+          throw ApiError.conflict('Slot is no longer available');
+        }
+
+        const freedSlot = await appointmentTypeService.fitBookedSlot(newSlot, appointment.appointmentType, session);
+
+        return { appointment, newAppointment, oldSlot, newSlot, waitlistId, freedSlot };
+      });
+    }, 30);
+  }, 30);
+
+  const { appointment, newAppointment, oldSlot, newSlot, waitlistId, freedSlot } = result;
+  const doctor = newSlot.doctorId;
+
+  if (waitlistId) {
+    await waitlistService.markBooked(waitlistId, newAppointment._id);
+  }
+
+  // Move a paid appointment's invoice to the new booking so the payment is invoiced once
+  await invoiceService.syncDocumentsQuietly(newAppointment);
+
+  // Send a single rescheduled notification
+  try {
+    await retryUtility.withNotificationRetry(async () => {
+      await notificationService.sendRescheduleNotification(appointment, newAppointment, patient, doctor);
+    });
+  } catch (notificationError) {
+    console.error('Reschedule notification failed:', notificationError);
+    // Don't fail the reschedule if notifications fail
+  }
+
+  // Publish real-time updates
+  await redisCache.publish('slot_updates', {
+    slotId: appointment.slotId,
+    doctorId: doctor._id,
+    patientId: patient._id,
+    appointmentId: appointment._id,
+    action: 'rescheduled_from',
+    status: 'available',
+    timestamp: new Date()
   });
 
+  await redisCache.publish('slot_updates', {
+    slotId: newSlot._id,
+    doctorId: doctor._id,
+    patientId: patient._id,
+    appointmentId: newAppointment._id,
+    action: 'rescheduled_to',
+    status: 'booked',
+    timestamp: new Date()
+  });
+
+  // Clear cache
+  await redisCache.del(`doctor_slots_${doctor._id}`);
+
+  // Offer the freed slot, and any time left over in the new one, to the waitlist
+  await waitlistService.notifySlotsAvailable([appointment.slotId, freedSlot]);
+
   return {
-    cancelledAppointment: cancellationResult.appointment,
-    newAppointment: bookingResult.appointment,
+    appointment: {
+      appointmentId: newAppointment.appointmentId,
+      slotId: newSlot._id,
+      previousAppointmentId: appointment.appointmentId,
+      date: newAppointment.date,
+      startTime: newAppointment.startTime,
+      endTime: newAppointment.endTime,
+      ...getZonedTimes(newAppointment),
+      status: newAppointment.status,
+      payment: {
+        amount: newAppointment.payment.amount,
+        currency: newAppointment.payment.currency,
+        status: newAppointment.payment.status,
+        expiresAt: newAppointment.payment.expiresAt
+      },
+      rescheduledAt: appointment.rescheduledAt
+    },
+    oldSlot: {
+      date: oldSlot?.date || appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      ...getZonedTimes(appointment)
+    },
+    newSlot: {
+      date: newSlot.date,
+      startTime: newSlot.startTime,
+      endTime: newSlot.endTime,
+      ...getZonedTimes(newSlot)
+    },
     message: 'Appointment rescheduled successfully'
   };
+};
+
+/**
+ * Accept the substitute doctor an appointment was reassigned to
+ * @param {Object} patient - Patient user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Updated reassignment
+ */
+export const acceptReassignment = async (patient, appointmentId) => {
+  const appointment = await Appointment.findOneAndUpdate(
+    {
+      appointmentId,
+      patientId: patient._id,
+      status: { $in: ['pending', 'confirmed'] },
+      'reassignment.response': 'pending'
+    },
+    { $set: { 'reassignment.response': 'accepted', 'reassignment.respondedAt': new Date() } },
+    { new: true }
+  );
+
+  if (!appointment) {
+    throw ApiError.notFound('No reassignment awaiting a response for this appointment');
+  }
+
+  return {
+    appointment: {
+      appointmentId: appointment.appointmentId,
+      status: appointment.status,
+      reassignment: {
+        response: appointment.reassignment.response,
+        respondedAt: appointment.reassignment.respondedAt
+      }
+    },
+    message: 'Substitute doctor accepted'
+  };
+};
+
+/**
+ * Decline the substitute doctor an appointment was reassigned to. The appointment is
+ * cancelled on the clinic's account, so whatever the patient paid is refunded in full
+ * regardless of the cancellation policy or cutoff.
+ * @param {Object} patient - Patient user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Cancellation confirmation
+ */
+export const declineReassignment = async (patient, appointmentId) => {
+  const reason = 'Patient declined the substitute doctor';
+
+  const appointment = await Appointment.findOne({
+    appointmentId,
+    patientId: patient._id,
+    status: { $in: ['pending', 'confirmed'] },
+    'reassignment.response': 'pending'
+  })
+  .populate('slotId')
+  .populate('doctorId', 'name email doctorProfile');
+
+  if (!appointment) {
+    throw ApiError.notFound('No reassignment awaiting a response for this appointment');
+  }
+
+  await transactionManager.withTransaction(async (session) => {
+    // A cancellation or response that committed first wins
+    const stillPending = await Appointment.exists({
+      _id: appointment._id,
+      status: { $in: ['pending', 'confirmed'] },
+      'reassignment.response': 'pending'
+    }).session(session);
+
+    if (!stillPending) {
+      throw ApiError.notFound('No reassignment awaiting a response for this appointment');
+    }
+
+    appointment.reassignment.response = 'declined';
+    appointment.reassignment.respondedAt = new Date();
+    await appointment.cancel(patient._id, reason, session, 'clinic');
+
+    if (appointment.slotId?.appointmentId?.toString() === appointment._id.toString()) {
+      await appointment.slotId.cancelBooking(session);
+    } else if (appointment.isOverbooked && appointment.slotId) {
+      await appointment.slotId.releaseOverbooking(session);
+    }
+  });
+
+  // Refund what is left after any fee difference already returned
+  let refundResult = null;
+  if (appointment.payment.status === 'paid' && appointment.cancellation.refundAmount > 0) {
+    try {
+      refundResult = await retryUtility.withPaymentRetry(async () => {
+        return await paymentService.processRefund(appointment, appointment.cancellation.refundAmount);
+      });
+
+      if (refundResult.success) {
+        appointment.cancellation.refundStatus = paymentService.getRefundStatus(refundResult);
+        appointment.cancellation.refundId = refundResult.refundId;
+      } else {
+        appointment.cancellation.refundStatus = 'failed';
+      }
+    } catch (refundError) {
+      console.error('Refund processing failed:', refundError);
+      appointment.cancellation.refundStatus = 'failed';
+    }
+    await appointment.save();
+  }
+
+  try {
+    await retryUtility.withNotificationRetry(async () => {
+      await notificationService.sendCancellationNotification(
+        appointment,
+        patient, // cancelledBy
+        patient, // patient
+        appointment.doctorId // doctor
+      );
+    });
+  } catch (notificationError) {
+    console.error('Cancellation notification failed:', notificationError);
+  }
+
+  await redisCache.publish('slot_updates', {
+    slotId: appointment.slotId?._id,
+    doctorId: appointment.doctorId._id,
+    patientId: patient._id,
+    appointmentId: appointment._id,
+    action: 'cancelled',
+    status: appointment.isOverbooked ? 'booked' : 'available',
+    timestamp: new Date()
+  });
+
+  // Clear cache
+  await redisCache.del(`doctor_slots_${appointment.doctorId._id}`);
+
+  // Offer the freed slot to the waitlist
+  await waitlistService.notifySlotsAvailable([appointment.slotId]);
+
+  return {
+    appointment: {
+      appointmentId: appointment.appointmentId,
+      status: appointment.status,
+      cancellation: {
+        reason: appointment.cancellation.reason,
+        cancelledAt: appointment.cancellation.cancelledAt,
+        refundAmount: appointment.cancellation.refundAmount,
+        refundStatus: appointment.cancellation.refundStatus
+      },
+      reassignment: {
+        response: appointment.reassignment.response,
+        respondedAt: appointment.reassignment.respondedAt
+      }
+    },
+    refundProcessed: refundResult?.success || false,
+    message: 'Substitute doctor declined and appointment cancelled'
+  };
 };
\ No newline at end of file
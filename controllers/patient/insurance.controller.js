@@ -0,0 +1,84 @@
+import User from '../../models/users.model.js';
+import InsurancePlan from '../../models/InsurancePlan.js';
+import ApiError from '../../utils/ApiError.util.js';
+
+/**
+ * Shape a plan for patients; the network is checked at booking rather than listed
+ * @param {Object} plan - Insurance plan
+ * @returns {Object} - Plan summary
+ */
+const formatPlan = (plan) => ({
+  id: plan._id,
+  name: plan.name,
+  provider: plan.provider,
+  description: plan.description,
+  copay: plan.copay,
+  coveragePercent: plan.coveragePercent,
+  outOfNetworkCoveragePercent: plan.outOfNetworkCoveragePercent
+});
+
+/**
+ * Get the insurance plans bookings can be paid by
+ * @returns {Object} - Accepted plans
+ */
+export const getInsurancePlans = async () => {
+  const plans = await InsurancePlan.find({ isActive: true }).sort({ provider: 1, name: 1 });
+
+  return {
+    plans: plans.map(formatPlan)
+  };
+};
+
+/**
+ * Get the patient's insurance
+ * @param {Object} patient - Patient user object
+ * @returns {Object} - Insurance with its plan
+ */
+export const getInsurance = async (patient) => {
+  const insurance = patient.patientProfile?.insurance;
+  const plan = insurance?.planId ? await InsurancePlan.findById(insurance.planId) : null;
+
+  return {
+    insurance: {
+      provider: insurance?.provider,
+      policyNumber: insurance?.policyNumber,
+      plan: plan ? { ...formatPlan(plan), isActive: plan.isActive } : null
+    }
+  };
+};
+
+/**
+ * Set the plan and policy number bookings paid by insurance are covered by
+ * @param {Object} patient - Patient user object
+ * @param {Object} insuranceData - { planId, policyNumber }
+ * @returns {Object} - Updated insurance
+ */
+export const updateInsurance = async (patient, insuranceData) => {
+  const { planId, policyNumber } = insuranceData;
+
+  if (!planId || !policyNumber) {
+    throw ApiError.badRequest('Plan and policy number are required');
+  }
+
+  const plan = await InsurancePlan.findOne({ _id: planId, isActive: true });
+
+  if (!plan) {
+    throw ApiError.notFound('Insurance plan not found');
+  }
+
+  const updated = await User.findByIdAndUpdate(
+    patient._id,
+    {
+      $set: {
+        'patientProfile.insurance': {
+          provider: plan.provider,
+          policyNumber: String(policyNumber).trim(),
+          planId: plan._id
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  return await getInsurance(updated);
+};
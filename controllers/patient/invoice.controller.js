@@ -0,0 +1,48 @@
+import Appointment from '../../models/Appointment.js';
+import Invoice from '../../models/Invoice.js';
+import ApiError from '../../utils/ApiError.util.js';
+import invoiceService from '../../utils/invoiceService.js';
+
+/**
+ * Get the invoice and credit notes of an appointment, issuing any that are due
+ * @param {Object} patient - Patient user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Issued documents
+ */
+export const getAppointmentInvoices = async (patient, appointmentId) => {
+  const appointment = await Appointment.findOne({
+    appointmentId,
+    patientId: patient._id
+  });
+
+  if (!appointment) {
+    throw ApiError.notFound('Appointment not found');
+  }
+
+  const documents = await invoiceService.syncDocuments(appointment);
+
+  return {
+    appointmentId: appointment.appointmentId,
+    invoices: documents.map(document => invoiceService.formatInvoice(document))
+  };
+};
+
+/**
+ * Download an invoice or credit note, or the receipt for an invoice
+ * @param {Object} patient - Patient user object
+ * @param {string} invoiceNumber - Invoice or credit note number
+ * @param {Object} options - { format: 'pdf' | 'html', receipt }
+ * @returns {Object} - { filename, contentType, body }
+ */
+export const downloadInvoice = async (patient, invoiceNumber, options = {}) => {
+  const invoice = await Invoice.findOne({
+    invoiceNumber,
+    patient: patient._id
+  });
+
+  if (!invoice) {
+    throw ApiError.notFound('Invoice not found');
+  }
+
+  return await invoiceService.renderFile(invoice, options);
+};
@@ -0,0 +1,176 @@
+import User from '../../models/users.model.js';
+import Waitlist from '../../models/Waitlist.js';
+import ApiError from '../../utils/ApiError.util.js';
+import waitlistService from '../../utils/waitlistService.js';
+import { endOfDay, startOfDay } from '../../utils/timezone.js';
+
+/**
+ * Normalize an HH:MM time so string comparison with slot times works
+ * @param {string} time - Time string
+ * @returns {string} - Zero-padded time
+ */
+const normalizeTime = (time) => {
+  if (!/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time)) {
+    throw ApiError.badRequest('Times must be in HH:MM format');
+  }
+  const [hours, minutes] = time.split(':');
+  return `${hours.padStart(2, '0')}:${minutes}`;
+};
+
+/**
+ * Join a doctor's waitlist
+ * @param {Object} patient - Patient user object
+ * @param {Object} waitlistData - Waitlist data
+ * @returns {Object} - Created waitlist entry
+ */
+export const joinWaitlist = async (patient, waitlistData) => {
+  const { doctorId, dateFrom, dateTo, timeFrom = '00:00', timeTo = '23:59', notes } = waitlistData;
+
+  if (!doctorId || !dateFrom || !dateTo) {
+    throw ApiError.badRequest('Doctor, start date and end date are required');
+  }
+
+  const doctor = await User.findOne({
+    _id: doctorId,
+    role: 'doctor',
+    isActive: true
+  });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  if (isNaN(new Date(dateFrom).getTime()) || isNaN(new Date(dateTo).getTime())) {
+    throw ApiError.badRequest('Invalid date range');
+  }
+
+  const start = startOfDay(dateFrom);
+  const end = endOfDay(dateTo);
+
+  if (start > end) {
+    throw ApiError.badRequest('Start date cannot be after end date');
+  }
+
+  if (end < new Date()) {
+    throw ApiError.badRequest('Date range is in the past');
+  }
+
+  const from = normalizeTime(timeFrom);
+  const to = normalizeTime(timeTo);
+
+  if (from >= to) {
+    throw ApiError.badRequest('Start time must be before end time');
+  }
+
+  const existingEntry = await Waitlist.findOne({
+    patientId: patient._id,
+    doctorId,
+    status: { $in: ['waiting', 'offered'] }
+  });
+
+  if (existingEntry) {
+    throw ApiError.conflict('You are already on the waitlist for this doctor');
+  }
+
+  const entry = await Waitlist.create({
+    patientId: patient._id,
+    doctorId,
+    dateFrom: start,
+    dateTo: end,
+    timeFrom: from,
+    timeTo: to,
+    notes
+  });
+
+  return {
+    entry
+  };
+};
+
+/**
+ * Get the patient's waitlist entries
+ * @param {Object} patient - Patient user object
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Waitlist entries
+ */
+export const getPatientWaitlist = async (patient, query) => {
+  const { status } = query;
+
+  const filter = { patientId: patient._id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const entries = await Waitlist.find(filter)
+    .populate('doctorId', 'name email doctorProfile')
+    .populate('offer.slotId')
+    .sort({ createdAt: -1 });
+
+  return {
+    entries
+  };
+};
+
+/**
+ * Find an active waitlist entry of the patient
+ * @param {Object} patient - Patient user object
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Promise<Object>} - Waitlist entry
+ */
+const findActiveEntry = async (patient, entryId) => {
+  const entry = await Waitlist.findOne({
+    _id: entryId,
+    patientId: patient._id,
+    status: { $in: ['waiting', 'offered'] }
+  });
+
+  if (!entry) {
+    throw ApiError.notFound('Waitlist entry not found');
+  }
+
+  return entry;
+};
+
+/**
+ * Decline a slot offered from the waitlist and stay in line for another one
+ * @param {Object} patient - Patient user object
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Object} - Updated waitlist entry
+ */
+export const declineWaitlistOffer = async (patient, entryId) => {
+  const entry = await findActiveEntry(patient, entryId);
+
+  if (entry.status !== 'offered') {
+    throw ApiError.badRequest('No slot is currently offered for this entry');
+  }
+
+  await waitlistService.withdrawOffer(entry);
+
+  return {
+    entry: await Waitlist.findById(entry._id)
+  };
+};
+
+/**
+ * Leave a doctor's waitlist, passing any held slot to the next patient
+ * @param {Object} patient - Patient user object
+ * @param {string} entryId - Waitlist entry ID
+ * @returns {Object} - Success message
+ */
+export const leaveWaitlist = async (patient, entryId) => {
+  const entry = await findActiveEntry(patient, entryId);
+  const offeredSlotId = entry.status === 'offered' ? entry.offer?.slotId : null;
+
+  entry.status = 'cancelled';
+  entry.offer = undefined;
+  await entry.save();
+
+  if (offeredSlotId) {
+    // Hand the held slot to the next patient in line
+    await waitlistService.passSlotOn(offeredSlotId, patient._id);
+  }
+
+  return {
+    message: 'Removed from waitlist'
+  };
+};
@@ -1,7 +1,12 @@
 import AvailabilitySlot from '../../models/AvailabilitySlot.js';
+import Appointment from '../../models/Appointment.js';
 import User from '../../models/users.model.js';
 import ApiError from '../../utils/ApiError.util.js';
 import redisCache from '../../utils/redis.js';
+import waitlistService from '../../utils/waitlistService.js';
+import transactionManager from '../../utils/transactionManager.js';
+import slotEventStream from '../../utils/slotEventStream.js';
+import { dayRange } from '../../utils/timezone.js';
 
 /**
  * Get all doctors for staff management
@@ -65,11 +70,7 @@ export const getDoctorSlotsForStaff = async (doctorId, query) => {
   let filter = { doctorId };
 
   if (date) {
-    const queryDate = new Date(date);
-    filter.date = {
-      $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-      $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-    };
+    filter.date = dayRange(date);
   }
 
   if (status) {
@@ -125,7 +126,22 @@ export const blockSlot = async (staff, slotId, reason) => {
     throw ApiError.badRequest('Slot is already blocked');
   }
 
-  await slot.blockSlot(staff._id, reason);
+  // Block inside a transaction so a booking committed meanwhile wins
+  await transactionManager.withTransaction(async (session) => {
+    const activeAppointment = await Appointment.exists({
+      slotId: slot._id,
+      status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+    }).session(session);
+
+    if (activeAppointment) {
+      throw ApiError.badRequest('Cannot block a booked slot');
+    }
+
+    const blockedSlot = await slot.blockSlot(staff._id, reason, session);
+    if (!blockedSlot) {
+      throw ApiError.conflict('Slot can no longer be blocked');
+    }
+  });
 
   // Publish real-time update
   await redisCache.publish('slot_updates', {
@@ -162,7 +178,10 @@ export const unblockSlot = async (staff, slotId) => {
     throw ApiError.badRequest('Slot is not blocked');
   }
 
-  await slot.unblockSlot();
+  const unblockedSlot = await slot.unblockSlot();
+  if (!unblockedSlot) {
+    throw ApiError.conflict('Slot is no longer blocked');
+  }
 
   // Publish real-time update
   await redisCache.publish('slot_updates', {
@@ -177,6 +196,61 @@ export const unblockSlot = async (staff, slotId) => {
   // Clear cache
   await redisCache.del(`doctor_slots_${slot.doctorId}`);
 
+  // Offer the freed slot to the waitlist
+  await waitlistService.notifySlotsAvailable([slot]);
+
+  return {
+    slot
+  };
+};
+
+/**
+ * Set how many extra walk-ins may be squeezed into a slot (staff only)
+ * @param {Object} staff - Staff user object
+ * @param {string} slotId - Slot ID
+ * @param {number} limit - Extra bookings allowed on top of the regular one
+ * @returns {Object} - Updated slot
+ */
+export const setSlotOverbookLimit = async (staff, slotId, limit) => {
+  const overbookLimit = Number(limit);
+
+  if (!Number.isInteger(overbookLimit) || overbookLimit < 0 || overbookLimit > 5) {
+    throw ApiError.badRequest('Overbook limit must be a whole number from 0 to 5');
+  }
+
+  const slot = await AvailabilitySlot.findById(slotId);
+
+  if (!slot) {
+    throw ApiError.notFound('Slot not found');
+  }
+
+  if (['blocked', 'cancelled'].includes(slot.status)) {
+    throw ApiError.badRequest(`Cannot overbook a ${slot.status} slot`);
+  }
+
+  // The limit cannot drop below the extra bookings the slot already holds
+  const updatedSlot = await slot.transition(
+    { $or: [{ overbookedCount: { $lte: overbookLimit } }, { overbookedCount: { $exists: false } }] },
+    { $set: { overbookLimit } }
+  );
+
+  if (!updatedSlot) {
+    throw ApiError.badRequest(`Slot already holds ${slot.overbookedCount} overbooked patients`);
+  }
+
+  // Publish real-time update
+  await redisCache.publish('slot_updates', {
+    slotId: slot._id,
+    doctorId: slot.doctorId,
+    updatedBy: staff._id,
+    action: 'overbook_limit_changed',
+    status: slot.status,
+    timestamp: new Date()
+  });
+
+  // Clear cache
+  await redisCache.del(`doctor_slots_${slot.doctorId}`);
+
   return {
     slot
   };
@@ -258,11 +332,7 @@ export const getSlotStatistics = async (query) => {
   }
 
   if (date) {
-    const queryDate = new Date(date);
-    matchConditions.date = {
-      $gte: new Date(queryDate.setHours(0, 0, 0, 0)),
-      $lt: new Date(queryDate.setHours(23, 59, 59, 999))
-    };
+    matchConditions.date = dayRange(date);
   }
 
   const stats = await AvailabilitySlot.aggregate([
@@ -290,4 +360,17 @@ export const getSlotStatistics = async (query) => {
     statistics,
     totalSlots: Object.values(statistics).reduce((sum, count) => sum + count, 0)
   };
+};
+
+/**
+ * Stream slot changes across doctors as Server-Sent Events
+ * @param {Object} query - Query parameters (doctorId, comma separated for several doctors, and date)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const streamSlotUpdates = async (query, req, res) => {
+  const doctorIds = query.doctorId ? String(query.doctorId).split(',').map(id => id.trim()) : [];
+  const filter = slotEventStream.buildFilter(doctorIds, query.date);
+
+  slotEventStream.connect(req, res, filter, req.get('Last-Event-ID') || query.lastEventId);
 };
\ No newline at end of file
@@ -0,0 +1,52 @@
+import User from '../../models/users.model.js';
+import ApiError from '../../utils/ApiError.util.js';
+import waitingRoomService from '../../utils/waitingRoomService.js';
+
+/**
+ * Check a patient in at the front desk
+ * @param {Object} staff - Staff user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Check-in with queue position and estimated wait
+ */
+export const checkInPatient = async (staff, appointmentId) => {
+  const appointment = await waitingRoomService.checkIn(appointmentId, {
+    checkedInBy: staff._id,
+    method: 'staff'
+  });
+
+  return await waitingRoomService.describeCheckIn(appointment);
+};
+
+/**
+ * Send a checked-in patient in to the doctor
+ * @param {Object} staff - Staff user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Appointment in consultation
+ */
+export const startConsultation = async (staff, appointmentId) => {
+  const appointment = await waitingRoomService.startConsultation(appointmentId);
+
+  return {
+    appointment: {
+      appointmentId: appointment.appointmentId,
+      status: appointment.status,
+      checkedInAt: appointment.checkIn?.checkedInAt,
+      consultationStartedAt: appointment.consultationStartedAt
+    }
+  };
+};
+
+/**
+ * Get a doctor's waiting-room queue for today
+ * @param {string} doctorId - Doctor ID
+ * @returns {Object} - Queue with wait estimates and running-late indicator
+ */
+export const getDoctorQueueForStaff = async (doctorId) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  return await waitingRoomService.getQueue(doctor);
+};
@@ -0,0 +1,416 @@
+import crypto from 'crypto';
+import User from '../../models/users.model.js';
+import AvailabilitySlot from '../../models/AvailabilitySlot.js';
+import Appointment from '../../models/Appointment.js';
+import ApiError from '../../utils/ApiError.util.js';
+import redisCache from '../../utils/redis.js';
+import distributedLock from '../../utils/distributedLock.js';
+import paymentService from '../../utils/paymentService.js';
+import transactionManager from '../../utils/transactionManager.js';
+import cancellationPolicyService from '../../utils/cancellationPolicyService.js';
+import invoiceService from '../../utils/invoiceService.js';
+import appointmentTypeService from '../../utils/appointmentTypeService.js';
+import waitlistService from '../../utils/waitlistService.js';
+import {
+  dayRange,
+  getDoctorTimezone,
+  getEndInstant,
+  getZonedTimes,
+  todayInTimezone
+} from '../../utils/timezone.js';
+
+// Payments the front desk can take in person
+const DESK_PAYMENT_METHODS = ['cash', 'card'];
+
+// Walk-in records created without an email get an address on a reserved, undeliverable domain
+const PLACEHOLDER_EMAIL_DOMAIN = 'walk-in.invalid';
+
+/**
+ * Find an existing patient by ID, email or phone, or build a lightweight record for a walk-in.
+ * A new record is not saved here; it is saved in the booking transaction so a failed booking
+ * leaves no account behind.
+ * @param {Object} patientData - { patientId } or { email, phone, name }
+ * @returns {Promise<Object>} - { patient, created }
+ */
+const resolveWalkInPatient = async (patientData = {}) => {
+  const { patientId, name } = patientData;
+  const email = patientData.email ? String(patientData.email).toLowerCase().trim() : null;
+  const phone = patientData.phone ? String(patientData.phone).trim() : null;
+
+  let patient = null;
+
+  if (patientId) {
+    patient = await User.findById(patientId);
+    if (!patient) {
+      throw ApiError.notFound('Patient not found');
+    }
+  } else if (email || phone) {
+    patient = await User.findOne({
+      $or: [
+        ...(email ? [{ email }] : []),
+        ...(phone ? [{ 'profile.phone': phone }] : [])
+      ]
+    });
+  }
+
+  if (patient) {
+    if (patient.role !== 'patient') {
+      throw ApiError.badRequest('This email or phone number belongs to a non-patient account');
+    }
+
+    if (!patient.isActive) {
+      throw ApiError.badRequest('Patient account is deactivated');
+    }
+
+    return { patient, created: false };
+  }
+
+  if (!name) {
+    throw ApiError.badRequest('Patient name is required to create a walk-in record');
+  }
+
+  if (!email && !phone) {
+    throw ApiError.badRequest('An email or phone number is required to create a walk-in record');
+  }
+
+  // The patient can claim the account later through a password reset
+  patient = new User({
+    name,
+    email: email || `walk-in-${crypto.randomBytes(6).toString('hex')}@${PLACEHOLDER_EMAIL_DOMAIN}`,
+    password: crypto.randomBytes(24).toString('hex'),
+    role: 'patient',
+    registrationSource: 'front_desk',
+    profile: { phone }
+  });
+
+  return { patient, created: true };
+};
+
+/**
+ * Check whether a slot can take a walk-in, as a regular booking or an overbooking
+ * @param {Object} slot - Availability slot
+ * @param {Object} patient - Patient user object
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const canTakeWalkIn = (slot, patient, now) => {
+  if (getEndInstant(slot) <= now) return false;
+  if (slot.status === 'available') return !slot.isHeldForOther(patient._id, now);
+  return slot.canOverbook();
+};
+
+/**
+ * Find the doctor's next slot today that is free or still has overbooking room
+ * @param {string} doctorId - Doctor ID
+ * @param {Object} patient - Patient user object
+ * @returns {Promise<Object>} - Slot to squeeze the patient into
+ */
+const findSqueezeInSlot = async (doctorId, patient) => {
+  const doctor = await User.findOne({ _id: doctorId, role: 'doctor' });
+
+  if (!doctor) {
+    throw ApiError.notFound('Doctor not found');
+  }
+
+  const now = new Date();
+  const slots = await AvailabilitySlot.find({
+    doctorId: doctor._id,
+    date: dayRange(todayInTimezone(getDoctorTimezone(doctor), now)),
+    status: { $in: ['available', 'booked'] }
+  }).sort({ startTime: 1 });
+
+  const slot = slots.find(candidate => canTakeWalkIn(candidate, patient, now));
+
+  if (!slot) {
+    throw ApiError.conflict('No free or overbookable slot is left today for this doctor');
+  }
+
+  return slot;
+};
+
+/**
+ * Shape a walk-in booking for the front desk
+ * @param {Object} appointment - Appointment document
+ * @param {Object} slot - Slot with populated doctor
+ * @param {Object} patient - Patient user object
+ * @returns {Object} - Booking summary
+ */
+const formatWalkIn = (appointment, slot, patient) => ({
+  appointmentId: appointment.appointmentId,
+  slotId: slot._id,
+  doctor: {
+    id: slot.doctorId._id,
+    name: slot.doctorId.name,
+    specialization: slot.doctorId.doctorProfile?.specialization
+  },
+  patient: {
+    id: patient._id,
+    name: patient.name,
+    email: patient.email,
+    phone: patient.profile?.phone
+  },
+  date: appointment.date,
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+  ...getZonedTimes(appointment),
+  status: appointment.status,
+  bookingType: appointment.bookingType,
+  appointmentType: appointment.appointmentType,
+  isOverbooked: appointment.isOverbooked,
+  reason: appointment.reason,
+  payment: {
+    amount: appointment.payment.amount,
+    currency: appointment.payment.currency,
+    status: appointment.payment.status,
+    paymentMethod: appointment.payment.paymentMethod,
+    transactionId: appointment.payment.transactionId,
+    paidAt: appointment.payment.paidAt
+  }
+});
+
+/**
+ * Find patients at the front desk by email or phone
+ * @param {Object} query - Query parameters (email, phone)
+ * @returns {Object} - Matching patients
+ */
+export const findPatients = async (query) => {
+  const { email, phone } = query;
+
+  if (!email && !phone) {
+    throw ApiError.badRequest('Provide an email or phone number to search by');
+  }
+
+  const patients = await User.find({
+    role: 'patient',
+    $or: [
+      ...(email ? [{ email: String(email).toLowerCase().trim() }] : []),
+      ...(phone ? [{ 'profile.phone': String(phone).trim() }] : [])
+    ]
+  })
+    .select('name email profile.phone registrationSource isActive')
+    .limit(10);
+
+  return {
+    patients
+  };
+};
+
+/**
+ * Book a walk-in patient on their behalf, with payment taken at the desk
+ * @param {Object} staff - Staff user object
+ * @param {Object} bookingData - Booking data
+ * @param {string} bookingData.slotId - Slot to book; free, or booked with overbooking room left
+ * @param {string} bookingData.doctorId - Doctor to squeeze the patient in with, when no slot is given
+ * @param {boolean} bookingData.squeezeIn - Use the doctor's next free or overbookable slot today
+ * @param {Object} bookingData.patient - { patientId } or { email, phone, name } of the patient
+ * @param {string} bookingData.paymentMethod - 'cash' or 'card'
+ * @param {string} bookingData.transactionId - Card terminal or receipt reference
+ * @param {string} bookingData.appointmentType - Appointment type code, for doctors with a catalog
+ * @returns {Object} - Booking confirmation
+ */
+export const bookWalkIn = async (staff, bookingData = {}) => {
+  const {
+    slotId,
+    doctorId,
+    squeezeIn = false,
+    reason,
+    symptoms,
+    notes,
+    paymentMethod = 'cash',
+    transactionId,
+    appointmentType: appointmentTypeCode
+  } = bookingData;
+
+  if (!slotId && !squeezeIn) {
+    throw ApiError.badRequest('Provide a slot ID or ask to squeeze the patient in');
+  }
+
+  if (!slotId && !doctorId) {
+    throw ApiError.badRequest('Doctor ID is required to squeeze a patient in');
+  }
+
+  if (!DESK_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw ApiError.badRequest(`Payment method must be one of: ${DESK_PAYMENT_METHODS.join(', ')}`);
+  }
+
+  const { patient, created } = await resolveWalkInPatient(bookingData.patient);
+  const targetSlotId = slotId || (await findSqueezeInSlot(doctorId, patient))._id;
+
+  return await distributedLock.withLock(`slot_booking_${targetSlotId}`, async () => {
+    const slot = await AvailabilitySlot.findById(targetSlotId)
+      .populate('doctorId', 'name email doctorProfile');
+
+    if (!slot) {
+      throw ApiError.notFound('Slot not found');
+    }
+
+    const now = new Date();
+
+    if (getEndInstant(slot) <= now) {
+      throw ApiError.badRequest('Slot has already ended');
+    }
+
+    if (slot.status === 'available' && slot.isHeldForOther(patient._id, now)) {
+      throw ApiError.conflict('Slot is currently held for another patient');
+    }
+
+    if (!canTakeWalkIn(slot, patient, now)) {
+      throw ApiError.badRequest('Slot is not available and has no overbooking room left');
+    }
+
+    const isOverbooked = slot.status === 'booked';
+
+    const conflictingAppointment = await Appointment.findOne({
+      patientId: patient._id,
+      date: slot.date,
+      startTime: slot.startTime,
+      status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+    });
+
+    if (conflictingAppointment) {
+      throw ApiError.badRequest('Patient already has a booking at this time');
+    }
+
+    const appointmentType = await appointmentTypeService.resolve(slot.doctorId, appointmentTypeCode);
+    // An extra booking squeezed into a booked slot has to fit in it as it is
+    if (isOverbooked) {
+      appointmentTypeService.assertFits(slot, appointmentType);
+    }
+
+    const appointment = new Appointment({
+      slotId: slot._id,
+      patientId: patient._id,
+      doctorId: slot.doctorId._id,
+      date: slot.date,
+      ...appointmentTypeService.getTimes(slot, appointmentType),
+      status: 'confirmed',
+      bookingType: 'walk_in',
+      appointmentType: appointmentTypeService.toSnapshot(appointmentType),
+      bookedBy: staff._id,
+      isOverbooked,
+      reason: reason || '',
+      symptoms: Array.isArray(symptoms) ? symptoms : symptoms ? symptoms.split(',').map(s => s.trim()) : [],
+      notes: notes || '',
+      payment: {
+        amount: paymentService.calculateFee(slot.doctorId, { bookingType: 'walk_in', appointmentType }),
+        currency: 'USD',
+        status: 'paid',
+        paymentMethod,
+        transactionId: transactionId || `DESK-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        paidAt: now,
+        receivedBy: staff._id
+      },
+      cancellationPolicy: await cancellationPolicyService.getTermsForDoctor(slot.doctorId),
+      metadata: {
+        source: 'front_desk',
+        userAgent: bookingData.userAgent,
+        ipAddress: bookingData.ipAddress
+      }
+    });
+
+    // The new patient record, the appointment and the slot's booking or extra place are written together
+    let freedSlot = null;
+    await transactionManager.withTransaction(async (session) => {
+      if (created) {
+        await patient.save({ session });
+      }
+
+      await appointment.save({ session });
+
+      const bookedSlot = isOverbooked
+        ? await slot.addOverbooking(session)
+        : await slot.bookSlot(patient._id, appointment._id, notes, session);
+
+      if (!bookedSlot) {
+        throw ApiError.conflict('Slot is no longer available');
+      }
+
+      if (!isOverbooked) {
+        freedSlot = await appointmentTypeService.fitBookedSlot(slot, appointmentType, session);
+      }
+    });
+
+    // Publish real-time update
+    await redisCache.publish('slot_updates', {
+      slotId: slot._id,
+      doctorId: slot.doctorId._id,
+      patientId: patient._id,
+      appointmentId: appointment._id,
+      action: isOverbooked ? 'overbooked' : 'booked',
+      status: 'booked',
+      timestamp: new Date()
+    });
+
+    // Clear cache
+    await redisCache.del(`doctor_slots_${slot.doctorId._id}`);
+
+    // Offer time a shorter appointment left free to the waitlist
+    await waitlistService.notifySlotsAvailable([freedSlot]);
+
+    // Paid at the desk, so the invoice is due straight away
+    await invoiceService.syncDocumentsQuietly(appointment);
+
+    return {
+      appointment: formatWalkIn(appointment, slot, patient),
+      patientCreated: created
+    };
+  });
+};
+
+/**
+ * Record that the refunds owed on a payment taken at the desk were handed back to the patient
+ * @param {Object} staff - Staff user object
+ * @param {string} appointmentId - Appointment ID
+ * @returns {Object} - Refunds paid out
+ */
+export const recordDeskRefund = async (staff, appointmentId) => {
+  const appointment = await Appointment.findOne({ appointmentId });
+
+  if (!appointment) {
+    throw ApiError.notFound('Appointment not found');
+  }
+
+  const refunds = [
+    { kind: 'refund', path: 'cancellation', statusField: 'refundStatus', amountField: 'refundAmount' },
+    { kind: 'difference_refund', path: 'reassignment', statusField: 'differenceRefundStatus', amountField: 'refundedDifference' }
+  ].filter(refund => appointment[refund.path]?.[refund.statusField] === 'pending_manual');
+
+  if (refunds.length === 0) {
+    throw ApiError.badRequest('No desk refund is owed on this appointment');
+  }
+
+  const now = new Date();
+  const update = { 'payment.refundedBy': staff._id };
+  const condition = { _id: appointment._id };
+  for (const refund of refunds) {
+    condition[`${refund.path}.${refund.statusField}`] = 'pending_manual';
+    update[`${refund.path}.${refund.statusField}`] = 'processed';
+  }
+
+  // A cancellation refunded in full leaves nothing paid
+  if (appointment.cancellation?.refundStatus === 'pending_manual' &&
+    appointment.cancellation.refundAmount >= appointment.payment.amount) {
+    update['payment.status'] = 'refunded';
+    update['payment.refundedAt'] = now;
+  }
+
+  // Only one member of staff can record the same payout
+  const updated = await Appointment.findOneAndUpdate(condition, { $set: update }, { new: true });
+  if (!updated) {
+    throw ApiError.conflict('This refund was already recorded');
+  }
+
+  // The refund is due its credit note now that the money went back
+  await invoiceService.syncDocumentsQuietly(updated);
+
+  return {
+    appointmentId: updated.appointmentId,
+    refunds: refunds.map(refund => ({
+      kind: refund.kind,
+      amount: updated[refund.path][refund.amountField],
+      status: updated[refund.path][refund.statusField]
+    })),
+    paymentStatus: updated.payment.status,
+    refundedBy: staff._id
+  };
+};
@@ -0,0 +1,12 @@
+import paymentWebhookService from '../../utils/paymentWebhookService.js';
+
+/**
+ * Handle a payment gateway webhook
+ * @param {Buffer} rawBody - Request body exactly as received, for the signature check
+ * @param {string} signature - X-Payment-Signature header
+ * @param {Object} payload - Parsed request body
+ * @returns {Object} - What happened to the event
+ */
+export const handlePaymentWebhook = async (rawBody, signature, payload) => {
+  return await paymentWebhookService.handle(rawBody, signature, payload);
+};
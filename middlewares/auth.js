@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import User from '../models/users.model.js';
 import ApiError from '../utils/ApiError.util.js';
@@ -26,21 +27,61 @@ export const generateRefreshToken = (payload) => {
 };
 
 /**
- * Middleware to authenticate JWT tokens
+ * Issue a single-use ticket for opening a stream from a client that cannot set headers,
+ * such as a browser EventSource. Tickets live for STREAM_TICKET_TTL seconds.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} - Ticket and its lifetime in seconds
  */
-export const authenticate = async (req, res, next) => {
-  try {
-    let token;
+export const generateStreamTicket = async (user) => {
+  const ticket = crypto.randomBytes(32).toString('hex');
+  const expiresIn = parseInt(process.env.STREAM_TICKET_TTL) || 60;
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+  const stored = await redisCache.set(`stream_ticket:${ticket}`, user._id.toString(), expiresIn);
+  if (!stored) {
+    throw ApiError.internal('Could not issue a stream ticket');
+  }
 
-    if (!token) {
-      throw ApiError.unauthorized('Access token is required');
-    }
+  return { ticket, expiresIn };
+};
+
+/**
+ * Redeem a stream ticket and load its active user. A ticket can be redeemed once.
+ * @param {string} ticket - Stream ticket
+ * @returns {Promise<Object>} - Authenticated user
+ */
+export const verifyStreamTicket = async (ticket) => {
+  if (!ticket) {
+    throw ApiError.unauthorized('Stream ticket is required');
+  }
+
+  const userId = await redisCache.getDel(`stream_ticket:${ticket}`);
+  if (!userId) {
+    throw ApiError.unauthorized('Invalid or expired stream ticket');
+  }
+
+  const user = await User.findById(userId).select('-password');
+  if (!user) {
+    throw ApiError.unauthorized('User not found');
+  }
 
+  if (!user.isActive) {
+    throw ApiError.unauthorized('Account is deactivated');
+  }
+
+  return user;
+};
+
+/**
+ * Verify an access token and load its active user
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} - Authenticated user
+ */
+export const verifyAccessToken = async (token) => {
+  if (!token) {
+    throw ApiError.unauthorized('Access token is required');
+  }
+
+  try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET || 'access_secret');
 
@@ -60,20 +101,85 @@ export const authenticate = async (req, res, next) => {
       throw ApiError.unauthorized('Account is deactivated');
     }
 
-    // Add user to request
-    req.user = user;
-    next();
+    return user;
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
-      next(ApiError.unauthorized('Invalid token'));
+      throw ApiError.unauthorized('Invalid token');
     } else if (error.name === 'TokenExpiredError') {
-      next(ApiError.unauthorized('Token expired'));
-    } else {
-      next(error);
+      throw ApiError.unauthorized('Token expired');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Middleware to authenticate JWT tokens
+ */
+export const authenticate = async (req, res, next) => {
+  // Streams opened with a ticket are already authenticated
+  if (req.user) {
+    return next();
+  }
+
+  try {
+    let token;
+
+    // Check for token in Authorization header
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
     }
+
+    // Add user to request
+    req.user = await verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(error);
   }
 };
 
+/**
+ * Middleware letting clients that cannot set headers, such as a browser EventSource,
+ * authenticate with a stream ticket in the ticket query parameter. Use only on streaming routes.
+ */
+export const allowStreamTicket = async (req, res, next) => {
+  if (req.headers.authorization || !req.query.ticket) {
+    return next();
+  }
+
+  try {
+    req.user = await verifyStreamTicket(req.query.ticket);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Middleware to authenticate clinic kiosks by the shared secret in the X-Kiosk-Token header.
+ * Valid tokens are listed, comma separated, in KIOSK_TOKENS; kiosk check-in is off when it is empty.
+ */
+export const authenticateKiosk = (req, res, next) => {
+  const token = req.get('X-Kiosk-Token');
+  const validTokens = (process.env.KIOSK_TOKENS || '').split(',').map(value => value.trim()).filter(Boolean);
+
+  if (!token) {
+    return next(ApiError.unauthorized('Kiosk token is required'));
+  }
+
+  // Constant-time comparison so tokens cannot be guessed byte by byte
+  const matches = validTokens.some(validToken => {
+    const expected = Buffer.from(validToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+
+  if (!matches) {
+    return next(ApiError.unauthorized('Invalid kiosk token'));
+  }
+
+  next();
+};
+
 /**
  * Middleware to authorize based on roles
  * @param {...string} roles - Allowed roles
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { dayRange, getDefaultTimezone } from '../utils/timezone.js';
+import cancellationPolicyService from '../utils/cancellationPolicyService.js';
 
 const appointmentSchema = new mongoose.Schema({
   appointmentId: {
@@ -34,9 +36,16 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'End time is required']
   },
+  // IANA timezone of the wall times above, with the matching UTC instants
+  timezone: {
+    type: String,
+    default: getDefaultTimezone
+  },
+  startAt: Date,
+  endAt: Date,
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'no_show'],
+    enum: ['pending', 'confirmed', 'checked_in', 'in_consultation', 'completed', 'cancelled', 'no_show', 'rescheduled'],
     default: 'pending'
   },
   bookingType: {
@@ -44,6 +53,31 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['online', 'walk_in'],
     default: 'online'
   },
+  // Appointment type booked, with the length and price in force at booking; empty for
+  // bookings made before a catalog existed, which are priced by paymentService.calculateFee
+  appointmentType: {
+    typeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentType'
+    },
+    code: {
+      type: String,
+      enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult']
+    },
+    name: String,
+    durationMinutes: Number,
+    price: Number
+  },
+  // Staff member who booked on the patient's behalf
+  bookedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Extra booking squeezed into a slot that already has its regular booking
+  isOverbooked: {
+    type: Boolean,
+    default: false
+  },
   reason: {
     type: String,
     maxlength: [500, 'Reason cannot exceed 500 characters']
@@ -62,6 +96,30 @@ const appointmentSchema = new mongoose.Schema({
       required: [true, 'Payment amount is required'],
       min: [0, 'Amount cannot be negative']
     },
+    // Fee before a promo code's discount; amount is what the patient pays
+    originalAmount: Number,
+    discount: {
+      promoCode: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode'
+      },
+      code: String,
+      amount: Number
+    },
+    // Insurance cover worked out at booking; amount is then the patient's share and the
+    // insurer's share is claimed once the appointment is completed
+    insurance: {
+      planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InsurancePlan'
+      },
+      planName: String,
+      provider: String,
+      policyNumber: String,
+      inNetwork: Boolean,
+      insurerShare: Number,
+      patientShare: Number
+    },
     currency: {
       type: String,
       default: 'USD'
@@ -76,29 +134,128 @@ const appointmentSchema = new mongoose.Schema({
       type: String,
       enum: ['card', 'bank_transfer', 'cash', 'insurance']
     },
-    paidAt: Date
+    paidAt: Date,
+    // Staff member who took the payment at the desk
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date, // deadline for completing an online payment
+    failureReason: String, // why the gateway declined the payment
+    refundedAt: Date,
+    // Staff member who handed a desk payment's refund back
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
   cancellation: {
     cancelledBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    initiatedBy: {
+      type: String,
+      enum: ['patient', 'doctor', 'clinic', 'system'],
+      default: 'patient'
+    },
     reason: {
       type: String,
       maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
     },
     cancelledAt: Date,
     refundAmount: Number,
+    // pending_manual: owed back in person for a payment taken at the front desk
     refundStatus: {
       type: String,
-      enum: ['none', 'pending', 'processed', 'failed'],
+      enum: ['none', 'pending', 'pending_manual', 'processed', 'failed'],
       default: 'none'
+    },
+    refundId: String // gateway refund ID, matched against refund webhooks
+  },
+  // Cancellation terms in force when the appointment was booked; later policy edits do not apply
+  cancellationPolicy: {
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
+    name: String,
+    scope: {
+      type: String,
+      enum: ['global', 'clinic', 'doctor', 'default']
+    },
+    tiers: [{
+      _id: false,
+      minHoursBefore: Number,
+      refundPercent: Number
+    }],
+    cancellationFee: Number,
+    cutoffHours: Number,
+    appliedAt: Date
+  },
+  // Arrival at the clinic and the start of the consultation
+  checkIn: {
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    method: {
+      type: String,
+      enum: ['staff', 'kiosk']
     }
   },
+  consultationStartedAt: Date,
+  completedAt: Date,
+  noShowAt: Date,
+  // Link between an appointment and the one it was moved to or from
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  rescheduledAt: Date,
+  // Move to a substitute doctor made by the clinic, which the patient may decline
+  reassignment: {
+    fromDoctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    fromSlotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AvailabilitySlot'
+    },
+    reassignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reassignedAt: Date,
+    originalFee: Number,
+    newFee: Number,
+    // Paid amount above the substitute's fee, given back to the patient
+    refundedDifference: Number,
+    differenceRefundStatus: {
+      type: String,
+      enum: ['none', 'pending', 'pending_manual', 'processed', 'failed']
+    },
+    differenceRefundId: String,
+    response: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined']
+    },
+    respondedAt: Date
+  },
   notifications: {
     emailSent: { type: Boolean, default: false },
     smsSent: { type: Boolean, default: false },
-    reminderSent: { type: Boolean, default: false }
+    reminderSent: { type: Boolean, default: false },
+    remindersSent: [{
+      leadTime: { type: Number, required: true }, // minutes before start
+      sentAt: { type: Date, default: Date.now }
+    }]
   },
   metadata: {
     source: { type: String, default: 'api' },
@@ -122,14 +279,33 @@ appointmentSchema.index({ doctorId: 1, date: -1 });
 appointmentSchema.index({ status: 1, date: 1 });
 appointmentSchema.index({ appointmentId: 1 }, { unique: true });
 appointmentSchema.index({ 'payment.transactionId': 1 });
+appointmentSchema.index({ status: 1, date: 1, 'notifications.remindersSent.leadTime': 1 });
+appointmentSchema.index({ 'payment.status': 1, 'payment.expiresAt': 1 });
+appointmentSchema.index({ 'payment.discount.promoCode': 1, patientId: 1 }, { sparse: true });
+// A doctor sees one patient at a time
+appointmentSchema.index(
+  { doctorId: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_consultation' } }
+);
+// A slot can hold at most one active regular appointment; overbooked ones are capped by the slot
+// (partial $in filters need MongoDB 6.0+)
+appointmentSchema.index(
+  { slotId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: {
+      status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] },
+      isOverbooked: false
+    }
+  }
+);
 
 // Pre-save middleware
-appointmentSchema.pre('save', function(next) {
+appointmentSchema.pre('save', function() {
   // Generate appointment ID if not provided
   if (!this.appointmentId) {
     this.appointmentId = `APT-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
   }
-  next();
 });
 
 // Instance methods
@@ -142,37 +318,68 @@ appointmentSchema.methods.markAsPaid = function(transactionId, paymentMethod = '
   return this.save();
 };
 
-appointmentSchema.methods.cancel = function(cancelledBy, reason = '') {
+appointmentSchema.methods.cancel = function(cancelledBy, reason = '', session, initiatedBy = 'patient') {
+  const now = new Date();
+
   this.status = 'cancelled';
   this.cancellation.cancelledBy = cancelledBy;
+  this.cancellation.initiatedBy = initiatedBy;
   this.cancellation.reason = reason;
-  this.cancellation.cancelledAt = new Date();
+  this.cancellation.cancelledAt = now;
 
-  // Handle refund if payment was made
+  // Handle refund if payment was made, under the policy snapshotted at booking
   if (this.payment.status === 'paid') {
     this.cancellation.refundStatus = 'pending';
-    // Calculate refund amount based on cancellation policy
-    const now = new Date();
-    const appointmentDateTime = new Date(`${this.date.toISOString().split('T')[0]}T${this.startTime}:00`);
-    const hoursDiff = (appointmentDateTime - now) / (1000 * 60 * 60);
-
-    if (hoursDiff >= 24) {
-      this.cancellation.refundAmount = this.payment.amount; // 100% refund
-    } else if (hoursDiff >= 2) {
-      this.cancellation.refundAmount = this.payment.amount * 0.5; // 50% refund
-    } else {
-      this.cancellation.refundAmount = 0; // No refund
-    }
+    this.cancellation.refundAmount = cancellationPolicyService.calculateRefund(this, initiatedBy, now);
   }
 
+  return this.save({ session });
+};
+
+appointmentSchema.methods.markRescheduled = function(newAppointmentId) {
+  this.status = 'rescheduled';
+  this.rescheduledTo = newAppointmentId;
+  this.rescheduledAt = new Date();
   return this.save();
 };
 
-appointmentSchema.methods.complete = function() {
+// Waiting-room moves apply only from the status the caller saw, so a desk and a kiosk cannot
+// both check a patient in; they resolve to null when the appointment moved on meanwhile
+appointmentSchema.methods.markCheckedIn = function(checkedInBy, method = 'staff') {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'confirmed' },
+    { $set: { status: 'checked_in', checkIn: { checkedInAt: new Date(), checkedInBy, method } } },
+    { new: true }
+  );
+};
+
+appointmentSchema.methods.startConsultation = function() {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'checked_in' },
+    { $set: { status: 'in_consultation', consultationStartedAt: new Date() } },
+    { new: true }
+  );
+};
+
+appointmentSchema.methods.complete = function(notes) {
   this.status = 'completed';
+  this.completedAt = new Date();
+  if (notes) this.notes = notes;
   return this.save();
 };
 
+appointmentSchema.methods.markNoShow = function(session) {
+  this.status = 'no_show';
+  this.noShowAt = new Date();
+
+  // Payment is retained when the patient does not turn up; an uncollected payment is voided
+  if (this.payment.status === 'pending') {
+    this.payment.status = 'failed';
+  }
+
+  return this.save({ session });
+};
+
 // Static methods
 appointmentSchema.statics.findByAppointmentId = function(appointmentId) {
   return this.findOne({ appointmentId });
@@ -198,7 +405,9 @@ appointmentSchema.statics.getDoctorAppointments = function(doctorId, filters = {
   const query = { doctorId };
 
   if (filters.status) query.status = filters.status;
-  if (filters.date) query.date = new Date(filters.date);
+  if (filters.date) {
+    query.date = dayRange(filters.date);
+  }
   if (filters.dateFrom || filters.dateTo) {
     query.date = {};
     if (filters.dateFrom) query.date.$gte = new Date(filters.dateFrom);
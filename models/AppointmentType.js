@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// Names used when an admin doesn't give one
+const DEFAULT_NAMES = {
+  new_consultation: 'New consultation',
+  follow_up: 'Follow-up',
+  procedure: 'Procedure',
+  teleconsult: 'Teleconsultation'
+};
+
+// Kind of visit a patient can book, with its length and price for everyone, a clinic or a doctor
+const appointmentTypeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    enum: Object.keys(DEFAULT_NAMES),
+    required: [true, 'Appointment type code is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+    default: function() { return DEFAULT_NAMES[this.code]; }
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // A doctor's price beats the clinic's, which beats the global one
+  scope: {
+    type: String,
+    enum: ['global', 'clinic', 'doctor'],
+    required: [true, 'Scope is required']
+  },
+  // Matches the doctor's doctorProfile.hospital
+  clinic: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'clinic'; }, 'Clinic is required for a clinic appointment type']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.scope === 'doctor'; }, 'Doctor ID is required for a doctor appointment type']
+  },
+  durationMinutes: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [5, 'Duration must be at least 5 minutes'],
+    max: [480, 'Duration cannot exceed 480 minutes']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active entry per type and global, clinic or doctor assignment
+appointmentTypeSchema.index(
+  { code: 1, scope: 1, clinic: 1, doctorId: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static methods
+appointmentTypeSchema.statics.findApplicable = async function(doctor) {
+  const clinic = doctor?.doctorProfile?.hospital;
+
+  const types = await this.find({
+    isActive: true,
+    $or: [
+      { scope: 'doctor', doctorId: doctor?._id },
+      ...(clinic ? [{ scope: 'clinic', clinic }] : []),
+      { scope: 'global' }
+    ]
+  });
+
+  // The most specific entry of each type, in catalog order
+  return Object.keys(DEFAULT_NAMES)
+    .map(code => ['doctor', 'clinic', 'global']
+      .map(scope => types.find(type => type.code === code && type.scope === scope))
+      .find(Boolean))
+    .filter(Boolean);
+};
+
+const AppointmentType = mongoose.model('AppointmentType', appointmentTypeSchema);
+
+export default AppointmentType;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { dayRange, getDefaultTimezone } from '../utils/timezone.js';
 
 const availabilitySlotSchema = new mongoose.Schema({
   doctorId: {
@@ -9,12 +10,24 @@ const availabilitySlotSchema = new mongoose.Schema({
   scheduleId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'DoctorSchedule',
-    required: [true, 'Schedule ID is required']
+    // Extra-session slots come from a schedule exception instead of the weekly schedule
+    required: [function() { return !this.exceptionId; }, 'Schedule ID is required']
+  },
+  // Schedule exception (extra session or modified hours) that created the slot
+  exceptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleException'
   },
   date: {
     type: Date,
     required: [true, 'Date is required']
   },
+  // Copied from the session the slot was generated for
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
   startTime: {
     type: String,
     required: [true, 'Start time is required'],
@@ -35,6 +48,13 @@ const availabilitySlotSchema = new mongoose.Schema({
       message: 'End time must be in HH:MM format'
     }
   },
+  // IANA timezone of the wall times above, with the matching UTC instants
+  timezone: {
+    type: String,
+    default: getDefaultTimezone
+  },
+  startAt: Date,
+  endAt: Date,
   status: {
     type: String,
     enum: ['available', 'booked', 'blocked', 'cancelled'],
@@ -52,6 +72,11 @@ const availabilitySlotSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // Booked slot a longer appointment type started in and runs on into this one
+  continuationOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySlot'
+  },
   blockedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -60,6 +85,39 @@ const availabilitySlotSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Block reason cannot exceed 200 characters']
   },
+  // Schedule exception (leave or modified hours) that blocked the slot
+  blockedByExceptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduleException'
+  },
+  // Extra walk-in bookings staff may squeeze in on top of the regular booking
+  overbookLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Overbook limit cannot be negative'],
+    max: [5, 'Overbook limit cannot exceed 5']
+  },
+  overbookedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Overbooked count cannot be negative']
+  },
+  // Temporary reservation of an available slot for a single patient
+  hold: {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    source: {
+      type: String,
+      enum: ['waitlist', 'checkout']
+    },
+    waitlistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Waitlist'
+    },
+    expiresAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -76,15 +134,58 @@ const availabilitySlotSchema = new mongoose.Schema({
 availabilitySlotSchema.index({ doctorId: 1, date: 1, startTime: 1 });
 availabilitySlotSchema.index({ doctorId: 1, status: 1 });
 availabilitySlotSchema.index({ date: 1, status: 1 });
+availabilitySlotSchema.index({ 'hold.expiresAt': 1 });
+availabilitySlotSchema.index({ doctorId: 1, startAt: 1 });
+availabilitySlotSchema.index({ exceptionId: 1 }, { sparse: true });
+availabilitySlotSchema.index({ blockedByExceptionId: 1 }, { sparse: true });
+availabilitySlotSchema.index({ continuationOf: 1 }, { sparse: true });
+
+// Query condition matching slots without an active hold
+availabilitySlotSchema.statics.notHeldCondition = function(now = new Date()) {
+  return {
+    $or: [
+      { 'hold.expiresAt': { $exists: false } },
+      { 'hold.expiresAt': null },
+      { 'hold.expiresAt': { $lte: now } }
+    ]
+  };
+};
+
+// Query condition matching slots a patient may see: unheld, or held for that patient
+availabilitySlotSchema.statics.visibleToCondition = function(patientId, now = new Date()) {
+  const { $or } = this.notHeldCondition(now);
+  return {
+    $or: patientId ? [...$or, { 'hold.patientId': patientId }] : $or
+  };
+};
+
+// Static method to place a hold on an available, unheld slot
+availabilitySlotSchema.statics.placeHold = function(slotId, hold) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      status: 'available',
+      ...this.notHeldCondition()
+    },
+    { $set: { hold } },
+    { new: true }
+  );
+};
+
+// Static method to release a hold placed for a patient
+availabilitySlotSchema.statics.releaseHold = function(slotId, patientId) {
+  return this.findOneAndUpdate(
+    { _id: slotId, 'hold.patientId': patientId },
+    { $unset: { hold: 1 } },
+    { new: true }
+  );
+};
 
 // Static method to get available slots for a doctor on a specific date
 availabilitySlotSchema.statics.getAvailableSlots = function(doctorId, date) {
   return this.find({
     doctorId,
-    date: {
-      $gte: new Date(date.setHours(0, 0, 0, 0)),
-      $lt: new Date(date.setHours(23, 59, 59, 999))
-    },
+    date: dayRange(date),
     status: 'available'
   }).sort({ startTime: 1 });
 };
@@ -100,38 +201,157 @@ availabilitySlotSchema.statics.isSlotAvailable = function(doctorId, date, startT
   });
 };
 
-// Instance method to book a slot
-availabilitySlotSchema.methods.bookSlot = function(patientId, appointmentId, notes) {
-  this.status = 'booked';
-  this.patientId = patientId;
-  this.appointmentId = appointmentId;
-  this.notes = notes;
-  return this.save();
+// Instance method to check whether the slot is held for someone other than the patient
+availabilitySlotSchema.methods.isHeldForOther = function(patientId, now = new Date()) {
+  if (!this.hold?.expiresAt || this.hold.expiresAt <= now) return false;
+  return this.hold.patientId?.toString() !== patientId?.toString();
 };
 
-// Instance method to cancel a booking
-availabilitySlotSchema.methods.cancelBooking = function() {
-  this.status = 'available';
-  this.patientId = undefined;
-  this.appointmentId = undefined;
-  this.notes = undefined;
-  return this.save();
+// Instance method to check whether staff can still squeeze an extra booking into the slot
+availabilitySlotSchema.methods.canOverbook = function() {
+  return this.status === 'booked' && (this.overbookedCount || 0) < (this.overbookLimit || 0);
 };
 
-// Instance method to block a slot
-availabilitySlotSchema.methods.blockSlot = function(blockedBy, reason) {
-  this.status = 'blocked';
-  this.blockedBy = blockedBy;
-  this.blockedReason = reason;
-  return this.save();
+// Apply a status transition only if the slot is still in the expected state.
+// Returns the updated slot, or null when another writer got there first.
+availabilitySlotSchema.methods.transition = async function(condition, update, session) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...condition },
+    update,
+    { new: true, session }
+  );
+
+  if (updated) {
+    // Keep this document in step with what was written
+    Object.entries(update.$set || {}).forEach(([path, value]) => this.set(path, value));
+    Object.keys(update.$unset || {}).forEach(path => this.set(path, undefined));
+    Object.entries(update.$inc || {}).forEach(([path, amount]) => this.set(path, (this.get(path) || 0) + amount));
+  }
+
+  return updated;
+};
+
+// Instance method to book a slot that is available and not held for someone else
+availabilitySlotSchema.methods.bookSlot = function(patientId, appointmentId, notes, session) {
+  return this.transition(
+    { status: 'available', ...this.constructor.visibleToCondition(patientId) },
+    {
+      $set: { status: 'booked', patientId, appointmentId, notes },
+      $unset: { hold: 1 }
+    },
+    session
+  );
+};
+
+// Instance method to make a booked slot as long as the appointment in it
+availabilitySlotSchema.methods.resizeBooking = function(endTime, endAt, session) {
+  return this.transition(
+    { status: 'booked' },
+    { $set: { endTime, endAt } },
+    session
+  );
+};
+
+// Instance method to book a free slot a longer appointment in a booked slot runs on into
+availabilitySlotSchema.methods.bookContinuation = function(bookedSlot, session) {
+  return this.transition(
+    { status: 'available', ...this.constructor.notHeldCondition() },
+    {
+      $set: {
+        status: 'booked',
+        patientId: bookedSlot.patientId,
+        appointmentId: bookedSlot.appointmentId,
+        continuationOf: bookedSlot._id
+      },
+      $unset: { hold: 1 }
+    },
+    session
+  );
+};
+
+// Apply a change to the slots a longer appointment in this slot runs on into
+availabilitySlotSchema.methods.updateContinuations = function(update, session) {
+  return this.constructor.updateMany(
+    { continuationOf: this._id, status: 'booked' },
+    update,
+    { session }
+  );
+};
+
+// Instance method to cancel a booking, freeing the slots it ran on into with it
+availabilitySlotSchema.methods.cancelBooking = async function(session) {
+  const update = {
+    $set: { status: 'available' },
+    $unset: { patientId: 1, appointmentId: 1, notes: 1 }
+  };
+  const cancelled = await this.transition({ status: 'booked' }, update, session);
+
+  if (cancelled) {
+    await this.updateContinuations({ ...update, $unset: { ...update.$unset, continuationOf: 1 } }, session);
+  }
+
+  return cancelled;
+};
+
+// Instance method to add an extra booking to a booked slot that has overbooking room left
+availabilitySlotSchema.methods.addOverbooking = function(session) {
+  return this.transition(
+    {
+      status: 'booked',
+      $expr: { $lt: [{ $ifNull: ['$overbookedCount', 0] }, { $ifNull: ['$overbookLimit', 0] }] }
+    },
+    { $inc: { overbookedCount: 1 } },
+    session
+  );
+};
+
+// Instance method to give back an extra booking
+availabilitySlotSchema.methods.releaseOverbooking = function(session) {
+  return this.transition(
+    { overbookedCount: { $gt: 0 } },
+    { $inc: { overbookedCount: -1 } },
+    session
+  );
+};
+
+// Instance method to block an available slot
+availabilitySlotSchema.methods.blockSlot = function(blockedBy, reason, session) {
+  return this.transition(
+    { status: 'available' },
+    {
+      $set: { status: 'blocked', blockedBy, blockedReason: reason },
+      $unset: { hold: 1 }
+    },
+    session
+  );
+};
+
+// Instance method to block a slot whether or not it is booked, once its bookings are cancelled;
+// the slots a booking in it ran on into are blocked with it
+availabilitySlotSchema.methods.withdrawSlot = async function(blockedBy, reason, session) {
+  const update = {
+    $set: { status: 'blocked', blockedBy, blockedReason: reason, overbookedCount: 0 },
+    $unset: { hold: 1, patientId: 1, appointmentId: 1, notes: 1 }
+  };
+  const withdrawn = await this.transition({ status: { $in: ['available', 'booked'] } }, update, session);
+
+  if (withdrawn) {
+    await this.updateContinuations({ ...update, $unset: { ...update.$unset, continuationOf: 1 } }, session);
+  }
+
+  return withdrawn;
 };
 
 // Instance method to unblock a slot
-availabilitySlotSchema.methods.unblockSlot = function() {
-  this.status = 'available';
-  this.blockedBy = undefined;
-  this.blockedReason = undefined;
-  return this.save();
+availabilitySlotSchema.methods.unblockSlot = function(session) {
+  return this.transition(
+    { status: 'blocked' },
+    {
+      $set: { status: 'available' },
+      $unset: { blockedBy: 1, blockedReason: 1, blockedByExceptionId: 1 }
+    },
+    session
+  );
 };
 
 const AvailabilitySlot = mongoose.model('AvailabilitySlot', availabilitySlotSchema);
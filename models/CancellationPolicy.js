@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+const refundTierSchema = new mongoose.Schema({
+  // Tier applies when the patient cancels at least this many hours before the start
+  minHoursBefore: {
+    type: Number,
+    required: [true, 'Tier hours are required'],
+    min: [0, 'Tier hours cannot be negative']
+  },
+  refundPercent: {
+    type: Number,
+    required: [true, 'Refund percent is required'],
+    min: [0, 'Refund percent cannot be negative'],
+    max: [100, 'Refund percent cannot exceed 100']
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // A doctor policy beats a clinic policy, which beats the global one
+  scope: {
+    type: String,
+    enum: ['global', 'clinic', 'doctor'],
+    required: [true, 'Policy scope is required']
+  },
+  // Matches the doctor's doctorProfile.hospital
+  clinic: {
+    type: String,
+    trim: true,
+    required: [function() { return this.scope === 'clinic'; }, 'Clinic is required for a clinic policy']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [function() { return this.scope === 'doctor'; }, 'Doctor ID is required for a doctor policy']
+  },
+  tiers: {
+    type: [refundTierSchema],
+    validate: {
+      validator: function(tiers) {
+        const hours = tiers.map(tier => tier.minHoursBefore);
+        return tiers.length > 0 && new Set(hours).size === hours.length;
+      },
+      message: 'A policy needs at least one refund tier and tier hours must be unique'
+    }
+  },
+  // Flat fee kept from any patient-initiated refund
+  cancellationFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cancellation fee cannot be negative']
+  },
+  // Patients cannot cancel or reschedule closer than this to the start
+  cutoffHours: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cutoff hours cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active policy per global, clinic or doctor assignment
+cancellationPolicySchema.index(
+  { scope: 1, clinic: 1, doctorId: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Keep tiers ordered from the longest notice down
+cancellationPolicySchema.pre('save', function() {
+  this.tiers.sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+});
+
+// Instance methods
+cancellationPolicySchema.methods.toTerms = function() {
+  return {
+    policyId: this._id,
+    name: this.name,
+    scope: this.scope,
+    tiers: this.tiers.map(tier => ({
+      minHoursBefore: tier.minHoursBefore,
+      refundPercent: tier.refundPercent
+    })),
+    cancellationFee: this.cancellationFee,
+    cutoffHours: this.cutoffHours
+  };
+};
+
+// Static methods
+cancellationPolicySchema.statics.findApplicable = async function(doctor) {
+  const clinic = doctor?.doctorProfile?.hospital;
+
+  const policies = await this.find({
+    isActive: true,
+    $or: [
+      { scope: 'doctor', doctorId: doctor?._id },
+      ...(clinic ? [{ scope: 'clinic', clinic }] : []),
+      { scope: 'global' }
+    ]
+  });
+
+  return ['doctor', 'clinic', 'global']
+    .map(scope => policies.find(policy => policy.scope === scope))
+    .find(Boolean) || null;
+};
+
+const CancellationPolicy = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+export default CancellationPolicy;
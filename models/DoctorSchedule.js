@@ -37,6 +37,12 @@ const doctorScheduleSchema = new mongoose.Schema({
     min: [15, 'Slot duration must be at least 15 minutes'],
     max: [120, 'Slot duration cannot exceed 120 minutes']
   },
+  // Where the session is held, e.g. the hospital or clinic
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -73,8 +79,34 @@ const doctorScheduleSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index to ensure one schedule per doctor per day
-doctorScheduleSchema.index({ doctorId: 1, dayOfWeek: 1 }, { unique: true });
+// A day can hold several sessions; overlaps are rejected by the controllers
+doctorScheduleSchema.index({ doctorId: 1, dayOfWeek: 1, startTime: 1 });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+doctorScheduleSchema.pre('validate', function() {
+  if (this.startTime && this.endTime && toMinutes(this.startTime) >= toMinutes(this.endTime)) {
+    this.invalidate('endTime', 'End time must be after start time');
+  }
+});
+
+// Static method to find an active session of the day overlapping the given hours
+doctorScheduleSchema.statics.findOverlapping = async function(doctorId, dayOfWeek, startTime, endTime, excludeId) {
+  const sessions = await this.find({
+    doctorId,
+    dayOfWeek,
+    isActive: true,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+  });
+
+  return sessions.find(session =>
+    toMinutes(session.startTime) < toMinutes(endTime) &&
+    toMinutes(startTime) < toMinutes(session.endTime)
+  ) || null;
+};
 
 // Virtual for available slots count
 doctorScheduleSchema.virtual('availableSlotsCount').get(function() {
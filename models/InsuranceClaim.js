@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Admin who made the change; empty when submitted automatically
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, { _id: false });
+
+// Claim to an insurer for its share of a completed appointment
+const insuranceClaimSchema = new mongoose.Schema({
+  claimNumber: {
+    type: String,
+    required: [true, 'Claim number is required'],
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'approved', 'denied'],
+    default: 'submitted'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment is required'],
+    unique: true
+  },
+  appointmentId: String,
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InsurancePlan'
+  },
+  // Plan and policy as they were at booking
+  planName: String,
+  provider: String,
+  policyNumber: String,
+  inNetwork: Boolean,
+  serviceDate: Date,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Fee before the split, and the shares of the insurer and the patient
+  fee: Number,
+  patientShare: Number,
+  claimedAmount: {
+    type: Number,
+    required: [true, 'Claimed amount is required'],
+    min: [0, 'Claimed amount cannot be negative']
+  },
+  // Amount the insurer agreed to pay; may be less than claimed
+  approvedAmount: Number,
+  denialReason: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  decidedAt: Date,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: [statusChangeSchema]
+}, {
+  timestamps: true
+});
+
+insuranceClaimSchema.index({ status: 1, submittedAt: -1 });
+insuranceClaimSchema.index({ provider: 1, submittedAt: -1 });
+
+const InsuranceClaim = mongoose.model('InsuranceClaim', insuranceClaimSchema);
+
+export default InsuranceClaim;
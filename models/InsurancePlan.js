@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Insurance plan with the doctors and clinics in its network and what it covers
+const insurancePlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  // Insurer, as patients enter it in their profile
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+    trim: true,
+    maxlength: [100, 'Provider cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // In network: these doctors, and every doctor whose doctorProfile.hospital is one of these clinics
+  networkDoctors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  networkClinics: [{
+    type: String,
+    trim: true
+  }],
+  // In network the patient pays the co-pay, and the plan covers coveragePercent of the rest
+  copay: {
+    type: Number,
+    default: 0,
+    min: [0, 'Co-pay cannot be negative']
+  },
+  coveragePercent: {
+    type: Number,
+    default: 100,
+    min: [0, 'Coverage cannot be negative'],
+    max: [100, 'Coverage cannot exceed 100 percent']
+  },
+  // Share of the fee covered out of network, with no co-pay; 0 means not covered
+  outOfNetworkCoveragePercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Coverage cannot be negative'],
+    max: [100, 'Coverage cannot exceed 100 percent']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+insurancePlanSchema.index({ provider: 1, name: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+const InsurancePlan = mongoose.model('InsurancePlan', insurancePlanSchema);
+
+export default InsurancePlan;
@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+
+const lineItemSchema = new mongoose.Schema({
+  // appointment_type, base_fee, experience_surcharge, specialization_surcharge, walk_in_surcharge,
+  // discount, insurance, adjustment or refund
+  code: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Invoice for a paid appointment, or a credit note for money refunded against it.
+// Issued documents are never edited; a correction voids the document and issues a new one.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: [true, 'Document type is required']
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment is required']
+  },
+  appointmentId: String,
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Refund a credit note is for: the cancellation refund or a substitute's fee difference refund
+  refundKind: {
+    type: String,
+    enum: ['refund', 'difference_refund']
+  },
+  // Invoice a credit note reduces
+  relatedInvoiceNumber: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Admin who re-issued the document; empty when issued automatically
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Details as they were when issued, so the document reads the same later
+  billTo: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  provider: {
+    name: String,
+    specialization: String,
+    hospital: String
+  },
+  service: {
+    date: Date,
+    startTime: String,
+    endTime: String,
+    timezone: String,
+    bookingType: String
+  },
+  payment: {
+    method: String,
+    transactionId: String,
+    paidAt: Date,
+    refundId: String
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  lineItems: [lineItemSchema],
+  subtotal: {
+    type: Number,
+    required: true
+  },
+  // Fees include tax; taxAmount is the part of the total that is tax
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  voidedAt: Date,
+  voidReason: String
+}, {
+  timestamps: true
+});
+
+// One issued invoice per appointment and one issued credit note per refund
+invoiceSchema.index(
+  { appointment: 1, type: 1, refundKind: 1 },
+  { unique: true, partialFilterExpression: { status: 'issued' } }
+);
+invoiceSchema.index({ patient: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
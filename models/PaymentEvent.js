@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Payment gateway webhook events already handled, so redelivered events are skipped
+const paymentEventSchema = new mongoose.Schema({
+  // Gateway's event ID
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'],
+    required: [true, 'Event type is required']
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  transactionId: {
+    type: String,
+    required: [true, 'Transaction ID is required'],
+    index: true
+  },
+  refundId: String,
+  amount: Number,
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // 'applied' changed the appointment; 'ignored' was stale, out of order or unmatched
+  outcome: {
+    type: String,
+    enum: ['applied', 'ignored'],
+    required: true
+  },
+  note: String,
+  occurredAt: Date
+}, {
+  timestamps: true
+});
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
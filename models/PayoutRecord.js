@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// A doctor's earnings for a month, settled by an admin. The amounts are a snapshot of the
+// earnings report when the period was settled; later refunds show as outstanding on the report.
+const payoutRecordSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor is required']
+  },
+  // Calendar month in the clinic's timezone, as YYYY-MM
+  period: {
+    type: String,
+    required: [true, 'Period is required'],
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be a month as YYYY-MM']
+  },
+  appointments: {
+    type: Number,
+    default: 0
+  },
+  gross: {
+    type: Number,
+    default: 0
+  },
+  refunds: {
+    type: Number,
+    default: 0
+  },
+  net: {
+    type: Number,
+    default: 0
+  },
+  commissionPercent: {
+    type: Number,
+    default: 0
+  },
+  commission: {
+    type: Number,
+    default: 0
+  },
+  payoutAmount: {
+    type: Number,
+    default: 0
+  },
+  // Bank transfer or other reference the payout was made under
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  settledAt: {
+    type: Date,
+    required: true
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A period is settled once per doctor
+payoutRecordSchema.index({ doctor: 1, period: 1 }, { unique: true });
+payoutRecordSchema.index({ period: -1 });
+
+const PayoutRecord = mongoose.model('PayoutRecord', payoutRecordSchema);
+
+export default PayoutRecord;
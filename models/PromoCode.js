@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Discount code patients can enter when booking
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Discount type is required']
+  },
+  // Percent off the fee, or an amount off it in the fee's currency
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot exceed 100'
+    }
+  },
+  validFrom: Date,
+  validUntil: Date,
+  // Bookings the code can be used for in total and by each patient; empty means no limit
+  maxUses: {
+    type: Number,
+    min: [1, 'Maximum uses must be at least 1']
+  },
+  maxUsesPerPatient: {
+    type: Number,
+    min: [1, 'Maximum uses per patient must be at least 1']
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Only bookings with these doctors, or doctors of these specializations; empty means any
+  doctors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  specializations: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ isActive: 1, validUntil: 1 });
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
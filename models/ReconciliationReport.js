@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const reconciliationEntrySchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  appointmentId: String,
+  transactionId: String,
+  // What was compared: the payment, the cancellation refund or a substitute's fee difference refund
+  kind: {
+    type: String,
+    enum: ['payment', 'refund', 'difference_refund'],
+    required: true
+  },
+  localStatus: String,
+  gatewayStatus: String,
+  // Status the run moved the appointment to, for fixes
+  newStatus: String,
+  note: String
+}, { _id: false });
+
+// Outcome of one payment reconciliation run against the gateway
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  provider: String,
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: Date,
+  summary: {
+    paymentsChecked: { type: Number, default: 0 },
+    refundsChecked: { type: Number, default: 0 },
+    paymentsFixed: { type: Number, default: 0 },
+    refundsSettled: { type: Number, default: 0 },
+    refundsRetried: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 }
+  },
+  // Statuses corrected automatically
+  fixes: [reconciliationEntrySchema],
+  // Differences that need someone to look at them
+  mismatches: [reconciliationEntrySchema]
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+export default ReconciliationReport;
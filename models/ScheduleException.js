@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { getDefaultTimezone } from '../utils/timezone.js';
+
+const timeValidator = (label) => ({
+  validator: function(time) {
+    return !time || /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time);
+  },
+  message: `${label} must be in HH:MM format`
+});
+
+const scheduleExceptionSchema = new mongoose.Schema({
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor ID is required']
+  },
+  // leave: no work on any day of the range
+  // extra_session: one-off working hours on a single date
+  // modified_hours: different working hours for a single date
+  type: {
+    type: String,
+    enum: ['leave', 'extra_session', 'modified_hours'],
+    required: [true, 'Exception type is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  startTime: {
+    type: String,
+    required: [function() { return this.type !== 'leave'; }, 'Start time is required'],
+    validate: timeValidator('Start time')
+  },
+  endTime: {
+    type: String,
+    required: [function() { return this.type !== 'leave'; }, 'End time is required'],
+    validate: timeValidator('End time')
+  },
+  // Weekly session whose hours are modified
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoctorSchedule'
+  },
+  slotDuration: {
+    type: Number,
+    min: [15, 'Slot duration must be at least 15 minutes'],
+    max: [120, 'Slot duration cannot exceed 120 minutes'],
+    default: 30
+  },
+  // IANA timezone the dates and times above are in
+  timezone: {
+    type: String,
+    default: getDefaultTimezone
+  },
+  // Where an extra session is held
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+  reason: {
+    type: String,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scheduleExceptionSchema.index({ doctorId: 1, startDate: 1, endDate: 1 });
+
+// Static method to find a doctor's exceptions overlapping a date range
+scheduleExceptionSchema.statics.findForRange = function(doctorId, startDate, endDate) {
+  return this.find({
+    doctorId,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  }).sort({ startDate: 1, startTime: 1 });
+};
+
+const ScheduleException = mongoose.model('ScheduleException', scheduleExceptionSchema);
+
+export default ScheduleException;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const waitlistSchema = new mongoose.Schema({
+  patientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient ID is required']
+  },
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Doctor ID is required']
+  },
+  dateFrom: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  dateTo: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  timeFrom: {
+    type: String,
+    default: '00:00',
+    validate: {
+      validator: function(time) {
+        return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time);
+      },
+      message: 'Time from must be in HH:MM format'
+    }
+  },
+  timeTo: {
+    type: String,
+    default: '23:59',
+    validate: {
+      validator: function(time) {
+        return /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time);
+      },
+      message: 'Time to must be in HH:MM format'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offer: {
+    slotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AvailabilitySlot'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  // Slots this patient was offered and let lapse or declined, so they go to the next patient
+  passedSlots: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilitySlot'
+  }],
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// First come, first served per doctor
+waitlistSchema.index({ doctorId: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ patientId: 1, status: 1 });
+waitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Static method to find the next waiting patient for a slot
+waitlistSchema.statics.findNextForSlot = function(slot) {
+  return this.findOne({
+    doctorId: slot.doctorId,
+    status: 'waiting',
+    dateFrom: { $lte: slot.date },
+    dateTo: { $gte: slot.date },
+    timeFrom: { $lte: slot.startTime },
+    timeTo: { $gte: slot.endTime },
+    passedSlots: { $ne: slot._id }
+  }).sort({ createdAt: 1 });
+};
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+
+export default Waitlist;
@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -69,6 +70,16 @@ const userSchema = new mongoose.Schema({
     experience: Number,
     qualifications: [String],
     hospital: String,
+    // IANA timezone the doctor's schedule is kept in, e.g. 'Asia/Kolkata'
+    timezone: {
+      type: String,
+      validate: {
+        validator: function(timezone) {
+          return !timezone || isValidTimezone(timezone);
+        },
+        message: 'Timezone must be a valid IANA timezone'
+      }
+    },
     availability: {
       days: [String],
       hours: {
@@ -83,9 +94,20 @@ const userSchema = new mongoose.Schema({
     bloodType: String,
     insurance: {
       provider: String,
-      policyNumber: String
+      policyNumber: String,
+      // Plan the policy belongs to; bookings paid by insurance are covered by its rules
+      planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InsurancePlan'
+      }
     }
   },
+  // 'front_desk' records were created by staff for a walk-in patient and may carry a placeholder email
+  registrationSource: {
+    type: String,
+    enum: ['self', 'front_desk'],
+    default: 'self'
+  },
   isActive: {
     type: Boolean,
     default: true
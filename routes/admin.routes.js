@@ -9,7 +9,10 @@ import {
 import {
   getDoctorSchedule,
   createDoctorScheduleByAdmin,
-  updateDoctorScheduleByAdmin
+  updateDoctorScheduleByAdmin,
+  getScheduleExceptionsByAdmin,
+  createScheduleExceptionByAdmin,
+  deleteScheduleExceptionByAdmin
 } from '../controllers/admin/schedule/index.js';
 import {
   getDoctorSlotsByAdmin,
@@ -18,6 +21,51 @@ import {
 import {
   impersonateStaff
 } from '../controllers/admin/staff/index.js';
+import {
+  getCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deactivateCancellationPolicy,
+  getDoctorCancellationPolicy
+} from '../controllers/admin/policies/index.js';
+import {
+  getAppointmentTypes,
+  createAppointmentType,
+  updateAppointmentType,
+  deactivateAppointmentType,
+  getDoctorAppointmentTypes,
+  getPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode
+} from '../controllers/admin/pricing/index.js';
+import {
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  getInvoices,
+  downloadInvoiceByAdmin,
+  reissueInvoice,
+  getEarningsReport,
+  exportEarningsReport,
+  getPayouts,
+  settlePayout
+} from '../controllers/admin/payments/index.js';
+import {
+  getInsurancePlans,
+  createInsurancePlan,
+  updateInsurancePlan,
+  deactivateInsurancePlan,
+  getInsuranceClaims,
+  submitInsuranceClaim,
+  updateInsuranceClaim,
+  exportInsuranceClaims
+} from '../controllers/admin/insurance/index.js';
+import {
+  cancelDoctorAppointmentsByAdmin,
+  getSubstituteProposals,
+  reassignAppointments
+} from '../controllers/admin/appointments/index.js';
 import ApiResponse from '../utils/ApiResponse.util.js';
 
 const router = express.Router();
@@ -82,6 +130,33 @@ router.put('/doctors/:doctorId/schedule/:scheduleId', async (req, res, next) =>
   }
 });
 
+router.get('/doctors/:doctorId/schedule/exceptions', async (req, res, next) => {
+  try {
+    const result = await getScheduleExceptionsByAdmin(req.params.doctorId, req.query);
+    ApiResponse.success(result, 'Schedule exceptions retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/doctors/:doctorId/schedule/exceptions', async (req, res, next) => {
+  try {
+    const result = await createScheduleExceptionByAdmin(req.user, req.params.doctorId, req.body);
+    ApiResponse.created(result, 'Schedule exception created successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/doctors/:doctorId/schedule/exceptions/:exceptionId', async (req, res, next) => {
+  try {
+    const result = await deleteScheduleExceptionByAdmin(req.params.doctorId, req.params.exceptionId);
+    ApiResponse.success(result, 'Schedule exception deleted successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Doctor slots management routes
 router.get('/doctors/:doctorId/slots', async (req, res, next) => {
   try {
@@ -120,6 +195,336 @@ router.post('/impersonate/staff/:staffId', async (req, res, next) => {
   }
 });
 
+// Cancellation policy routes
+router.get('/cancellation-policies', async (req, res, next) => {
+  try {
+    const result = await getCancellationPolicies(req.query);
+    ApiResponse.success(result, 'Cancellation policies retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/cancellation-policies', async (req, res, next) => {
+  try {
+    const result = await createCancellationPolicy(req.user, req.body);
+    ApiResponse.created(result, 'Cancellation policy created successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/cancellation-policies/:policyId', async (req, res, next) => {
+  try {
+    const result = await updateCancellationPolicy(req.params.policyId, req.body);
+    ApiResponse.success(result, 'Cancellation policy updated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/cancellation-policies/:policyId', async (req, res, next) => {
+  try {
+    const result = await deactivateCancellationPolicy(req.params.policyId);
+    ApiResponse.success(result, 'Cancellation policy deactivated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/doctors/:doctorId/cancellation-policy', async (req, res, next) => {
+  try {
+    const result = await getDoctorCancellationPolicy(req.params.doctorId);
+    ApiResponse.success(result, 'Cancellation policy retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+// Mass cancellation when a doctor is unavailable
+router.post('/doctors/:doctorId/cancellations', async (req, res, next) => {
+  try {
+    const result = await cancelDoctorAppointmentsByAdmin(req.user, req.params.doctorId, req.body);
+    ApiResponse.success(result, 'Appointments cancelled successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+// Substitute doctors for an unavailable doctor's appointments
+router.get('/doctors/:doctorId/substitutions', async (req, res, next) => {
+  try {
+    const result = await getSubstituteProposals(req.params.doctorId, req.query);
+    ApiResponse.success(result, 'Substitute proposals retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/doctors/:doctorId/substitutions', async (req, res, next) => {
+  try {
+    const result = await reassignAppointments(req.user, req.params.doctorId, req.body);
+    ApiResponse.success(result, 'Appointments reassigned').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+// Payment reconciliation routes
+router.get('/payments/reconciliations', async (req, res, next) => {
+  try {
+    const result = await getReconciliationReports(req.query);
+    ApiResponse.success(result, 'Reconciliation reports retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/payments/reconciliations', async (req, res, next) => {
+  try {
+    const result = await runReconciliation(req.user);
+    ApiResponse.created(result, 'Reconciliation completed').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/payments/reconciliations/:reportId', async (req, res, next) => {
+  try {
+    const result = await getReconciliationReport(req.params.reportId);
+    ApiResponse.success(result, 'Reconciliation report retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invoice routes
+router.get('/invoices', async (req, res, next) => {
+  try {
+    const result = await getInvoices(req.query);
+    ApiResponse.success(result, 'Invoices retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/invoices/:invoiceNumber', async (req, res, next) => {
+  try {
+    const file = await downloadInvoiceByAdmin(req.params.invoiceNumber, {
+      format: req.query.format,
+      receipt: req.query.receipt === 'true'
+    });
+    res.type(file.contentType).attachment(file.filename).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/invoices/:invoiceNumber/reissue', async (req, res, next) => {
+  try {
+    const result = await reissueInvoice(req.user, req.params.invoiceNumber, req.body);
+    ApiResponse.created(result, 'Invoice re-issued successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Appointment type and price routes
+router.get('/appointment-types', async (req, res, next) => {
+  try {
+    const result = await getAppointmentTypes(req.query);
+    ApiResponse.success(result, 'Appointment types retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/appointment-types', async (req, res, next) => {
+  try {
+    const result = await createAppointmentType(req.user, req.body);
+    ApiResponse.created(result, 'Appointment type created successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointment-types/:typeId', async (req, res, next) => {
+  try {
+    const result = await updateAppointmentType(req.params.typeId, req.body);
+    ApiResponse.success(result, 'Appointment type updated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/appointment-types/:typeId', async (req, res, next) => {
+  try {
+    const result = await deactivateAppointmentType(req.params.typeId);
+    ApiResponse.success(result, 'Appointment type deactivated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/doctors/:doctorId/appointment-types', async (req, res, next) => {
+  try {
+    const result = await getDoctorAppointmentTypes(req.params.doctorId);
+    ApiResponse.success(result, 'Appointment types retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Promo code routes
+router.get('/promo-codes', async (req, res, next) => {
+  try {
+    const result = await getPromoCodes(req.query);
+    ApiResponse.success(result, 'Promo codes retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/promo-codes', async (req, res, next) => {
+  try {
+    const result = await createPromoCode(req.user, req.body);
+    ApiResponse.created(result, 'Promo code created successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/promo-codes/:promoCodeId', async (req, res, next) => {
+  try {
+    const result = await updatePromoCode(req.params.promoCodeId, req.body);
+    ApiResponse.success(result, 'Promo code updated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/promo-codes/:promoCodeId', async (req, res, next) => {
+  try {
+    const result = await deactivatePromoCode(req.params.promoCodeId);
+    ApiResponse.success(result, 'Promo code deactivated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Insurance plan and claim routes
+router.get('/insurance/plans', async (req, res, next) => {
+  try {
+    const result = await getInsurancePlans(req.query);
+    ApiResponse.success(result, 'Insurance plans retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/insurance/plans', async (req, res, next) => {
+  try {
+    const result = await createInsurancePlan(req.user, req.body);
+    ApiResponse.created(result, 'Insurance plan created successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/insurance/plans/:planId', async (req, res, next) => {
+  try {
+    const result = await updateInsurancePlan(req.params.planId, req.body);
+    ApiResponse.success(result, 'Insurance plan updated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/insurance/plans/:planId', async (req, res, next) => {
+  try {
+    const result = await deactivateInsurancePlan(req.params.planId);
+    ApiResponse.success(result, 'Insurance plan deactivated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/insurance/claims', async (req, res, next) => {
+  try {
+    const result = await getInsuranceClaims(req.query);
+    ApiResponse.success(result, 'Insurance claims retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/insurance/claims/export', async (req, res, next) => {
+  try {
+    const file = await exportInsuranceClaims(req.query);
+    res.type(file.contentType).attachment(file.filename).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/insurance/claims', async (req, res, next) => {
+  try {
+    const result = await submitInsuranceClaim(req.body.appointmentId);
+    ApiResponse.created(result, 'Insurance claim submitted successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/insurance/claims/:claimNumber', async (req, res, next) => {
+  try {
+    const result = await updateInsuranceClaim(req.user, req.params.claimNumber, req.body);
+    ApiResponse.success(result, 'Insurance claim updated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Doctor earnings and payout routes
+router.get('/payments/earnings', async (req, res, next) => {
+  try {
+    const result = await getEarningsReport(req.query);
+    ApiResponse.success(result, 'Earnings report retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/payments/earnings/export', async (req, res, next) => {
+  try {
+    const file = await exportEarningsReport(req.query);
+    res.type(file.contentType).attachment(file.filename).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/payments/payouts', async (req, res, next) => {
+  try {
+    const result = await getPayouts(req.query);
+    ApiResponse.success(result, 'Payouts retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/payments/payouts', async (req, res, next) => {
+  try {
+    const result = await settlePayout(req.user, req.body);
+    ApiResponse.created(result, 'Payout recorded successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
 // Swagger configuration for admin routes
@@ -302,7 +707,8 @@ const swaggerConfig = {
                       licenseNumber: { type: 'string', example: 'MD123456' },
                       experience: { type: 'number', example: 10 },
                       qualifications: { type: 'array', items: { type: 'string' } },
-                      hospital: { type: 'string', example: 'General Hospital' }
+                      hospital: { type: 'string', example: 'General Hospital' },
+                      timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone slots are generated in' }
                     }
                   },
                   isActive: { type: 'boolean', example: true }
@@ -373,7 +779,7 @@ const swaggerConfig = {
       },
       post: {
         summary: 'Create doctor schedule by admin',
-        description: 'Create a schedule for a doctor (admin only)',
+        description: 'Add a working session for a doctor (admin only). A day can hold several sessions as long as they do not overlap',
         tags: ['Admin - Doctor Management'],
         security: [{ Authorization: [] }],
         parameters: [
@@ -397,6 +803,7 @@ const swaggerConfig = {
                   startTime: { type: 'string', format: 'time', example: '09:00' },
                   endTime: { type: 'string', format: 'time', example: '17:00' },
                   slotDuration: { type: 'number', minimum: 15, maximum: 120, example: 30 },
+                  location: { type: 'string', example: 'City Hospital, Block B' },
                   breakTimes: {
                     type: 'array',
                     items: {
@@ -429,7 +836,8 @@ const swaggerConfig = {
             }
           },
           401: { description: 'Unauthorized' },
-          403: { description: 'Forbidden - Admin access required' }
+          403: { description: 'Forbidden - Admin access required' },
+          409: { description: 'Session overlaps another session on that day' }
         }
       }
     },
@@ -466,6 +874,7 @@ const swaggerConfig = {
                   startTime: { type: 'string', format: 'time' },
                   endTime: { type: 'string', format: 'time' },
                   slotDuration: { type: 'number', minimum: 15, maximum: 120 },
+                  location: { type: 'string' },
                   breakTimes: {
                     type: 'array',
                     items: {
@@ -604,6 +1013,7 @@ const swaggerConfig = {
                 type: 'object',
                 required: ['startDate', 'endDate'],
                 properties: {
+                  scheduleId: { type: 'string', description: 'Session to generate slots for; all active sessions when omitted' },
                   startDate: { type: 'string', format: 'date', example: '2024-01-01' },
                   endDate: { type: 'string', format: 'date', example: '2024-01-07' }
                 }
@@ -643,17 +1053,2082 @@ const swaggerConfig = {
           403: { description: 'Forbidden - Admin access required' }
         }
       }
-    }
-  },
-  components: {
-    securitySchemes: {
-      Authorization: {
-        type: 'http',
-        scheme: 'bearer',
-        bearerFormat: 'JWT'
-      }
     },
-    schemas: {
+    '/admin/doctors/{doctorId}/schedule/exceptions': {
+      post: {
+        summary: 'Create schedule exception',
+        description: 'Add leave, a one-off extra session or modified hours. Available slots the exception takes away are blocked; bookings on them are listed as conflicts and left untouched',
+        tags: ['Admin - Doctor Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'doctorId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Doctor ID'
+          }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['type', 'startDate'],
+                properties: {
+                  type: { type: 'string', enum: ['leave', 'extra_session', 'modified_hours'], example: 'leave' },
+                  startDate: { type: 'string', format: 'date', example: '2024-12-20' },
+                  endDate: { type: 'string', format: 'date', example: '2025-01-03', description: 'Last day of leave; ignored for other types' },
+                  startTime: { type: 'string', format: 'time', example: '14:00', description: 'Required for extra sessions and modified hours' },
+                  endTime: { type: 'string', format: 'time', example: '18:00', description: 'Required for extra sessions and modified hours' },
+                  scheduleId: { type: 'string', description: 'Weekly session to modify; required when the day has several sessions' },
+                  slotDuration: { type: 'number', minimum: 15, maximum: 120, example: 30, description: 'Slot length of an extra session' },
+                  location: { type: 'string', example: 'City Hospital, Block B', description: 'Where an extra session is held' },
+                  reason: { type: 'string', example: 'Annual leave' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Schedule exception created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        exception: { $ref: '#/components/schemas/ScheduleException' },
+                        slotsBlocked: { type: 'number', example: 12 },
+                        slotsCreated: { type: 'number', example: 0 },
+                        conflicts: {
+                          type: 'array',
+                          description: 'Active appointments on slots the exception takes away',
+                          items: { $ref: '#/components/schemas/ScheduleConflict' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid exception data' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          409: { description: 'Overlaps leave, modified hours or existing working hours' }
+        }
+      },
+      get: {
+        summary: 'Get schedule exceptions',
+        description: 'List upcoming leave, extra sessions and modified hours',
+        tags: ['Admin - Doctor Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'doctorId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Doctor ID'
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: 'Range start (defaults to today)' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'Range end' },
+          { in: 'query', name: 'type', schema: { type: 'string', enum: ['leave', 'extra_session', 'modified_hours'] } }
+        ],
+        responses: {
+          200: {
+            description: 'Schedule exceptions retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        exceptions: { type: 'array', items: { $ref: '#/components/schemas/ScheduleException' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      }
+    },
+    '/admin/doctors/{doctorId}/schedule/exceptions/{exceptionId}': {
+      delete: {
+        summary: 'Delete schedule exception',
+        description: 'Remove an exception. Slots it blocked become available again and unbooked slots it created are removed',
+        tags: ['Admin - Doctor Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'doctorId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Doctor ID'
+          },
+          {
+            in: 'path',
+            name: 'exceptionId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Schedule exception ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Schedule exception deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        slotsReleased: { type: 'number', example: 12 },
+                        slotsRemoved: { type: 'number', example: 0 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Schedule exception not found' }
+        }
+      }
+    },
+    '/admin/cancellation-policies': {
+      get: {
+        summary: 'List cancellation policies',
+        description: 'List global, clinic and doctor cancellation policies. Doctor policies take precedence over clinic policies, which take precedence over the global one',
+        tags: ['Admin - Cancellation Policies'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'scope', schema: { type: 'string', enum: ['global', 'clinic', 'doctor'] } },
+          { in: 'query', name: 'clinic', schema: { type: 'string' }, description: 'Clinic (doctor hospital) name' },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } },
+          { in: 'query', name: 'includeInactive', schema: { type: 'boolean', default: false } }
+        ],
+        responses: {
+          200: {
+            description: 'Cancellation policies retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        policies: { type: 'array', items: { $ref: '#/components/schemas/CancellationPolicy' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Create cancellation policy',
+        description: 'Create a policy for all bookings, a clinic or a doctor. New bookings snapshot the policy that applies; cancellations by the doctor or clinic are always refunded in full',
+        tags: ['Admin - Cancellation Policies'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'scope', 'tiers'],
+                properties: {
+                  name: { type: 'string', example: 'Cardiology 48h policy' },
+                  description: { type: 'string' },
+                  scope: { type: 'string', enum: ['global', 'clinic', 'doctor'], example: 'clinic' },
+                  clinic: { type: 'string', example: 'General Hospital', description: 'Required for clinic scope' },
+                  doctorId: { type: 'string', description: 'Required for doctor scope' },
+                  tiers: { type: 'array', items: { $ref: '#/components/schemas/RefundTier' } },
+                  cancellationFee: { type: 'number', example: 5 },
+                  cutoffHours: { type: 'number', example: 4 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Cancellation policy created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        policy: { $ref: '#/components/schemas/CancellationPolicy' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid policy data' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' },
+          409: { description: 'An active policy already exists for this scope' }
+        }
+      }
+    },
+    '/admin/cancellation-policies/{policyId}': {
+      put: {
+        summary: 'Update cancellation policy',
+        description: 'Change a policy\'s terms. Appointments already booked keep the terms they were booked under',
+        tags: ['Admin - Cancellation Policies'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'policyId', required: true, schema: { type: 'string' }, description: 'Cancellation policy ID' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  tiers: { type: 'array', items: { $ref: '#/components/schemas/RefundTier' } },
+                  cancellationFee: { type: 'number' },
+                  cutoffHours: { type: 'number' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Cancellation policy updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        policy: { $ref: '#/components/schemas/CancellationPolicy' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid policy data or scope change' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Cancellation policy not found' }
+        }
+      },
+      delete: {
+        summary: 'Deactivate cancellation policy',
+        description: 'Stop applying a policy to new bookings; they fall back to the next broader policy',
+        tags: ['Admin - Cancellation Policies'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'policyId', required: true, schema: { type: 'string' }, description: 'Cancellation policy ID' }
+        ],
+        responses: {
+          200: { description: 'Cancellation policy deactivated successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Cancellation policy not found' }
+        }
+      }
+    },
+    '/admin/doctors/{doctorId}/cancellation-policy': {
+      get: {
+        summary: 'Get a doctor\'s effective cancellation policy',
+        description: 'Terms new bookings with the doctor would be snapshotted with',
+        tags: ['Admin - Cancellation Policies'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' }, description: 'Doctor ID' }
+        ],
+        responses: {
+          200: {
+            description: 'Cancellation policy retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        policy: { $ref: '#/components/schemas/CancellationPolicy' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' }
+        }
+      }
+    },
+    '/admin/doctors/{doctorId}/cancellations': {
+      post: {
+        summary: 'Cancel a doctor\'s appointments over a range',
+        description: 'Cancel every pending, paid or checked-in appointment with the doctor between the start and end, refund each in full, block the slots and email patients suggested alternative slots. Appointments already in consultation are skipped. Returns what happened to each booking',
+        tags: ['Admin - Doctor Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' }, description: 'Doctor ID' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['startDate'],
+                properties: {
+                  startDate: { type: 'string', format: 'date', example: '2024-01-15', description: 'First day, in the doctor\'s timezone' },
+                  endDate: { type: 'string', format: 'date', example: '2024-01-16', description: 'Last day; defaults to the start date' },
+                  startTime: { type: 'string', format: 'time', example: '13:00', description: 'Start time on the first day; defaults to the start of the day' },
+                  endTime: { type: 'string', format: 'time', example: '17:00', description: 'End time on the last day; defaults to the end of the day' },
+                  reason: { type: 'string', example: 'Doctor unwell' },
+                  initiatedBy: { type: 'string', enum: ['doctor', 'clinic'], default: 'doctor' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Appointments cancelled successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/MassCancellationReport' }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid range or initiator' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' }
+        }
+      }
+    },
+    '/admin/doctors/{doctorId}/substitutions': {
+      get: {
+        summary: 'Propose substitute doctors',
+        description: 'For each pending or confirmed appointment with the doctor in the range, list free slots with active doctors of the same specialization at the same hospital. Slots at the same time come first; each appointment gets a suggested slot not suggested for another. Fees are what the patient would pay the substitute',
+        tags: ['Admin - Doctor Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' }, description: 'Unavailable doctor ID' },
+          { in: 'query', name: 'startDate', required: true, schema: { type: 'string', format: 'date' }, description: 'First day, in the doctor\'s timezone' },
+          { in: 'query', name: 'endDate', schema: { type: 'string', format: 'date' }, description: 'Last day; defaults to the start date' },
+          { in: 'query', name: 'startTime', schema: { type: 'string', format: 'time' }, description: 'Start time on the first day' },
+          { in: 'query', name: 'endTime', schema: { type: 'string', format: 'time' }, description: 'End time on the last day' }
+        ],
+        responses: {
+          200: {
+            description: 'Substitute proposals retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/SubstituteProposals' }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid range, or the doctor has no specialization or hospital' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' }
+        }
+      },
+      post: {
+        summary: 'Reassign appointments to substitute doctors',
+        description: 'Move each appointment to the given substitute slot in its own transaction. The doctor\'s old slot is blocked. Patients never pay more than before: a cheaper substitute refunds the difference, a dearer one is absorbed. Patients are notified and may decline, which cancels the appointment with a full refund',
+        tags: ['Admin - Doctor Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' }, description: 'Unavailable doctor ID' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['assignments'],
+                properties: {
+                  assignments: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      required: ['appointmentId', 'slotId'],
+                      properties: {
+                        appointmentId: { type: 'string', example: 'APT-1705312800000-ABC12' },
+                        slotId: { type: 'string', description: 'Substitute doctor\'s free slot' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Appointments reassigned',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        successCount: { type: 'number' },
+                        errorCount: { type: 'number' },
+                        results: { type: 'array', items: { type: 'object' } },
+                        errors: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              appointmentId: { type: 'string' },
+                              slotId: { type: 'string' },
+                              error: { type: 'string' }
+                            }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'No assignments given' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' }
+        }
+      }
+    },
+    '/admin/payments/reconciliations': {
+      get: {
+        summary: 'List reconciliation runs',
+        description: 'Payment reconciliation runs, newest first, with their summaries. Fetch a run by ID for its fixes and mismatches',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'page', schema: { type: 'integer', default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', default: 10 } },
+          { in: 'query', name: 'hasMismatches', schema: { type: 'boolean' }, description: 'Only runs that left mismatches' }
+        ],
+        responses: {
+          200: { description: 'Reconciliation reports retrieved successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Run reconciliation now',
+        description: 'Re-check unpaid payments and unsettled refunds from the last 30 days against the payment gateway, as the scheduled job does. Statuses that drifted are fixed, failed refunds are retried and anything that cannot be resolved automatically is listed as a mismatch. Refunds of payments taken at the front desk are paid out by staff and are not checked. The scheduled job runs every PAYMENT_RECONCILIATION_INTERVAL seconds and saves a report like this one',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        responses: {
+          201: {
+            description: 'Reconciliation completed',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        report: { $ref: '#/components/schemas/ReconciliationReport' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          409: { description: 'A reconciliation run is already in progress' }
+        }
+      }
+    },
+    '/admin/payments/reconciliations/{reportId}': {
+      get: {
+        summary: 'Get a reconciliation run',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'reportId', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Reconciliation report retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        report: { $ref: '#/components/schemas/ReconciliationReport' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Reconciliation report not found' }
+        }
+      }
+    },
+    '/admin/invoices': {
+      get: {
+        summary: 'List invoices and credit notes',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'page', schema: { type: 'integer', default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', default: 10 } },
+          { in: 'query', name: 'type', schema: { type: 'string', enum: ['invoice', 'credit_note'] } },
+          { in: 'query', name: 'status', schema: { type: 'string', enum: ['issued', 'void'] } },
+          { in: 'query', name: 'appointmentId', schema: { type: 'string' } },
+          { in: 'query', name: 'patientId', schema: { type: 'string' } },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Issued on or after' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Issued on or before' }
+        ],
+        responses: {
+          200: {
+            description: 'Invoices retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        invoices: { type: 'array', items: { $ref: '#/components/schemas/Invoice' } },
+                        pagination: { type: 'object' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      }
+    },
+    '/admin/invoices/{invoiceNumber}': {
+      get: {
+        summary: 'Download an invoice, receipt or credit note',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'invoiceNumber', required: true, schema: { type: 'string' }, example: 'INV-2024-000042' },
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['pdf', 'html'], default: 'pdf' } },
+          { in: 'query', name: 'receipt', schema: { type: 'boolean', default: false }, description: 'Render the payment receipt for an invoice' }
+        ],
+        responses: {
+          200: {
+            description: 'Document file',
+            content: {
+              'application/pdf': { schema: { type: 'string', format: 'binary' } },
+              'text/html': { schema: { type: 'string' } }
+            }
+          },
+          400: { description: 'Unsupported format, or a receipt requested for a credit note' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Invoice not found' }
+        }
+      }
+    },
+    '/admin/invoices/{invoiceNumber}/reissue': {
+      post: {
+        summary: 'Re-issue an invoice or credit note',
+        description: 'Void the document and issue a corrected copy under the next number, using the current patient, doctor and appointment details and tax rate. The voided document stays on record.',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'invoiceNumber', required: true, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  reason: { type: 'string', example: 'Patient name corrected' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Invoice re-issued successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        voided: { $ref: '#/components/schemas/Invoice' },
+                        invoice: { $ref: '#/components/schemas/Invoice' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Document is already void' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Invoice or appointment not found' },
+          409: { description: 'Document was re-issued by another request' }
+        }
+      }
+    },
+    '/admin/appointment-types': {
+      get: {
+        summary: 'List appointment types',
+        description: 'List global, clinic and doctor prices of each appointment type. A doctor\'s price takes precedence over the clinic\'s, which takes precedence over the global one',
+        tags: ['Admin - Appointment Types'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'code', schema: { type: 'string', enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'] } },
+          { in: 'query', name: 'scope', schema: { type: 'string', enum: ['global', 'clinic', 'doctor'] } },
+          { in: 'query', name: 'clinic', schema: { type: 'string' }, description: 'Clinic (doctor hospital) name' },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } },
+          { in: 'query', name: 'includeInactive', schema: { type: 'boolean', default: false } }
+        ],
+        responses: {
+          200: {
+            description: 'Appointment types retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointmentTypes: { type: 'array', items: { $ref: '#/components/schemas/AppointmentType' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Create appointment type',
+        description: 'Set the length and price of an appointment type for all doctors, a clinic or a doctor. Bookings store the length and price in force when they are made',
+        tags: ['Admin - Appointment Types'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code', 'scope', 'durationMinutes', 'price'],
+                properties: {
+                  code: { type: 'string', enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'], example: 'follow_up' },
+                  name: { type: 'string', example: 'Follow-up', description: 'Defaults to the name of the code' },
+                  description: { type: 'string' },
+                  scope: { type: 'string', enum: ['global', 'clinic', 'doctor'], example: 'clinic' },
+                  clinic: { type: 'string', example: 'General Hospital', description: 'Required for clinic scope' },
+                  doctorId: { type: 'string', description: 'Required for doctor scope' },
+                  durationMinutes: { type: 'integer', example: 15 },
+                  price: { type: 'number', example: 60 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Appointment type created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointmentType: { $ref: '#/components/schemas/AppointmentType' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Validation error' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' },
+          409: { description: 'An active price for this type and scope already exists' }
+        }
+      }
+    },
+    '/admin/appointment-types/{typeId}': {
+      put: {
+        summary: 'Update appointment type',
+        description: 'Change the name, length or price. Appointments already booked keep the length and price they were booked with',
+        tags: ['Admin - Appointment Types'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'typeId', required: true, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  description: { type: 'string' },
+                  durationMinutes: { type: 'integer', example: 20 },
+                  price: { type: 'number', example: 70 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Appointment type updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointmentType: { $ref: '#/components/schemas/AppointmentType' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Validation error or attempt to change the code or scope' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Appointment type not found' }
+        }
+      },
+      delete: {
+        summary: 'Deactivate appointment type',
+        description: 'New bookings fall back to the next broader price of the type, or can no longer book it if there is none',
+        tags: ['Admin - Appointment Types'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'typeId', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Appointment type deactivated successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Appointment type not found' }
+        }
+      }
+    },
+    '/admin/doctors/{doctorId}/appointment-types': {
+      get: {
+        summary: 'Get a doctor\'s appointment types',
+        description: 'Appointment types new bookings with the doctor can choose, each at its most specific length and price. Empty when none are configured, in which case bookings are priced by the standard fee',
+        tags: ['Admin - Appointment Types'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Appointment types retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointmentTypes: { type: 'array', items: { $ref: '#/components/schemas/AppointmentTypeOption' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' }
+        }
+      }
+    },
+    '/admin/promo-codes': {
+      get: {
+        summary: 'List promo codes',
+        description: 'List promo codes with how many bookings have used them',
+        tags: ['Admin - Promo Codes'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'code', schema: { type: 'string' } },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' }, description: 'Codes restricted to this doctor' },
+          { in: 'query', name: 'specialization', schema: { type: 'string' }, description: 'Codes restricted to this specialization' },
+          { in: 'query', name: 'includeInactive', schema: { type: 'boolean', default: false } }
+        ],
+        responses: {
+          200: {
+            description: 'Promo codes retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        promoCodes: { type: 'array', items: { $ref: '#/components/schemas/PromoCode' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Create promo code',
+        description: 'Create a percentage or fixed discount patients can enter when booking. Codes are case-insensitive and stored in upper case. A use is spent when a booking is made and is not given back if it is cancelled',
+        tags: ['Admin - Promo Codes'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['code', 'discountType', 'discountValue'],
+                properties: {
+                  code: { type: 'string', example: 'SPRING20' },
+                  description: { type: 'string', example: 'Spring promotion' },
+                  discountType: { type: 'string', enum: ['percentage', 'fixed'], example: 'percentage' },
+                  discountValue: { type: 'number', example: 20, description: 'Percent off, or amount off in the fee currency' },
+                  validFrom: { type: 'string', format: 'date-time' },
+                  validUntil: { type: 'string', format: 'date-time' },
+                  maxUses: { type: 'integer', example: 100, description: 'Bookings the code can be used for in total; empty for no limit' },
+                  maxUsesPerPatient: { type: 'integer', example: 1, description: 'Bookings each patient can use it for; empty for no limit' },
+                  doctors: { type: 'array', items: { type: 'string' }, description: 'Only bookings with these doctors' },
+                  specializations: { type: 'array', items: { type: 'string' }, example: ['Cardiology'], description: 'Only bookings with doctors of these specializations' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Promo code created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        promoCode: { $ref: '#/components/schemas/PromoCode' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Validation error' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' },
+          409: { description: 'Promo code already exists' }
+        }
+      }
+    },
+    '/admin/promo-codes/{promoCodeId}': {
+      put: {
+        summary: 'Update promo code',
+        description: 'Change the discount, validity, caps or restrictions. Bookings already made keep the discount they got',
+        tags: ['Admin - Promo Codes'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'promoCodeId', required: true, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  description: { type: 'string', example: 'Spring promotion' },
+                  discountType: { type: 'string', enum: ['percentage', 'fixed'], example: 'percentage' },
+                  discountValue: { type: 'number', example: 20, description: 'Percent off, or amount off in the fee currency' },
+                  validFrom: { type: 'string', format: 'date-time' },
+                  validUntil: { type: 'string', format: 'date-time' },
+                  maxUses: { type: 'integer', example: 100, description: 'Bookings the code can be used for in total; empty for no limit' },
+                  maxUsesPerPatient: { type: 'integer', example: 1, description: 'Bookings each patient can use it for; empty for no limit' },
+                  doctors: { type: 'array', items: { type: 'string' }, description: 'Only bookings with these doctors' },
+                  specializations: { type: 'array', items: { type: 'string' }, example: ['Cardiology'], description: 'Only bookings with doctors of these specializations' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Promo code updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        promoCode: { $ref: '#/components/schemas/PromoCode' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Validation error or attempt to rename the code' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Promo code or doctor not found' }
+        }
+      },
+      delete: {
+        summary: 'Deactivate promo code',
+        description: 'The code can no longer be used for new bookings',
+        tags: ['Admin - Promo Codes'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'promoCodeId', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Promo code deactivated successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Promo code not found' }
+        }
+      }
+    },
+    '/admin/insurance/plans': {
+      get: {
+        summary: 'List insurance plans',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'provider', schema: { type: 'string' } },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' }, description: 'Plans listing this doctor in their network' },
+          { in: 'query', name: 'clinic', schema: { type: 'string' }, description: 'Plans listing this clinic in their network' },
+          { in: 'query', name: 'includeInactive', schema: { type: 'boolean', default: false } }
+        ],
+        responses: {
+          200: {
+            description: 'Insurance plans retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        plans: { type: 'array', items: { $ref: '#/components/schemas/InsurancePlan' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Create insurance plan',
+        description: 'Add a plan patients can pay bookings by. In network the patient pays the co-pay and the part of the rest the plan does not cover; out of network the out-of-network coverage applies with no co-pay',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'provider'],
+                properties: {
+                  name: { type: 'string', example: 'Gold PPO' },
+                  provider: { type: 'string', example: 'Acme Health' },
+                  description: { type: 'string' },
+                  networkDoctors: { type: 'array', items: { type: 'string' }, description: 'Doctors in network' },
+                  networkClinics: { type: 'array', items: { type: 'string' }, example: ['General Hospital'], description: 'Every doctor at these clinics (doctor hospital) is in network' },
+                  copay: { type: 'number', example: 20, description: 'Paid by the patient in network' },
+                  coveragePercent: { type: 'number', example: 80, description: 'Share of the fee above the co-pay the plan covers in network' },
+                  outOfNetworkCoveragePercent: { type: 'number', example: 0, description: 'Share of the fee the plan covers out of network; 0 means not covered' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Insurance plan created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        plan: { $ref: '#/components/schemas/InsurancePlan' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Validation error' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' },
+          409: { description: 'An active plan with this provider and name already exists' }
+        }
+      }
+    },
+    '/admin/insurance/plans/{planId}': {
+      put: {
+        summary: 'Update insurance plan',
+        description: 'Change the network or coverage. Bookings already made keep the split they were booked with',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'planId', required: true, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Gold PPO' },
+                  provider: { type: 'string', example: 'Acme Health' },
+                  description: { type: 'string' },
+                  networkDoctors: { type: 'array', items: { type: 'string' }, description: 'Doctors in network' },
+                  networkClinics: { type: 'array', items: { type: 'string' }, example: ['General Hospital'], description: 'Every doctor at these clinics (doctor hospital) is in network' },
+                  copay: { type: 'number', example: 20, description: 'Paid by the patient in network' },
+                  coveragePercent: { type: 'number', example: 80, description: 'Share of the fee above the co-pay the plan covers in network' },
+                  outOfNetworkCoveragePercent: { type: 'number', example: 0, description: 'Share of the fee the plan covers out of network; 0 means not covered' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Insurance plan updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        plan: { $ref: '#/components/schemas/InsurancePlan' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Validation error' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Insurance plan or doctor not found' }
+        }
+      },
+      delete: {
+        summary: 'Deactivate insurance plan',
+        description: 'New bookings can no longer be paid by the plan. Claims already submitted are unaffected',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'planId', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Insurance plan deactivated successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Insurance plan not found' }
+        }
+      }
+    },
+    '/admin/insurance/claims': {
+      get: {
+        summary: 'List insurance claims',
+        description: 'Claims for the insurer share of completed appointments paid by insurance, newest first. A claim numbered CLM-<year>-<sequence> is submitted when the doctor completes the appointment',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, default: 10 } },
+          { in: 'query', name: 'status', schema: { type: 'string', enum: ['submitted', 'approved', 'denied'] } },
+          { in: 'query', name: 'provider', schema: { type: 'string' } },
+          { in: 'query', name: 'planId', schema: { type: 'string' } },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } },
+          { in: 'query', name: 'patientId', schema: { type: 'string' } },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Submitted at or after' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Submitted at or before' }
+        ],
+        responses: {
+          200: {
+            description: 'Insurance claims retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        claims: { type: 'array', items: { $ref: '#/components/schemas/InsuranceClaim' } },
+                        pagination: { type: 'object' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Submit a missing claim',
+        description: 'Claims are submitted when the doctor completes the appointment. Submit one here if that failed; an existing claim is returned as is',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['appointmentId'],
+                properties: {
+                  appointmentId: { type: 'string', example: 'APT-1700000000000-ABCDE' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Insurance claim submitted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        claim: { $ref: '#/components/schemas/InsuranceClaim' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Appointment not completed, or nothing to claim' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Appointment not found' }
+        }
+      }
+    },
+    '/admin/insurance/claims/export': {
+      get: {
+        summary: 'Export insurance claims',
+        description: 'CSV of the claims matching the filters, oldest first',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'status', schema: { type: 'string', enum: ['submitted', 'approved', 'denied'] } },
+          { in: 'query', name: 'provider', schema: { type: 'string' } },
+          { in: 'query', name: 'planId', schema: { type: 'string' } },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } },
+          { in: 'query', name: 'patientId', schema: { type: 'string' } },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Submitted at or after' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Submitted at or before' }
+        ],
+        responses: {
+          200: {
+            description: 'CSV file',
+            content: {
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      }
+    },
+    '/admin/insurance/claims/{claimNumber}': {
+      put: {
+        summary: 'Approve or deny an insurance claim',
+        description: 'Record the insurer\'s decision on a submitted claim. An approval may be for less than was claimed; a denial needs a reason',
+        tags: ['Admin - Insurance'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'claimNumber', required: true, schema: { type: 'string' }, example: 'CLM-2024-000042' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['status'],
+                properties: {
+                  status: { type: 'string', enum: ['approved', 'denied'] },
+                  approvedAmount: { type: 'number', example: 64, description: 'Defaults to the claimed amount' },
+                  note: { type: 'string', example: 'Policy lapsed', description: 'Required when denying' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Insurance claim updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        claim: { $ref: '#/components/schemas/InsuranceClaim' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid status or amount, or a denial without a reason' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Claim not found' },
+          409: { description: 'Claim already decided' }
+        }
+      }
+    },
+    '/admin/payments/earnings': {
+      get: {
+        summary: 'Doctor earnings report',
+        description: 'What patients paid and were refunded per doctor and month, in the clinic\'s timezone (DEFAULT_TIMEZONE). Payments count towards the month they were made in and refunds towards the month the appointment was cancelled or reassigned to a cheaper substitute in, so a refund for a month already paid out comes off the next one. Refunds that failed are not taken off. The clinic keeps CLINIC_COMMISSION_PERCENT of the net; settled months keep the commission they were settled at, and anything that changed since shows as outstanding',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'from', schema: { type: 'string', example: '2024-01' }, description: 'First month (YYYY-MM); defaults to to' },
+          { in: 'query', name: 'to', schema: { type: 'string', example: '2024-03' }, description: 'Last month (YYYY-MM); defaults to the current month' },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Earnings report retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        from: { type: 'string', example: '2024-01' },
+                        to: { type: 'string', example: '2024-03' },
+                        timezone: { type: 'string', example: 'UTC' },
+                        commissionPercent: { type: 'number', example: 20 },
+                        earnings: { type: 'array', items: { $ref: '#/components/schemas/DoctorEarnings' } },
+                        totals: {
+                          type: 'object',
+                          properties: {
+                            appointments: { type: 'integer' },
+                            gross: { type: 'number' },
+                            refunds: { type: 'number' },
+                            net: { type: 'number' },
+                            commission: { type: 'number' },
+                            payoutDue: { type: 'number' },
+                            outstanding: { type: 'number' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Months not given as YYYY-MM, or from after to' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      }
+    },
+    '/admin/payments/earnings/export': {
+      get: {
+        summary: 'Export doctor earnings',
+        description: 'The earnings report as CSV',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'from', schema: { type: 'string', example: '2024-01' }, description: 'First month (YYYY-MM); defaults to to' },
+          { in: 'query', name: 'to', schema: { type: 'string', example: '2024-03' }, description: 'Last month (YYYY-MM); defaults to the current month' },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'CSV file',
+            content: {
+              'text/csv': { schema: { type: 'string' } }
+            }
+          },
+          400: { description: 'Months not given as YYYY-MM, or from after to' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      }
+    },
+    '/admin/payments/payouts': {
+      get: {
+        summary: 'List settled payouts',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, default: 10 } },
+          { in: 'query', name: 'doctorId', schema: { type: 'string' } },
+          { in: 'query', name: 'from', schema: { type: 'string', example: '2024-01' }, description: 'First month (YYYY-MM)' },
+          { in: 'query', name: 'to', schema: { type: 'string', example: '2024-03' }, description: 'Last month (YYYY-MM)' }
+        ],
+        responses: {
+          200: {
+            description: 'Payouts retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        payouts: { type: 'array', items: { $ref: '#/components/schemas/PayoutRecord' } },
+                        pagination: { type: 'object' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' }
+        }
+      },
+      post: {
+        summary: 'Settle a doctor\'s month',
+        description: 'Record that a doctor has been paid for a month that has ended. The month\'s earnings are recorded with the payout',
+        tags: ['Admin - Payments'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['doctorId', 'period'],
+                properties: {
+                  doctorId: { type: 'string' },
+                  period: { type: 'string', example: '2024-03' },
+                  reference: { type: 'string', example: 'TRF-2024-0412' },
+                  note: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Payout recorded successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        payout: { $ref: '#/components/schemas/PayoutRecord' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Missing doctor or period, or the month has not ended' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Admin access required' },
+          404: { description: 'Doctor not found' },
+          409: { description: 'Month already settled for the doctor' }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      Authorization: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT'
+      }
+    },
+    schemas: {
+      DoctorEarnings: {
+        type: 'object',
+        properties: {
+          period: { type: 'string', example: '2024-03' },
+          doctor: {
+            type: 'object',
+            properties: {
+              _id: { type: 'string' },
+              name: { type: 'string' },
+              email: { type: 'string' },
+              specialization: { type: 'string' }
+            }
+          },
+          appointments: { type: 'integer', example: 42, description: 'Payments made in the month' },
+          gross: { type: 'number', example: 4200 },
+          refunds: { type: 'number', example: 300 },
+          net: { type: 'number', example: 3900 },
+          commissionPercent: { type: 'number', example: 20 },
+          commission: { type: 'number', example: 780 },
+          payoutDue: { type: 'number', example: 3120 },
+          settlement: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              settledAt: { type: 'string', format: 'date-time' },
+              payoutAmount: { type: 'number' },
+              reference: { type: 'string' }
+            }
+          },
+          outstanding: { type: 'number', example: 0, description: 'Payout due less what was paid out; negative when too much was paid' }
+        }
+      },
+      PayoutRecord: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          doctor: { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } } },
+          period: { type: 'string', example: '2024-03' },
+          appointments: { type: 'integer' },
+          gross: { type: 'number' },
+          refunds: { type: 'number' },
+          net: { type: 'number' },
+          commissionPercent: { type: 'number' },
+          commission: { type: 'number' },
+          payoutAmount: { type: 'number' },
+          reference: { type: 'string' },
+          note: { type: 'string' },
+          settledAt: { type: 'string', format: 'date-time' },
+          settledBy: { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } } }
+        }
+      },
+      InsurancePlan: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          name: { type: 'string', example: 'Gold PPO' },
+          provider: { type: 'string', example: 'Acme Health' },
+          description: { type: 'string' },
+          networkDoctors: { type: 'array', items: { type: 'string' }, description: 'Doctors in network' },
+          networkClinics: { type: 'array', items: { type: 'string' }, example: ['General Hospital'], description: 'Every doctor at these clinics (doctor hospital) is in network' },
+          copay: { type: 'number', example: 20, description: 'Paid by the patient in network' },
+          coveragePercent: { type: 'number', example: 80, description: 'Share of the fee above the co-pay the plan covers in network' },
+          outOfNetworkCoveragePercent: { type: 'number', example: 0, description: 'Share of the fee the plan covers out of network; 0 means not covered' },
+          isActive: { type: 'boolean' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      InsuranceClaim: {
+        type: 'object',
+        properties: {
+          claimNumber: { type: 'string', example: 'CLM-2024-000042' },
+          status: { type: 'string', enum: ['submitted', 'approved', 'denied'] },
+          appointmentId: { type: 'string' },
+          patient: { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } } },
+          doctor: { type: 'object', properties: { _id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } } },
+          provider: { type: 'string', example: 'Acme Health' },
+          planName: { type: 'string', example: 'Gold PPO' },
+          policyNumber: { type: 'string' },
+          inNetwork: { type: 'boolean' },
+          serviceDate: { type: 'string', format: 'date-time' },
+          currency: { type: 'string', example: 'USD' },
+          fee: { type: 'number', example: 100 },
+          patientShare: { type: 'number', example: 36 },
+          claimedAmount: { type: 'number', example: 64 },
+          approvedAmount: { type: 'number' },
+          denialReason: { type: 'string' },
+          submittedAt: { type: 'string', format: 'date-time' },
+          decidedAt: { type: 'string', format: 'date-time' },
+          history: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                status: { type: 'string' },
+                changedAt: { type: 'string', format: 'date-time' },
+                changedBy: { type: 'string' },
+                note: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      PromoCode: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          code: { type: 'string', example: 'SPRING20' },
+          description: { type: 'string', example: 'Spring promotion' },
+          discountType: { type: 'string', enum: ['percentage', 'fixed'], example: 'percentage' },
+          discountValue: { type: 'number', example: 20, description: 'Percent off, or amount off in the fee currency' },
+          validFrom: { type: 'string', format: 'date-time' },
+          validUntil: { type: 'string', format: 'date-time' },
+          maxUses: { type: 'integer', example: 100, description: 'Bookings the code can be used for in total; empty for no limit' },
+          maxUsesPerPatient: { type: 'integer', example: 1, description: 'Bookings each patient can use it for; empty for no limit' },
+          doctors: { type: 'array', items: { type: 'string' }, description: 'Only bookings with these doctors' },
+          specializations: { type: 'array', items: { type: 'string' }, example: ['Cardiology'], description: 'Only bookings with doctors of these specializations' },
+          usedCount: { type: 'integer', example: 12, description: 'Bookings that have used the code' },
+          isActive: { type: 'boolean' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      AppointmentType: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          code: { type: 'string', enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'], example: 'follow_up' },
+          name: { type: 'string', example: 'Follow-up', description: 'Defaults to the name of the code' },
+          description: { type: 'string' },
+          scope: { type: 'string', enum: ['global', 'clinic', 'doctor'], example: 'clinic' },
+          clinic: { type: 'string', example: 'General Hospital', description: 'Required for clinic scope' },
+          doctorId: { type: 'string', description: 'Required for doctor scope' },
+          durationMinutes: { type: 'integer', example: 15 },
+          price: { type: 'number', example: 60 },
+          isActive: { type: 'boolean' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      AppointmentTypeOption: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          code: { type: 'string', enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'] },
+          name: { type: 'string', example: 'Follow-up' },
+          description: { type: 'string' },
+          scope: { type: 'string', enum: ['global', 'clinic', 'doctor'], description: 'Where the price comes from' },
+          durationMinutes: { type: 'integer', example: 15 },
+          price: { type: 'number', example: 60 }
+        }
+      },
+      Invoice: {
+        type: 'object',
+        description: 'Invoice for a paid appointment, or a credit note for money refunded against it. Fees include tax.',
+        properties: {
+          invoiceNumber: { type: 'string', example: 'INV-2024-000042' },
+          type: { type: 'string', enum: ['invoice', 'credit_note'] },
+          status: { type: 'string', enum: ['issued', 'void'] },
+          appointmentId: { type: 'string' },
+          relatedInvoiceNumber: { type: 'string', description: 'Invoice a credit note reduces', example: 'INV-2024-000042' },
+          issuedAt: { type: 'string', format: 'date-time' },
+          billTo: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          },
+          provider: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              specialization: { type: 'string' },
+              hospital: { type: 'string' }
+            }
+          },
+          currency: { type: 'string', example: 'USD' },
+          lineItems: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: ['appointment_type', 'base_fee', 'experience_surcharge', 'specialization_surcharge', 'walk_in_surcharge', 'discount', 'insurance', 'adjustment', 'refund'] },
+                description: { type: 'string', example: 'Senior doctor surcharge' },
+                amount: { type: 'number', example: 50 }
+              }
+            }
+          },
+          subtotal: { type: 'number', example: 180 },
+          taxRate: { type: 'number', description: 'Tax rate in percent included in the amounts', example: 10 },
+          taxAmount: { type: 'number', example: 16.36 },
+          total: { type: 'number', example: 180 },
+          voidedAt: { type: 'string', format: 'date-time' },
+          voidReason: { type: 'string' }
+        }
+      },
+      ReconciliationEntry: {
+        type: 'object',
+        properties: {
+          appointment: { type: 'string' },
+          appointmentId: { type: 'string', example: 'APT-1705312800000-AB12C' },
+          transactionId: { type: 'string' },
+          kind: { type: 'string', enum: ['payment', 'refund', 'difference_refund'] },
+          localStatus: { type: 'string', example: 'pending' },
+          gatewayStatus: { type: 'string', example: 'paid' },
+          newStatus: { type: 'string', example: 'paid' },
+          note: { type: 'string' }
+        }
+      },
+      ReconciliationReport: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          trigger: { type: 'string', enum: ['scheduled', 'manual'] },
+          triggeredBy: { type: 'string' },
+          provider: { type: 'string', example: 'mock' },
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' },
+          summary: {
+            type: 'object',
+            properties: {
+              paymentsChecked: { type: 'number' },
+              refundsChecked: { type: 'number' },
+              paymentsFixed: { type: 'number' },
+              refundsSettled: { type: 'number' },
+              refundsRetried: { type: 'number' },
+              mismatches: { type: 'number' }
+            }
+          },
+          fixes: { type: 'array', items: { $ref: '#/components/schemas/ReconciliationEntry' } },
+          mismatches: { type: 'array', items: { $ref: '#/components/schemas/ReconciliationEntry' }, description: 'Differences that could not be resolved automatically' }
+        }
+      },
+      SubstituteOption: {
+        type: 'object',
+        properties: {
+          slotId: { type: 'string' },
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', format: 'time' },
+          endTime: { type: 'string', format: 'time' },
+          timezone: { type: 'string' },
+          startAt: { type: 'string', format: 'date-time' },
+          endAt: { type: 'string', format: 'date-time' },
+          exactMatch: { type: 'boolean', description: 'Starts at the same time as the appointment' },
+          newFee: { type: 'number', example: 120 },
+          feeDifference: { type: 'number', example: -30, description: 'Substitute fee less the current fee' }
+        }
+      },
+      SubstituteProposals: {
+        type: 'object',
+        properties: {
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              specialization: { type: 'string' },
+              hospital: { type: 'string' }
+            }
+          },
+          range: {
+            type: 'object',
+            properties: {
+              from: { type: 'string', format: 'date-time' },
+              to: { type: 'string', format: 'date-time' },
+              timezone: { type: 'string' }
+            }
+          },
+          substitutes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' }
+              }
+            }
+          },
+          proposals: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                appointment: { type: 'object' },
+                suggested: { $ref: '#/components/schemas/SubstituteOption' },
+                options: { type: 'array', items: { $ref: '#/components/schemas/SubstituteOption' } }
+              }
+            }
+          },
+          unmatched: { type: 'number', description: 'Appointments with no free substitute slot' }
+        }
+      },
+      MassCancellationReport: {
+        type: 'object',
+        properties: {
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              specialization: { type: 'string' }
+            }
+          },
+          range: {
+            type: 'object',
+            properties: {
+              from: { type: 'string', format: 'date-time' },
+              to: { type: 'string', format: 'date-time' },
+              timezone: { type: 'string', example: 'America/New_York' }
+            }
+          },
+          reason: { type: 'string' },
+          initiatedBy: { type: 'string', enum: ['doctor', 'clinic'] },
+          summary: {
+            type: 'object',
+            properties: {
+              slotsBlocked: { type: 'number', example: 16 },
+              appointmentsCancelled: { type: 'number', example: 9 },
+              appointmentsSkipped: { type: 'number', example: 0 },
+              slotsFailed: { type: 'number', example: 0 },
+              refundsProcessed: { type: 'number', example: 7 },
+              refundsFailed: { type: 'number', example: 0 },
+              totalRefunded: { type: 'number', example: 1050 },
+              patientsNotified: { type: 'number', example: 9 }
+            }
+          },
+          appointments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                appointmentId: { type: 'string' },
+                slotId: { type: 'string' },
+                patient: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                    phone: { type: 'string' }
+                  }
+                },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', format: 'time' },
+                endTime: { type: 'string', format: 'time' },
+                status: { type: 'string' },
+                previousStatus: { type: 'string', enum: ['pending', 'confirmed', 'checked_in'] },
+                outcome: { type: 'string', enum: ['cancelled', 'skipped'] },
+                note: { type: 'string', description: 'Why a booking was skipped' },
+                refund: {
+                  type: 'object',
+                  properties: {
+                    amount: { type: 'number' },
+                    status: { type: 'string', enum: ['none', 'pending', 'processed', 'failed'] }
+                  }
+                },
+                notified: { type: 'boolean' }
+              }
+            }
+          },
+          failures: {
+            type: 'array',
+            description: 'Slots that could not be cancelled, e.g. because they changed meanwhile',
+            items: {
+              type: 'object',
+              properties: {
+                slotId: { type: 'string' },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', format: 'time' },
+                error: { type: 'string' }
+              }
+            }
+          },
+          alternatives: {
+            type: 'array',
+            description: 'Open slots suggested to patients: the doctor\'s next slots and colleagues with the same specialization',
+            items: {
+              type: 'object',
+              properties: {
+                slotId: { type: 'string' },
+                doctor: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    specialization: { type: 'string' }
+                  }
+                },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', format: 'time' },
+                endTime: { type: 'string', format: 'time' },
+                timezone: { type: 'string' },
+                startAt: { type: 'string', format: 'date-time' },
+                endAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      },
+      RefundTier: {
+        type: 'object',
+        properties: {
+          minHoursBefore: { type: 'number', example: 24, description: 'Applies when the patient cancels at least this many hours ahead' },
+          refundPercent: { type: 'number', example: 100 }
+        }
+      },
+      CancellationPolicy: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          policyId: { type: 'string', description: 'Set on snapshotted terms' },
+          name: { type: 'string', example: 'Standard cancellation policy' },
+          description: { type: 'string' },
+          scope: { type: 'string', enum: ['global', 'clinic', 'doctor', 'default'] },
+          clinic: { type: 'string', example: 'General Hospital' },
+          doctorId: { type: 'string' },
+          tiers: { type: 'array', items: { $ref: '#/components/schemas/RefundTier' } },
+          cancellationFee: { type: 'number', example: 0, description: 'Flat fee kept from patient-initiated refunds' },
+          cutoffHours: { type: 'number', example: 2, description: 'Patients cannot cancel or reschedule closer than this to the start' },
+          isActive: { type: 'boolean', example: true },
+          appliedAt: { type: 'string', format: 'date-time', description: 'Set on snapshotted terms' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ScheduleException: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '60d5ecb74b24c72b8c8b4570' },
+          doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
+          type: { type: 'string', enum: ['leave', 'extra_session', 'modified_hours'], example: 'leave' },
+          startDate: { type: 'string', format: 'date-time' },
+          endDate: { type: 'string', format: 'date-time' },
+          startTime: { type: 'string', format: 'time', example: '14:00' },
+          endTime: { type: 'string', format: 'time', example: '18:00' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'Doctor timezone the dates and times are in' },
+          scheduleId: { type: 'string' },
+          slotDuration: { type: 'number', example: 30 },
+          reason: { type: 'string', example: 'Annual leave' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ScheduleConflict: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          appointmentId: { type: 'string', example: 'APT-1700000000000-AB12C' },
+          slotId: { type: 'string' },
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', format: 'time', example: '09:00' },
+          endTime: { type: 'string', format: 'time', example: '09:30' },
+          status: { type: 'string', enum: ['pending', 'confirmed'] },
+          patient: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          }
+        }
+      },
       User: {
         type: 'object',
         properties: {
@@ -688,7 +3163,8 @@ const swaggerConfig = {
               licenseNumber: { type: 'string', example: 'MD123456' },
               experience: { type: 'number', example: 10 },
               qualifications: { type: 'array', items: { type: 'string' }, example: ['MD', 'Board Certified'] },
-              hospital: { type: 'string', example: 'General Hospital' }
+              hospital: { type: 'string', example: 'General Hospital' },
+              timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone slots are generated in' }
             }
           },
           isActive: { type: 'boolean', example: true },
@@ -705,6 +3181,7 @@ const swaggerConfig = {
           startTime: { type: 'string', format: 'time', example: '09:00' },
           endTime: { type: 'string', format: 'time', example: '17:00' },
           slotDuration: { type: 'number', example: 30 },
+          location: { type: 'string', example: 'City Hospital, Block B' },
           isActive: { type: 'boolean', example: true },
           breakTimes: {
             type: 'array',
@@ -727,8 +3204,12 @@ const swaggerConfig = {
           doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
           scheduleId: { type: 'string', example: '60d5ecb74b24c72b8c8b4569' },
           date: { type: 'string', format: 'date', example: '2024-01-01' },
+          location: { type: 'string', example: 'City Hospital, Block B' },
           startTime: { type: 'string', format: 'time', example: '09:00' },
           endTime: { type: 'string', format: 'time', example: '09:30' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone of the wall times' },
+          startAt: { type: 'string', format: 'date-time', description: 'UTC instant the slot starts' },
+          endAt: { type: 'string', format: 'date-time', description: 'UTC instant the slot ends' },
           status: { type: 'string', enum: ['available', 'booked', 'blocked', 'cancelled'], example: 'available' },
           patientId: { type: 'string' },
           notes: { type: 'string' },
@@ -7,6 +7,7 @@ import {
   register,
   login,
   refreshToken,
+  createStreamTicket,
   logout,
   forgotPassword,
   resetPassword,
@@ -59,6 +60,18 @@ router.post('/refresh', verifyRefreshToken, async (req, res, next) => {
   }
 });
 
+// @route   POST /auth/stream-ticket
+// @desc    Issue a single-use ticket for opening a stream
+// @access  Private
+router.post('/stream-ticket', authenticate, async (req, res, next) => {
+  try {
+    const result = await createStreamTicket(req.user);
+    ApiResponse.created(result, 'Stream ticket issued successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /auth/logout
 // @desc    Logout user (revoke refresh token)
 // @access  Private
@@ -410,6 +423,38 @@ const swaggerConfig = {
         }
       }
     },
+    '/auth/stream-ticket': {
+      post: {
+        summary: 'Issue a stream ticket',
+        description: 'Issues a ticket for clients that cannot send the Authorization header, such as a browser EventSource or WebSocket. Pass it as the ticket query parameter of a slot stream or the staff dashboard. A ticket opens one connection and expires after STREAM_TICKET_TTL seconds, so the access token never appears in a URL.',
+        tags: ['Authentication'],
+        security: [{ Authorization: [] }],
+        responses: {
+          201: {
+            description: 'Stream ticket issued successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean' },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        ticket: { type: 'string' },
+                        expiresIn: { type: 'integer', example: 60 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' }
+        }
+      }
+    },
     '/auth/logout': {
       post: {
         summary: 'Logout user',
@@ -7,10 +7,19 @@ import {
   getDoctorSchedules,
   updateDoctorSchedule,
   deleteDoctorSchedule,
+  createScheduleException,
+  getScheduleExceptions,
+  deleteScheduleException,
   generateAvailabilitySlots,
   getDoctorSlots,
   updateSlotStatus,
-  bulkUpdateSlotStatus
+  bulkUpdateSlotStatus,
+  getDoctorAppointmentsList,
+  getDoctorAppointmentDetails,
+  getDoctorQueue,
+  startAppointmentConsultation,
+  completeAppointment,
+  markAppointmentNoShow
 } from '../controllers/doctor/index.js';
 import ApiResponse from '../utils/ApiResponse.util.js';
 
@@ -75,6 +84,34 @@ router.delete('/schedule/:scheduleId', authorize('doctor'), async (req, res, nex
   }
 });
 
+// Schedule exception routes
+router.post('/schedule/exceptions', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await createScheduleException(req.user, req.body);
+    ApiResponse.created(result, 'Schedule exception created successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/schedule/exceptions', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await getScheduleExceptions(req.user, req.query);
+    ApiResponse.success(result, 'Schedule exceptions retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/schedule/exceptions/:exceptionId', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await deleteScheduleException(req.user, req.params.exceptionId);
+    ApiResponse.success(result, 'Schedule exception deleted successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Availability slots routes
 router.post('/slots/generate', authorize('doctor'), async (req, res, next) => {
   try {
@@ -113,6 +150,61 @@ router.put('/slots/bulk/status', authorize('doctor'), async (req, res, next) =>
   }
 });
 
+// Appointment inbox routes
+router.get('/appointments', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await getDoctorAppointmentsList(req.user, req.query);
+    ApiResponse.success(result, 'Doctor appointments retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/appointments/:appointmentId', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await getDoctorAppointmentDetails(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Appointment details retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/queue', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await getDoctorQueue(req.user);
+    ApiResponse.success(result, 'Queue retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointments/:appointmentId/start', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await startAppointmentConsultation(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Consultation started').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointments/:appointmentId/complete', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await completeAppointment(req.user, req.params.appointmentId, req.body);
+    ApiResponse.success(result, 'Appointment marked as completed').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointments/:appointmentId/no-show', authorize('doctor'), async (req, res, next) => {
+  try {
+    const result = await markAppointmentNoShow(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Appointment marked as no-show').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
 // Swagger configuration for doctor routes
@@ -193,7 +285,8 @@ const swaggerConfig = {
                       licenseNumber: { type: 'string', example: 'MD123456' },
                       experience: { type: 'number', example: 10 },
                       qualifications: { type: 'array', items: { type: 'string' }, example: ['MD', 'Board Certified'] },
-                      hospital: { type: 'string', example: 'General Hospital' }
+                      hospital: { type: 'string', example: 'General Hospital' },
+                      timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone slots are generated in' }
                     }
                   }
                 }
@@ -231,7 +324,7 @@ const swaggerConfig = {
     '/doctor/schedule': {
       post: {
         summary: 'Create doctor schedule',
-        description: 'Create a new schedule for the authenticated doctor',
+        description: 'Add a working session for the authenticated doctor. A day can hold several sessions as long as they do not overlap',
         tags: ['Doctor Schedule'],
         security: [{ Authorization: [] }],
         requestBody: {
@@ -246,6 +339,7 @@ const swaggerConfig = {
                   startTime: { type: 'string', format: 'time', example: '09:00' },
                   endTime: { type: 'string', format: 'time', example: '17:00' },
                   slotDuration: { type: 'number', minimum: 15, maximum: 120, example: 30 },
+                  location: { type: 'string', example: 'City Hospital, Block B' },
                   breakTimes: {
                     type: 'array',
                     items: {
@@ -278,7 +372,8 @@ const swaggerConfig = {
             }
           },
           401: { description: 'Unauthorized' },
-          403: { description: 'Forbidden - Not a doctor' }
+          403: { description: 'Forbidden - Not a doctor' },
+          409: { description: 'Session overlaps another session on that day' }
         }
       },
       get: {
@@ -336,6 +431,7 @@ const swaggerConfig = {
                   startTime: { type: 'string', format: 'time' },
                   endTime: { type: 'string', format: 'time' },
                   slotDuration: { type: 'number', minimum: 15, maximum: 120 },
+                  location: { type: 'string' },
                   breakTimes: {
                     type: 'array',
                     items: {
@@ -422,6 +518,7 @@ const swaggerConfig = {
                 type: 'object',
                 required: ['startDate', 'endDate'],
                 properties: {
+                  scheduleId: { type: 'string', description: 'Session to generate slots for; all active sessions when omitted' },
                   startDate: { type: 'string', format: 'date', example: '2024-01-01' },
                   endDate: { type: 'string', format: 'date', example: '2024-01-07' }
                 }
@@ -650,6 +747,301 @@ const swaggerConfig = {
           403: { description: 'Forbidden - Not a doctor' }
         }
       }
+    },
+    '/doctor/appointments': {
+      get: {
+        summary: 'Get doctor appointments',
+        description: 'Retrieve appointments booked with the authenticated doctor',
+        tags: ['Doctor Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'status', schema: { type: 'string', enum: ['pending', 'confirmed', 'checked_in', 'in_consultation', 'completed', 'cancelled', 'no_show', 'rescheduled'] }, description: 'Filter by appointment status' },
+          { in: 'query', name: 'date', schema: { type: 'string', format: 'date' }, description: 'Filter by a single day' },
+          { in: 'query', name: 'dateFrom', schema: { type: 'string', format: 'date' }, description: 'Start of date range' },
+          { in: 'query', name: 'dateTo', schema: { type: 'string', format: 'date' }, description: 'End of date range' },
+          { in: 'query', name: 'page', schema: { type: 'integer', default: 1 }, description: 'Page number' },
+          { in: 'query', name: 'limit', schema: { type: 'integer', default: 20 }, description: 'Items per page' }
+        ],
+        responses: {
+          200: {
+            description: 'Doctor appointments retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointments: { type: 'array', items: { $ref: '#/components/schemas/DoctorAppointment' } },
+                        pagination: { type: 'object' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' }
+        }
+      }
+    },
+    '/doctor/appointments/{appointmentId}': {
+      get: {
+        summary: 'Get appointment details',
+        description: 'Retrieve a single appointment booked with the authenticated doctor',
+        tags: ['Doctor Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        responses: {
+          200: { description: 'Appointment details retrieved successfully' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' },
+          404: { description: 'Appointment not found' }
+        }
+      }
+    },
+    '/doctor/queue': {
+      get: {
+        summary: 'Get waiting-room queue',
+        description: 'Today\'s queue for the doctor: the patient in consultation, checked-in patients in order with estimated waits, patients not yet arrived and whether the doctor is running late',
+        tags: ['Doctor Appointments'],
+        security: [{ Authorization: [] }],
+        responses: {
+          200: {
+            description: 'Queue retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/WaitingRoomQueue' }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' }
+        }
+      }
+    },
+    '/doctor/appointments/{appointmentId}/start': {
+      put: {
+        summary: 'Start consultation',
+        description: 'Call a checked-in patient in. Only one consultation can be in progress at a time.',
+        tags: ['Doctor Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        responses: {
+          200: { description: 'Consultation started' },
+          400: { description: 'Patient has not checked in or appointment already closed' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' },
+          404: { description: 'Appointment not found' },
+          409: { description: 'Another consultation is still in progress, or this one was just started' }
+        }
+      }
+    },
+    '/doctor/appointments/{appointmentId}/complete': {
+      put: {
+        summary: 'Complete appointment',
+        description: 'Mark a started appointment, or a checked-in patient\'s consultation, as completed. The slot stays booked.',
+        tags: ['Doctor Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        requestBody: {
+          required: false,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  notes: { type: 'string', example: 'Follow-up in two weeks' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Appointment marked as completed' },
+          400: { description: 'Appointment not started or already closed' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' },
+          404: { description: 'Appointment not found' }
+        }
+      }
+    },
+    '/doctor/appointments/{appointmentId}/no-show': {
+      put: {
+        summary: 'Mark appointment as no-show',
+        description: 'Mark a started appointment as no-show, void any uncollected payment and release the slot',
+        tags: ['Doctor Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        responses: {
+          200: { description: 'Appointment marked as no-show' },
+          400: { description: 'Appointment not started or already closed' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' },
+          404: { description: 'Appointment not found' },
+          409: { description: 'Slot changed while marking the no-show; nothing was updated' }
+        }
+      }
+    },
+    '/doctor/schedule/exceptions': {
+      post: {
+        summary: 'Create schedule exception',
+        description: 'Add leave, a one-off extra session or modified hours. Available slots the exception takes away are blocked; bookings on them are listed as conflicts and left untouched',
+        tags: ['Doctor Schedule'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['type', 'startDate'],
+                properties: {
+                  type: { type: 'string', enum: ['leave', 'extra_session', 'modified_hours'], example: 'leave' },
+                  startDate: { type: 'string', format: 'date', example: '2024-12-20' },
+                  endDate: { type: 'string', format: 'date', example: '2025-01-03', description: 'Last day of leave; ignored for other types' },
+                  startTime: { type: 'string', format: 'time', example: '14:00', description: 'Required for extra sessions and modified hours' },
+                  endTime: { type: 'string', format: 'time', example: '18:00', description: 'Required for extra sessions and modified hours' },
+                  scheduleId: { type: 'string', description: 'Weekly session to modify; required when the day has several sessions' },
+                  slotDuration: { type: 'number', minimum: 15, maximum: 120, example: 30, description: 'Slot length of an extra session' },
+                  location: { type: 'string', example: 'City Hospital, Block B', description: 'Where an extra session is held' },
+                  reason: { type: 'string', example: 'Annual leave' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Schedule exception created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        exception: { $ref: '#/components/schemas/ScheduleException' },
+                        slotsBlocked: { type: 'number', example: 12 },
+                        slotsCreated: { type: 'number', example: 0 },
+                        conflicts: {
+                          type: 'array',
+                          description: 'Active appointments on slots the exception takes away',
+                          items: { $ref: '#/components/schemas/ScheduleConflict' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid exception data' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' },
+          409: { description: 'Overlaps leave, modified hours or existing working hours' }
+        }
+      },
+      get: {
+        summary: 'Get schedule exceptions',
+        description: 'List upcoming leave, extra sessions and modified hours',
+        tags: ['Doctor Schedule'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: 'Range start (defaults to today)' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'Range end' },
+          { in: 'query', name: 'type', schema: { type: 'string', enum: ['leave', 'extra_session', 'modified_hours'] } }
+        ],
+        responses: {
+          200: {
+            description: 'Schedule exceptions retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        exceptions: { type: 'array', items: { $ref: '#/components/schemas/ScheduleException' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' }
+        }
+      }
+    },
+    '/doctor/schedule/exceptions/{exceptionId}': {
+      delete: {
+        summary: 'Delete schedule exception',
+        description: 'Remove an exception. Slots it blocked become available again and unbooked slots it created are removed',
+        tags: ['Doctor Schedule'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'exceptionId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Schedule exception ID'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Schedule exception deleted successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        slotsReleased: { type: 'number', example: 12 },
+                        slotsRemoved: { type: 'number', example: 0 }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Not a doctor' },
+          404: { description: 'Schedule exception not found' }
+        }
+      }
     }
   },
   components: {
@@ -661,6 +1053,46 @@ const swaggerConfig = {
       }
     },
     schemas: {
+      ScheduleException: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string', example: '60d5ecb74b24c72b8c8b4570' },
+          doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
+          type: { type: 'string', enum: ['leave', 'extra_session', 'modified_hours'], example: 'leave' },
+          startDate: { type: 'string', format: 'date-time' },
+          endDate: { type: 'string', format: 'date-time' },
+          startTime: { type: 'string', format: 'time', example: '14:00' },
+          endTime: { type: 'string', format: 'time', example: '18:00' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'Doctor timezone the dates and times are in' },
+          scheduleId: { type: 'string' },
+          slotDuration: { type: 'number', example: 30 },
+          reason: { type: 'string', example: 'Annual leave' },
+          createdBy: { type: 'string' },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ScheduleConflict: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          appointmentId: { type: 'string', example: 'APT-1700000000000-AB12C' },
+          slotId: { type: 'string' },
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', format: 'time', example: '09:00' },
+          endTime: { type: 'string', format: 'time', example: '09:30' },
+          status: { type: 'string', enum: ['pending', 'confirmed'] },
+          patient: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          }
+        }
+      },
       User: {
         type: 'object',
         properties: {
@@ -700,7 +1132,8 @@ const swaggerConfig = {
           licenseNumber: { type: 'string', example: 'MD123456' },
           experience: { type: 'number', example: 10 },
           qualifications: { type: 'array', items: { type: 'string' }, example: ['MD', 'Board Certified'] },
-          hospital: { type: 'string', example: 'General Hospital' }
+          hospital: { type: 'string', example: 'General Hospital' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone slots are generated in' }
         }
       },
       DoctorSchedule: {
@@ -712,6 +1145,7 @@ const swaggerConfig = {
           startTime: { type: 'string', format: 'time', example: '09:00' },
           endTime: { type: 'string', format: 'time', example: '17:00' },
           slotDuration: { type: 'number', example: 30 },
+          location: { type: 'string', example: 'City Hospital, Block B' },
           isActive: { type: 'boolean', example: true },
           breakTimes: {
             type: 'array',
@@ -727,15 +1161,58 @@ const swaggerConfig = {
           updatedAt: { type: 'string', format: 'date-time' }
         }
       },
+      DoctorAppointment: {
+        type: 'object',
+        properties: {
+          appointmentId: { type: 'string', example: 'APT-1700000000000-AB12C' },
+          slotId: { type: 'string' },
+          patient: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          },
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', format: 'time', example: '09:00' },
+          endTime: { type: 'string', format: 'time', example: '09:30' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone of the wall times' },
+          startAt: { type: 'string', format: 'date-time', description: 'UTC instant the appointment starts' },
+          endAt: { type: 'string', format: 'date-time', description: 'UTC instant the appointment ends' },
+          status: { type: 'string', enum: ['pending', 'confirmed', 'checked_in', 'in_consultation', 'completed', 'cancelled', 'no_show', 'rescheduled'] },
+          bookingType: { type: 'string', enum: ['online', 'walk_in'] },
+          isOverbooked: { type: 'boolean', description: 'Walk-in squeezed into a slot that already had a booking' },
+          reason: { type: 'string' },
+          payment: {
+            type: 'object',
+            properties: {
+              amount: { type: 'number' },
+              currency: { type: 'string' },
+              status: { type: 'string' }
+            }
+          },
+          checkedInAt: { type: 'string', format: 'date-time', description: 'When the patient checked in at the clinic' },
+          consultationStartedAt: { type: 'string', format: 'date-time' },
+          completedAt: { type: 'string', format: 'date-time' },
+          noShowAt: { type: 'string', format: 'date-time' }
+        }
+      },
       AvailabilitySlot: {
         type: 'object',
         properties: {
           _id: { type: 'string', example: '60d5ecb74b24c72b8c8b4567' },
           doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
           scheduleId: { type: 'string', example: '60d5ecb74b24c72b8c8b4569' },
+          exceptionId: { type: 'string', description: 'Extra session or modified hours that created the slot' },
           date: { type: 'string', format: 'date', example: '2024-01-01' },
+          location: { type: 'string', example: 'City Hospital, Block B' },
           startTime: { type: 'string', format: 'time', example: '09:00' },
           endTime: { type: 'string', format: 'time', example: '09:30' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone of the wall times' },
+          startAt: { type: 'string', format: 'date-time', description: 'UTC instant the slot starts' },
+          endAt: { type: 'string', format: 'date-time', description: 'UTC instant the slot ends' },
           status: { type: 'string', enum: ['available', 'booked', 'blocked', 'cancelled'], example: 'available' },
           patientId: { type: 'string' },
           notes: { type: 'string' },
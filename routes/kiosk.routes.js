@@ -0,0 +1,80 @@
+import express from 'express';
+import { authenticateKiosk } from '../middlewares/auth.js';
+import { kioskCheckIn } from '../controllers/kiosk/checkIn.controller.js';
+import ApiResponse from '../utils/ApiResponse.util.js';
+
+const router = express.Router();
+
+// Kiosks authenticate with a shared device token rather than a user login
+router.use(authenticateKiosk);
+
+router.post('/check-in', async (req, res, next) => {
+  try {
+    const result = await kioskCheckIn(req.body);
+    ApiResponse.success(result, 'Checked in successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
+
+// Swagger configuration for kiosk routes
+const swaggerConfig = {
+  paths: {
+    '/kiosk/check-in': {
+      post: {
+        summary: 'Self check-in at a kiosk',
+        description: 'Check a patient in with the appointment ID from their booking confirmation. Only paid appointments can be checked in, on the day of the appointment.',
+        tags: ['Kiosk'],
+        security: [{ KioskToken: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['appointmentId'],
+                properties: {
+                  appointmentId: { type: 'string', example: 'APT-1705312800000-AB12C' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Checked in successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/CheckIn' }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Appointment unpaid, already checked in or not today' },
+          401: { description: 'Missing or invalid kiosk token' },
+          404: { description: 'Appointment not found' },
+          409: { description: 'The patient was checked in at the same moment at the desk' }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      KioskToken: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Kiosk-Token'
+      }
+    }
+  }
+};
+
+export { swaggerConfig };
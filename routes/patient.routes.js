@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate, authorize } from '../middlewares/auth.js';
+import { allowStreamTicket, authenticate, authorize } from '../middlewares/auth.js';
 import {
   getAvailableDoctors,
   getDoctorDetails,
@@ -9,20 +9,42 @@ import {
   cancelAppointment,
   confirmAppointmentPayment,
   getAppointmentDetails,
-  rescheduleAppointment
+  rescheduleAppointment,
+  holdSlot,
+  streamDoctorSlotUpdates,
+  acceptReassignment,
+  declineReassignment
 } from '../controllers/patient/appointment.controller.js';
+import {
+  joinWaitlist,
+  getPatientWaitlist,
+  declineWaitlistOffer,
+  leaveWaitlist
+} from '../controllers/patient/waitlist.controller.js';
+import {
+  getAppointmentInvoices,
+  downloadInvoice
+} from '../controllers/patient/invoice.controller.js';
+import {
+  getInsurancePlans,
+  getInsurance,
+  updateInsurance
+} from '../controllers/patient/insurance.controller.js';
 import ApiResponse from '../utils/ApiResponse.util.js';
 import ApiError from '../utils/ApiError.util.js';
 
 const router = express.Router();
 
+// EventSource cannot send headers, so the slot stream also accepts a stream ticket as a query parameter
+router.use('/doctors/:doctorId/slots/stream', allowStreamTicket);
+
 // All routes require authentication
 router.use(authenticate);
 
 // Public routes for browsing doctors (authenticated users)
 router.get('/doctors', async (req, res, next) => {
   try {
-    const result = await getAvailableDoctors(req.query);
+    const result = await getAvailableDoctors(req.query, req.user);
     ApiResponse.success(result, 'Available doctors retrieved successfully').send(res);
   } catch (error) {
     next(error);
@@ -31,7 +53,7 @@ router.get('/doctors', async (req, res, next) => {
 
 router.get('/doctors/:doctorId', async (req, res, next) => {
   try {
-    const result = await getDoctorDetails(req.params.doctorId);
+    const result = await getDoctorDetails(req.params.doctorId, req.user);
     ApiResponse.success(result, 'Doctor details retrieved successfully').send(res);
   } catch (error) {
     next(error);
@@ -44,13 +66,30 @@ router.get('/doctors/:doctorId/slots', async (req, res, next) => {
     if (!date) {
       throw ApiError.badRequest('Date is required');
     }
-    const result = await getDoctorAvailableSlots(req.params.doctorId, date);
+    const result = await getDoctorAvailableSlots(req.params.doctorId, date, req.user, req.query.appointmentType);
     ApiResponse.success(result, 'Doctor available slots retrieved successfully').send(res);
   } catch (error) {
     next(error);
   }
 });
 
+router.get('/doctors/:doctorId/slots/stream', async (req, res, next) => {
+  try {
+    await streamDoctorSlotUpdates(req.params.doctorId, req.query, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/slots/:slotId/hold', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await holdSlot(req.user, req.params.slotId);
+    ApiResponse.success(result, 'Slot held successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Appointment booking routes
 router.post('/appointments/book/:slotId', authorize('patient'), async (req, res, next) => {
   try {
@@ -92,6 +131,24 @@ router.put('/appointments/:appointmentId/reschedule/:newSlotId', authorize('pati
   }
 });
 
+router.put('/appointments/:appointmentId/reassignment/accept', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await acceptReassignment(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Substitute doctor accepted').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointments/:appointmentId/reassignment/decline', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await declineReassignment(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Substitute doctor declined and appointment cancelled').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.delete('/appointments/:appointmentId', authorize('patient'), async (req, res, next) => {
   try {
     const result = await cancelAppointment(req.user, req.params.appointmentId, req.body);
@@ -110,6 +167,99 @@ router.get('/appointments', authorize('patient'), async (req, res, next) => {
   }
 });
 
+// Waitlist routes
+router.post('/waitlist', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await joinWaitlist(req.user, req.body);
+    ApiResponse.created(result, 'Added to waitlist successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/waitlist', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await getPatientWaitlist(req.user, req.query);
+    ApiResponse.success(result, 'Waitlist entries retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/waitlist/:entryId/decline', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await declineWaitlistOffer(req.user, req.params.entryId);
+    ApiResponse.success(result, 'Waitlist offer declined').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/waitlist/:entryId', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await leaveWaitlist(req.user, req.params.entryId);
+    ApiResponse.success(result, 'Removed from waitlist successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invoice routes
+router.get('/appointments/:appointmentId/invoices', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await getAppointmentInvoices(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Invoices retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/invoices/:invoiceNumber', authorize('patient'), async (req, res, next) => {
+  try {
+    const file = await downloadInvoice(req.user, req.params.invoiceNumber, { format: req.query.format });
+    res.type(file.contentType).attachment(file.filename).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/invoices/:invoiceNumber/receipt', authorize('patient'), async (req, res, next) => {
+  try {
+    const file = await downloadInvoice(req.user, req.params.invoiceNumber, { format: req.query.format, receipt: true });
+    res.type(file.contentType).attachment(file.filename).send(file.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Insurance routes
+router.get('/insurance/plans', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await getInsurancePlans();
+    ApiResponse.success(result, 'Insurance plans retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/insurance', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await getInsurance(req.user);
+    ApiResponse.success(result, 'Insurance retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/insurance', authorize('patient'), async (req, res, next) => {
+  try {
+    const result = await updateInsurance(req.user, req.body);
+    ApiResponse.success(result, 'Insurance updated successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
 // Swagger configuration for patient routes
@@ -275,6 +425,12 @@ const swaggerConfig = {
             required: true,
             schema: { type: 'string', format: 'date' },
             description: 'Date to check availability (YYYY-MM-DD)'
+          },
+          {
+            in: 'query',
+            name: 'appointmentType',
+            schema: { type: 'string', enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'] },
+            description: 'Only list slots this appointment type can be booked in, on their own or with the free slots straight after them'
           }
         ],
         responses: {
@@ -296,6 +452,9 @@ const swaggerConfig = {
                           date: { type: 'string', format: 'date' },
                           startTime: { type: 'string', format: 'time' },
                           endTime: { type: 'string', format: 'time' },
+                          timezone: { type: 'string' },
+                          startAt: { type: 'string', format: 'date-time' },
+                          endAt: { type: 'string', format: 'date-time' },
                           status: { type: 'string', enum: ['available', 'booked', 'blocked', 'cancelled'] }
                         }
                       }
@@ -305,16 +464,117 @@ const swaggerConfig = {
               }
             }
           },
-          400: { description: 'Date is required' },
+          400: { description: 'Date is required, or the doctor does not offer the appointment type' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Doctor not found' }
+        }
+      }
+    },
+    '/patient/doctors/{doctorId}/slots/stream': {
+      get: {
+        summary: 'Stream doctor slot changes',
+        description: 'Server-Sent Events stream of slot changes. Sends slot_update events, a heartbeat comment every SLOT_STREAM_HEARTBEAT_INTERVAL seconds, and a resync event when a Last-Event-ID can no longer be resumed from, in which case the client should reload the slots. Browsers using EventSource may instead pass a ticket from POST /auth/stream-ticket as the ticket query parameter.',
+        tags: ['Patient - Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'doctorId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Doctor ID'
+          },
+          {
+            in: 'query',
+            name: 'date',
+            schema: { type: 'string', format: 'date' },
+            description: 'Only stream changes to slots on this date (YYYY-MM-DD)'
+          },
+          {
+            in: 'query',
+            name: 'ticket',
+            schema: { type: 'string' },
+            description: 'Single-use stream ticket, for clients that cannot send the Authorization header'
+          },
+          {
+            in: 'header',
+            name: 'Last-Event-ID',
+            schema: { type: 'string' },
+            description: 'ID of the last event received, to replay missed events after a reconnect'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Event stream opened',
+            content: {
+              'text/event-stream': {
+                schema: { $ref: '#/components/schemas/SlotUpdateEvent' }
+              }
+            }
+          },
+          400: { description: 'Invalid date' },
           401: { description: 'Unauthorized' },
           404: { description: 'Doctor not found' }
         }
       }
     },
+    '/patient/slots/{slotId}/hold': {
+      post: {
+        summary: 'Hold a slot during checkout',
+        description: 'Reserve an available slot for the authenticated patient while they complete the booking. Held slots are hidden from other patients until the hold is booked or expires. Holding a new slot releases any other checkout hold of the patient.',
+        tags: ['Patient - Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'slotId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Slot ID to hold'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Slot held successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        hold: {
+                          type: 'object',
+                          properties: {
+                            slotId: { type: 'string' },
+                            doctorId: { type: 'string' },
+                            date: { type: 'string', format: 'date' },
+                            startTime: { type: 'string', format: 'time' },
+                            endTime: { type: 'string', format: 'time' },
+                            expiresAt: { type: 'string', format: 'date-time' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Slot is not available or in the past' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Slot not found' },
+          409: { description: 'Slot is currently held for another patient' }
+        }
+      }
+    },
     '/patient/appointments/book/{slotId}': {
       post: {
         summary: 'Book appointment',
-        description: 'Book an available time slot with a doctor',
+        description: 'Book an available time slot with a doctor. The appointment type (a new consultation by default) sets the fee and how long the appointment lasts. A longer type also books the free slots straight after the slot, which are freed again when the appointment is cancelled, rescheduled or released unpaid; a shorter one gives the rest of the slot back as a new free slot offered to the waitlist. Doctors without appointment types are booked for the whole slot at the standard fee',
         tags: ['Patient - Appointments'],
         security: [{ Authorization: [] }],
         parameters: [
@@ -334,7 +594,20 @@ const swaggerConfig = {
                 type: 'object',
                 properties: {
                   notes: { type: 'string', example: 'Initial consultation for chest pain' },
-                  reason: { type: 'string', example: 'Regular checkup' }
+                  reason: { type: 'string', example: 'Regular checkup' },
+                  appointmentType: {
+                    type: 'string',
+                    enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'],
+                    example: 'follow_up',
+                    description: 'Defaults to new_consultation for doctors with appointment types'
+                  },
+                  promoCode: { type: 'string', example: 'SPRING20', description: 'Discount code. The fee before the discount, the code and the discount are recorded on the payment, and the use is counted with the booking so a cap cannot be overrun. A booking it covers in full is confirmed without payment; refunds are worked out from the amount actually paid' },
+                  paymentMethod: {
+                    type: 'string',
+                    enum: ['card', 'bank_transfer', 'cash', 'insurance'],
+                    default: 'card',
+                    description: 'With insurance the plan in the patient\'s profile covers its share of the fee and the patient pays the rest; the split is recorded on the payment. A doctor the plan does not cover is refused'
+                  }
                 }
               }
             }
@@ -363,8 +636,50 @@ const swaggerConfig = {
                             date: { type: 'string', format: 'date' },
                             startTime: { type: 'string', format: 'time' },
                             endTime: { type: 'string', format: 'time' },
+                            timezone: { type: 'string' },
+                            startAt: { type: 'string', format: 'date-time' },
+                            endAt: { type: 'string', format: 'date-time' },
                             status: { type: 'string', example: 'confirmed' },
                             notes: { type: 'string' },
+                            appointmentType: {
+                              type: 'object',
+                              properties: {
+                                code: { type: 'string', example: 'follow_up' },
+                                name: { type: 'string', example: 'Follow-up' },
+                                durationMinutes: { type: 'integer', example: 15 },
+                                price: { type: 'number', example: 60 }
+                              }
+                            },
+                            payment: {
+                              type: 'object',
+                              properties: {
+                                amount: { type: 'number', example: 48, description: 'Amount to pay, after any discount and insurance share' },
+                                originalAmount: { type: 'number', example: 60, description: 'Fee before the discount' },
+                                discount: {
+                                  type: 'object',
+                                  properties: {
+                                    code: { type: 'string', example: 'SPRING20' },
+                                    amount: { type: 'number', example: 12 }
+                                  }
+                                },
+                                insurance: {
+                                  type: 'object',
+                                  description: 'Present when paying by insurance',
+                                  properties: {
+                                    provider: { type: 'string', example: 'Acme Health' },
+                                    planName: { type: 'string', example: 'Gold PPO' },
+                                    policyNumber: { type: 'string' },
+                                    inNetwork: { type: 'boolean', example: true },
+                                    insurerShare: { type: 'number', example: 28.8, description: 'Claimed from the insurer once the appointment is completed' },
+                                    patientShare: { type: 'number', example: 19.2 }
+                                  }
+                                },
+                                currency: { type: 'string', example: 'USD' },
+                                status: { type: 'string', enum: ['pending', 'paid'] },
+                                paymentUrl: { type: 'string' },
+                                expiresAt: { type: 'string', format: 'date-time' }
+                              }
+                            },
                             createdAt: { type: 'string', format: 'date-time' }
                           }
                         },
@@ -383,6 +698,7 @@ const swaggerConfig = {
               }
             }
           },
+          400: { description: 'Appointment type not offered by the doctor, slot too short for it, promo code not valid for the booking, or insurance not covering it' },
           401: { description: 'Unauthorized' },
           403: { description: 'Forbidden - Patient access required' },
           404: { description: 'Slot not found' },
@@ -454,6 +770,9 @@ const swaggerConfig = {
                               date: { type: 'string', format: 'date' },
                               startTime: { type: 'string', format: 'time' },
                               endTime: { type: 'string', format: 'time' },
+                              timezone: { type: 'string' },
+                              startAt: { type: 'string', format: 'date-time' },
+                              endAt: { type: 'string', format: 'date-time' },
                               status: { type: 'string', enum: ['pending', 'confirmed', 'completed', 'cancelled'] },
                               notes: { type: 'string' },
                               createdAt: { type: 'string', format: 'date-time' }
@@ -504,7 +823,7 @@ const swaggerConfig = {
                 type: 'object',
                 properties: {
                   paymentMethod: { type: 'string', enum: ['card', 'upi', 'wallet'], example: 'card' },
-                  transactionId: { type: 'string', example: 'txn_123456789' },
+                  transactionId: { type: 'string', example: 'TXN-1A2B3C-000001', description: 'Transaction started when the appointment was booked' },
                   amount: { type: 'number', example: 500 }
                 },
                 required: ['paymentMethod', 'transactionId', 'amount']
@@ -602,6 +921,9 @@ const swaggerConfig = {
                             date: { type: 'string', format: 'date' },
                             startTime: { type: 'string', format: 'time' },
                             endTime: { type: 'string', format: 'time' },
+                            timezone: { type: 'string' },
+                            startAt: { type: 'string', format: 'date-time' },
+                            endAt: { type: 'string', format: 'date-time' },
                             status: { type: 'string', enum: ['pending', 'confirmed', 'completed', 'cancelled'] },
                             paymentStatus: { type: 'string', enum: ['pending', 'paid', 'refunded'] },
                             notes: { type: 'string' },
@@ -698,7 +1020,7 @@ const swaggerConfig = {
     '/patient/appointments/{appointmentId}/reschedule/{newSlotId}': {
       put: {
         summary: 'Reschedule appointment',
-        description: 'Reschedule an existing appointment to a new time slot',
+        description: 'Move an existing appointment to another slot with the same doctor in a single transaction. The payment carries over to the new appointment, which is linked to the original one. If the move fails the original appointment is kept.',
         tags: ['Patient - Appointments'],
         security: [{ Authorization: [] }],
         parameters: [
@@ -751,6 +1073,11 @@ const swaggerConfig = {
                             date: { type: 'string', format: 'date' },
                             startTime: { type: 'string', format: 'time' },
                             endTime: { type: 'string', format: 'time' },
+                            timezone: { type: 'string' },
+                            startAt: { type: 'string', format: 'date-time' },
+                            endAt: { type: 'string', format: 'date-time' },
+                            appointmentId: { type: 'string' },
+                            previousAppointmentId: { type: 'string' },
                             status: { type: 'string', example: 'confirmed' },
                             rescheduledAt: { type: 'string', format: 'date-time' }
                           }
@@ -760,7 +1087,10 @@ const swaggerConfig = {
                           properties: {
                             date: { type: 'string', format: 'date' },
                             startTime: { type: 'string', format: 'time' },
-                            endTime: { type: 'string', format: 'time' }
+                            endTime: { type: 'string', format: 'time' },
+                            timezone: { type: 'string' },
+                            startAt: { type: 'string', format: 'date-time' },
+                            endAt: { type: 'string', format: 'date-time' }
                           }
                         },
                         newSlot: {
@@ -768,7 +1098,10 @@ const swaggerConfig = {
                           properties: {
                             date: { type: 'string', format: 'date' },
                             startTime: { type: 'string', format: 'time' },
-                            endTime: { type: 'string', format: 'time' }
+                            endTime: { type: 'string', format: 'time' },
+                            timezone: { type: 'string' },
+                            startAt: { type: 'string', format: 'date-time' },
+                            endAt: { type: 'string', format: 'date-time' }
                           }
                         }
                       }
@@ -778,10 +1111,347 @@ const swaggerConfig = {
               }
             }
           },
+          400: { description: 'Slot not available, with a different doctor, or within 2 hours of the appointment' },
           401: { description: 'Unauthorized' },
-          403: { description: 'Forbidden - Not appointment owner' },
           404: { description: 'Appointment or new slot not found' },
-          409: { description: 'Cannot reschedule within 24 hours or slot not available' }
+          409: { description: 'Slot is currently held for another patient' }
+        }
+      }
+    },
+    '/patient/appointments/{appointmentId}/reassignment/accept': {
+      put: {
+        summary: 'Accept substitute doctor',
+        description: 'Keep an appointment the clinic moved to a substitute doctor',
+        tags: ['Patient - Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Reassigned appointment ID' }
+        ],
+        responses: {
+          200: { description: 'Substitute doctor accepted' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'No reassignment awaiting a response for this appointment' }
+        }
+      }
+    },
+    '/patient/appointments/{appointmentId}/reassignment/decline': {
+      put: {
+        summary: 'Decline substitute doctor',
+        description: 'Cancel an appointment the clinic moved to a substitute doctor. Whatever was paid is refunded in full, regardless of the cancellation policy and its cutoff.',
+        tags: ['Patient - Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Reassigned appointment ID' }
+        ],
+        responses: {
+          200: { description: 'Substitute doctor declined and appointment cancelled' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'No reassignment awaiting a response for this appointment' }
+        }
+      }
+    },
+    '/patient/waitlist': {
+      post: {
+        summary: 'Join a doctor\'s waitlist',
+        description: 'Register interest in a fully booked doctor for a date range and time-of-day window. When a matching slot frees up it is held for the first patient in line, who is notified and can book it before the hold expires.',
+        tags: ['Patient - Waitlist'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['doctorId', 'dateFrom', 'dateTo'],
+                properties: {
+                  doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
+                  dateFrom: { type: 'string', format: 'date', example: '2024-01-01' },
+                  dateTo: { type: 'string', format: 'date', example: '2024-01-14' },
+                  timeFrom: { type: 'string', format: 'time', example: '09:00' },
+                  timeTo: { type: 'string', format: 'time', example: '12:00' },
+                  notes: { type: 'string', example: 'Mornings preferred' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Added to waitlist successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        entry: { $ref: '#/components/schemas/WaitlistEntry' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid date or time range' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Doctor not found' },
+          409: { description: 'Already on the waitlist for this doctor' }
+        }
+      },
+      get: {
+        summary: 'Get waitlist entries',
+        description: 'Retrieve the authenticated patient\'s waitlist entries, including any slot currently held for them',
+        tags: ['Patient - Waitlist'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'status', schema: { type: 'string', enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'] }, description: 'Filter by entry status' }
+        ],
+        responses: {
+          200: { description: 'Waitlist entries retrieved successfully' },
+          401: { description: 'Unauthorized' }
+        }
+      }
+    },
+    '/patient/waitlist/{entryId}/decline': {
+      put: {
+        summary: 'Decline a waitlist offer',
+        description: 'Release the slot held for the patient so it goes to the next patient. The patient stays on the waitlist.',
+        tags: ['Patient - Waitlist'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'entryId', required: true, schema: { type: 'string' }, description: 'Waitlist entry ID' }
+        ],
+        responses: {
+          200: { description: 'Waitlist offer declined' },
+          400: { description: 'No slot is currently offered' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Waitlist entry not found' }
+        }
+      }
+    },
+    '/patient/waitlist/{entryId}': {
+      delete: {
+        summary: 'Leave a waitlist',
+        description: 'Remove the waitlist entry. A slot held for the patient is passed to the next patient.',
+        tags: ['Patient - Waitlist'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'entryId', required: true, schema: { type: 'string' }, description: 'Waitlist entry ID' }
+        ],
+        responses: {
+          200: { description: 'Removed from waitlist successfully' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Waitlist entry not found' }
+        }
+      }
+    },
+    '/patient/appointments/{appointmentId}/invoices': {
+      get: {
+        summary: 'Get appointment invoices',
+        description: 'Invoice and credit notes of an appointment. The invoice is issued once the appointment is paid and a credit note for each processed refund; any that are due but missing are issued by this request. Invoices are numbered INV-<year>-<sequence> and credit notes CN-<year>-<sequence>. An invoice itemises the appointment type\'s price, or the base fee with the experience and specialization surcharges, and any walk-in surcharge, less the promo code discount and the insurer\'s share; tax at INVOICE_TAX_RATE is included in the fee. Rescheduling voids the invoice and issues it again for the new appointment.',
+        tags: ['Patient - Invoices'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'Invoices retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointmentId: { type: 'string' },
+                        invoices: { type: 'array', items: { $ref: '#/components/schemas/Invoice' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Appointment not found' }
+        }
+      }
+    },
+    '/patient/invoices/{invoiceNumber}': {
+      get: {
+        summary: 'Download an invoice or credit note',
+        tags: ['Patient - Invoices'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'invoiceNumber', required: true, schema: { type: 'string' }, example: 'INV-2024-000042' },
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['pdf', 'html'], default: 'pdf' } }
+        ],
+        responses: {
+          200: {
+            description: 'Document file',
+            content: {
+              'application/pdf': { schema: { type: 'string', format: 'binary' } },
+              'text/html': { schema: { type: 'string' } }
+            }
+          },
+          400: { description: 'Unsupported format' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Invoice not found' }
+        }
+      }
+    },
+    '/patient/invoices/{invoiceNumber}/receipt': {
+      get: {
+        summary: 'Download a payment receipt',
+        description: 'Receipt confirming payment of an invoice, with the payment date, method and transaction.',
+        tags: ['Patient - Invoices'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'invoiceNumber', required: true, schema: { type: 'string' }, example: 'INV-2024-000042' },
+          { in: 'query', name: 'format', schema: { type: 'string', enum: ['pdf', 'html'], default: 'pdf' } }
+        ],
+        responses: {
+          200: {
+            description: 'Document file',
+            content: {
+              'application/pdf': { schema: { type: 'string', format: 'binary' } },
+              'text/html': { schema: { type: 'string' } }
+            }
+          },
+          400: { description: 'Unsupported format, or the document is a credit note' },
+          401: { description: 'Unauthorized' },
+          404: { description: 'Invoice not found' }
+        }
+      }
+    },
+    '/patient/insurance/plans': {
+      get: {
+        summary: 'List accepted insurance plans',
+        tags: ['Patient - Insurance'],
+        security: [{ Authorization: [] }],
+        responses: {
+          200: {
+            description: 'Insurance plans retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        plans: { type: 'array', items: { $ref: '#/components/schemas/PatientInsurancePlan' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Patient access required' }
+        }
+      }
+    },
+    '/patient/insurance': {
+      get: {
+        summary: 'Get my insurance',
+        tags: ['Patient - Insurance'],
+        security: [{ Authorization: [] }],
+        responses: {
+          200: {
+            description: 'Insurance retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        insurance: {
+                          type: 'object',
+                          properties: {
+                            provider: { type: 'string' },
+                            policyNumber: { type: 'string' },
+                            plan: { $ref: '#/components/schemas/PatientInsurancePlan' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Patient access required' }
+        }
+      },
+      put: {
+        summary: 'Set my insurance',
+        description: 'Choose the plan and policy number that cover bookings paid by insurance',
+        tags: ['Patient - Insurance'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['planId', 'policyNumber'],
+                properties: {
+                  planId: { type: 'string' },
+                  policyNumber: { type: 'string', example: 'POL-123456' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Insurance updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        insurance: {
+                          type: 'object',
+                          properties: {
+                            provider: { type: 'string' },
+                            policyNumber: { type: 'string' },
+                            plan: { $ref: '#/components/schemas/PatientInsurancePlan' }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Plan and policy number are required' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Patient access required' },
+          404: { description: 'Insurance plan not found' }
         }
       }
     }
@@ -795,6 +1465,104 @@ const swaggerConfig = {
       }
     },
     schemas: {
+      PatientInsurancePlan: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', example: 'Gold PPO' },
+          provider: { type: 'string', example: 'Acme Health' },
+          description: { type: 'string' },
+          copay: { type: 'number', example: 20 },
+          coveragePercent: { type: 'number', example: 80 },
+          outOfNetworkCoveragePercent: { type: 'number', example: 0 },
+          isActive: { type: 'boolean', description: 'Only on the patient\'s own plan' }
+        }
+      },
+      Invoice: {
+        type: 'object',
+        description: 'Invoice for a paid appointment, or a credit note for money refunded against it. Fees include tax.',
+        properties: {
+          invoiceNumber: { type: 'string', example: 'INV-2024-000042' },
+          type: { type: 'string', enum: ['invoice', 'credit_note'] },
+          status: { type: 'string', enum: ['issued', 'void'] },
+          appointmentId: { type: 'string' },
+          relatedInvoiceNumber: { type: 'string', description: 'Invoice a credit note reduces', example: 'INV-2024-000042' },
+          issuedAt: { type: 'string', format: 'date-time' },
+          billTo: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          },
+          provider: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              specialization: { type: 'string' },
+              hospital: { type: 'string' }
+            }
+          },
+          currency: { type: 'string', example: 'USD' },
+          lineItems: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: ['appointment_type', 'base_fee', 'experience_surcharge', 'specialization_surcharge', 'walk_in_surcharge', 'discount', 'insurance', 'adjustment', 'refund'] },
+                description: { type: 'string', example: 'Senior doctor surcharge' },
+                amount: { type: 'number', example: 50 }
+              }
+            }
+          },
+          subtotal: { type: 'number', example: 180 },
+          taxRate: { type: 'number', description: 'Tax rate in percent included in the amounts', example: 10 },
+          taxAmount: { type: 'number', example: 16.36 },
+          total: { type: 'number', example: 180 },
+          voidedAt: { type: 'string', format: 'date-time' },
+          voidReason: { type: 'string' }
+        }
+      },
+      SlotUpdateEvent: {
+        type: 'object',
+        description: 'Data of a slot_update event. Each event carries an id: line to resume from with Last-Event-ID.',
+        properties: {
+          slotId: { type: 'string', example: '60d5ecb74b24c72b8c8b4567' },
+          doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
+          date: { type: 'string', format: 'date', example: '2024-01-15' },
+          startTime: { type: 'string', format: 'time', example: '10:00' },
+          endTime: { type: 'string', format: 'time', example: '10:30' },
+          timezone: { type: 'string', example: 'America/New_York' },
+          startAt: { type: 'string', format: 'date-time' },
+          endAt: { type: 'string', format: 'date-time' },
+          action: { type: 'string', example: 'booked', description: 'What happened to the slot, e.g. booked, cancelled, blocked, unblocked, held' },
+          status: { type: 'string', enum: ['available', 'booked', 'blocked', 'cancelled'], example: 'booked' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      WaitlistEntry: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          patientId: { type: 'string' },
+          doctorId: { type: 'string' },
+          dateFrom: { type: 'string', format: 'date-time' },
+          dateTo: { type: 'string', format: 'date-time' },
+          timeFrom: { type: 'string', format: 'time', example: '09:00' },
+          timeTo: { type: 'string', format: 'time', example: '12:00' },
+          status: { type: 'string', enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'] },
+          offer: {
+            type: 'object',
+            properties: {
+              slotId: { type: 'string' },
+              offeredAt: { type: 'string', format: 'date-time' },
+              expiresAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
       User: {
         type: 'object',
         properties: {
@@ -829,7 +1597,8 @@ const swaggerConfig = {
               licenseNumber: { type: 'string', example: 'MD123456' },
               experience: { type: 'number', example: 10 },
               qualifications: { type: 'array', items: { type: 'string' }, example: ['MD', 'Board Certified'] },
-              hospital: { type: 'string', example: 'General Hospital' }
+              hospital: { type: 'string', example: 'General Hospital' },
+              timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone slots are generated in' }
             }
           },
           isActive: { type: 'boolean', example: true },
@@ -846,6 +1615,7 @@ const swaggerConfig = {
           startTime: { type: 'string', format: 'time', example: '09:00' },
           endTime: { type: 'string', format: 'time', example: '17:00' },
           slotDuration: { type: 'number', example: 30 },
+          location: { type: 'string', example: 'City Hospital, Block B' },
           isActive: { type: 'boolean', example: true },
           breakTimes: {
             type: 'array',
@@ -871,7 +1641,10 @@ const swaggerConfig = {
           date: { type: 'string', format: 'date', example: '2024-01-15' },
           startTime: { type: 'string', format: 'time', example: '10:00' },
           endTime: { type: 'string', format: 'time', example: '10:30' },
-          status: { type: 'string', enum: ['pending', 'confirmed', 'completed', 'cancelled'], example: 'confirmed' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone of the wall times' },
+          startAt: { type: 'string', format: 'date-time', description: 'UTC instant the appointment starts' },
+          endAt: { type: 'string', format: 'date-time', description: 'UTC instant the appointment ends' },
+          status: { type: 'string', enum: ['pending', 'confirmed', 'checked_in', 'in_consultation', 'completed', 'cancelled', 'no_show', 'rescheduled'], example: 'confirmed' },
           paymentStatus: { type: 'string', enum: ['pending', 'paid', 'refunded'], example: 'paid' },
           notes: { type: 'string', example: 'Initial consultation for chest pain' },
           reason: { type: 'string', example: 'Regular checkup' },
@@ -887,7 +1660,44 @@ const swaggerConfig = {
             }
           },
           cancelledAt: { type: 'string', format: 'date-time' },
+          cancellationPolicy: {
+            type: 'object',
+            description: 'Cancellation terms snapshotted at booking; cancellations by the doctor or clinic are refunded in full',
+            properties: {
+              name: { type: 'string', example: 'Standard cancellation policy' },
+              scope: { type: 'string', enum: ['global', 'clinic', 'doctor', 'default'] },
+              tiers: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    minHoursBefore: { type: 'number', example: 24 },
+                    refundPercent: { type: 'number', example: 100 }
+                  }
+                }
+              },
+              cancellationFee: { type: 'number', example: 0 },
+              cutoffHours: { type: 'number', example: 2 },
+              appliedAt: { type: 'string', format: 'date-time' }
+            }
+          },
           rescheduledAt: { type: 'string', format: 'date-time' },
+          rescheduledFrom: { type: 'string', description: 'Appointment this one was rescheduled from' },
+          rescheduledTo: { type: 'string', description: 'Appointment this one was rescheduled to' },
+          reassignment: {
+            type: 'object',
+            description: 'Set when the clinic moved the appointment to a substitute doctor',
+            properties: {
+              fromDoctorId: { type: 'string' },
+              reassignedAt: { type: 'string', format: 'date-time' },
+              originalFee: { type: 'number', example: 150 },
+              newFee: { type: 'number', example: 120 },
+              refundedDifference: { type: 'number', example: 30 },
+              differenceRefundStatus: { type: 'string', enum: ['none', 'pending', 'processed', 'failed'] },
+              response: { type: 'string', enum: ['pending', 'accepted', 'declined'] },
+              respondedAt: { type: 'string', format: 'date-time' }
+            }
+          },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' }
         }
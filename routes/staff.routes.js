@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticate, authorize } from '../middlewares/auth.js';
+import { allowStreamTicket, authenticate, authorize } from '../middlewares/auth.js';
 import {
   getDoctorsForStaff,
   getDoctorSlotsForStaff,
@@ -7,12 +7,24 @@ import {
   unblockSlot,
   bulkBlockSlots,
   bulkUnblockSlots,
-  getSlotStatistics
+  getSlotStatistics,
+  streamSlotUpdates,
+  setSlotOverbookLimit
 } from '../controllers/staff/slotManagement.controller.js';
+import {
+  checkInPatient,
+  startConsultation,
+  getDoctorQueueForStaff
+} from '../controllers/staff/waitingRoom.controller.js';
+import { findPatients, bookWalkIn, recordDeskRefund } from '../controllers/staff/walkIn.controller.js';
+import { cancelDoctorAppointments } from '../controllers/staff/massCancellation.controller.js';
 import ApiResponse from '../utils/ApiResponse.util.js';
 
 const router = express.Router();
 
+// EventSource cannot send headers, so the slot stream also accepts a stream ticket as a query parameter
+router.use('/slots/stream', allowStreamTicket);
+
 // All routes require authentication and staff authorization
 router.use(authenticate);
 router.use(authorize('staff'));
@@ -37,6 +49,14 @@ router.get('/doctors/:doctorId/slots', async (req, res, next) => {
   }
 });
 
+router.get('/slots/stream', async (req, res, next) => {
+  try {
+    await streamSlotUpdates(req.query, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.put('/slots/:slotId/block', async (req, res, next) => {
   try {
     const { reason } = req.body;
@@ -56,6 +76,15 @@ router.put('/slots/:slotId/unblock', async (req, res, next) => {
   }
 });
 
+router.put('/slots/:slotId/overbook', async (req, res, next) => {
+  try {
+    const result = await setSlotOverbookLimit(req.user, req.params.slotId, req.body.limit);
+    ApiResponse.success(result, 'Slot overbook limit updated').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.put('/slots/bulk/block', async (req, res, next) => {
   try {
     const { slotIds, reason } = req.body;
@@ -86,6 +115,77 @@ router.get('/statistics/slots', async (req, res, next) => {
   }
 });
 
+// Walk-in routes
+router.get('/patients', async (req, res, next) => {
+  try {
+    const result = await findPatients(req.query);
+    ApiResponse.success(result, 'Patients retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/appointments/walk-in', async (req, res, next) => {
+  try {
+    const result = await bookWalkIn(req.user, {
+      ...req.body,
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip
+    });
+    ApiResponse.created(result, 'Walk-in appointment booked successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointments/:appointmentId/desk-refund', async (req, res, next) => {
+  try {
+    const result = await recordDeskRefund(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Desk refund recorded successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Waiting-room routes
+router.put('/appointments/:appointmentId/check-in', async (req, res, next) => {
+  try {
+    const result = await checkInPatient(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Patient checked in successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/appointments/:appointmentId/start', async (req, res, next) => {
+  try {
+    const result = await startConsultation(req.user, req.params.appointmentId);
+    ApiResponse.success(result, 'Consultation started').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/doctors/:doctorId/queue', async (req, res, next) => {
+  try {
+    const result = await getDoctorQueueForStaff(req.params.doctorId);
+    ApiResponse.success(result, 'Queue retrieved successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+
+// Mass cancellation when a doctor is unavailable
+router.post('/doctors/:doctorId/cancellations', async (req, res, next) => {
+  try {
+    const result = await cancelDoctorAppointments(req.user, req.params.doctorId, req.body);
+    ApiResponse.success(result, 'Appointments cancelled successfully').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
 // Swagger configuration for staff routes
@@ -255,6 +355,85 @@ const swaggerConfig = {
         }
       }
     },
+    '/staff/dashboard': {
+      get: {
+        summary: 'Front-desk dashboard (WebSocket)',
+        description: 'WebSocket endpoint, not a REST call. Authenticate with the Authorization header or, from a browser, a ticket from POST /auth/stream-ticket as the ticket query parameter; only staff may connect. On connect the server sends a subscribed message and a snapshot of today\'s slots with their bookings, then slot_update and appointment_update messages for followed doctors. Clients send JSON messages: { type: "subscribe" | "unsubscribe", doctorIds, departments }, { type: "snapshot" } and { type: "ping" }.',
+        tags: ['Staff - Slot Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'query',
+            name: 'doctorId',
+            schema: { type: 'string' },
+            description: 'Doctors to follow (comma separated IDs). Follows every doctor when neither doctorId nor department is given'
+          },
+          {
+            in: 'query',
+            name: 'department',
+            schema: { type: 'string' },
+            description: 'Specializations to follow (comma separated)'
+          },
+          {
+            in: 'query',
+            name: 'ticket',
+            schema: { type: 'string' },
+            description: 'Single-use stream ticket, for clients that cannot send the Authorization header'
+          }
+        ],
+        responses: {
+          101: { description: 'Switching to the WebSocket protocol' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' }
+        }
+      }
+    },
+    '/staff/slots/stream': {
+      get: {
+        summary: 'Stream slot changes across doctors',
+        description: 'Server-Sent Events stream of slot changes. Sends slot_update events, a heartbeat comment every SLOT_STREAM_HEARTBEAT_INTERVAL seconds, and a resync event when a Last-Event-ID can no longer be resumed from, in which case the client should reload the slots. Browsers using EventSource may instead pass a ticket from POST /auth/stream-ticket as the ticket query parameter.',
+        tags: ['Staff - Slot Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          {
+            in: 'query',
+            name: 'doctorId',
+            schema: { type: 'string' },
+            description: 'Only stream changes for these doctors (comma separated IDs)'
+          },
+          {
+            in: 'query',
+            name: 'date',
+            schema: { type: 'string', format: 'date' },
+            description: 'Only stream changes to slots on this date (YYYY-MM-DD)'
+          },
+          {
+            in: 'query',
+            name: 'ticket',
+            schema: { type: 'string' },
+            description: 'Single-use stream ticket, for clients that cannot send the Authorization header'
+          },
+          {
+            in: 'header',
+            name: 'Last-Event-ID',
+            schema: { type: 'string' },
+            description: 'ID of the last event received, to replay missed events after a reconnect'
+          }
+        ],
+        responses: {
+          200: {
+            description: 'Event stream opened',
+            content: {
+              'text/event-stream': {
+                schema: { $ref: '#/components/schemas/SlotUpdateEvent' }
+              }
+            }
+          },
+          400: { description: 'Invalid date' },
+          401: { description: 'Unauthorized' }
+        }
+      }
+    },
     '/staff/slots/{slotId}/block': {
       put: {
         summary: 'Block a slot',
@@ -542,6 +721,312 @@ const swaggerConfig = {
           403: { description: 'Forbidden - Staff access required' }
         }
       }
+    },
+    '/staff/appointments/{appointmentId}/check-in': {
+      put: {
+        summary: 'Check a patient in',
+        description: 'Mark a paid appointment as checked in on the day of the appointment. Returns the patient\'s place in the doctor\'s queue.',
+        tags: ['Staff - Waiting Room'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        responses: {
+          200: {
+            description: 'Patient checked in successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/CheckIn' }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Appointment unpaid, already checked in or not today' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Appointment not found' },
+          409: { description: 'The patient was checked in at the same moment from another desk or a kiosk' }
+        }
+      }
+    },
+    '/staff/appointments/{appointmentId}/start': {
+      put: {
+        summary: 'Start consultation',
+        description: 'Send a checked-in patient in to the doctor. Only one consultation per doctor can be in progress.',
+        tags: ['Staff - Waiting Room'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        responses: {
+          200: { description: 'Consultation started' },
+          400: { description: 'Patient has not checked in or appointment already closed' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Appointment not found' },
+          409: { description: 'The doctor is still in another consultation, or the consultation was just started' }
+        }
+      }
+    },
+    '/staff/doctors/{doctorId}/queue': {
+      get: {
+        summary: 'Get a doctor\'s waiting-room queue',
+        description: 'Today\'s queue in the doctor\'s timezone. Waits use the average length of today\'s finished consultations, or the slot length until one has finished.',
+        tags: ['Staff - Waiting Room'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' }, description: 'Doctor ID' }
+        ],
+        responses: {
+          200: {
+            description: 'Queue retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/WaitingRoomQueue' }
+                  }
+                }
+              }
+            }
+          },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Doctor not found' }
+        }
+      }
+    },
+    '/staff/slots/{slotId}/overbook': {
+      put: {
+        summary: 'Set a slot\'s overbook limit',
+        description: 'Allow up to this many extra walk-ins on top of the slot\'s regular booking. The limit cannot drop below the walk-ins already squeezed in.',
+        tags: ['Staff - Slot Management'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'slotId', required: true, schema: { type: 'string' }, description: 'Slot ID' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['limit'],
+                properties: {
+                  limit: { type: 'integer', minimum: 0, maximum: 5, example: 1 }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: { description: 'Slot overbook limit updated' },
+          400: { description: 'Invalid limit, blocked slot or limit below current overbookings' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Slot not found' }
+        }
+      }
+    },
+    '/staff/patients': {
+      get: {
+        summary: 'Find patients',
+        description: 'Look a patient up by email or phone before booking a walk-in',
+        tags: ['Staff - Walk-ins'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'query', name: 'email', schema: { type: 'string', format: 'email' }, description: 'Patient email' },
+          { in: 'query', name: 'phone', schema: { type: 'string' }, description: 'Patient phone number' }
+        ],
+        responses: {
+          200: { description: 'Patients retrieved successfully' },
+          400: { description: 'Neither email nor phone given' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' }
+        }
+      }
+    },
+    '/staff/appointments/walk-in': {
+      post: {
+        summary: 'Book a walk-in',
+        description: 'Book on behalf of a patient found by ID, email or phone, or a lightweight record created on the spot. Payment is taken at the desk and the walk-in surcharge applies. Give a slot, or squeeze the patient into the doctor\'s next free or overbookable slot today.',
+        tags: ['Staff - Walk-ins'],
+        security: [{ Authorization: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['patient'],
+                properties: {
+                  slotId: { type: 'string', description: 'Slot to book; a booked slot is overbooked if it has room' },
+                  doctorId: { type: 'string', description: 'Doctor to squeeze the patient in with' },
+                  squeezeIn: { type: 'boolean', example: true, description: 'Use the doctor\'s next free or overbookable slot today' },
+                  patient: {
+                    type: 'object',
+                    properties: {
+                      patientId: { type: 'string' },
+                      email: { type: 'string', format: 'email' },
+                      phone: { type: 'string', example: '555-0100' },
+                      name: { type: 'string', example: 'Jane Patient', description: 'Required when creating a new record' }
+                    }
+                  },
+                  reason: { type: 'string' },
+                  symptoms: { type: 'array', items: { type: 'string' } },
+                  notes: { type: 'string' },
+                  appointmentType: {
+                    type: 'string',
+                    enum: ['new_consultation', 'follow_up', 'procedure', 'teleconsult'],
+                    description: 'Defaults to new_consultation for doctors with appointment types; a squeezed-in patient only gets a slot long enough for it, and a walk-in overbooked on a booked slot must fit in it'
+                  },
+                  paymentMethod: { type: 'string', enum: ['cash', 'card'], default: 'cash' },
+                  transactionId: { type: 'string', description: 'Card terminal or receipt reference' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Walk-in appointment booked successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointment: { $ref: '#/components/schemas/WalkInAppointment' },
+                        patientCreated: { type: 'boolean' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid request, slot unavailable or patient already booked at that time' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Slot, doctor or patient not found' },
+          409: { description: 'No slot left to squeeze the patient into, or the slot was just taken' }
+        }
+      }
+    },
+    '/staff/appointments/{appointmentId}/desk-refund': {
+      put: {
+        summary: 'Record a desk refund',
+        description: 'Payments taken at the desk, in cash or on its card terminal, never reach the payment gateway, so their refunds are left pending_manual instead of being sent to it and are skipped by reconciliation. Record here that the money was handed back; the refunds become processed and their credit notes are issued.',
+        tags: ['Staff - Walk-ins'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'appointmentId', required: true, schema: { type: 'string' }, description: 'Appointment ID' }
+        ],
+        responses: {
+          200: {
+            description: 'Desk refund recorded successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        appointmentId: { type: 'string' },
+                        refunds: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              kind: { type: 'string', enum: ['refund', 'difference_refund'] },
+                              amount: { type: 'number' },
+                              status: { type: 'string', example: 'processed' }
+                            }
+                          }
+                        },
+                        paymentStatus: { type: 'string', example: 'refunded' },
+                        refundedBy: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'No desk refund is owed on this appointment' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Appointment not found' },
+          409: { description: 'The refund was already recorded' }
+        }
+      }
+    },
+    '/staff/doctors/{doctorId}/cancellations': {
+      post: {
+        summary: 'Cancel a doctor\'s appointments over a range',
+        description: 'Cancel every pending, paid or checked-in appointment with the doctor between the start and end, refund each in full, block the slots and email patients suggested alternative slots. Appointments already in consultation are skipped. Returns what happened to each booking',
+        tags: ['Staff - Appointments'],
+        security: [{ Authorization: [] }],
+        parameters: [
+          { in: 'path', name: 'doctorId', required: true, schema: { type: 'string' }, description: 'Doctor ID' }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['startDate'],
+                properties: {
+                  startDate: { type: 'string', format: 'date', example: '2024-01-15', description: 'First day, in the doctor\'s timezone' },
+                  endDate: { type: 'string', format: 'date', example: '2024-01-16', description: 'Last day; defaults to the start date' },
+                  startTime: { type: 'string', format: 'time', example: '13:00', description: 'Start time on the first day; defaults to the start of the day' },
+                  endTime: { type: 'string', format: 'time', example: '17:00', description: 'End time on the last day; defaults to the end of the day' },
+                  reason: { type: 'string', example: 'Doctor unwell' },
+                  initiatedBy: { type: 'string', enum: ['doctor', 'clinic'], default: 'doctor' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Appointments cancelled successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: { $ref: '#/components/schemas/MassCancellationReport' }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Invalid range or initiator' },
+          401: { description: 'Unauthorized' },
+          403: { description: 'Forbidden - Staff access required' },
+          404: { description: 'Doctor not found' }
+        }
+      }
     }
   },
   components: {
@@ -553,6 +1038,258 @@ const swaggerConfig = {
       }
     },
     schemas: {
+      MassCancellationReport: {
+        type: 'object',
+        properties: {
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              specialization: { type: 'string' }
+            }
+          },
+          range: {
+            type: 'object',
+            properties: {
+              from: { type: 'string', format: 'date-time' },
+              to: { type: 'string', format: 'date-time' },
+              timezone: { type: 'string', example: 'America/New_York' }
+            }
+          },
+          reason: { type: 'string' },
+          initiatedBy: { type: 'string', enum: ['doctor', 'clinic'] },
+          summary: {
+            type: 'object',
+            properties: {
+              slotsBlocked: { type: 'number', example: 16 },
+              appointmentsCancelled: { type: 'number', example: 9 },
+              appointmentsSkipped: { type: 'number', example: 0 },
+              slotsFailed: { type: 'number', example: 0 },
+              refundsProcessed: { type: 'number', example: 7 },
+              refundsFailed: { type: 'number', example: 0 },
+              totalRefunded: { type: 'number', example: 1050 },
+              patientsNotified: { type: 'number', example: 9 }
+            }
+          },
+          appointments: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                appointmentId: { type: 'string' },
+                slotId: { type: 'string' },
+                patient: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    email: { type: 'string' },
+                    phone: { type: 'string' }
+                  }
+                },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', format: 'time' },
+                endTime: { type: 'string', format: 'time' },
+                status: { type: 'string' },
+                previousStatus: { type: 'string', enum: ['pending', 'confirmed', 'checked_in'] },
+                outcome: { type: 'string', enum: ['cancelled', 'skipped'] },
+                note: { type: 'string', description: 'Why a booking was skipped' },
+                refund: {
+                  type: 'object',
+                  properties: {
+                    amount: { type: 'number' },
+                    status: { type: 'string', enum: ['none', 'pending', 'processed', 'failed'] }
+                  }
+                },
+                notified: { type: 'boolean' }
+              }
+            }
+          },
+          failures: {
+            type: 'array',
+            description: 'Slots that could not be cancelled, e.g. because they changed meanwhile',
+            items: {
+              type: 'object',
+              properties: {
+                slotId: { type: 'string' },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', format: 'time' },
+                error: { type: 'string' }
+              }
+            }
+          },
+          alternatives: {
+            type: 'array',
+            description: 'Open slots suggested to patients: the doctor\'s next slots and colleagues with the same specialization',
+            items: {
+              type: 'object',
+              properties: {
+                slotId: { type: 'string' },
+                doctor: {
+                  type: 'object',
+                  properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    specialization: { type: 'string' }
+                  }
+                },
+                date: { type: 'string', format: 'date' },
+                startTime: { type: 'string', format: 'time' },
+                endTime: { type: 'string', format: 'time' },
+                timezone: { type: 'string' },
+                startAt: { type: 'string', format: 'date-time' },
+                endAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      },
+      WalkInAppointment: {
+        type: 'object',
+        properties: {
+          appointmentId: { type: 'string' },
+          slotId: { type: 'string' },
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              specialization: { type: 'string' }
+            }
+          },
+          patient: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              email: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          },
+          date: { type: 'string', format: 'date' },
+          startTime: { type: 'string', format: 'time' },
+          endTime: { type: 'string', format: 'time' },
+          timezone: { type: 'string' },
+          startAt: { type: 'string', format: 'date-time' },
+          endAt: { type: 'string', format: 'date-time' },
+          status: { type: 'string', example: 'confirmed' },
+          bookingType: { type: 'string', example: 'walk_in' },
+          isOverbooked: { type: 'boolean' },
+          reason: { type: 'string' },
+          payment: {
+            type: 'object',
+            properties: {
+              amount: { type: 'number', example: 120 },
+              currency: { type: 'string', example: 'USD' },
+              status: { type: 'string', example: 'paid' },
+              paymentMethod: { type: 'string', enum: ['cash', 'card'] },
+              transactionId: { type: 'string' },
+              paidAt: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      },
+      QueueEntry: {
+        type: 'object',
+        properties: {
+          appointmentId: { type: 'string', example: 'APT-1705312800000-AB12C' },
+          patient: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              phone: { type: 'string' }
+            }
+          },
+          startTime: { type: 'string', format: 'time', example: '10:00' },
+          endTime: { type: 'string', format: 'time', example: '10:30' },
+          startAt: { type: 'string', format: 'date-time' },
+          status: { type: 'string', enum: ['confirmed', 'checked_in', 'in_consultation'] },
+          checkedInAt: { type: 'string', format: 'date-time' },
+          consultationStartedAt: { type: 'string', format: 'date-time' },
+          paymentStatus: { type: 'string', example: 'paid' },
+          position: { type: 'integer', example: 1, description: 'Place in the queue; waiting patients only' },
+          estimatedStartAt: { type: 'string', format: 'date-time', description: 'Waiting patients only' },
+          estimatedWaitMinutes: { type: 'integer', example: 15, description: 'Waiting patients only' }
+        }
+      },
+      RunningLate: {
+        type: 'object',
+        properties: {
+          isRunningLate: { type: 'boolean', example: true },
+          delayMinutes: { type: 'integer', example: 20, description: 'How far behind schedule the next patient will be seen' },
+          thresholdMinutes: { type: 'integer', example: 10 }
+        }
+      },
+      WaitingRoomQueue: {
+        type: 'object',
+        properties: {
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              specialization: { type: 'string' },
+              timezone: { type: 'string', example: 'America/New_York' }
+            }
+          },
+          date: { type: 'string', format: 'date' },
+          averageConsultationMinutes: { type: 'integer', nullable: true, example: 18, description: 'Null until a consultation has finished today' },
+          completedConsultations: { type: 'integer', example: 4 },
+          runningLate: { $ref: '#/components/schemas/RunningLate' },
+          current: { allOf: [{ $ref: '#/components/schemas/QueueEntry' }], nullable: true },
+          waiting: { type: 'array', items: { $ref: '#/components/schemas/QueueEntry' } },
+          notArrived: { type: 'array', items: { $ref: '#/components/schemas/QueueEntry' } }
+        }
+      },
+      CheckIn: {
+        type: 'object',
+        properties: {
+          appointment: {
+            type: 'object',
+            properties: {
+              appointmentId: { type: 'string' },
+              date: { type: 'string', format: 'date' },
+              startTime: { type: 'string', format: 'time' },
+              endTime: { type: 'string', format: 'time' },
+              timezone: { type: 'string' },
+              startAt: { type: 'string', format: 'date-time' },
+              endAt: { type: 'string', format: 'date-time' },
+              status: { type: 'string', example: 'checked_in' },
+              checkedInAt: { type: 'string', format: 'date-time' },
+              checkInMethod: { type: 'string', enum: ['staff', 'kiosk'] }
+            }
+          },
+          doctor: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' }
+            }
+          },
+          position: { type: 'integer', example: 2 },
+          estimatedWaitMinutes: { type: 'integer', example: 25 },
+          runningLate: { $ref: '#/components/schemas/RunningLate' }
+        }
+      },
+      SlotUpdateEvent: {
+        type: 'object',
+        description: 'Data of a slot_update event. Each event carries an id: line to resume from with Last-Event-ID.',
+        properties: {
+          slotId: { type: 'string', example: '60d5ecb74b24c72b8c8b4567' },
+          doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
+          date: { type: 'string', format: 'date', example: '2024-01-15' },
+          startTime: { type: 'string', format: 'time', example: '10:00' },
+          endTime: { type: 'string', format: 'time', example: '10:30' },
+          timezone: { type: 'string', example: 'America/New_York' },
+          startAt: { type: 'string', format: 'date-time' },
+          endAt: { type: 'string', format: 'date-time' },
+          action: { type: 'string', example: 'booked', description: 'What happened to the slot, e.g. booked, cancelled, blocked, unblocked, held' },
+          status: { type: 'string', enum: ['available', 'booked', 'blocked', 'cancelled'], example: 'booked' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
       AvailabilitySlot: {
         type: 'object',
         properties: {
@@ -560,13 +1297,19 @@ const swaggerConfig = {
           doctorId: { type: 'string', example: '60d5ecb74b24c72b8c8b4568' },
           scheduleId: { type: 'string', example: '60d5ecb74b24c72b8c8b4569' },
           date: { type: 'string', format: 'date', example: '2024-01-01' },
+          location: { type: 'string', example: 'City Hospital, Block B' },
           startTime: { type: 'string', format: 'time', example: '09:00' },
           endTime: { type: 'string', format: 'time', example: '09:30' },
+          timezone: { type: 'string', example: 'America/New_York', description: 'IANA timezone of the wall times' },
+          startAt: { type: 'string', format: 'date-time', description: 'UTC instant the slot starts' },
+          endAt: { type: 'string', format: 'date-time', description: 'UTC instant the slot ends' },
           status: { type: 'string', enum: ['available', 'booked', 'blocked', 'cancelled'], example: 'available' },
           patientId: { type: 'string' },
           notes: { type: 'string' },
           blockedBy: { type: 'string' },
           blockedReason: { type: 'string' },
+          overbookLimit: { type: 'integer', example: 1, description: 'Extra walk-ins staff may squeeze in on top of the regular booking' },
+          overbookedCount: { type: 'integer', example: 0 },
           createdAt: { type: 'string', format: 'date-time' },
           updatedAt: { type: 'string', format: 'date-time' }
         }
@@ -0,0 +1,96 @@
+import express from 'express';
+import { handlePaymentWebhook } from '../controllers/webhooks/payment.controller.js';
+import ApiResponse from '../utils/ApiResponse.util.js';
+
+const router = express.Router();
+
+// Gateways authenticate with a signature over the body rather than a user login
+router.post('/payments', async (req, res, next) => {
+  try {
+    const result = await handlePaymentWebhook(req.rawBody, req.get('X-Payment-Signature'), req.body);
+    ApiResponse.success(result, 'Webhook processed').send(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
+
+// Swagger configuration for webhook routes
+const swaggerConfig = {
+  paths: {
+    '/webhooks/payments': {
+      post: {
+        summary: 'Payment gateway webhook',
+        description: 'Receives payment and refund events from the payment gateway. The body must be signed with the shared webhook secret (hex HMAC-SHA256 in X-Payment-Signature); every event is refused while PAYMENT_WEBHOOK_SECRET is not set. Each event ID is applied once; redelivered events are acknowledged without changes. Payments only move forward from pending through failed and paid to refunded, so events arriving out of order are recorded but ignored. Refunds the gateway settles asynchronously stay pending until their event arrives.',
+        tags: ['Webhooks'],
+        security: [{ PaymentSignature: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['id', 'type', 'data'],
+                properties: {
+                  id: { type: 'string', example: 'evt_000123', description: 'Gateway event ID' },
+                  type: { type: 'string', enum: ['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'] },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  data: {
+                    type: 'object',
+                    required: ['transactionId'],
+                    properties: {
+                      transactionId: { type: 'string', example: 'TXN-LQ2X8K-000001' },
+                      refundId: { type: 'string', description: 'For refund events' },
+                      amount: { type: 'number', example: 150 },
+                      failureReason: { type: 'string', example: 'Card declined' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Webhook processed',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    success: { type: 'boolean', example: true },
+                    message: { type: 'string' },
+                    data: {
+                      type: 'object',
+                      properties: {
+                        eventId: { type: 'string' },
+                        type: { type: 'string' },
+                        outcome: { type: 'string', enum: ['applied', 'ignored'] },
+                        note: { type: 'string', example: 'Payment is already paid', description: 'Why an event was ignored' },
+                        duplicate: { type: 'boolean', description: 'The event was already received' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          },
+          400: { description: 'Unsupported webhook event' },
+          401: { description: 'Invalid webhook signature' }
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      PaymentSignature: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Payment-Signature'
+      }
+    }
+  }
+};
+
+export { swaggerConfig };
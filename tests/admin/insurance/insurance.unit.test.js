@@ -0,0 +1,249 @@
+import { jest } from '@jest/globals';
+import {
+  submitInsuranceClaim,
+  updateInsuranceClaim,
+  exportInsuranceClaims
+} from '@/controllers/admin/insurance/index.js';
+import insuranceService from '@/utils/insuranceService.js';
+import InsurancePlan from '@/models/InsurancePlan.js';
+import InsuranceClaim from '@/models/InsuranceClaim.js';
+import Appointment from '@/models/Appointment.js';
+import Counter from '@/models/Counter.js';
+import transactionManager from '@/utils/transactionManager.js';
+
+// Mock dependencies
+jest.mock('@/models/Counter.js');
+jest.mock('@/utils/transactionManager.js');
+
+describe('Insurance Unit Tests', () => {
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { hospital: 'General Hospital' }
+  };
+  const otherDoctor = { _id: '507f1f77bcf86cd799439021', name: 'Dr. Jane Roe', role: 'doctor', doctorProfile: {} };
+  const patient = {
+    _id: '507f1f77bcf86cd799439012',
+    role: 'patient',
+    patientProfile: { insurance: { provider: 'Acme Health', policyNumber: 'POL-1', planId: '507f1f77bcf86cd799439031' } }
+  };
+  const session = { id: 'session' };
+  const year = new Date().getUTCFullYear();
+
+  const createPlan = (data) => new InsurancePlan({
+    _id: '507f1f77bcf86cd799439031',
+    name: 'Gold PPO',
+    provider: 'Acme Health',
+    networkDoctors: [doctor._id],
+    copay: 20,
+    coveragePercent: 80,
+    ...data
+  });
+
+  const createClaim = (data) => new InsuranceClaim({
+    claimNumber: `CLM-${year}-000001`,
+    status: 'submitted',
+    appointment: '507f1f77bcf86cd799439014',
+    appointmentId: 'APT-1-ABCDE',
+    patient: patient._id,
+    doctor: doctor._id,
+    plan: '507f1f77bcf86cd799439031',
+    planName: 'Gold PPO',
+    provider: 'Acme Health',
+    policyNumber: 'POL-1',
+    inNetwork: true,
+    serviceDate: new Date('2030-03-15T10:00:00.000Z'),
+    fee: 100,
+    patientShare: 36,
+    claimedAmount: 64,
+    submittedAt: new Date('2030-03-15T11:00:00.000Z'),
+    ...data
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Counter.next = jest.fn().mockResolvedValue(1);
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+  });
+
+  describe('fee split', () => {
+    it('should charge the co-pay and the uncovered share in network', () => {
+      expect(insuranceService.splitFee(createPlan({}), doctor, 100))
+        .toEqual({ inNetwork: true, insurerShare: 64, patientShare: 36 });
+      expect(insuranceService.splitFee(createPlan({}), doctor, 15))
+        .toEqual({ inNetwork: true, insurerShare: 0, patientShare: 15 });
+    });
+
+    it('should count every doctor at a network clinic as in network', () => {
+      const plan = createPlan({ networkDoctors: [], networkClinics: ['General Hospital'] });
+
+      expect(insuranceService.isInNetwork(plan, doctor)).toBe(true);
+      expect(insuranceService.isInNetwork(plan, otherDoctor)).toBe(false);
+    });
+
+    it('should apply out-of-network coverage without a co-pay', () => {
+      expect(insuranceService.splitFee(createPlan({ outOfNetworkCoveragePercent: 50 }), otherDoctor, 100))
+        .toEqual({ inNetwork: false, insurerShare: 50, patientShare: 50 });
+    });
+
+    it('should refuse a booking the plan does not cover', async () => {
+      InsurancePlan.findOne = jest.fn().mockResolvedValue(createPlan({}));
+
+      await expect(insuranceService.getCoverage(patient, otherDoctor, 100))
+        .rejects.toThrow('Gold PPO does not cover appointments with Dr. Jane Roe, who is out of network');
+
+      InsurancePlan.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(insuranceService.getCoverage(patient, doctor, 100))
+        .rejects.toThrow('Your insurance plan is no longer accepted');
+    });
+
+    it('should fall back to the only accepted plan of the patient\'s insurer', async () => {
+      const legacyPatient = { ...patient, patientProfile: { insurance: { provider: 'Acme Health', policyNumber: 'POL-1' } } };
+      InsurancePlan.find = jest.fn().mockResolvedValue([createPlan({})]);
+
+      const coverage = await insuranceService.getCoverage(legacyPatient, doctor, 100);
+
+      expect(InsurancePlan.find).toHaveBeenCalledWith({ provider: 'Acme Health', isActive: true });
+      expect(coverage).toMatchObject({ planName: 'Gold PPO', policyNumber: 'POL-1', insurerShare: 64 });
+
+      InsurancePlan.find = jest.fn().mockResolvedValue([createPlan({}), createPlan({ name: 'Silver HMO' })]);
+
+      await expect(insuranceService.getCoverage(legacyPatient, doctor, 100))
+        .rejects.toThrow('Choose which Acme Health plan your policy belongs to');
+    });
+  });
+
+  describe('claims', () => {
+    const createAppointment = (data) => new Appointment({
+      appointmentId: 'APT-1-ABCDE',
+      slotId: '507f1f77bcf86cd799439013',
+      patientId: patient._id,
+      doctorId: doctor._id,
+      date: new Date('2030-03-15'),
+      startTime: '10:00',
+      endTime: '10:30',
+      startAt: new Date('2030-03-15T10:00:00.000Z'),
+      status: 'completed',
+      payment: {
+        amount: 36,
+        status: 'paid',
+        paymentMethod: 'insurance',
+        insurance: {
+          planId: '507f1f77bcf86cd799439031',
+          planName: 'Gold PPO',
+          provider: 'Acme Health',
+          policyNumber: 'POL-1',
+          inNetwork: true,
+          insurerShare: 64,
+          patientShare: 36
+        }
+      },
+      ...data
+    });
+
+    it('should submit a numbered claim for the insurer share of a completed appointment', async () => {
+      const appointment = createAppointment({});
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+      InsuranceClaim.findOne = jest.fn().mockResolvedValue(null);
+      InsuranceClaim.create = jest.fn().mockImplementation(([data]) => Promise.resolve([createClaim(data)]));
+
+      const { claim } = await submitInsuranceClaim('APT-1-ABCDE');
+
+      expect(Counter.next).toHaveBeenCalledWith(`insurance_claim_${year}`, session);
+      expect(InsuranceClaim.create).toHaveBeenCalledWith([expect.objectContaining({ appointment: appointment._id })], { session });
+      expect(claim).toMatchObject({
+        claimNumber: `CLM-${year}-000001`,
+        status: 'submitted',
+        provider: 'Acme Health',
+        fee: 100,
+        patientShare: 36,
+        claimedAmount: 64
+      });
+    });
+
+    it('should return the existing claim instead of submitting twice', async () => {
+      const existing = createClaim({});
+      InsuranceClaim.findOne = jest.fn().mockResolvedValue(existing);
+      InsuranceClaim.create = jest.fn();
+
+      expect(await insuranceService.submitClaim(createAppointment({}))).toBe(existing);
+      expect(InsuranceClaim.create).not.toHaveBeenCalled();
+    });
+
+    it('should not claim for appointments that are not completed or have nothing to claim', async () => {
+      InsuranceClaim.findOne = jest.fn();
+
+      expect(await insuranceService.submitClaim(createAppointment({ status: 'cancelled' }))).toBeNull();
+      expect(await insuranceService.submitClaim(createAppointment({ payment: { amount: 100, status: 'paid' } }))).toBeNull();
+      expect(InsuranceClaim.findOne).not.toHaveBeenCalled();
+
+      Appointment.findOne = jest.fn().mockResolvedValue(createAppointment({ status: 'confirmed' }));
+
+      await expect(submitInsuranceClaim('APT-1-ABCDE'))
+        .rejects.toThrow('Claims are only submitted for completed appointments');
+    });
+
+    it('should approve a claim in part and record the decision', async () => {
+      const claim = createClaim({});
+      InsuranceClaim.findOne = jest.fn().mockResolvedValue(claim);
+      InsuranceClaim.findOneAndUpdate = jest.fn().mockImplementation((filter, { $set }) =>
+        Promise.resolve(createClaim({ ...$set })));
+
+      const result = await updateInsuranceClaim(admin, claim.claimNumber, { status: 'approved', approvedAmount: 50 });
+
+      expect(InsuranceClaim.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: claim._id, status: 'submitted' },
+        expect.objectContaining({
+          $push: { history: expect.objectContaining({ status: 'approved', changedBy: admin._id }) }
+        }),
+        { new: true }
+      );
+      expect(result.claim).toMatchObject({ status: 'approved', approvedAmount: 50 });
+
+      await expect(updateInsuranceClaim(admin, claim.claimNumber, { status: 'approved', approvedAmount: 80 }))
+        .rejects.toThrow('Approved amount must be between 0 and the claimed 64');
+    });
+
+    it('should require a reason to deny and refuse to decide a claim twice', async () => {
+      InsuranceClaim.findOne = jest.fn().mockResolvedValue(createClaim({}));
+
+      await expect(updateInsuranceClaim(admin, `CLM-${year}-000001`, { status: 'denied' }))
+        .rejects.toThrow('A reason is required to deny a claim');
+      await expect(updateInsuranceClaim(admin, `CLM-${year}-000001`, { status: 'paid' }))
+        .rejects.toThrow('Status must be one of: approved, denied');
+
+      InsuranceClaim.findOne = jest.fn().mockResolvedValue(createClaim({ status: 'denied' }));
+
+      await expect(updateInsuranceClaim(admin, `CLM-${year}-000001`, { status: 'approved' }))
+        .rejects.toThrow(`Claim CLM-${year}-000001 has already been denied`);
+    });
+
+    it('should export claims as CSV', async () => {
+      const claim = {
+        ...createClaim({ status: 'denied', denialReason: '=HYPERLINK("x"), lapsed' }).toObject(),
+        patient: { name: 'Pat Smith' },
+        doctor: { name: 'Dr. John Doe' }
+      };
+      const sort = jest.fn().mockResolvedValue([claim]);
+      InsuranceClaim.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnValue({ populate: jest.fn().mockReturnValue({ sort }) })
+      });
+
+      const file = await exportInsuranceClaims({ status: 'denied', from: '2030-03-01' });
+
+      expect(InsuranceClaim.find).toHaveBeenCalledWith({ status: 'denied', submittedAt: { $gte: new Date('2030-03-01') } });
+      expect(sort).toHaveBeenCalledWith({ submittedAt: 1 });
+      expect(file.contentType).toBe('text/csv; charset=utf-8');
+      expect(file.filename).toMatch(/^insurance-claims-\d{4}-\d{2}-\d{2}\.csv$/);
+
+      const [header, row] = file.body.trim().split('\r\n');
+      expect(header.split(',')).toHaveLength(18);
+      expect(header).toMatch(/^Claim number,Status,Submitted at,/);
+      expect(row).toContain(`CLM-${year}-000001,denied,2030-03-15T11:00:00.000Z,APT-1-ABCDE`);
+      expect(row).toContain('Pat Smith,Dr. John Doe,Acme Health,Gold PPO,POL-1,yes,USD,100,36,64,,"\'=HYPERLINK(""x""), lapsed"');
+    });
+  });
+});
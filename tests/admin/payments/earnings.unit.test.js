@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+import { exportEarningsReport } from '@/controllers/admin/payments/index.js';
+import earningsService from '@/utils/earningsService.js';
+import Appointment from '@/models/Appointment.js';
+import PayoutRecord from '@/models/PayoutRecord.js';
+import User from '@/models/users.model.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/PayoutRecord.js');
+jest.mock('@/models/users.model.js');
+
+describe('Doctor Earnings Unit Tests', () => {
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin' };
+  const doctor = { _id: '507f1f77bcf86cd799439011', name: 'Dr. John Doe', email: 'john@example.com', doctorProfile: { specialization: 'Cardiology' } };
+  const otherDoctor = { _id: '507f1f77bcf86cd799439021', name: 'Dr. Ann Lee', email: 'ann@example.com', doctorProfile: {} };
+  const now = new Date('2030-04-10T12:00:00.000Z');
+  let payments;
+  let cancellationRefunds;
+  let differenceRefunds;
+
+  const group = (doctorId, period, totals) => ({ _id: { doctor: doctorId, period }, ...totals });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.DEFAULT_TIMEZONE = 'America/New_York';
+    process.env.CLINIC_COMMISSION_PERCENT = '20';
+
+    payments = [
+      group(doctor._id, '2030-03', { appointments: 3, gross: 300 }),
+      group(otherDoctor._id, '2030-03', { appointments: 1, gross: 150 }),
+      group(doctor._id, '2030-04', { appointments: 1, gross: 100 })
+    ];
+    cancellationRefunds = [group(doctor._id, '2030-03', { refunds: 50 })];
+    differenceRefunds = [group(otherDoctor._id, '2030-03', { refunds: 25.5 })];
+
+    Appointment.aggregate = jest.fn()
+      .mockImplementationOnce(() => Promise.resolve(payments))
+      .mockImplementationOnce(() => Promise.resolve(cancellationRefunds))
+      .mockImplementationOnce(() => Promise.resolve(differenceRefunds));
+    User.find = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue([doctor, otherDoctor]) });
+    PayoutRecord.find = jest.fn().mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    delete process.env.DEFAULT_TIMEZONE;
+    delete process.env.CLINIC_COMMISSION_PERCENT;
+  });
+
+  describe('report', () => {
+    it('should total payments and refunds per doctor and month in the clinic timezone', async () => {
+      const report = await earningsService.getEarnings({ from: '2030-03', to: '2030-04', now });
+
+      const [paymentPipeline] = Appointment.aggregate.mock.calls[0];
+      expect(paymentPipeline[0].$match['payment.paidAt']).toEqual({
+        $gte: new Date('2030-03-01T05:00:00.000Z'),
+        $lt: new Date('2030-05-01T04:00:00.000Z')
+      });
+      expect(paymentPipeline[1].$group._id.period).toEqual({
+        $dateToString: { format: '%Y-%m', date: '$payment.paidAt', timezone: 'America/New_York' }
+      });
+
+      expect(report).toMatchObject({ from: '2030-03', to: '2030-04', timezone: 'America/New_York', commissionPercent: 20 });
+      expect(report.earnings.map(row => [row.period, row.doctor.name, row.gross, row.refunds, row.net, row.commission, row.payoutDue]))
+        .toEqual([
+          ['2030-03', 'Dr. Ann Lee', 150, 25.5, 124.5, 24.9, 99.6],
+          ['2030-03', 'Dr. John Doe', 300, 50, 250, 50, 200],
+          ['2030-04', 'Dr. John Doe', 100, 0, 100, 20, 80]
+        ]);
+      expect(report.totals).toEqual({
+        appointments: 5,
+        gross: 550,
+        refunds: 75.5,
+        net: 474.5,
+        commission: 94.9,
+        payoutDue: 379.6,
+        outstanding: 379.6
+      });
+    });
+
+    it('should count what a reassigned patient paid once and the difference refunded once', async () => {
+      // Paid 150, then moved to a substitute charging 120 and refunded 30; payment.amount is now 120
+      payments = [group(doctor._id, '2030-03', { appointments: 1, gross: 150 })];
+      cancellationRefunds = [];
+      differenceRefunds = [group(doctor._id, '2030-03', { refunds: 30 })];
+
+      const { earnings } = await earningsService.getEarnings({ from: '2030-03', to: '2030-03', now });
+
+      const [[paymentPipeline], [cancellationPipeline], [differencePipeline]] = Appointment.aggregate.mock.calls;
+      expect(paymentPipeline[1].$group.gross).toEqual({
+        $sum: { $add: ['$payment.amount', { $ifNull: ['$reassignment.refundedDifference', 0] }] }
+      });
+      expect(cancellationPipeline[0].$match['cancellation.refundStatus']).toEqual({ $in: ['pending', 'pending_manual', 'processed'] });
+      expect(differencePipeline[0].$match['reassignment.differenceRefundStatus']).toEqual({ $in: ['pending', 'pending_manual', 'processed'] });
+      expect(earnings).toEqual([expect.objectContaining({ gross: 150, refunds: 30, net: 120 })]);
+    });
+
+    it('should keep the commission a month was settled at and show what changed since as outstanding', async () => {
+      PayoutRecord.find = jest.fn().mockResolvedValue([
+        { doctor: doctor._id, period: '2030-03', commissionPercent: 10, payoutAmount: 270, settledAt: now, reference: 'TRF-1' }
+      ]);
+
+      const { earnings } = await earningsService.getEarnings({ from: '2030-03', to: '2030-03', now });
+      const settled = earnings.find(row => row.doctor.name === 'Dr. John Doe');
+
+      expect(settled).toMatchObject({
+        commissionPercent: 10,
+        commission: 25,
+        payoutDue: 225,
+        settlement: { payoutAmount: 270, reference: 'TRF-1' },
+        outstanding: -45
+      });
+      expect(earnings.find(row => row.doctor.name === 'Dr. Ann Lee')).toMatchObject({ settlement: null, outstanding: 99.6 });
+    });
+
+    it('should default to the current month and reject bad ranges', async () => {
+      const report = await earningsService.getEarnings({ now });
+      expect(report).toMatchObject({ from: '2030-04', to: '2030-04' });
+
+      await expect(earningsService.getEarnings({ from: '2030-3', now }))
+        .rejects.toThrow('From and to must be months as YYYY-MM');
+      await expect(earningsService.getEarnings({ from: '2030-04', to: '2030-03', now }))
+        .rejects.toThrow('From must not be after to');
+    });
+
+    it('should export the report as CSV', async () => {
+      const file = await exportEarningsReport({ from: '2030-03', to: '2030-04' });
+
+      expect(file.filename).toBe('doctor-earnings-2030-03-to-2030-04.csv');
+      expect(file.contentType).toBe('text/csv; charset=utf-8');
+
+      const [header, ...rows] = file.body.trim().split('\r\n');
+      expect(header).toBe('Period,Doctor,Email,Paid appointments,Gross,Refunds,Net,Commission %,Commission,Payout due,Settled,Settled at,Paid out,Reference,Outstanding');
+      expect(rows).toHaveLength(3);
+      expect(rows[1]).toBe('2030-03,Dr. John Doe,john@example.com,3,300,50,250,20,50,200,no,,,,200');
+    });
+  });
+
+  describe('settlement', () => {
+    beforeEach(() => {
+      User.findOne = jest.fn().mockResolvedValue(doctor);
+      PayoutRecord.findOne = jest.fn().mockResolvedValue(null);
+      PayoutRecord.create = jest.fn().mockImplementation(data => Promise.resolve({ _id: 'payout-1', ...data }));
+      payments = [group(doctor._id, '2030-03', { appointments: 3, gross: 300 })];
+      differenceRefunds = [];
+    });
+
+    it('should record the month\'s earnings with the payout', async () => {
+      const payout = await earningsService.settle(admin, { doctorId: doctor._id, period: '2030-03', reference: 'TRF-1' }, now);
+
+      expect(Appointment.aggregate.mock.calls[0][0][0].$match.doctorId.toString()).toBe(doctor._id);
+      expect(payout).toMatchObject({
+        doctor: doctor._id,
+        period: '2030-03',
+        appointments: 3,
+        gross: 300,
+        refunds: 50,
+        net: 250,
+        commissionPercent: 20,
+        commission: 50,
+        payoutAmount: 200,
+        reference: 'TRF-1',
+        settledAt: now,
+        settledBy: admin._id
+      });
+    });
+
+    it('should only settle a month that has ended, once', async () => {
+      await expect(earningsService.settle(admin, { doctorId: doctor._id, period: '2030-04' }, now))
+        .rejects.toThrow('Only a period that has ended can be settled');
+
+      PayoutRecord.findOne = jest.fn().mockResolvedValue({ _id: 'payout-1' });
+
+      await expect(earningsService.settle(admin, { doctorId: doctor._id, period: '2030-03' }, now))
+        .rejects.toThrow('2030-03 is already settled for Dr. John Doe');
+
+      PayoutRecord.findOne = jest.fn().mockResolvedValue(null);
+      PayoutRecord.create = jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      await expect(earningsService.settle(admin, { doctorId: doctor._id, period: '2030-03' }, now))
+        .rejects.toThrow('2030-03 is already settled for Dr. John Doe');
+    });
+
+    it('should require a doctor and a month', async () => {
+      await expect(earningsService.settle(admin, { period: '2030-03' }, now))
+        .rejects.toThrow('Doctor and period are required');
+
+      User.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(earningsService.settle(admin, { doctorId: otherDoctor._id, period: '2030-03' }, now))
+        .rejects.toThrow('Doctor not found');
+    });
+  });
+});
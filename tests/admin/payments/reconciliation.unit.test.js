@@ -0,0 +1,208 @@
+import { jest } from '@jest/globals';
+import { runReconciliation } from '@/controllers/admin/payments/index.js';
+import paymentReconciliationJob from '@/utils/paymentReconciliationJob.js';
+import paymentService from '@/utils/paymentService.js';
+import Appointment from '@/models/Appointment.js';
+import ReconciliationReport from '@/models/ReconciliationReport.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/ReconciliationReport.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+
+// Chainable query resolving to a result
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.limit = () => promise;
+  promise.session = () => promise;
+  return promise;
+};
+
+describe('Payment Reconciliation Unit Tests', () => {
+  const now = new Date('2030-01-10T12:00:00.000Z');
+  const session = { id: 'session' };
+  let unpaid;
+  let refunding;
+  let gateway;
+
+  const createAppointment = (id, overrides = {}) => ({
+    _id: `apt-${id}`,
+    appointmentId: `APT-${id}`,
+    status: 'pending',
+    payment: { amount: 150, status: 'pending', transactionId: `TXN-${id}` },
+    cancellation: { refundStatus: 'none' },
+    updatedAt: new Date('2030-01-09T12:00:00.000Z'),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  const run = () => paymentReconciliationJob.runSweep(now);
+  const savedReport = () => ReconciliationReport.create.mock.calls[0][0];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    unpaid = [];
+    refunding = [];
+    gateway = {};
+
+    Appointment.find = jest.fn().mockImplementation(filter =>
+      query(filter['payment.status'] === 'paid' ? refunding : unpaid)
+    );
+    Appointment.findById = jest.fn().mockImplementation(id =>
+      query([...unpaid, ...refunding].find(appointment => appointment._id === id))
+    );
+    Appointment.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+    ReconciliationReport.create = jest.fn().mockImplementation(data => Promise.resolve({ _id: 'report-1', ...data }));
+    ReconciliationReport.findById = jest.fn().mockImplementation(id => Promise.resolve({ _id: id, ...savedReport() }));
+
+    distributedLock.acquire = jest.fn().mockResolvedValue(true);
+    distributedLock.release = jest.fn().mockResolvedValue(true);
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+
+    paymentService.getPaymentStatus = jest.fn().mockImplementation(transactionId =>
+      Promise.resolve(gateway[transactionId] || { success: false, transactionId, error: 'Transaction not found' })
+    );
+    paymentService.processRefund = jest.fn().mockResolvedValue({ success: true, refundId: 'REF-NEW', status: 'processed' });
+  });
+
+  it('should confirm bookings the gateway has been paid for', async () => {
+    const appointment = createAppointment(1);
+    unpaid = [appointment];
+    gateway['TXN-1'] = { success: true, status: 'paid', amount: 150, paidAt: new Date('2030-01-10T09:00:00.000Z') };
+
+    const result = await run();
+
+    expect(appointment).toMatchObject({ status: 'confirmed', payment: expect.objectContaining({ status: 'paid' }) });
+    expect(appointment.save).toHaveBeenCalledWith({ session });
+    expect(result).toMatchObject({ skipped: false, reportId: 'report-1', paymentsChecked: 1, paymentsFixed: 1, mismatches: 0 });
+    expect(savedReport().fixes).toEqual([expect.objectContaining({
+      appointmentId: 'APT-1',
+      kind: 'payment',
+      localStatus: 'pending',
+      gatewayStatus: 'paid',
+      newStatus: 'paid'
+    })]);
+  });
+
+  it('should record declines and leave pending payments alone', async () => {
+    const declined = createAppointment(1);
+    const waiting = createAppointment(2);
+    unpaid = [declined, waiting];
+    gateway['TXN-1'] = { success: true, status: 'failed', amount: 150, failureReason: 'Card declined' };
+    gateway['TXN-2'] = { success: true, status: 'pending', amount: 150 };
+
+    await run();
+
+    expect(declined.payment).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+    expect(waiting.save).not.toHaveBeenCalled();
+    expect(savedReport().fixes).toHaveLength(1);
+  });
+
+  it('should report payments it cannot resolve', async () => {
+    const released = createAppointment(1, { status: 'cancelled' });
+    unpaid = [released, createAppointment(2)];
+    gateway['TXN-1'] = { success: true, status: 'paid', amount: 150 };
+
+    await run();
+
+    expect(released.save).not.toHaveBeenCalled();
+    expect(savedReport().mismatches).toEqual([
+      expect.objectContaining({ appointmentId: 'APT-1', note: 'Paid at the gateway after the booking was cancelled; refund the patient or restore the booking' }),
+      expect.objectContaining({ appointmentId: 'APT-2', note: 'Transaction not found' })
+    ]);
+    expect(savedReport().summary.mismatches).toBe(2);
+  });
+
+  it('should retry failed refunds', async () => {
+    const appointment = createAppointment(1, {
+      status: 'cancelled',
+      payment: { amount: 150, status: 'paid', transactionId: 'TXN-1' },
+      cancellation: { refundAmount: 150, refundStatus: 'failed', cancelledAt: new Date('2030-01-09T12:00:00.000Z') }
+    });
+    refunding = [appointment];
+    gateway['TXN-1'] = { success: true, status: 'paid', amount: 150, refundedAmount: 0 };
+
+    const result = await run();
+
+    expect(paymentService.processRefund).toHaveBeenCalledWith(appointment, 150);
+    expect(Appointment.updateOne).toHaveBeenCalledWith(
+      { _id: 'apt-1', 'cancellation.refundStatus': 'failed' },
+      { $set: { 'cancellation.refundStatus': 'processed', 'cancellation.refundId': 'REF-NEW' } }
+    );
+    expect(result).toMatchObject({ refundsChecked: 1, refundsRetried: 1 });
+  });
+
+  it('should settle refunds the gateway already completed instead of refunding twice', async () => {
+    const appointment = createAppointment(1, {
+      status: 'cancelled',
+      payment: { amount: 150, status: 'paid', transactionId: 'TXN-1' },
+      cancellation: { refundAmount: 150, refundStatus: 'failed' }
+    });
+    refunding = [appointment];
+    gateway['TXN-1'] = { success: true, status: 'refunded', amount: 150, refundedAmount: 150 };
+
+    const result = await run();
+
+    expect(paymentService.processRefund).not.toHaveBeenCalled();
+    expect(appointment.cancellation.refundStatus).toBe('processed');
+    expect(appointment.payment.status).toBe('refunded');
+    expect(result).toMatchObject({ refundsSettled: 1, refundsRetried: 0 });
+  });
+
+  it('should report refunds that fail again', async () => {
+    refunding = [createAppointment(1, {
+      status: 'confirmed',
+      payment: { amount: 120, status: 'paid', transactionId: 'TXN-1' },
+      reassignment: { refundedDifference: 30, differenceRefundStatus: 'failed' }
+    })];
+    paymentService.processRefund = jest.fn().mockResolvedValue({ success: false, error: 'Gateway unavailable' });
+
+    await run();
+
+    expect(savedReport().mismatches).toEqual([expect.objectContaining({
+      kind: 'difference_refund',
+      newStatus: 'failed',
+      note: 'Refund of 30 failed again: Gateway unavailable'
+    })]);
+  });
+
+  it('should leave refunds of payments taken at the desk out of gateway reconciliation', async () => {
+    await run();
+
+    expect(Appointment.find).toHaveBeenCalledWith(expect.objectContaining({
+      'payment.status': 'paid',
+      'payment.paymentMethod': { $ne: 'cash' },
+      'payment.receivedBy': { $exists: false }
+    }));
+  });
+
+  it('should leave refunds that may still be in flight alone', async () => {
+    refunding = [createAppointment(1, {
+      status: 'cancelled',
+      payment: { amount: 150, status: 'paid', transactionId: 'TXN-1' },
+      cancellation: { refundAmount: 150, refundStatus: 'pending', cancelledAt: new Date('2030-01-10T11:50:00.000Z') }
+    })];
+
+    await run();
+
+    expect(paymentService.processRefund).not.toHaveBeenCalled();
+    expect(savedReport().mismatches).toEqual([]);
+  });
+
+  it('should record who started a manual run', async () => {
+    const result = await runReconciliation({ _id: 'admin-1' });
+
+    expect(savedReport()).toMatchObject({ trigger: 'manual', triggeredBy: 'admin-1', provider: 'mock' });
+    expect(result.report._id).toBe('report-1');
+  });
+
+  it('should refuse a manual run while another is in progress', async () => {
+    distributedLock.acquire = jest.fn().mockResolvedValue(false);
+
+    await expect(runReconciliation({ _id: 'admin-1' })).rejects.toThrow('A reconciliation run is already in progress');
+  });
+});
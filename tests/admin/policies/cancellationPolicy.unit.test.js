@@ -0,0 +1,200 @@
+import { jest } from '@jest/globals';
+import {
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  getDoctorCancellationPolicy
+} from '@/controllers/admin/policies/index.js';
+import cancellationPolicyService from '@/utils/cancellationPolicyService.js';
+import CancellationPolicy from '@/models/CancellationPolicy.js';
+import Appointment from '@/models/Appointment.js';
+import User from '@/models/users.model.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Cancellation Policy Unit Tests', () => {
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { hospital: 'General Hospital' }
+  };
+
+  // Policy document as findApplicable would return it
+  const createPolicy = (data) => new CancellationPolicy({
+    name: 'Policy',
+    tiers: [{ minHoursBefore: 48, refundPercent: 100 }, { minHoursBefore: 12, refundPercent: 25 }],
+    ...data
+  });
+
+  // Paid appointment starting a number of hours from now
+  const createAppointment = (hoursAhead, cancellationPolicy) => {
+    const appointment = new Appointment({
+      appointmentId: 'APT-1-ABCDE',
+      slotId: '507f1f77bcf86cd799439013',
+      patientId: '507f1f77bcf86cd799439012',
+      doctorId: doctor._id,
+      date: new Date(),
+      startTime: '10:00',
+      endTime: '10:30',
+      startAt: new Date(Date.now() + hoursAhead * HOUR_MS),
+      status: 'confirmed',
+      payment: { amount: 100, status: 'paid' },
+      cancellationPolicy
+    });
+    appointment.save = jest.fn().mockResolvedValue(appointment);
+    return appointment;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('policy resolution', () => {
+    it('should prefer a doctor policy over clinic and global ones', async () => {
+      CancellationPolicy.find = jest.fn().mockResolvedValue([
+        createPolicy({ scope: 'global', name: 'Global' }),
+        createPolicy({ scope: 'doctor', doctorId: doctor._id, name: 'Doctor' }),
+        createPolicy({ scope: 'clinic', clinic: 'General Hospital', name: 'Clinic' })
+      ]);
+
+      const terms = await cancellationPolicyService.getTermsForDoctor(doctor);
+
+      expect(CancellationPolicy.find).toHaveBeenCalledWith({
+        isActive: true,
+        $or: [
+          { scope: 'doctor', doctorId: doctor._id },
+          { scope: 'clinic', clinic: 'General Hospital' },
+          { scope: 'global' }
+        ]
+      });
+      expect(terms).toMatchObject({ name: 'Doctor', scope: 'doctor', appliedAt: expect.any(Date) });
+    });
+
+    it('should fall back to the clinic policy, then the standard terms', async () => {
+      CancellationPolicy.find = jest.fn().mockResolvedValue([
+        createPolicy({ scope: 'clinic', clinic: 'General Hospital', name: 'Clinic', cutoffHours: 6 })
+      ]);
+
+      expect(await cancellationPolicyService.getTermsForDoctor(doctor))
+        .toMatchObject({ name: 'Clinic', scope: 'clinic', cutoffHours: 6 });
+
+      CancellationPolicy.find = jest.fn().mockResolvedValue([]);
+
+      expect(await cancellationPolicyService.getTermsForDoctor(doctor))
+        .toMatchObject({ scope: 'default', cutoffHours: 2, tiers: expect.arrayContaining([{ minHoursBefore: 24, refundPercent: 100 }]) });
+    });
+  });
+
+  describe('Appointment.cancel', () => {
+    const terms = {
+      name: 'Clinic',
+      scope: 'clinic',
+      tiers: [{ minHoursBefore: 48, refundPercent: 100 }, { minHoursBefore: 12, refundPercent: 25 }],
+      cancellationFee: 5,
+      cutoffHours: 6
+    };
+
+    it('should refund by the snapshotted tier less the flat fee', async () => {
+      const appointment = createAppointment(72, terms);
+      await appointment.cancel(admin._id, 'Busy');
+      expect(appointment.cancellation.refundAmount).toBe(95);
+
+      const lateAppointment = createAppointment(24, terms);
+      await lateAppointment.cancel(admin._id, 'Busy');
+      expect(lateAppointment.cancellation.refundAmount).toBe(20);
+      expect(lateAppointment.cancellation.refundStatus).toBe('pending');
+    });
+
+    it('should not refund or charge below the last tier', async () => {
+      const appointment = createAppointment(8, terms);
+
+      await appointment.cancel(admin._id);
+
+      expect(appointment.cancellation.refundAmount).toBe(0);
+    });
+
+    it('should refund in full when the doctor or clinic cancels', async () => {
+      const appointment = createAppointment(1, terms);
+
+      await appointment.cancel(doctor._id, 'Doctor unavailable', undefined, 'doctor');
+
+      expect(appointment.cancellation).toMatchObject({ initiatedBy: 'doctor', refundAmount: 100 });
+    });
+
+    it('should use the standard terms for appointments booked without a snapshot', async () => {
+      const appointment = createAppointment(10);
+
+      await appointment.cancel(admin._id);
+
+      expect(appointment.cancellation.refundAmount).toBe(50);
+    });
+  });
+
+  describe('assertBeforeCutoff', () => {
+    it('should reject changes inside the cutoff window', () => {
+      const appointment = createAppointment(4, { tiers: [{ minHoursBefore: 0, refundPercent: 0 }], cutoffHours: 6 });
+
+      expect(() => cancellationPolicyService.assertBeforeCutoff(appointment, 'reschedule'))
+        .toThrow('Cannot reschedule appointment less than 6 hours before the scheduled time');
+    });
+
+    it('should only reject started appointments without a cutoff', () => {
+      const terms = { tiers: [{ minHoursBefore: 0, refundPercent: 0 }], cutoffHours: 0 };
+
+      expect(() => cancellationPolicyService.assertBeforeCutoff(createAppointment(0.5, terms), 'cancel')).not.toThrow();
+      expect(() => cancellationPolicyService.assertBeforeCutoff(createAppointment(-0.5, terms), 'cancel'))
+        .toThrow('Cannot cancel an appointment that has already started');
+    });
+  });
+
+  describe('admin management', () => {
+    it('should create a doctor policy with its terms', async () => {
+      User.findOne = jest.fn().mockResolvedValue(doctor);
+      CancellationPolicy.findOne = jest.fn().mockResolvedValue(null);
+      const save = jest.spyOn(CancellationPolicy.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      const { policy } = await createCancellationPolicy(admin, {
+        name: 'Dr. Doe policy',
+        scope: 'doctor',
+        doctorId: doctor._id,
+        clinic: 'Ignored Clinic',
+        tiers: [{ minHoursBefore: 24, refundPercent: 80 }],
+        cancellationFee: 10
+      });
+
+      expect(CancellationPolicy.findOne).toHaveBeenCalledWith({ scope: 'doctor', doctorId: doctor._id, isActive: true });
+      expect(policy).toMatchObject({ scope: 'doctor', cancellationFee: 10, createdBy: expect.anything() });
+      expect(policy.clinic).toBeUndefined();
+      save.mockRestore();
+    });
+
+    it('should refuse a second active policy for the same scope', async () => {
+      CancellationPolicy.findOne = jest.fn().mockResolvedValue(createPolicy({ scope: 'global' }));
+
+      await expect(createCancellationPolicy(admin, { name: 'Another', scope: 'global', tiers: [] }))
+        .rejects.toThrow('An active global cancellation policy already exists; update or deactivate it first');
+    });
+
+    it('should not let an update move a policy to another scope', async () => {
+      CancellationPolicy.findOne = jest.fn().mockResolvedValue(createPolicy({ scope: 'global' }));
+
+      await expect(updateCancellationPolicy('policy-1', { scope: 'doctor' }))
+        .rejects.toThrow('A policy\'s scope cannot be changed; create a new policy instead');
+    });
+
+    it('should report the terms a doctor\'s new bookings get', async () => {
+      User.findOne = jest.fn().mockResolvedValue(doctor);
+      CancellationPolicy.find = jest.fn().mockResolvedValue([]);
+
+      const result = await getDoctorCancellationPolicy(doctor._id);
+
+      expect(result.policy).toMatchObject({ name: 'Standard cancellation policy', scope: 'default' });
+    });
+  });
+});
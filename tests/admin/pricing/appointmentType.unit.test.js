@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import {
+  createAppointmentType,
+  updateAppointmentType,
+  getDoctorAppointmentTypes
+} from '@/controllers/admin/pricing/index.js';
+import { getDoctorAvailableSlots } from '@/controllers/patient/appointment.controller.js';
+import appointmentTypeService from '@/utils/appointmentTypeService.js';
+import paymentService from '@/utils/paymentService.js';
+import AppointmentType from '@/models/AppointmentType.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import User from '@/models/users.model.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/utils/redis.js');
+
+describe('Appointment Type Unit Tests', () => {
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { hospital: 'General Hospital', experience: 12, specialization: 'Cardiology' }
+  };
+
+  // Catalog entry as findApplicable would return it
+  const createType = (data) => new AppointmentType({
+    code: 'new_consultation',
+    scope: 'global',
+    durationMinutes: 30,
+    price: 100,
+    ...data
+  });
+
+  const createSlot = (startTime, endTime) => ({
+    _id: `slot-${startTime}`,
+    doctorId: doctor._id,
+    date: new Date('2030-01-15'),
+    startTime,
+    endTime,
+    timezone: 'UTC'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('catalog resolution', () => {
+    it('should use the most specific price of each type, in catalog order', async () => {
+      AppointmentType.find = jest.fn().mockResolvedValue([
+        createType({ code: 'follow_up', scope: 'global', durationMinutes: 15, price: 50 }),
+        createType({ scope: 'global' }),
+        createType({ code: 'follow_up', scope: 'clinic', clinic: 'General Hospital', durationMinutes: 20, price: 70 }),
+        createType({ scope: 'doctor', doctorId: doctor._id, price: 150 })
+      ]);
+
+      const catalog = await appointmentTypeService.getCatalog(doctor);
+
+      expect(AppointmentType.find).toHaveBeenCalledWith({
+        isActive: true,
+        $or: [
+          { scope: 'doctor', doctorId: doctor._id },
+          { scope: 'clinic', clinic: 'General Hospital' },
+          { scope: 'global' }
+        ]
+      });
+      expect(catalog.map(type => [type.code, type.scope, type.price])).toEqual([
+        ['new_consultation', 'doctor', 150],
+        ['follow_up', 'clinic', 70]
+      ]);
+      expect(catalog[1].name).toBe('Follow-up');
+    });
+
+    it('should default to a new consultation and reject types the doctor does not offer', async () => {
+      AppointmentType.find = jest.fn().mockResolvedValue([createType({ code: 'follow_up', durationMinutes: 15, price: 50 })]);
+
+      await expect(appointmentTypeService.resolve(doctor, 'procedure'))
+        .rejects.toThrow('Dr. John Doe does not offer procedure appointments; choose one of: follow_up');
+      await expect(appointmentTypeService.resolve(doctor))
+        .rejects.toThrow('Choose an appointment type: follow_up');
+    });
+
+    it('should book doctors without a catalog without a type', async () => {
+      AppointmentType.find = jest.fn().mockResolvedValue([]);
+
+      expect(await appointmentTypeService.resolve(doctor)).toBeNull();
+      expect(paymentService.calculateFee(doctor, { appointmentType: null })).toBe(180);
+    });
+  });
+
+  describe('length and price', () => {
+    const followUp = { name: 'Follow-up', durationMinutes: 15, price: 60 };
+
+    it('should end the appointment after the type\'s length', () => {
+      const times = appointmentTypeService.getTimes(createSlot('10:00', '10:30'), followUp);
+
+      expect(times).toMatchObject({ startTime: '10:00', endTime: '10:15', timezone: 'UTC' });
+      expect(times.endAt - times.startAt).toBe(15 * 60 * 1000);
+    });
+
+    it('should read the end time off the clock past midnight and across a DST change', () => {
+      const lateSlot = createSlot('23:30', '23:59');
+      expect(appointmentTypeService.getTimes(lateSlot, { durationMinutes: 45 }).endTime).toBe('00:15');
+
+      // Clocks in New York go from 02:00 to 03:00 on 10 March 2030
+      const springForward = { ...createSlot('01:30', '02:00'), date: new Date('2030-03-10'), timezone: 'America/New_York' };
+      const times = appointmentTypeService.getTimes(springForward, { durationMinutes: 60 });
+
+      expect(times.endTime).toBe('03:30');
+      expect(times.endAt - times.startAt).toBe(60 * 60 * 1000);
+    });
+
+    it('should run a longer type on into the free slots straight after', () => {
+      const procedure = { name: 'Procedure', durationMinutes: 60, price: 300 };
+      const freeSlots = [createSlot('10:30', '11:00'), createSlot('11:00', '11:30'), createSlot('12:00', '12:30')];
+
+      expect(appointmentTypeService.getRun(createSlot('10:00', '10:30'), procedure, freeSlots).following)
+        .toEqual([freeSlots[0]]);
+      expect(() => appointmentTypeService.assertFits(freeSlots[1], procedure, freeSlots))
+        .toThrow('Procedure takes 60 minutes but only 30 minutes are free from 11:00');
+      expect(() => appointmentTypeService.assertFits(createSlot('10:00', '10:30'), procedure, [{ ...freeSlots[0], doctorId: 'other' }]))
+        .toThrow('Procedure takes 60 minutes but only 30 minutes are free from 10:00');
+      expect(() => appointmentTypeService.assertFits(createSlot('10:00', '11:00'), procedure)).not.toThrow();
+    });
+
+    it('should charge the type\'s price instead of the doctor surcharges', () => {
+      expect(paymentService.getFeeBreakdown(doctor, { bookingType: 'walk_in', appointmentType: followUp })).toEqual([
+        { code: 'appointment_type', description: 'Follow-up', amount: 60 },
+        { code: 'walk_in_surcharge', description: 'Walk-in surcharge', amount: 20 }
+      ]);
+    });
+
+    it('should only list slots the chosen type can be booked in', async () => {
+      User.findOne = jest.fn().mockResolvedValue(doctor);
+      AppointmentType.find = jest.fn().mockResolvedValue([createType({ code: 'procedure', durationMinutes: 60, price: 300 })]);
+      AvailabilitySlot.visibleToCondition = jest.fn().mockReturnValue({});
+      AvailabilitySlot.find = jest.fn().mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          createSlot('09:00', '09:30'),
+          createSlot('10:00', '11:00'),
+          createSlot('14:00', '14:30'),
+          createSlot('14:30', '15:00')
+        ])
+      });
+
+      const result = await getDoctorAvailableSlots(doctor._id, '2030-01-15', null, 'procedure');
+
+      expect(result.appointmentType).toMatchObject({ code: 'procedure', durationMinutes: 60, price: 300 });
+      expect(result.availableSlots.map(slot => slot.startTime)).toEqual(['10:00', '14:00']);
+    });
+  });
+
+  describe('admin management', () => {
+    it('should create a clinic price for a type', async () => {
+      AppointmentType.findOne = jest.fn().mockResolvedValue(null);
+      const save = jest.spyOn(AppointmentType.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      const { appointmentType } = await createAppointmentType(admin, {
+        code: 'teleconsult',
+        scope: 'clinic',
+        clinic: 'General Hospital',
+        doctorId: doctor._id,
+        durationMinutes: 20,
+        price: 40
+      });
+
+      expect(AppointmentType.findOne).toHaveBeenCalledWith({ code: 'teleconsult', scope: 'clinic', clinic: 'General Hospital', isActive: true });
+      expect(appointmentType).toMatchObject({ name: 'Teleconsultation', clinic: 'General Hospital', price: 40, createdBy: expect.anything() });
+      expect(appointmentType.doctorId).toBeUndefined();
+      save.mockRestore();
+    });
+
+    it('should refuse a second active price for the same type and scope', async () => {
+      AppointmentType.findOne = jest.fn().mockResolvedValue(createType({}));
+
+      await expect(createAppointmentType(admin, { code: 'new_consultation', scope: 'global', durationMinutes: 30, price: 90 }))
+        .rejects.toThrow('An active global price for new_consultation appointments already exists; update or deactivate it first');
+    });
+
+    it('should not let an update move a type to another scope', async () => {
+      AppointmentType.findOne = jest.fn().mockResolvedValue(createType({}));
+
+      await expect(updateAppointmentType('type-1', { scope: 'doctor', price: 90 }))
+        .rejects.toThrow('An appointment type\'s code and scope cannot be changed; create a new one instead');
+    });
+
+    it('should report the catalog a doctor\'s new bookings get', async () => {
+      User.findOne = jest.fn().mockResolvedValue(doctor);
+      AppointmentType.find = jest.fn().mockResolvedValue([createType({ scope: 'clinic', clinic: 'General Hospital' })]);
+
+      const result = await getDoctorAppointmentTypes(doctor._id);
+
+      expect(result.appointmentTypes).toEqual([
+        expect.objectContaining({ code: 'new_consultation', name: 'New consultation', scope: 'clinic', durationMinutes: 30, price: 100 })
+      ]);
+    });
+  });
+});
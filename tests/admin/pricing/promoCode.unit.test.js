@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+import { createPromoCode, updatePromoCode } from '@/controllers/admin/pricing/index.js';
+import promoCodeService from '@/utils/promoCodeService.js';
+import PromoCode from '@/models/PromoCode.js';
+import Appointment from '@/models/Appointment.js';
+import User from '@/models/users.model.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Promo Code Unit Tests', () => {
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin' };
+  const patient = { _id: '507f1f77bcf86cd799439012', role: 'patient' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { specialization: 'Cardiology' }
+  };
+  const now = new Date('2030-03-15T10:00:00.000Z');
+
+  const createPromo = (data) => new PromoCode({
+    code: 'spring20',
+    discountType: 'percentage',
+    discountValue: 20,
+    ...data
+  });
+
+  const validate = (promoCode, amount = 150) => {
+    PromoCode.findOne = jest.fn().mockResolvedValue(promoCode);
+    return promoCodeService.validate(promoCode?.code || 'SPRING20', { patient, doctor, amount, now });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Appointment.countDocuments = jest.fn().mockResolvedValue(0);
+  });
+
+  describe('discounts', () => {
+    it('should take a percentage or a fixed amount off, never more than the fee', async () => {
+      expect((await validate(createPromo({}))).discount).toBe(30);
+      expect((await validate(createPromo({ discountType: 'fixed', discountValue: 25 }))).discount).toBe(25);
+      expect((await validate(createPromo({ discountType: 'fixed', discountValue: 500 }))).discount).toBe(150);
+      expect(createPromo({ discountValue: 120 }).validateSync().errors.discountValue.message)
+        .toBe('A percentage discount cannot exceed 100');
+    });
+
+    it('should only accept a code inside its validity window', async () => {
+      await expect(validate(createPromo({ validFrom: new Date(now.getTime() + HOUR_MS) })))
+        .rejects.toThrow('Promo code SPRING20 is not valid yet');
+      await expect(validate(createPromo({ validUntil: new Date(now.getTime() - HOUR_MS) })))
+        .rejects.toThrow('Promo code SPRING20 has expired');
+      await expect(validate(null)).rejects.toThrow('Promo code SPRING20 is not valid');
+    });
+
+    it('should enforce the total and per-patient usage caps', async () => {
+      await expect(validate(createPromo({ maxUses: 5, usedCount: 5 })))
+        .rejects.toThrow('Promo code SPRING20 has been fully redeemed');
+
+      const promoCode = createPromo({ maxUsesPerPatient: 1 });
+      Appointment.countDocuments = jest.fn().mockResolvedValue(1);
+
+      await expect(validate(promoCode))
+        .rejects.toThrow('You have already used promo code SPRING20 the maximum number of times');
+      expect(Appointment.countDocuments).toHaveBeenCalledWith({
+        patientId: patient._id,
+        'payment.discount.promoCode': promoCode._id,
+        status: { $ne: 'rescheduled' }
+      });
+    });
+
+    it('should only apply to the doctors or specializations it is restricted to', async () => {
+      await expect(validate(createPromo({ specializations: ['Dermatology'] })))
+        .rejects.toThrow('Promo code SPRING20 cannot be used for appointments with Dr. John Doe');
+
+      expect((await validate(createPromo({ specializations: ['Dermatology'], doctors: [doctor._id] }))).discount).toBe(30);
+      expect((await validate(createPromo({ specializations: ['Cardiology'] }))).discount).toBe(30);
+    });
+  });
+
+  describe('refunds', () => {
+    // Discounted appointment paid and starting a number of hours from now
+    const createAppointment = (hoursAhead) => {
+      const appointment = new Appointment({
+        appointmentId: 'APT-1-ABCDE',
+        slotId: '507f1f77bcf86cd799439013',
+        patientId: patient._id,
+        doctorId: doctor._id,
+        date: new Date(),
+        startTime: '10:00',
+        endTime: '10:30',
+        startAt: new Date(Date.now() + hoursAhead * HOUR_MS),
+        status: 'confirmed',
+        payment: { amount: 80, originalAmount: 100, discount: { code: 'SPRING20', amount: 20 }, status: 'paid' }
+      });
+      appointment.save = jest.fn().mockResolvedValue(appointment);
+      return appointment;
+    };
+
+    it('should refund from the amount actually paid, not the fee before the discount', async () => {
+      const appointment = createAppointment(48);
+      await appointment.cancel(patient._id, 'Busy');
+      expect(appointment.cancellation.refundAmount).toBe(80);
+
+      const lateAppointment = createAppointment(5);
+      await lateAppointment.cancel(patient._id, 'Busy');
+      expect(lateAppointment.cancellation.refundAmount).toBe(40);
+
+      const clinicCancelled = createAppointment(1);
+      await clinicCancelled.cancel(admin._id, 'Doctor unavailable', undefined, 'clinic');
+      expect(clinicCancelled.cancellation.refundAmount).toBe(80);
+    });
+  });
+
+  describe('admin management', () => {
+    it('should create a code restricted to a doctor', async () => {
+      PromoCode.findOne = jest.fn().mockResolvedValue(null);
+      User.countDocuments = jest.fn().mockResolvedValue(1);
+      const save = jest.spyOn(PromoCode.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      const { promoCode } = await createPromoCode(admin, {
+        code: ' welcome10 ',
+        discountType: 'fixed',
+        discountValue: 10,
+        maxUsesPerPatient: 1,
+        doctors: [doctor._id],
+        usedCount: 99
+      });
+
+      expect(PromoCode.findOne).toHaveBeenCalledWith({ code: 'WELCOME10' });
+      expect(User.countDocuments).toHaveBeenCalledWith({ _id: { $in: expect.any(Array) }, role: 'doctor' });
+      expect(User.countDocuments.mock.calls[0][0]._id.$in.map(String)).toEqual([doctor._id]);
+      expect(promoCode).toMatchObject({ code: 'WELCOME10', discountValue: 10, maxUsesPerPatient: 1, usedCount: 0, createdBy: expect.anything() });
+      save.mockRestore();
+    });
+
+    it('should refuse a duplicate code or a window that ends before it starts', async () => {
+      PromoCode.findOne = jest.fn().mockResolvedValue(createPromo({}));
+
+      await expect(createPromoCode(admin, { code: 'Spring20', discountType: 'fixed', discountValue: 5 }))
+        .rejects.toThrow('Promo code SPRING20 already exists');
+
+      PromoCode.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(createPromoCode(admin, {
+        code: 'SUMMER',
+        discountType: 'fixed',
+        discountValue: 5,
+        validFrom: '2030-07-01',
+        validUntil: '2030-06-01'
+      })).rejects.toThrow('Valid from must be before valid until');
+    });
+
+    it('should not let an update rename a code', async () => {
+      PromoCode.findOne = jest.fn().mockResolvedValue(createPromo({}));
+
+      await expect(updatePromoCode('promo-1', { code: 'AUTUMN20', discountValue: 25 }))
+        .rejects.toThrow('A promo code cannot be renamed; create a new one instead');
+    });
+  });
+});
@@ -0,0 +1,358 @@
+import { jest } from '@jest/globals';
+import { getSubstituteProposals, reassignAppointments } from '@/controllers/admin/appointments/index.js';
+import { declineReassignment } from '@/controllers/patient/appointment.controller.js';
+import User from '@/models/users.model.js';
+import Appointment from '@/models/Appointment.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import AppointmentType from '@/models/AppointmentType.js';
+import InsurancePlan from '@/models/InsurancePlan.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+import paymentService from '@/utils/paymentService.js';
+import notificationService from '@/utils/notificationService.js';
+import waitlistService from '@/utils/waitlistService.js';
+import redisCache from '@/utils/redis.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/AppointmentType.js');
+jest.mock('@/models/InsurancePlan.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/paymentService.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+
+// Chainable query resolving to a result
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.sort = () => promise;
+  promise.limit = () => promise;
+  promise.populate = () => promise;
+  promise.session = () => promise;
+  return promise;
+};
+
+describe('Substitute Doctor Unit Tests', () => {
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin', name: 'Admin' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { specialization: 'Cardiology', hospital: 'General Hospital', timezone: 'UTC' }
+  };
+  const substitute = {
+    _id: '507f1f77bcf86cd799439012',
+    name: 'Dr. Jane Roe',
+    role: 'doctor',
+    isActive: true,
+    doctorProfile: { specialization: 'Cardiology', hospital: 'General Hospital' }
+  };
+  const patient = { _id: '507f1f77bcf86cd799439013', name: 'Pat Smith', email: 'pat@example.com' };
+  const session = { id: 'session' };
+  const day = new Date('2030-01-15');
+
+  const createSlot = (id, startTime, owner = substitute, status = 'available') => ({
+    _id: id,
+    doctorId: owner,
+    date: day,
+    startTime,
+    endTime: `${startTime.slice(0, 3)}30`,
+    timezone: 'UTC',
+    status,
+    bookSlot: jest.fn().mockImplementation(function() {
+      this.status = 'booked';
+      return Promise.resolve(this);
+    }),
+    withdrawSlot: jest.fn().mockImplementation(function() {
+      this.status = 'blocked';
+      return Promise.resolve(this);
+    }),
+    cancelBooking: jest.fn().mockResolvedValue({}),
+    releaseOverbooking: jest.fn().mockResolvedValue({})
+  });
+
+  const createAppointment = (overrides = {}) => ({
+    _id: 'apt-1',
+    appointmentId: 'APT-1',
+    slotId: 'old-slot',
+    doctorId: doctor._id,
+    patientId: patient._id,
+    date: day,
+    startTime: '09:00',
+    endTime: '09:30',
+    timezone: 'UTC',
+    status: 'confirmed',
+    bookingType: 'online',
+    payment: { amount: 150, status: 'paid', currency: 'USD' },
+    cancellation: {},
+    set: jest.fn().mockImplementation(function(update) {
+      Object.entries(update).forEach(([path, value]) => {
+        const [head, tail] = path.split('.');
+        if (tail) this[head][tail] = value;
+        else this[head] = value;
+      });
+    }),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  let appointment;
+  let slots;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    appointment = createAppointment();
+    slots = {
+      'old-slot': { ...createSlot('old-slot', '09:00', doctor, 'booked'), appointmentId: 'apt-1' },
+      'sub-slot': createSlot('sub-slot', '09:00')
+    };
+
+    User.findOne = jest.fn().mockResolvedValue(doctor);
+    User.find = jest.fn().mockReturnValue(query([substitute]));
+    User.findById = jest.fn().mockImplementation(() => query(patient));
+    Appointment.findOne = jest.fn().mockImplementation(filter =>
+      query(filter.startTime ? null : appointment)
+    );
+    Appointment.find = jest.fn().mockReturnValue(query([appointment]));
+    AvailabilitySlot.notHeldCondition = jest.fn().mockReturnValue({});
+    AvailabilitySlot.find = jest.fn().mockReturnValue(query([createSlot('sub-slot', '09:00'), createSlot('sub-late', '11:00')]));
+    AvailabilitySlot.findById = jest.fn().mockImplementation(id => query(slots[id]));
+    AppointmentType.findApplicable = jest.fn().mockResolvedValue([]);
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+    paymentService.calculateFee = jest.fn().mockReturnValue(120);
+    paymentService.processRefund = jest.fn().mockResolvedValue({ success: true });
+    paymentService.getRefundStatus = jest.fn().mockReturnValue('processed');
+    notificationService.sendReassignmentNotification = jest.fn().mockResolvedValue({ success: true });
+    notificationService.sendCancellationNotification = jest.fn().mockResolvedValue({ success: true });
+    waitlistService.notifySlotsAvailable = jest.fn().mockResolvedValue();
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('getSubstituteProposals', () => {
+    it('should suggest a same-time slot with an eligible colleague and its fee', async () => {
+      const result = await getSubstituteProposals(doctor._id, { startDate: '2030-01-15' });
+
+      expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+        _id: { $ne: doctor._id },
+        'doctorProfile.specialization': 'Cardiology',
+        'doctorProfile.hospital': 'General Hospital'
+      }));
+      expect(result.proposals).toHaveLength(1);
+      expect(result.proposals[0].suggested).toMatchObject({
+        slotId: 'sub-slot',
+        exactMatch: true,
+        newFee: 120,
+        feeDifference: -30
+      });
+      expect(result.proposals[0].options.map(option => option.slotId)).toEqual(['sub-slot', 'sub-late']);
+      expect(result.unmatched).toBe(0);
+    });
+
+    it('should not suggest the same slot for two appointments', async () => {
+      Appointment.find = jest.fn().mockReturnValue(query([appointment, createAppointment({ _id: 'apt-2', appointmentId: 'APT-2' })]));
+
+      const result = await getSubstituteProposals(doctor._id, { startDate: '2030-01-15' });
+
+      expect(result.proposals.map(proposal => proposal.suggested.slotId)).toEqual(['sub-slot', 'sub-late']);
+    });
+
+    it('should require a specialization and hospital', async () => {
+      User.findOne = jest.fn().mockResolvedValue({ ...doctor, doctorProfile: { timezone: 'UTC' } });
+
+      await expect(getSubstituteProposals(doctor._id, { startDate: '2030-01-15' }))
+        .rejects.toThrow('Doctor needs a specialization and hospital to find substitutes');
+    });
+  });
+
+  describe('reassignAppointments', () => {
+    const reassign = (slotId = 'sub-slot') =>
+      reassignAppointments(admin, doctor._id, { assignments: [{ appointmentId: 'APT-1', slotId }] });
+
+    it('should move the booking, block the old slot and refund a cheaper fee', async () => {
+      const result = await reassign();
+
+      expect(slots['sub-slot'].bookSlot).toHaveBeenCalledWith(patient._id, 'apt-1', undefined, session);
+      expect(slots['old-slot'].withdrawSlot).toHaveBeenCalledWith(admin._id, 'Patient reassigned to a substitute doctor', session);
+      expect(appointment).toMatchObject({
+        doctorId: substitute._id,
+        slotId: 'sub-slot',
+        payment: expect.objectContaining({ amount: 120 }),
+        reassignment: expect.objectContaining({
+          fromDoctorId: doctor._id,
+          originalFee: 150,
+          newFee: 120,
+          refundedDifference: 30,
+          differenceRefundStatus: 'processed',
+          response: 'pending'
+        })
+      });
+      expect(paymentService.processRefund).toHaveBeenCalledWith(appointment, 30);
+      expect(notificationService.sendReassignmentNotification).toHaveBeenCalledWith(appointment, doctor, substitute, patient);
+      expect(redisCache.publish).toHaveBeenCalledWith('appointment_updates', expect.objectContaining({ action: 'reassigned' }));
+      expect(redisCache.del).toHaveBeenCalledWith(`doctor_slots_${substitute._id}`);
+      expect(result).toMatchObject({ successCount: 1, errorCount: 0 });
+    });
+
+    it('should keep the original price when the substitute costs more', async () => {
+      paymentService.calculateFee = jest.fn().mockReturnValue(200);
+
+      await reassign();
+
+      expect(appointment.payment.amount).toBe(150);
+      expect(appointment.reassignment).toMatchObject({ newFee: 200, refundedDifference: 0, differenceRefundStatus: 'none' });
+      expect(paymentService.processRefund).not.toHaveBeenCalled();
+    });
+
+    it('should reject a substitute from another specialization', async () => {
+      slots['sub-slot'].doctorId = { ...substitute, doctorProfile: { specialization: 'Neurology', hospital: 'General Hospital' } };
+
+      const result = await reassign();
+
+      expect(result.errors).toEqual([{
+        appointmentId: 'APT-1',
+        slotId: 'sub-slot',
+        error: 'Substitute must be another active doctor with the same specialization and hospital'
+      }]);
+      expect(slots['sub-slot'].bookSlot).not.toHaveBeenCalled();
+    });
+
+    it('should report a slot taken in the meantime', async () => {
+      slots['sub-slot'].bookSlot.mockResolvedValue(null);
+
+      const result = await reassign();
+
+      expect(result.errors[0].error).toBe('Slot is no longer available');
+      expect(slots['old-slot'].withdrawSlot).not.toHaveBeenCalled();
+    });
+
+    describe('insured appointments', () => {
+      const insuredPatient = {
+        ...patient,
+        patientProfile: { insurance: { provider: 'Acme Health', policyNumber: 'POL-1', planId: 'plan-1' } }
+      };
+      const plan = {
+        _id: 'plan-1',
+        name: 'Gold PPO',
+        provider: 'Acme Health',
+        networkDoctors: [doctor._id, substitute._id],
+        copay: 20,
+        coveragePercent: 80
+      };
+
+      beforeEach(() => {
+        // Fee of 100: the patient paid the co-pay and 20% of the rest
+        appointment = createAppointment({
+          payment: {
+            amount: 36,
+            status: 'paid',
+            currency: 'USD',
+            paymentMethod: 'insurance',
+            insurance: { planId: 'plan-1', planName: 'Gold PPO', inNetwork: true, insurerShare: 64, patientShare: 36 }
+          }
+        });
+        User.findById = jest.fn().mockImplementation(() => query(insuredPatient));
+        InsurancePlan.findOne = jest.fn().mockResolvedValue(plan);
+      });
+
+      it('should split the substitute\'s fee under the patient\'s plan', async () => {
+        paymentService.calculateFee = jest.fn().mockReturnValue(90);
+
+        await reassign();
+
+        expect(InsurancePlan.findOne).toHaveBeenCalledWith({ _id: 'plan-1', isActive: true });
+        expect(appointment.payment).toMatchObject({
+          amount: 34,
+          insurance: expect.objectContaining({ planId: 'plan-1', inNetwork: true, insurerShare: 56, patientShare: 34 })
+        });
+        expect(appointment.reassignment).toMatchObject({ originalFee: 36, newFee: 90, refundedDifference: 2 });
+        expect(paymentService.processRefund).toHaveBeenCalledWith(appointment, 2);
+      });
+
+      it('should not raise the patient\'s share when the substitute costs more', async () => {
+        await reassign();
+
+        expect(appointment.payment).toMatchObject({
+          amount: 36,
+          insurance: expect.objectContaining({ insurerShare: 80, patientShare: 36 })
+        });
+        expect(paymentService.processRefund).not.toHaveBeenCalled();
+      });
+
+      it('should refuse a substitute the plan does not cover', async () => {
+        InsurancePlan.findOne = jest.fn().mockResolvedValue({ ...plan, networkDoctors: [doctor._id] });
+
+        const result = await reassign();
+
+        expect(result.errors[0].error).toBe('Gold PPO does not cover appointments with Dr. Jane Roe, who is out of network');
+        expect(slots['sub-slot'].bookSlot).not.toHaveBeenCalled();
+        expect(appointment.save).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should not block a slot that still holds overbooked walk-ins', async () => {
+      slots['old-slot'].overbookedCount = 2;
+
+      const result = await reassign();
+
+      expect(result.errors[0].error).toBe('Reassign the 2 overbooked patient(s) on this slot first');
+      expect(slots['sub-slot'].bookSlot).not.toHaveBeenCalled();
+      expect(slots['old-slot'].withdrawSlot).not.toHaveBeenCalled();
+    });
+
+    it('should release the place of an overbooked walk-in without blocking the slot', async () => {
+      appointment = createAppointment({ isOverbooked: true, _id: 'apt-2' });
+      slots['old-slot'].overbookedCount = 1;
+
+      await reassign();
+
+      expect(slots['old-slot'].releaseOverbooking).toHaveBeenCalledWith(session);
+      expect(slots['old-slot'].withdrawSlot).not.toHaveBeenCalled();
+      expect(appointment).toMatchObject({ slotId: 'sub-slot', isOverbooked: false });
+    });
+  });
+
+  describe('declineReassignment', () => {
+    it('should cancel on the clinic\'s account and refund what was paid', async () => {
+      const slot = { ...createSlot('sub-slot', '09:00', substitute, 'booked'), appointmentId: 'apt-1' };
+      appointment = createAppointment({
+        slotId: slot,
+        doctorId: substitute,
+        payment: { amount: 120, status: 'paid', currency: 'USD' },
+        reassignment: { response: 'pending' },
+        cancel: jest.fn().mockImplementation(function(cancelledBy, reason, session, initiatedBy) {
+          this.status = 'cancelled';
+          this.cancellation = { initiatedBy, reason, refundStatus: 'pending', refundAmount: this.payment.amount };
+          return Promise.resolve(this);
+        })
+      });
+      Appointment.exists = jest.fn().mockReturnValue(query({ _id: 'apt-1' }));
+
+      const result = await declineReassignment(patient, 'APT-1');
+
+      expect(appointment.cancel).toHaveBeenCalledWith(patient._id, 'Patient declined the substitute doctor', session, 'clinic');
+      expect(slot.cancelBooking).toHaveBeenCalledWith(session);
+      expect(paymentService.processRefund).toHaveBeenCalledWith(appointment, 120);
+      expect(result.appointment).toMatchObject({
+        status: 'cancelled',
+        cancellation: { refundAmount: 120, refundStatus: 'processed' },
+        reassignment: { response: 'declined' }
+      });
+    });
+
+    it('should reject appointments without a pending reassignment', async () => {
+      Appointment.findOne = jest.fn().mockReturnValue(query(null));
+
+      await expect(declineReassignment(patient, 'APT-1'))
+        .rejects.toThrow('No reassignment awaiting a response for this appointment');
+    });
+  });
+});
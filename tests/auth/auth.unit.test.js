@@ -3,6 +3,7 @@ import {
   register,
   login,
   refreshToken,
+  createStreamTicket,
   logout,
   forgotPassword,
   resetPassword,
@@ -28,7 +29,7 @@ jest.mock('jsonwebtoken');
 import User from '@/models/users.model.js';
 import ApiError from '@/utils/ApiError.util.js';
 import { sendEmail } from '@/utils/email.js';
-import { generateAccessToken, generateRefreshToken } from '@/middlewares/auth.js';
+import { generateAccessToken, generateRefreshToken, generateStreamTicket } from '@/middlewares/auth.js';
 import redisCache from '@/utils/redis.js';
 import jwt from 'jsonwebtoken';
 
@@ -187,6 +188,18 @@ describe('Auth Controller', () => {
     });
   });
 
+  describe('createStreamTicket', () => {
+    it('should issue a stream ticket for the user', async () => {
+      const user = { _id: 'userId', role: 'staff' };
+      generateStreamTicket.mockResolvedValue({ ticket: 'ticket', expiresIn: 60 });
+
+      const result = await createStreamTicket(user);
+
+      expect(generateStreamTicket).toHaveBeenCalledWith(user);
+      expect(result).toEqual({ ticket: 'ticket', expiresIn: 60 });
+    });
+  });
+
   describe('logout', () => {
     it('should logout user', async () => {
       const user = {
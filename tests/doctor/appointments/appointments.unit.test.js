@@ -0,0 +1,198 @@
+import { jest } from '@jest/globals';
+import {
+  getDoctorAppointmentsList,
+  getDoctorAppointmentDetails,
+  completeAppointment,
+  markAppointmentNoShow
+} from '@/controllers/doctor/appointments/appointments.controller.js';
+import Appointment from '@/models/Appointment.js';
+import redisCache from '@/utils/redis.js';
+import insuranceService from '@/utils/insuranceService.js';
+import transactionManager from '@/utils/transactionManager.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/utils/redis.js');
+jest.mock('@/utils/transactionManager.js');
+
+describe('Doctor Appointments Controller Unit Tests', () => {
+  let mockDoctor;
+  let mockSlot;
+  let mockAppointment;
+  const session = { id: 'session' };
+
+  const mockFindOne = (result) => {
+    Appointment.findOne = jest.fn().mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(result)
+      })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockDoctor = {
+      _id: '507f1f77bcf86cd799439011',
+      name: 'Dr. John Doe',
+      role: 'doctor'
+    };
+
+    mockSlot = {
+      _id: '507f1f77bcf86cd799439013',
+      status: 'booked',
+      cancelBooking: jest.fn().mockImplementation(function() {
+        return Promise.resolve(this);
+      }),
+      releaseOverbooking: jest.fn().mockImplementation(function() {
+        return Promise.resolve(this);
+      })
+    };
+
+    mockAppointment = {
+      _id: '507f1f77bcf86cd799439014',
+      appointmentId: 'APT-1-ABCDE',
+      slotId: mockSlot,
+      patientId: { _id: '507f1f77bcf86cd799439015', name: 'Jane Patient', email: 'jane@example.com' },
+      date: new Date('2024-01-01'),
+      startTime: '09:00',
+      endTime: '09:30',
+      status: 'confirmed',
+      payment: { amount: 100, currency: 'USD', status: 'paid' },
+      complete: jest.fn().mockImplementation(function() {
+        this.status = 'completed';
+        return Promise.resolve(this);
+      }),
+      markNoShow: jest.fn().mockImplementation(function() {
+        this.status = 'no_show';
+        return Promise.resolve(this);
+      })
+    };
+
+    redisCache.del = jest.fn().mockResolvedValue(true);
+    redisCache.publish = jest.fn().mockResolvedValue(true);
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+  });
+
+  describe('getDoctorAppointmentsList', () => {
+    it('should return paginated appointments using the doctor filters', async () => {
+      const limit = jest.fn().mockResolvedValue([mockAppointment]);
+      Appointment.getDoctorAppointments = jest.fn().mockReturnValue({
+        getFilter: jest.fn().mockReturnValue({ doctorId: mockDoctor._id }),
+        skip: jest.fn().mockReturnValue({ limit })
+      });
+      Appointment.countDocuments = jest.fn().mockResolvedValue(1);
+
+      const result = await getDoctorAppointmentsList(mockDoctor, { status: 'confirmed', date: '2024-01-01' });
+
+      expect(Appointment.getDoctorAppointments).toHaveBeenCalledWith(mockDoctor._id, {
+        status: 'confirmed',
+        date: '2024-01-01',
+        dateFrom: undefined,
+        dateTo: undefined
+      });
+      expect(Appointment.countDocuments).toHaveBeenCalledWith({ doctorId: mockDoctor._id });
+      expect(result.appointments).toHaveLength(1);
+      expect(result.appointments[0].patient.name).toBe('Jane Patient');
+      expect(result.pagination.total).toBe(1);
+    });
+  });
+
+  describe('getDoctorAppointmentDetails', () => {
+    it('should throw not found when appointment does not belong to doctor', async () => {
+      mockFindOne(null);
+
+      await expect(getDoctorAppointmentDetails(mockDoctor, 'APT-unknown'))
+        .rejects.toThrow('Appointment not found');
+    });
+  });
+
+  describe('completeAppointment', () => {
+    it('should complete a started appointment and keep the slot booked', async () => {
+      mockFindOne(mockAppointment);
+
+      const result = await completeAppointment(mockDoctor, mockAppointment.appointmentId, { notes: 'All good' });
+
+      expect(mockAppointment.complete).toHaveBeenCalledWith('All good');
+      expect(mockSlot.cancelBooking).not.toHaveBeenCalled();
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        action: 'completed'
+      }));
+      expect(result.appointment.status).toBe('completed');
+      expect(result.paymentOutstanding).toBe(false);
+    });
+
+    it('should submit the insurance claim once the appointment is completed', async () => {
+      mockFindOne(mockAppointment);
+      const submitClaim = jest.spyOn(insuranceService, 'submitClaimQuietly').mockResolvedValue();
+
+      await completeAppointment(mockDoctor, mockAppointment.appointmentId);
+
+      expect(submitClaim).toHaveBeenCalledWith(mockAppointment);
+      expect(mockAppointment.complete.mock.invocationCallOrder[0])
+        .toBeLessThan(submitClaim.mock.invocationCallOrder[0]);
+      submitClaim.mockRestore();
+    });
+
+    it('should reject appointments that have not started yet', async () => {
+      mockAppointment.date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      mockFindOne(mockAppointment);
+
+      await expect(completeAppointment(mockDoctor, mockAppointment.appointmentId))
+        .rejects.toThrow('Appointment has not started yet');
+      expect(mockAppointment.complete).not.toHaveBeenCalled();
+    });
+
+    it('should reject appointments that are already closed', async () => {
+      mockAppointment.status = 'cancelled';
+      mockFindOne(mockAppointment);
+
+      await expect(completeAppointment(mockDoctor, mockAppointment.appointmentId))
+        .rejects.toThrow('Appointment is already cancelled');
+    });
+  });
+
+  describe('markAppointmentNoShow', () => {
+    it('should mark no-show and release the slot', async () => {
+      mockFindOne(mockAppointment);
+
+      const result = await markAppointmentNoShow(mockDoctor, mockAppointment.appointmentId);
+
+      expect(transactionManager.withTransaction).toHaveBeenCalled();
+      expect(mockAppointment.markNoShow).toHaveBeenCalledWith(session);
+      expect(mockSlot.cancelBooking).toHaveBeenCalledWith(session);
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        action: 'no_show',
+        status: 'available'
+      }));
+      expect(redisCache.del).toHaveBeenCalledWith(`doctor_slots_${mockDoctor._id}`);
+      expect(result.appointment.status).toBe('no_show');
+    });
+
+    it('should only give back the extra place of an overbooked appointment', async () => {
+      mockAppointment.isOverbooked = true;
+      mockFindOne(mockAppointment);
+
+      await markAppointmentNoShow(mockDoctor, mockAppointment.appointmentId);
+
+      expect(mockSlot.releaseOverbooking).toHaveBeenCalledWith(session);
+      expect(mockSlot.cancelBooking).not.toHaveBeenCalled();
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        action: 'no_show',
+        status: 'booked'
+      }));
+    });
+
+    it('should roll back the no-show when the slot cannot be released', async () => {
+      mockSlot.cancelBooking.mockResolvedValue(null);
+      mockFindOne(mockAppointment);
+
+      await expect(markAppointmentNoShow(mockDoctor, mockAppointment.appointmentId))
+        .rejects.toThrow('Slot changed while marking the no-show, please try again');
+
+      expect(mockAppointment.markNoShow).toHaveBeenCalledWith(session);
+      expect(redisCache.publish).not.toHaveBeenCalled();
+      expect(redisCache.del).not.toHaveBeenCalled();
+    });
+  });
+});
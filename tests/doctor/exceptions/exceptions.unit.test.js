@@ -0,0 +1,289 @@
+import { jest } from '@jest/globals';
+import {
+  createScheduleException,
+  deleteScheduleException
+} from '@/controllers/doctor/exceptions/exceptions.controller.js';
+import { generateAvailabilitySlots } from '@/controllers/doctor/slots/slots.controller.js';
+import ScheduleException from '@/models/ScheduleException.js';
+import DoctorSchedule from '@/models/DoctorSchedule.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import Appointment from '@/models/Appointment.js';
+import waitlistService from '@/utils/waitlistService.js';
+import redisCache from '@/utils/redis.js';
+
+// Mock dependencies
+jest.mock('@/models/ScheduleException.js');
+jest.mock('@/models/DoctorSchedule.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+
+const futureDay = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+describe('Doctor Schedule Exceptions Unit Tests', () => {
+  const doctor = { _id: '507f1f77bcf86cd799439011', name: 'Dr. John Doe', role: 'doctor' };
+  const schedule = {
+    _id: '507f1f77bcf86cd799439012',
+    doctorId: doctor._id,
+    dayOfWeek: 'monday',
+    startTime: '09:00',
+    endTime: '13:00',
+    slotDuration: 60,
+    isActive: true,
+    breakTimes: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    ScheduleException.findForRange = jest.fn().mockResolvedValue([]);
+    ScheduleException.create = jest.fn().mockImplementation((data) =>
+      Promise.resolve({ ...data, _id: '507f1f77bcf86cd799439020' })
+    );
+    DoctorSchedule.find = jest.fn().mockResolvedValue([schedule]);
+    AvailabilitySlot.find = jest.fn().mockResolvedValue([]);
+    AvailabilitySlot.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 0 });
+    AvailabilitySlot.insertMany = jest.fn().mockImplementation((slots) => Promise.resolve(slots));
+    waitlistService.notifySlotsAvailable = jest.fn().mockResolvedValue(0);
+    redisCache.del = jest.fn().mockResolvedValue(true);
+    redisCache.publish = jest.fn().mockResolvedValue(true);
+  });
+
+  describe('createScheduleException', () => {
+    it('should block available slots on leave and report booked ones', async () => {
+      const availableSlots = [{ _id: 'slot-1' }, { _id: 'slot-2' }];
+      const bookedSlots = [{ _id: 'slot-3' }];
+      AvailabilitySlot.find = jest.fn()
+        .mockResolvedValueOnce(availableSlots)
+        .mockResolvedValueOnce(bookedSlots);
+      AvailabilitySlot.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 2 });
+      Appointment.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          sort: jest.fn().mockResolvedValue([{
+            _id: 'appointment-1',
+            appointmentId: 'APT-1-ABCDE',
+            slotId: 'slot-3',
+            startTime: '10:00',
+            endTime: '11:00',
+            status: 'confirmed',
+            patientId: { _id: 'patient-1', name: 'Jane Patient', email: 'jane@example.com', profile: {} }
+          }])
+        })
+      });
+
+      const result = await createScheduleException(doctor, {
+        type: 'leave',
+        startDate: futureDay(10),
+        endDate: futureDay(20),
+        reason: 'Annual leave'
+      });
+
+      expect(AvailabilitySlot.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['slot-1', 'slot-2'] }, status: 'available' },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: 'blocked',
+            blockedReason: 'Annual leave',
+            blockedByExceptionId: '507f1f77bcf86cd799439020'
+          })
+        })
+      );
+      expect(Appointment.find).toHaveBeenCalledWith({
+        slotId: { $in: ['slot-3'] },
+        status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+      });
+      expect(result.slotsBlocked).toBe(2);
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0]).toMatchObject({
+        appointmentId: 'APT-1-ABCDE',
+        patient: { name: 'Jane Patient', email: 'jane@example.com' }
+      });
+      expect(redisCache.del).toHaveBeenCalledWith(`doctor_slots_${doctor._id}`);
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        slotId: 'slot-1',
+        action: 'blocked',
+        status: 'blocked'
+      }));
+    });
+
+    it('should reject leave overlapping existing leave', async () => {
+      ScheduleException.findForRange = jest.fn().mockResolvedValue([{ type: 'leave' }]);
+
+      await expect(createScheduleException(doctor, {
+        type: 'leave',
+        startDate: futureDay(10),
+        endDate: futureDay(12)
+      })).rejects.toMatchObject({ statusCode: 409 });
+
+      expect(ScheduleException.create).not.toHaveBeenCalled();
+    });
+
+    it('should create the slots of an extra session', async () => {
+      DoctorSchedule.find = jest.fn().mockResolvedValue([]);
+
+      const result = await createScheduleException(doctor, {
+        type: 'extra_session',
+        startDate: futureDay(5),
+        startTime: '14:00',
+        endTime: '16:00',
+        slotDuration: 60
+      });
+
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      expect(slots.map(slot => slot.startTime)).toEqual(['14:00', '15:00']);
+      expect(slots[0]).toMatchObject({ exceptionId: '507f1f77bcf86cd799439020', status: 'available' });
+      expect(slots[0].scheduleId).toBeUndefined();
+      expect(waitlistService.notifySlotsAvailable).toHaveBeenCalledWith(slots);
+      expect(result.slotsCreated).toBe(2);
+    });
+
+    it('should reject an extra session overlapping weekly hours', async () => {
+      await expect(createScheduleException(doctor, {
+        type: 'extra_session',
+        startDate: futureDay(5),
+        startTime: '12:00',
+        endTime: '14:00'
+      })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject modified hours on a day without a weekly schedule', async () => {
+      DoctorSchedule.find = jest.fn().mockResolvedValue([]);
+
+      await expect(createScheduleException(doctor, {
+        type: 'modified_hours',
+        startDate: futureDay(5),
+        startTime: '14:00',
+        endTime: '18:00'
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should require the session when modifying a day with several sessions', async () => {
+      DoctorSchedule.find = jest.fn().mockResolvedValue([
+        schedule,
+        { ...schedule, _id: '507f1f77bcf86cd799439013', startTime: '17:00', endTime: '19:00' }
+      ]);
+
+      await expect(createScheduleException(doctor, {
+        type: 'modified_hours',
+        startDate: futureDay(5),
+        startTime: '10:00',
+        endTime: '12:00'
+      })).rejects.toMatchObject({ statusCode: 400 });
+
+      await expect(createScheduleException(doctor, {
+        type: 'modified_hours',
+        startDate: futureDay(5),
+        scheduleId: schedule._id,
+        startTime: '10:00',
+        endTime: '18:00'
+      })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should fit generated slots to modified hours', async () => {
+      const date = new Date(futureDay(5));
+      AvailabilitySlot.find = jest.fn().mockResolvedValue([
+        { _id: 'slot-9', date, startTime: '09:00', endTime: '10:00', status: 'available' },
+        { _id: 'slot-10', date, startTime: '10:00', endTime: '11:00', status: 'booked' },
+        { _id: 'slot-12', date, startTime: '12:00', endTime: '13:00', status: 'available' }
+      ]);
+      AvailabilitySlot.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+      Appointment.find = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([]) })
+      });
+
+      const result = await createScheduleException(doctor, {
+        type: 'modified_hours',
+        startDate: futureDay(5),
+        startTime: '12:00',
+        endTime: '15:00'
+      });
+
+      expect(AvailabilitySlot.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['slot-9'] }, status: 'available' },
+        expect.any(Object)
+      );
+      expect(Appointment.find).toHaveBeenCalledWith(expect.objectContaining({ slotId: { $in: ['slot-10'] } }));
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      expect(slots.map(slot => slot.startTime)).toEqual(['13:00', '14:00']);
+      expect(result).toMatchObject({ slotsBlocked: 1, slotsCreated: 2 });
+    });
+  });
+
+  describe('deleteScheduleException', () => {
+    it('should release blocked slots and remove unbooked created slots', async () => {
+      const exception = { _id: '507f1f77bcf86cd799439020', doctorId: doctor._id, type: 'leave' };
+      const blockedSlots = [{ _id: 'slot-1' }];
+      ScheduleException.findOne = jest.fn().mockResolvedValue(exception);
+      ScheduleException.deleteOne = jest.fn().mockResolvedValue({ deletedCount: 1 });
+      AvailabilitySlot.find = jest.fn().mockResolvedValue(blockedSlots);
+      AvailabilitySlot.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+      AvailabilitySlot.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 0 });
+
+      const result = await deleteScheduleException(doctor, exception._id);
+
+      expect(AvailabilitySlot.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['slot-1'] }, status: 'blocked' },
+        {
+          $set: { status: 'available' },
+          $unset: { blockedBy: 1, blockedReason: 1, blockedByExceptionId: 1 }
+        }
+      );
+      expect(AvailabilitySlot.deleteMany).toHaveBeenCalledWith({ exceptionId: exception._id, status: 'available' });
+      expect(waitlistService.notifySlotsAvailable).toHaveBeenCalledWith(blockedSlots);
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        slotId: 'slot-1',
+        action: 'unblocked',
+        status: 'available'
+      }));
+      expect(result).toMatchObject({ slotsReleased: 1, slotsRemoved: 0 });
+    });
+
+    it('should throw when the exception does not exist', async () => {
+      ScheduleException.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(deleteScheduleException(doctor, 'missing'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('generateAvailabilitySlots', () => {
+    it('should skip leave days and apply modified hours', async () => {
+      DoctorSchedule.findOne = jest.fn().mockResolvedValue(schedule);
+      AvailabilitySlot.countDocuments = jest.fn().mockResolvedValue(0);
+      ScheduleException.findForRange = jest.fn().mockResolvedValue([
+        {
+          type: 'leave',
+          startDate: new Date('2024-01-01T00:00:00.000Z'),
+          endDate: new Date('2024-01-01T23:59:59.999Z')
+        },
+        {
+          type: 'modified_hours',
+          startDate: new Date('2024-01-08T00:00:00.000Z'),
+          endDate: new Date('2024-01-08T23:59:59.999Z'),
+          startTime: '10:00',
+          endTime: '12:00'
+        }
+      ]);
+
+      const result = await generateAvailabilitySlots(doctor, {
+        scheduleId: schedule._id,
+        startDate: '2024-01-01',
+        endDate: '2024-01-15'
+      });
+
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      const byDate = (day) => slots.filter(slot => slot.date.toISOString().startsWith(day));
+
+      expect(byDate('2024-01-01')).toHaveLength(0);
+      expect(byDate('2024-01-08').map(slot => slot.startTime)).toEqual(['10:00', '11:00']);
+      expect(byDate('2024-01-15').map(slot => slot.startTime)).toEqual(['09:00', '10:00', '11:00', '12:00']);
+      expect(result.slotsCount).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+import {
+  createDoctorSchedule,
+  updateDoctorSchedule
+} from '@/controllers/doctor/schedule/schedule.controller.js';
+import { generateAvailabilitySlots } from '@/controllers/doctor/slots/slots.controller.js';
+import DoctorSchedule from '@/models/DoctorSchedule.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import ScheduleException from '@/models/ScheduleException.js';
+import distributedLock from '@/utils/distributedLock.js';
+import redisCache from '@/utils/redis.js';
+
+// The schedule model is used as is, so its overlap check and validation run for real
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/ScheduleException.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+
+describe('Doctor Schedule Sessions Unit Tests', () => {
+  const doctor = { _id: '507f1f77bcf86cd799439011', name: 'Dr. John Doe', role: 'doctor' };
+  let morning;
+  let evening;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    morning = new DoctorSchedule({
+      doctorId: doctor._id,
+      dayOfWeek: 'monday',
+      startTime: '09:00',
+      endTime: '12:00',
+      slotDuration: 60,
+      location: 'City Hospital'
+    });
+    evening = new DoctorSchedule({
+      doctorId: doctor._id,
+      dayOfWeek: 'monday',
+      startTime: '17:00',
+      endTime: '19:00',
+      slotDuration: 30,
+      location: 'Downtown Clinic'
+    });
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    redisCache.del = jest.fn().mockResolvedValue(true);
+    ScheduleException.findForRange = jest.fn().mockResolvedValue([]);
+    jest.spyOn(DoctorSchedule.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  describe('createDoctorSchedule', () => {
+    it('should add a second session on the same day', async () => {
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([morning]);
+
+      const result = await createDoctorSchedule(doctor, {
+        dayOfWeek: 'monday',
+        startTime: '17:00',
+        endTime: '19:00',
+        location: 'Downtown Clinic'
+      });
+
+      expect(distributedLock.withLock).toHaveBeenCalledWith(
+        `doctor_schedule_${doctor._id}_monday`,
+        expect.any(Function)
+      );
+      expect(result.schedule.location).toBe('Downtown Clinic');
+      expect(DoctorSchedule.prototype.save).toHaveBeenCalled();
+      expect(redisCache.del).toHaveBeenCalledWith(`doctor_schedules_${doctor._id}`);
+    });
+
+    it('should reject a session overlapping another one', async () => {
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([morning]);
+
+      await expect(createDoctorSchedule(doctor, {
+        dayOfWeek: 'monday',
+        startTime: '11:30',
+        endTime: '14:00'
+      })).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Session overlaps the 09:00-12:00 session on monday'
+      });
+
+      expect(DoctorSchedule.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should allow a session starting when another one ends', async () => {
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([morning]);
+
+      await createDoctorSchedule(doctor, {
+        dayOfWeek: 'monday',
+        startTime: '12:00',
+        endTime: '14:00'
+      });
+
+      expect(DoctorSchedule.prototype.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateDoctorSchedule', () => {
+    it('should check overlap against the other sessions only', async () => {
+      jest.spyOn(DoctorSchedule, 'findOne').mockResolvedValue(morning);
+      const find = jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([evening]);
+
+      await expect(updateDoctorSchedule(doctor, morning._id, { endTime: '18:00' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      expect(find).toHaveBeenCalledWith({
+        doctorId: morning.doctorId,
+        dayOfWeek: 'monday',
+        isActive: true,
+        _id: { $ne: morning._id }
+      });
+    });
+  });
+
+  describe('DoctorSchedule model', () => {
+    it('should reject a session ending before it starts', async () => {
+      const schedule = new DoctorSchedule({
+        doctorId: doctor._id,
+        dayOfWeek: 'monday',
+        startTime: '14:00',
+        endTime: '09:00'
+      });
+
+      const error = await schedule.validate().catch(validationError => validationError);
+
+      expect(error.errors.endTime.message).toBe('End time must be after start time');
+    });
+  });
+
+  describe('generateAvailabilitySlots', () => {
+    it('should generate slots for every session of the day', async () => {
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([morning, evening]);
+      AvailabilitySlot.countDocuments = jest.fn().mockResolvedValue(0);
+      AvailabilitySlot.insertMany = jest.fn().mockImplementation((slots) => Promise.resolve(slots));
+
+      const result = await generateAvailabilitySlots(doctor, {
+        startDate: '2024-01-01',
+        endDate: '2024-01-01'
+      });
+
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      expect(slots.map(slot => slot.startTime)).toEqual(['09:00', '10:00', '11:00', '17:00', '17:30', '18:00', '18:30']);
+      expect(slots[0]).toMatchObject({ scheduleId: morning._id, location: 'City Hospital' });
+      expect(slots[3]).toMatchObject({ scheduleId: evening._id, location: 'Downtown Clinic' });
+      expect(result.slotsCount).toBe(7);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { generateAvailabilitySlots } from '@/controllers/doctor/slots/slots.controller.js';
+import DoctorSchedule from '@/models/DoctorSchedule.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import ScheduleException from '@/models/ScheduleException.js';
+import redisCache from '@/utils/redis.js';
+import {
+  formatInTimezone,
+  getStartInstant,
+  isValidTimezone,
+  todayInTimezone,
+  zonedTimeToUtc
+} from '@/utils/timezone.js';
+
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/ScheduleException.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+
+describe('Timezone-aware Scheduling Unit Tests', () => {
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { timezone: 'America/New_York' }
+  };
+
+  describe('timezone utilities', () => {
+    it('should convert wall times using the offset in effect on that date', () => {
+      expect(zonedTimeToUtc('2025-01-15', '09:00', 'America/New_York').toISOString()).toBe('2025-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc('2025-07-15', '09:00', 'America/New_York').toISOString()).toBe('2025-07-15T13:00:00.000Z');
+      expect(zonedTimeToUtc('2025-07-15', '09:00', 'Asia/Kolkata').toISOString()).toBe('2025-07-15T03:30:00.000Z');
+    });
+
+    it('should resolve a repeated wall time to its first occurrence', () => {
+      // Clocks in New York fall back from 02:00 EDT to 01:00 EST on 2 November 2025
+      expect(zonedTimeToUtc('2025-11-02', '01:30', 'America/New_York').toISOString()).toBe('2025-11-02T05:30:00.000Z');
+    });
+
+    it('should render instants as local date and time', () => {
+      expect(formatInTimezone(new Date('2025-03-10T03:30:00Z'), 'America/Los_Angeles')).toEqual({
+        date: '2025-03-09',
+        time: '20:30'
+      });
+    });
+
+    it('should take today from the timezone rather than the server', () => {
+      const now = new Date('2025-06-01T02:00:00Z');
+
+      expect(todayInTimezone('America/New_York', now).toISOString()).toBe('2025-05-31T00:00:00.000Z');
+      expect(todayInTimezone('Asia/Tokyo', now).toISOString()).toBe('2025-06-01T00:00:00.000Z');
+    });
+
+    it('should prefer the stored instant and fall back to the wall time', () => {
+      const slot = { date: new Date('2025-07-15'), startTime: '09:00', timezone: 'Europe/Berlin' };
+
+      expect(getStartInstant(slot).toISOString()).toBe('2025-07-15T07:00:00.000Z');
+      expect(getStartInstant({ ...slot, startAt: new Date('2025-07-15T08:00:00Z') }).toISOString())
+        .toBe('2025-07-15T08:00:00.000Z');
+    });
+
+    it('should validate IANA timezone names', () => {
+      expect(isValidTimezone('Europe/London')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('generateAvailabilitySlots', () => {
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+
+      redisCache.del = jest.fn().mockResolvedValue(true);
+      ScheduleException.findForRange = jest.fn().mockResolvedValue([]);
+      AvailabilitySlot.countDocuments = jest.fn().mockResolvedValue(0);
+      AvailabilitySlot.insertMany = jest.fn().mockImplementation((slots) => Promise.resolve(slots));
+    });
+
+    const weeklySession = (dayOfWeek, startTime, endTime) => new DoctorSchedule({
+      doctorId: doctor._id,
+      dayOfWeek,
+      startTime,
+      endTime,
+      slotDuration: 60
+    });
+
+    it('should store the doctor timezone and UTC instants on every slot', async () => {
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([weeklySession('monday', '09:00', '11:00')]);
+
+      await generateAvailabilitySlots(doctor, { startDate: '2025-01-13', endDate: '2025-01-13' });
+
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      expect(slots).toHaveLength(2);
+      expect(slots[0]).toMatchObject({
+        date: new Date('2025-01-13T00:00:00.000Z'),
+        startTime: '09:00',
+        endTime: '10:00',
+        timezone: 'America/New_York',
+        startAt: new Date('2025-01-13T14:00:00.000Z'),
+        endAt: new Date('2025-01-13T15:00:00.000Z')
+      });
+    });
+
+    it('should keep local wall times when the offset changes within the range', async () => {
+      // Clocks in New York spring forward on 9 March 2025
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([weeklySession('monday', '09:00', '10:00')]);
+
+      await generateAvailabilitySlots(doctor, { startDate: '2025-03-03', endDate: '2025-03-10' });
+
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      expect(slots.map(slot => slot.startTime)).toEqual(['09:00', '09:00']);
+      expect(slots.map(slot => slot.startAt.toISOString())).toEqual([
+        '2025-03-03T14:00:00.000Z',
+        '2025-03-10T13:00:00.000Z'
+      ]);
+    });
+
+    it('should skip slots touching wall times lost to a DST jump', async () => {
+      jest.spyOn(DoctorSchedule, 'find').mockResolvedValue([weeklySession('sunday', '00:00', '05:00')]);
+
+      await generateAvailabilitySlots(doctor, { startDate: '2025-03-09', endDate: '2025-03-09' });
+
+      const slots = AvailabilitySlot.insertMany.mock.calls[0][0];
+      expect(slots.map(slot => slot.startTime)).toEqual(['00:00', '03:00', '04:00']);
+      expect(slots[1].startAt.toISOString()).toBe('2025-03-09T07:00:00.000Z');
+    });
+  });
+});
@@ -7,12 +7,19 @@ import {
 } from '@/controllers/doctor/slots/slots.controller.js';
 import DoctorSchedule from '@/models/DoctorSchedule.js';
 import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import Appointment from '@/models/Appointment.js';
+import ScheduleException from '@/models/ScheduleException.js';
 import ApiError from '@/utils/ApiError.util.js';
 import redisCache from '@/utils/redis.js';
+import transactionManager from '@/utils/transactionManager.js';
 
 // Mock dependencies
 jest.mock('@/models/DoctorSchedule.js');
 jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/ScheduleException.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/waitlistService.js');
 jest.mock('@/utils/ApiError.util.js');
 jest.mock('@/utils/redis.js');
 
@@ -92,6 +99,13 @@ describe('Doctor Slots Controller Unit Tests', () => {
     // Mock Redis methods
     redisCache.del = jest.fn().mockResolvedValue(true);
     redisCache.publish = jest.fn().mockResolvedValue(true);
+
+    // Run transactions inline with no active appointment on the slot
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn('session'));
+    Appointment.exists = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+    // No leave or modified hours
+    ScheduleException.findForRange = jest.fn().mockResolvedValue([]);
   });
 
   describe('generateAvailabilitySlots', () => {
@@ -296,7 +310,7 @@ describe('Doctor Slots Controller Unit Tests', () => {
       const result = await updateSlotStatus(mockDoctor, mockSlot._id, 'block', 'Doctor unavailable');
 
       expect(AvailabilitySlot.findById).toHaveBeenCalledWith(mockSlot._id);
-      expect(mockSlot.blockSlot).toHaveBeenCalledWith(mockDoctor._id, 'Doctor unavailable');
+      expect(mockSlot.blockSlot).toHaveBeenCalledWith(mockDoctor._id, 'Doctor unavailable', 'session');
       expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
         slotId: mockSlot._id,
         doctorId: mockSlot.doctorId,
@@ -419,7 +433,7 @@ describe('Doctor Slots Controller Unit Tests', () => {
 
         const result = await updateSlotStatus(mockDoctor, mockSlot._id, 'block', xssPayload);
 
-        expect(mockSlot.blockSlot).toHaveBeenCalledWith(mockDoctor._id, xssPayload);
+        expect(mockSlot.blockSlot).toHaveBeenCalledWith(mockDoctor._id, xssPayload, 'session');
         expect(result).toEqual({ slot: mockSlot });
       });
 
@@ -429,7 +443,7 @@ describe('Doctor Slots Controller Unit Tests', () => {
 
         const result = await updateSlotStatus(mockDoctor, mockSlot._id, 'block', longString);
 
-        expect(mockSlot.blockSlot).toHaveBeenCalledWith(mockDoctor._id, longString);
+        expect(mockSlot.blockSlot).toHaveBeenCalledWith(mockDoctor._id, longString, 'session');
         expect(result).toEqual({ slot: mockSlot });
       });
 
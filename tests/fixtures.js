@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+
+// Documents shared by the unit tests. The factories stub the model's state transitions so a
+// test can follow a slot or appointment through a flow; pass overrides for anything it relies on
+
+export const ids = {
+  doctor: '507f1f77bcf86cd799439011',
+  slot: '507f1f77bcf86cd799439013',
+  appointment: '507f1f77bcf86cd799439014',
+  patient: '507f1f77bcf86cd799439015',
+  staff: '507f1f77bcf86cd799439020'
+};
+
+export const session = { id: 'session' };
+
+// Chainable query resolving to a result
+export const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.sort = () => promise;
+  promise.limit = () => promise;
+  promise.populate = () => promise;
+  promise.session = () => promise;
+  return promise;
+};
+
+// Transition that changes the document and resolves to it
+const transition = (apply) => jest.fn().mockImplementation(function(...args) {
+  apply(this, ...args);
+  return Promise.resolve(this);
+});
+
+/**
+ * Availability slot with the model's booking transitions
+ * @param {Object} overrides - Fields and methods to replace
+ * @returns {Object} - Slot document
+ */
+export const createSlot = (overrides = {}) => ({
+  _id: ids.slot,
+  doctorId: ids.doctor,
+  date: new Date('2030-01-15'),
+  startTime: '10:00',
+  endTime: '10:30',
+  timezone: 'UTC',
+  status: 'available',
+  overbookLimit: 0,
+  overbookedCount: 0,
+  isHeldForOther: jest.fn().mockReturnValue(false),
+  canOverbook() {
+    return this.status === 'booked' && this.overbookedCount < this.overbookLimit;
+  },
+  bookSlot: transition((slot, patientId, appointmentId) => {
+    Object.assign(slot, { status: 'booked', patientId, appointmentId });
+  }),
+  cancelBooking: transition((slot) => {
+    Object.assign(slot, { status: 'available', patientId: undefined, appointmentId: undefined });
+  }),
+  addOverbooking: transition((slot) => {
+    slot.overbookedCount++;
+  }),
+  releaseOverbooking: transition((slot) => {
+    slot.overbookedCount--;
+  }),
+  ...overrides
+});
+
+/**
+ * Appointment with the model's status transitions
+ * @param {Object} overrides - Fields and methods to replace
+ * @returns {Object} - Appointment document
+ */
+export const createAppointment = (overrides = {}) => ({
+  _id: ids.appointment,
+  appointmentId: 'APT-1-ABCDE',
+  slotId: ids.slot,
+  doctorId: ids.doctor,
+  patientId: ids.patient,
+  date: new Date('2030-01-15'),
+  startTime: '10:00',
+  endTime: '10:30',
+  timezone: 'UTC',
+  status: 'confirmed',
+  payment: { amount: 100, currency: 'USD', status: 'paid' },
+  cancellation: {},
+  markRescheduled: transition((appointment, rescheduledTo) => {
+    Object.assign(appointment, { status: 'rescheduled', rescheduledTo, rescheduledAt: new Date() });
+  }),
+  markCheckedIn: transition((appointment, checkedInBy, method) => {
+    Object.assign(appointment, { status: 'checked_in', checkIn: { checkedInAt: new Date(), checkedInBy, method } });
+  }),
+  startConsultation: transition((appointment) => {
+    Object.assign(appointment, { status: 'in_consultation', consultationStartedAt: new Date() });
+  }),
+  complete: transition((appointment) => {
+    Object.assign(appointment, { status: 'completed', completedAt: new Date() });
+  }),
+  ...overrides
+});
@@ -0,0 +1,403 @@
+import { jest } from '@jest/globals';
+import { bookAppointment, cancelAppointment, confirmAppointmentPayment } from '@/controllers/patient/appointment.controller.js';
+import Appointment from '@/models/Appointment.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import CancellationPolicy from '@/models/CancellationPolicy.js';
+import AppointmentType from '@/models/AppointmentType.js';
+import PromoCode from '@/models/PromoCode.js';
+import InsurancePlan from '@/models/InsurancePlan.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+import paymentService from '@/utils/paymentService.js';
+import notificationService from '@/utils/notificationService.js';
+import waitlistService from '@/utils/waitlistService.js';
+import redisCache from '@/utils/redis.js';
+import invoiceService from '@/utils/invoiceService.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/CancellationPolicy.js');
+jest.mock('@/models/AppointmentType.js');
+jest.mock('@/models/PromoCode.js');
+jest.mock('@/models/InsurancePlan.js');
+jest.mock('@/models/users.model.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/paymentService.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+jest.mock('@/utils/invoiceService.js');
+
+describe('Patient Booking Transaction Unit Tests', () => {
+  const patient = { _id: '507f1f77bcf86cd799439015', name: 'Jane Patient', role: 'patient' };
+  const doctor = { _id: '507f1f77bcf86cd799439011', name: 'Dr. John Doe', doctorProfile: {} };
+  const session = { id: 'session' };
+  let mockSlot;
+  let createdAppointment;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CancellationPolicy.findApplicable = jest.fn().mockResolvedValue(null);
+    AppointmentType.findApplicable = jest.fn().mockResolvedValue([]);
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    mockSlot = {
+      _id: '507f1f77bcf86cd799439013',
+      doctorId: doctor,
+      date: tomorrow,
+      startTime: '10:00',
+      endTime: '10:30',
+      status: 'available',
+      isHeldForOther: jest.fn().mockReturnValue(false),
+      bookSlot: jest.fn().mockImplementation(function() {
+        return Promise.resolve(this);
+      }),
+      resizeBooking: jest.fn().mockImplementation(function() {
+        return Promise.resolve(this);
+      })
+    };
+
+    AvailabilitySlot.findById = jest.fn().mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(mockSlot)
+      })
+    });
+    AvailabilitySlot.create = jest.fn().mockImplementation(([data]) => Promise.resolve([{ _id: 'slot-freed', ...data }]));
+    Appointment.findOne = jest.fn().mockResolvedValue(null);
+    Appointment.mockImplementation((data) => {
+      createdAppointment = {
+        ...data,
+        _id: '507f1f77bcf86cd799439014',
+        appointmentId: 'APT-1-ABCDE',
+        status: 'pending',
+        notifications: {},
+        save: jest.fn().mockResolvedValue()
+      };
+      return createdAppointment;
+    });
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+    paymentService.calculateFee = jest.fn().mockReturnValue(100);
+    paymentService.getPaymentDeadline = jest.fn().mockReturnValue(new Date());
+    paymentService.initiatePayment = jest.fn().mockResolvedValue({ success: false });
+    notificationService.sendBookingConfirmation = jest.fn().mockResolvedValue({ success: true });
+    notificationService.sendCancellationNotification = jest.fn().mockResolvedValue({ success: true });
+    waitlistService.notifySlotsAvailable = jest.fn().mockResolvedValue(0);
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('bookAppointment', () => {
+    it('should save the appointment and book the slot in one transaction', async () => {
+      await bookAppointment(patient, mockSlot._id, { reason: 'Checkup' });
+
+      expect(transactionManager.withTransaction).toHaveBeenCalledTimes(1);
+      expect(createdAppointment.save).toHaveBeenCalledWith({ session });
+      expect(mockSlot.bookSlot).toHaveBeenCalledWith(patient._id, createdAppointment._id, undefined, session);
+    });
+
+    it('should time and price the appointment by the chosen type', async () => {
+      const followUp = { _id: 'type-1', code: 'follow_up', name: 'Follow-up', durationMinutes: 15, price: 60 };
+      AppointmentType.findApplicable = jest.fn().mockResolvedValue([followUp]);
+
+      await bookAppointment(patient, mockSlot._id, { appointmentType: 'follow_up' });
+
+      expect(paymentService.calculateFee).toHaveBeenCalledWith(doctor, { appointmentType: followUp });
+      expect(createdAppointment).toMatchObject({
+        startTime: '10:00',
+        endTime: '10:15',
+        appointmentType: { typeId: 'type-1', code: 'follow_up', name: 'Follow-up', durationMinutes: 15, price: 60 }
+      });
+    });
+
+    it('should give the rest of the slot back as a free slot after a shorter type', async () => {
+      AppointmentType.findApplicable = jest.fn().mockResolvedValue([
+        { _id: 'type-1', code: 'follow_up', name: 'Follow-up', durationMinutes: 15, price: 60 }
+      ]);
+      await bookAppointment(patient, mockSlot._id, { appointmentType: 'follow_up' });
+
+      expect(AvailabilitySlot.create).toHaveBeenCalledWith([expect.objectContaining({
+        doctorId: doctor._id,
+        startTime: '10:15',
+        endTime: '10:30',
+        startAt: createdAppointment.endAt
+      })], { session });
+      expect(mockSlot.resizeBooking).toHaveBeenCalledWith('10:15', createdAppointment.endAt, session);
+      expect(waitlistService.notifySlotsAvailable).toHaveBeenCalledWith([expect.objectContaining({ _id: 'slot-freed' })]);
+    });
+
+    describe('with a type longer than the slot', () => {
+      const procedure = { _id: 'type-2', code: 'procedure', name: 'Procedure', durationMinutes: 60, price: 300 };
+      let nextSlot;
+
+      beforeEach(() => {
+        AppointmentType.findApplicable = jest.fn().mockResolvedValue([procedure]);
+        nextSlot = {
+          ...mockSlot,
+          _id: 'slot-next',
+          doctorId: doctor._id,
+          startTime: '10:30',
+          endTime: '11:00',
+          bookContinuation: jest.fn().mockImplementation(function() {
+            return Promise.resolve(this);
+          })
+        };
+        AvailabilitySlot.notHeldCondition = jest.fn().mockReturnValue({});
+        AvailabilitySlot.find = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue([nextSlot]) });
+      });
+
+      it('should book the free slot straight after it as part of the appointment', async () => {
+        await bookAppointment(patient, mockSlot._id, { appointmentType: 'procedure' });
+
+        expect(nextSlot.bookContinuation).toHaveBeenCalledWith(mockSlot, session);
+        expect(mockSlot.resizeBooking).not.toHaveBeenCalled();
+        expect(AvailabilitySlot.create).not.toHaveBeenCalled();
+        expect(createdAppointment).toMatchObject({ startTime: '10:00', endTime: '11:00' });
+      });
+
+      it('should free the slots it ran on into when the booking is cancelled or withdrawn', async () => {
+        const { default: RealSlot } = jest.requireActual('@/models/AvailabilitySlot.js');
+        const findOneAndUpdate = jest.spyOn(RealSlot, 'findOneAndUpdate').mockImplementation(() => Promise.resolve({}));
+        const updateMany = jest.spyOn(RealSlot, 'updateMany').mockImplementation(() => Promise.resolve({ modifiedCount: 1 }));
+        const slot = new RealSlot({ doctorId: doctor._id, date: new Date('2030-01-15'), startTime: '10:00', endTime: '10:30', status: 'booked' });
+
+        await slot.cancelBooking(session);
+
+        expect(updateMany).toHaveBeenCalledWith(
+          { continuationOf: slot._id, status: 'booked' },
+          { $set: { status: 'available' }, $unset: { patientId: 1, appointmentId: 1, notes: 1, continuationOf: 1 } },
+          { session }
+        );
+
+        slot.status = 'booked';
+        await slot.withdrawSlot('admin-1', 'Doctor away', session);
+
+        expect(updateMany).toHaveBeenLastCalledWith(
+          { continuationOf: slot._id, status: 'booked' },
+          expect.objectContaining({ $set: expect.objectContaining({ status: 'blocked', blockedReason: 'Doctor away' }) }),
+          { session }
+        );
+
+        // Nothing is freed when the booking itself had already moved on
+        findOneAndUpdate.mockImplementation(() => Promise.resolve(null));
+        updateMany.mockClear();
+        await slot.cancelBooking(session);
+        expect(updateMany).not.toHaveBeenCalled();
+
+        findOneAndUpdate.mockRestore();
+        updateMany.mockRestore();
+      });
+
+      it('should not book it without enough free time after the slot', async () => {
+        AvailabilitySlot.find = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue([]) });
+
+        await expect(bookAppointment(patient, mockSlot._id, { appointmentType: 'procedure' }))
+          .rejects.toThrow('Procedure takes 60 minutes but only 30 minutes are free from 10:00');
+
+        expect(nextSlot.bookContinuation).not.toHaveBeenCalled();
+        expect(mockSlot.resizeBooking).not.toHaveBeenCalled();
+      });
+
+      it('should fail when the next slot is taken in the meantime', async () => {
+        nextSlot.bookContinuation = jest.fn().mockResolvedValue(null);
+
+        await expect(bookAppointment(patient, mockSlot._id, { appointmentType: 'procedure' }))
+          .rejects.toThrow('Slot is no longer available');
+
+        expect(mockSlot.resizeBooking).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should take a promo code discount off the fee and count its use in the transaction', async () => {
+      const promoCode = { _id: 'promo-1', code: 'SPRING20', discountType: 'percentage', discountValue: 20, usedCount: 0, maxUses: 10 };
+      PromoCode.findOne = jest.fn().mockResolvedValue(promoCode);
+      PromoCode.findOneAndUpdate = jest.fn().mockResolvedValue({ ...promoCode, usedCount: 1 });
+
+      const result = await bookAppointment(patient, mockSlot._id, { promoCode: ' spring20' });
+
+      expect(PromoCode.findOne).toHaveBeenCalledWith({ code: 'SPRING20', isActive: true });
+      expect(createdAppointment.payment).toMatchObject({
+        amount: 80,
+        originalAmount: 100,
+        discount: { promoCode: 'promo-1', code: 'SPRING20', amount: 20 }
+      });
+      expect(PromoCode.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'promo-1', isActive: true, usedCount: { $lt: 10 } },
+        { $inc: { usedCount: 1 } },
+        { new: true, session }
+      );
+      expect(result.appointment.payment).toMatchObject({ amount: 80, originalAmount: 100 });
+    });
+
+    it('should confirm a booking the discount covers in full without taking payment', async () => {
+      PromoCode.findOne = jest.fn().mockResolvedValue({ _id: 'promo-1', code: 'FREEVISIT', discountType: 'fixed', discountValue: 150, usedCount: 0 });
+      PromoCode.findOneAndUpdate = jest.fn().mockResolvedValue({});
+
+      const result = await bookAppointment(patient, mockSlot._id, { promoCode: 'FREEVISIT' });
+
+      expect(Appointment.mock.calls[0][0]).toMatchObject({ status: 'confirmed', payment: { amount: 0, status: 'paid', discount: { amount: 100 } } });
+      expect(paymentService.initiatePayment).not.toHaveBeenCalled();
+      expect(invoiceService.syncDocumentsQuietly).toHaveBeenCalledWith(createdAppointment);
+      expect(result.paymentRequired).toBe(false);
+    });
+
+    it('should not book with a code whose uses have all been taken', async () => {
+      PromoCode.findOne = jest.fn().mockResolvedValue({ _id: 'promo-1', code: 'SPRING20', discountType: 'percentage', discountValue: 20, usedCount: 9, maxUses: 10 });
+      PromoCode.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+      await expect(bookAppointment(patient, mockSlot._id, { promoCode: 'SPRING20' }))
+        .rejects.toThrow('Promo code SPRING20 has been fully redeemed');
+
+      expect(paymentService.initiatePayment).not.toHaveBeenCalled();
+    });
+
+    it('should charge the patient only their share when paying by insurance', async () => {
+      const insuredPatient = {
+        ...patient,
+        patientProfile: { insurance: { provider: 'Acme Health', policyNumber: 'POL-1', planId: 'plan-1' } }
+      };
+      InsurancePlan.findOne = jest.fn().mockResolvedValue({
+        _id: 'plan-1',
+        name: 'Gold PPO',
+        provider: 'Acme Health',
+        networkDoctors: [doctor._id],
+        copay: 20,
+        coveragePercent: 80
+      });
+
+      const result = await bookAppointment(insuredPatient, mockSlot._id, { paymentMethod: 'insurance' });
+
+      expect(InsurancePlan.findOne).toHaveBeenCalledWith({ _id: 'plan-1', isActive: true });
+      expect(createdAppointment.payment).toMatchObject({
+        amount: 36,
+        paymentMethod: 'insurance',
+        insurance: { planId: 'plan-1', policyNumber: 'POL-1', inNetwork: true, insurerShare: 64, patientShare: 36 }
+      });
+      expect(paymentService.initiatePayment).toHaveBeenCalledWith(createdAppointment, { paymentMethod: 'insurance' });
+      expect(result.appointment.payment.insurance).toMatchObject({ insurerShare: 64 });
+    });
+
+    it('should not book by insurance without a plan on file', async () => {
+      await expect(bookAppointment(patient, mockSlot._id, { paymentMethod: 'insurance' }))
+        .rejects.toThrow('Add your insurance plan and policy number to pay by insurance');
+
+      expect(mockSlot.bookSlot).not.toHaveBeenCalled();
+    });
+
+    it('should fail without side effects when the slot was booked by another writer', async () => {
+      mockSlot.bookSlot.mockResolvedValue(null);
+
+      await expect(bookAppointment(patient, mockSlot._id, {})).rejects.toThrow('Slot is no longer available');
+
+      expect(paymentService.initiatePayment).not.toHaveBeenCalled();
+      expect(notificationService.sendBookingConfirmation).not.toHaveBeenCalled();
+      expect(redisCache.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelAppointment', () => {
+    let mockAppointment;
+
+    beforeEach(() => {
+      const inThreeDays = new Date();
+      inThreeDays.setDate(inThreeDays.getDate() + 3);
+
+      mockAppointment = {
+        _id: '507f1f77bcf86cd799439014',
+        appointmentId: 'APT-1-ABCDE',
+        slotId: {
+          _id: mockSlot._id,
+          appointmentId: '507f1f77bcf86cd799439014',
+          cancelBooking: jest.fn().mockResolvedValue({})
+        },
+        doctorId: doctor,
+        date: inThreeDays,
+        startTime: '10:00',
+        status: 'confirmed',
+        payment: { status: 'pending' },
+        cancellation: {},
+        cancel: jest.fn().mockResolvedValue()
+      };
+
+      Appointment.findOne = jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          populate: jest.fn().mockResolvedValue(mockAppointment)
+        })
+      });
+      Appointment.exists = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue({ _id: mockAppointment._id }) });
+    });
+
+    it('should cancel the appointment and free the slot in one transaction', async () => {
+      await cancelAppointment(patient, mockAppointment.appointmentId, { reason: 'Busy' });
+
+      expect(mockAppointment.cancel).toHaveBeenCalledWith(patient._id, 'Busy', session);
+      expect(mockAppointment.slotId.cancelBooking).toHaveBeenCalledWith(session);
+    });
+
+    it('should enforce the cutoff of the policy the appointment was booked under', async () => {
+      mockAppointment.cancellationPolicy = {
+        tiers: [{ minHoursBefore: 0, refundPercent: 100 }],
+        cutoffHours: 96
+      };
+
+      await expect(cancelAppointment(patient, mockAppointment.appointmentId))
+        .rejects.toThrow('Cannot cancel appointment less than 96 hours before the scheduled time');
+
+      expect(mockAppointment.cancel).not.toHaveBeenCalled();
+    });
+
+    it('should not cancel twice when a concurrent cancellation committed first', async () => {
+      Appointment.exists.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+      await expect(cancelAppointment(patient, mockAppointment.appointmentId))
+        .rejects.toThrow('Appointment not found or cannot be cancelled');
+
+      expect(mockAppointment.cancel).not.toHaveBeenCalled();
+      expect(mockAppointment.slotId.cancelBooking).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmAppointmentPayment', () => {
+    let mockAppointment;
+
+    beforeEach(() => {
+      mockAppointment = {
+        _id: '507f1f77bcf86cd799439014',
+        appointmentId: 'APT-1-ABCDE',
+        status: 'pending',
+        payment: { amount: 150, currency: 'USD', status: 'pending', transactionId: 'TXN-1' },
+        markAsPaid: jest.fn().mockResolvedValue()
+      };
+
+      Appointment.findOne = jest.fn().mockResolvedValue(mockAppointment);
+      paymentService.confirmPayment = jest.fn().mockResolvedValue({ success: true, status: 'paid' });
+      invoiceService.syncDocumentsQuietly = jest.fn().mockResolvedValue();
+      redisCache.publish = jest.fn().mockResolvedValue(1);
+    });
+
+    it('should capture the transaction started for the booking', async () => {
+      await confirmAppointmentPayment(patient, 'APT-1-ABCDE', { transactionId: 'TXN-1', paymentMethod: 'card' });
+
+      expect(paymentService.confirmPayment).toHaveBeenCalledWith('TXN-1', { amount: 150, currency: 'USD', paymentMethod: 'card' });
+      expect(mockAppointment.markAsPaid).toHaveBeenCalledWith('TXN-1', 'card');
+    });
+
+    it('should not accept a transaction made for something else', async () => {
+      await expect(confirmAppointmentPayment(patient, 'APT-1-ABCDE', { transactionId: 'TXN-OTHER', paymentMethod: 'card' }))
+        .rejects.toThrow('Transaction does not belong to this appointment');
+
+      mockAppointment.payment.transactionId = undefined;
+
+      await expect(confirmAppointmentPayment(patient, 'APT-1-ABCDE', { transactionId: 'TXN-1', paymentMethod: 'card' }))
+        .rejects.toThrow('Transaction does not belong to this appointment');
+
+      expect(paymentService.confirmPayment).not.toHaveBeenCalled();
+      expect(mockAppointment.markAsPaid).not.toHaveBeenCalled();
+    });
+  });
+});
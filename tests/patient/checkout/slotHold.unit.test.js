@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { holdSlot } from '@/controllers/patient/appointment.controller.js';
+import slotHoldReaper from '@/utils/slotHoldReaper.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import distributedLock from '@/utils/distributedLock.js';
+import redisCache from '@/utils/redis.js';
+
+// Mock dependencies
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/users.model.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+
+describe('Checkout Slot Hold Unit Tests', () => {
+  const patient = { _id: '507f1f77bcf86cd799439015', role: 'patient' };
+  let mockSlot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    mockSlot = {
+      _id: '507f1f77bcf86cd799439013',
+      doctorId: '507f1f77bcf86cd799439011',
+      date: tomorrow,
+      startTime: '10:00',
+      endTime: '10:30',
+      status: 'available',
+      isHeldForOther: jest.fn().mockReturnValue(false)
+    };
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+
+    AvailabilitySlot.findById = jest.fn().mockResolvedValue(mockSlot);
+    AvailabilitySlot.find = jest.fn().mockResolvedValue([]);
+    AvailabilitySlot.releaseHold = jest.fn().mockResolvedValue({});
+    AvailabilitySlot.placeHold = jest.fn().mockImplementation((slotId, hold) => Promise.resolve({ ...mockSlot, hold }));
+    AvailabilitySlot.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('holdSlot', () => {
+    it('should hold an available slot for the patient under the booking lock', async () => {
+      const result = await holdSlot(patient, mockSlot._id);
+
+      expect(distributedLock.withLock).toHaveBeenCalledWith(`slot_booking_${mockSlot._id}`, expect.any(Function));
+      expect(AvailabilitySlot.placeHold).toHaveBeenCalledWith(mockSlot._id, expect.objectContaining({
+        patientId: patient._id,
+        source: 'checkout'
+      }));
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({ action: 'held' }));
+      expect(result.hold.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should release the patient\'s other checkout hold', async () => {
+      const previousSlot = { _id: '507f1f77bcf86cd799439099', doctorId: mockSlot.doctorId };
+      AvailabilitySlot.find.mockResolvedValue([previousSlot]);
+
+      await holdSlot(patient, mockSlot._id);
+
+      expect(AvailabilitySlot.releaseHold).toHaveBeenCalledWith(previousSlot._id, patient._id);
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        slotId: previousSlot._id,
+        action: 'hold_released'
+      }));
+    });
+
+    it('should keep an existing hold of the same patient', async () => {
+      const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
+      mockSlot.hold = { patientId: patient._id, source: 'checkout', expiresAt };
+
+      const result = await holdSlot(patient, mockSlot._id);
+
+      expect(AvailabilitySlot.placeHold).not.toHaveBeenCalled();
+      expect(result.hold.expiresAt).toBe(expiresAt);
+    });
+
+    it('should reject a slot held for another patient', async () => {
+      mockSlot.isHeldForOther.mockReturnValue(true);
+
+      await expect(holdSlot(patient, mockSlot._id)).rejects.toThrow('Slot is currently held for another patient');
+      expect(AvailabilitySlot.placeHold).not.toHaveBeenCalled();
+    });
+
+    it('should reject a slot that is already booked', async () => {
+      mockSlot.status = 'booked';
+
+      await expect(holdSlot(patient, mockSlot._id)).rejects.toThrow('Slot is not available');
+    });
+  });
+
+  describe('slotHoldReaper', () => {
+    const now = new Date('2024-01-01T08:00:00.000Z');
+
+    beforeEach(() => {
+      distributedLock.acquire = jest.fn().mockResolvedValue(true);
+      distributedLock.release = jest.fn().mockResolvedValue(true);
+      AvailabilitySlot.find = jest.fn().mockReturnValue({
+        limit: jest.fn().mockResolvedValue([{
+          ...mockSlot,
+          hold: { patientId: patient._id, source: 'checkout', expiresAt: new Date('2024-01-01T07:50:00.000Z') }
+        }])
+      });
+    });
+
+    it('should clear expired checkout holds and announce the slots', async () => {
+      const result = await slotHoldReaper.runSweep(now);
+
+      expect(AvailabilitySlot.updateOne).toHaveBeenCalledWith(
+        { _id: mockSlot._id, 'hold.source': 'checkout', 'hold.expiresAt': { $lte: now } },
+        { $unset: { hold: 1 } }
+      );
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({ action: 'hold_expired' }));
+      expect(result).toEqual({ skipped: false, released: 1 });
+    });
+
+    it('should skip holds renewed or consumed meanwhile', async () => {
+      AvailabilitySlot.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await slotHoldReaper.runSweep(now);
+
+      expect(redisCache.publish).not.toHaveBeenCalled();
+      expect(result.released).toBe(0);
+    });
+  });
+});
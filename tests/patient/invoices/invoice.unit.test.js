@@ -0,0 +1,261 @@
+import { jest } from '@jest/globals';
+import { getAppointmentInvoices, downloadInvoice } from '@/controllers/patient/invoice.controller.js';
+import { reissueInvoice } from '@/controllers/admin/payments/index.js';
+import User from '@/models/users.model.js';
+import Appointment from '@/models/Appointment.js';
+import Invoice from '@/models/Invoice.js';
+import Counter from '@/models/Counter.js';
+import transactionManager from '@/utils/transactionManager.js';
+import { createAppointment, query, session } from '../../fixtures.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/Invoice.js');
+jest.mock('@/models/Counter.js');
+jest.mock('@/utils/transactionManager.js');
+
+describe('Invoice Unit Tests', () => {
+  const year = new Date().getUTCFullYear();
+  const admin = { _id: '507f1f77bcf86cd799439001', role: 'admin' };
+  const patient = { _id: '507f1f77bcf86cd799439013', name: 'Pat <Smith>', email: 'pat@example.com' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    doctorProfile: { specialization: 'Cardiology', hospital: 'General Hospital', experience: 12 }
+  };
+  let appointment;
+  let invoices;
+  let sequences;
+
+  const issued = () => Invoice.create.mock.calls.map(([[data]]) => data);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.INVOICE_TAX_RATE;
+
+    appointment = createAppointment({
+      _id: 'apt-1',
+      appointmentId: 'APT-1',
+      patientId: patient._id,
+      bookingType: 'walk_in',
+      payment: { amount: 200, currency: 'USD', status: 'paid', paymentMethod: 'card', transactionId: 'TXN-1', paidAt: new Date('2030-01-10T09:00:00.000Z') },
+      cancellation: { refundStatus: 'none' }
+    });
+    invoices = [];
+    sequences = {};
+
+    User.findById = jest.fn().mockImplementation(id => Promise.resolve([patient, doctor].find(user => user._id === id)));
+    Appointment.findOne = jest.fn().mockImplementation(() => Promise.resolve(appointment));
+    Appointment.findById = jest.fn().mockImplementation(() => Promise.resolve(appointment));
+
+    Invoice.find = jest.fn().mockImplementation(filter =>
+      query(invoices.filter(invoice => invoice.appointment === filter.appointment && invoice.status === filter.status))
+    );
+    Invoice.findOne = jest.fn().mockImplementation(filter => Promise.resolve(
+      invoices.find(invoice => Object.entries(filter).every(([key, value]) => invoice[key] === value)) || null
+    ));
+    Invoice.findById = jest.fn().mockImplementation(id => Promise.resolve(invoices.find(invoice => invoice._id === id)));
+    Invoice.create = jest.fn().mockImplementation(([data]) => {
+      const invoice = { _id: `inv-${invoices.length + 1}`, status: 'issued', ...data };
+      invoices.push(invoice);
+      return Promise.resolve([invoice]);
+    });
+    Invoice.findOneAndUpdate = jest.fn().mockImplementation(({ _id, status }, { $set }) => {
+      const invoice = invoices.find(candidate => candidate._id === _id && candidate.status === status);
+      return Promise.resolve(invoice ? Object.assign(invoice, $set) : null);
+    });
+    Invoice.updateOne = jest.fn().mockImplementation(({ _id }, { $set }) => {
+      Object.assign(invoices.find(invoice => invoice._id === _id), $set);
+      return Promise.resolve({ modifiedCount: 1 });
+    });
+
+    Counter.next = jest.fn().mockImplementation(name => {
+      sequences[name] = (sequences[name] || 0) + 1;
+      return Promise.resolve(sequences[name]);
+    });
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+  });
+
+  it('should issue a numbered invoice itemising the fee', async () => {
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(Counter.next).toHaveBeenCalledWith(`invoice_${year}`, session);
+    expect(result.invoices).toHaveLength(1);
+    expect(result.invoices[0]).toMatchObject({
+      invoiceNumber: `INV-${year}-000001`,
+      type: 'invoice',
+      billTo: { name: 'Pat <Smith>', email: 'pat@example.com' },
+      provider: { name: 'Dr. John Doe', specialization: 'Cardiology', hospital: 'General Hospital' },
+      subtotal: 200,
+      taxAmount: 0,
+      total: 200
+    });
+    expect(result.invoices[0].lineItems.map(item => [item.code, item.amount])).toEqual([
+      ['base_fee', 100],
+      ['experience_surcharge', 50],
+      ['specialization_surcharge', 30],
+      ['walk_in_surcharge', 20]
+    ]);
+  });
+
+  it('should show the tax included in the fee', async () => {
+    process.env.INVOICE_TAX_RATE = '10';
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices[0]).toMatchObject({ taxRate: 10, taxAmount: 18.18, total: 200 });
+  });
+
+  it('should issue each document only once', async () => {
+    await getAppointmentInvoices(patient, 'APT-1');
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(Invoice.create).toHaveBeenCalledTimes(1);
+    expect(result.invoices).toHaveLength(1);
+  });
+
+  it('should not invoice unpaid appointments', async () => {
+    appointment.payment = { amount: 200, status: 'pending' };
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices).toEqual([]);
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('should credit processed refunds against the invoice', async () => {
+    appointment.status = 'cancelled';
+    appointment.cancellation = { refundAmount: 150, refundStatus: 'processed', refundId: 'REF-1', reason: 'Travelling' };
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices.map(invoice => invoice.invoiceNumber)).toEqual([`INV-${year}-000001`, `CN-${year}-000001`]);
+    expect(result.invoices[1]).toMatchObject({
+      type: 'credit_note',
+      relatedInvoiceNumber: `INV-${year}-000001`,
+      lineItems: [{ code: 'refund', description: 'Refund for the cancelled appointment: Travelling', amount: 150 }],
+      total: 150
+    });
+    expect(issued()[1].payment.refundId).toBe('REF-1');
+  });
+
+  it('should wait for a refund to be processed before crediting it', async () => {
+    appointment.cancellation = { refundAmount: 150, refundStatus: 'pending' };
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices.map(invoice => invoice.type)).toEqual(['invoice']);
+  });
+
+  it('should invoice what was charged when a substitute costs less', async () => {
+    appointment.bookingType = 'online';
+    appointment.payment.amount = 120;
+    appointment.reassignment = { originalFee: 180, newFee: 120, refundedDifference: 60, differenceRefundStatus: 'processed' };
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices[0].total).toBe(180);
+    expect(result.invoices[1]).toMatchObject({
+      type: 'credit_note',
+      lineItems: [expect.objectContaining({ description: 'Refund of the fee difference for a substitute doctor', amount: 60 })]
+    });
+  });
+
+  it('should add an adjustment when the fee agreed at booking differs from today\'s fee', async () => {
+    appointment.payment.amount = 175;
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices[0].lineItems).toContainEqual({ code: 'adjustment', description: 'Adjustment to the fee agreed at booking', amount: -25 });
+    expect(result.invoices[0].total).toBe(175);
+  });
+
+  it('should itemise a promo code discount', async () => {
+    appointment.payment.amount = 160;
+    appointment.payment.originalAmount = 200;
+    appointment.payment.discount = { code: 'SPRING20', amount: 40 };
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices[0].lineItems).toContainEqual({ code: 'discount', description: 'Discount (promo code SPRING20)', amount: -40 });
+    expect(result.invoices[0].lineItems.map(item => item.code)).not.toContain('adjustment');
+    expect(result.invoices[0].total).toBe(160);
+  });
+
+  it('should itemise the insurer share as covered by the plan', async () => {
+    appointment.payment.amount = 72;
+    appointment.payment.insurance = { provider: 'Acme Health', planName: 'Gold PPO', insurerShare: 128, patientShare: 72 };
+
+    const result = await getAppointmentInvoices(patient, 'APT-1');
+
+    expect(result.invoices[0].lineItems).toContainEqual({ code: 'insurance', description: 'Covered by Acme Health Gold PPO', amount: -128 });
+    expect(result.invoices[0].lineItems.map(item => item.code)).not.toContain('adjustment');
+    expect(result.invoices[0].total).toBe(72);
+  });
+
+  it('should render invoices and receipts as HTML and PDF', async () => {
+    await getAppointmentInvoices(patient, 'APT-1');
+    const invoiceNumber = `INV-${year}-000001`;
+
+    const html = await downloadInvoice(patient, invoiceNumber, { format: 'html' });
+    expect(html).toMatchObject({ contentType: 'text/html; charset=utf-8', filename: `${invoiceNumber}.html` });
+    expect(html.body).toContain(invoiceNumber);
+    expect(html.body).toContain('Pat &lt;Smith&gt;');
+    expect(html.body).toContain('$200.00');
+
+    const receipt = await downloadInvoice(patient, invoiceNumber, { format: 'html', receipt: true });
+    expect(receipt.filename).toBe(`receipt-${invoiceNumber}.html`);
+    expect(receipt.body).toContain('Amount paid');
+    expect(receipt.body).toContain('TXN-1');
+
+    const pdf = await downloadInvoice(patient, invoiceNumber);
+    expect(pdf.contentType).toBe('application/pdf');
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should only let patients download their own documents', async () => {
+    await getAppointmentInvoices(patient, 'APT-1');
+
+    await expect(downloadInvoice({ _id: 'someone-else' }, `INV-${year}-000001`)).rejects.toThrow('Invoice not found');
+    await expect(downloadInvoice(patient, `INV-${year}-000001`, { format: 'docx' })).rejects.toThrow('Format must be pdf or html');
+  });
+
+  it('should not issue receipts for credit notes', async () => {
+    appointment.cancellation = { refundAmount: 150, refundStatus: 'processed' };
+    await getAppointmentInvoices(patient, 'APT-1');
+
+    await expect(downloadInvoice(patient, `CN-${year}-000001`, { receipt: true }))
+      .rejects.toThrow('Receipts are only issued for invoices');
+  });
+
+  it('should keep one live invoice when a paid appointment is rescheduled', async () => {
+    await getAppointmentInvoices(patient, 'APT-1');
+
+    const original = { ...appointment, status: 'rescheduled', rescheduledTo: 'apt-2' };
+    appointment = { ...appointment, _id: 'apt-2', appointmentId: 'APT-2', startTime: '11:00', endTime: '11:30', rescheduledFrom: 'apt-1' };
+    Appointment.findById = jest.fn().mockImplementation(id => Promise.resolve(id === 'apt-1' ? original : appointment));
+
+    const result = await getAppointmentInvoices(patient, 'APT-2');
+
+    expect(invoices.filter(invoice => invoice.status === 'issued')).toEqual([
+      expect.objectContaining({ invoiceNumber: `INV-${year}-000002`, appointment: 'apt-2', replaces: 'inv-1' })
+    ]);
+    expect(invoices[0]).toMatchObject({ status: 'void', voidReason: 'Moved to appointment APT-2 when rescheduled', replacedBy: 'inv-2' });
+    expect(result.invoices.map(invoice => invoice.invoiceNumber)).toEqual([`INV-${year}-000002`]);
+  });
+
+  it('should void and replace a document when an admin re-issues it', async () => {
+    await getAppointmentInvoices(patient, 'APT-1');
+    User.findById = jest.fn().mockImplementation(id => Promise.resolve(id === patient._id ? { ...patient, name: 'Pat Smith' } : doctor));
+
+    const result = await reissueInvoice(admin, `INV-${year}-000001`, { reason: 'Name corrected' });
+
+    expect(result.voided).toMatchObject({ invoiceNumber: `INV-${year}-000001`, status: 'void', voidReason: 'Name corrected' });
+    expect(result.invoice).toMatchObject({ invoiceNumber: `INV-${year}-000002`, status: 'issued', billTo: expect.objectContaining({ name: 'Pat Smith' }) });
+    expect(issued()[1]).toMatchObject({ issuedBy: admin._id, replaces: 'inv-1' });
+    expect(invoices[0].replacedBy).toBe('inv-2');
+
+    await expect(reissueInvoice(admin, `INV-${year}-000001`)).rejects.toThrow(`Invoice INV-${year}-000001 is void and cannot be re-issued`);
+  });
+});
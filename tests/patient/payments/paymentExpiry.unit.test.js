@@ -0,0 +1,118 @@
+import { jest } from '@jest/globals';
+import paymentExpiryReaper from '@/utils/paymentExpiryReaper.js';
+import Appointment from '@/models/Appointment.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+import notificationService from '@/utils/notificationService.js';
+import redisCache from '@/utils/redis.js';
+import waitlistService from '@/utils/waitlistService.js';
+import { createAppointment, createSlot, session } from '../../fixtures.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/redis.js');
+jest.mock('@/utils/waitlistService.js');
+
+describe('Payment Expiry Reaper Unit Tests', () => {
+  const now = new Date('2024-01-01T08:00:00.000Z');
+  let mockAppointment;
+  let mockSlot;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockAppointment = createAppointment({
+      status: 'pending',
+      patientId: { _id: '507f1f77bcf86cd799439015', name: 'Jane Patient', email: 'jane@example.com' },
+      doctorId: { _id: '507f1f77bcf86cd799439011', name: 'Dr. John Doe' },
+      payment: { status: 'pending', expiresAt: new Date('2024-01-01T07:45:00.000Z') }
+    });
+
+    mockSlot = createSlot({ status: 'booked', appointmentId: mockAppointment._id });
+
+    distributedLock.acquire = jest.fn().mockResolvedValue(true);
+    distributedLock.release = jest.fn().mockResolvedValue(true);
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+
+    Appointment.find = jest.fn().mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          limit: jest.fn().mockResolvedValue([mockAppointment])
+        })
+      })
+    });
+    Appointment.findOneAndUpdate = jest.fn().mockResolvedValue({ ...mockAppointment, status: 'cancelled' });
+    AvailabilitySlot.findById = jest.fn().mockReturnValue({ session: jest.fn().mockResolvedValue(mockSlot) });
+
+    notificationService.sendPaymentExpiredNotification = jest.fn().mockResolvedValue({ success: true });
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+    waitlistService.notifySlotsAvailable = jest.fn().mockResolvedValue(0);
+  });
+
+  it('should cancel expired unpaid bookings and release their slots', async () => {
+    const result = await paymentExpiryReaper.runSweep(now);
+
+    expect(Appointment.find).toHaveBeenCalledWith({
+      status: 'pending',
+      'payment.status': { $in: ['pending', 'failed'] },
+      'payment.expiresAt': { $lte: now }
+    });
+    expect(Appointment.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ _id: mockAppointment._id, 'payment.status': { $in: ['pending', 'failed'] } }),
+      {
+        $set: expect.objectContaining({
+          status: 'cancelled',
+          'cancellation.initiatedBy': 'system'
+        })
+      },
+      { new: true, session }
+    );
+    expect(transactionManager.withTransaction).toHaveBeenCalledTimes(1);
+    expect(mockSlot.cancelBooking).toHaveBeenCalledWith(session);
+    expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+      action: 'released',
+      status: 'available'
+    }));
+    expect(notificationService.sendPaymentExpiredNotification).toHaveBeenCalled();
+    expect(result).toEqual({ skipped: false, released: 1, failed: 0 });
+  });
+
+  it('should leave the slot alone when the payment was confirmed meanwhile', async () => {
+    Appointment.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await paymentExpiryReaper.runSweep(now);
+
+    expect(mockSlot.cancelBooking).not.toHaveBeenCalled();
+    expect(notificationService.sendPaymentExpiredNotification).not.toHaveBeenCalled();
+    expect(result.released).toBe(0);
+  });
+
+  it('should roll the cancellation back when the slot cannot be freed', async () => {
+    mockSlot.cancelBooking.mockRejectedValue(new Error('Write conflict'));
+
+    const result = await paymentExpiryReaper.runSweep(now);
+
+    // Both writes ran in the one transaction, which failed as a whole
+    expect(Appointment.findOneAndUpdate).toHaveBeenCalledWith(expect.any(Object), expect.any(Object), { new: true, session });
+    await expect(transactionManager.withTransaction.mock.results[0].value).rejects.toThrow('Write conflict');
+    expect(redisCache.publish).not.toHaveBeenCalled();
+    expect(waitlistService.notifySlotsAvailable).not.toHaveBeenCalled();
+    expect(notificationService.sendPaymentExpiredNotification).not.toHaveBeenCalled();
+    expect(result).toEqual({ skipped: false, released: 0, failed: 1 });
+  });
+
+  it('should not release a slot that now belongs to another appointment', async () => {
+    mockSlot.appointmentId = '507f1f77bcf86cd799439099';
+
+    await paymentExpiryReaper.runSweep(now);
+
+    expect(mockSlot.cancelBooking).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import paymentService from '@/utils/paymentService.js';
+import { createPaymentProvider, MockPaymentProvider } from '@/utils/paymentProviders/index.js';
+
+describe('Payment Provider Unit Tests', () => {
+  const provider = paymentService.provider;
+
+  const createAppointment = (amount = 150) => ({
+    appointmentId: 'APT-1-ABCDE',
+    payment: { amount, currency: 'USD' }
+  });
+
+  // Start and capture a payment, returning the appointment as booking would leave it
+  const payFor = async (appointment) => {
+    const { payment } = await paymentService.initiatePayment(appointment, { paymentMethod: 'card' });
+    await paymentService.confirmPayment(payment.transactionId, appointment.payment);
+    appointment.payment.transactionId = payment.transactionId;
+    return appointment;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.reset();
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+  });
+
+  describe('configuration', () => {
+    it('should use the mock provider unless another is configured', () => {
+      expect(provider).toBeInstanceOf(MockPaymentProvider);
+      expect(() => createPaymentProvider('acme')).toThrow('Unknown payment provider "acme"; expected one of: mock');
+    });
+  });
+
+  describe('mock provider', () => {
+    it('should issue predictable transaction IDs and track their status', async () => {
+      const mock = new MockPaymentProvider({ runId: 'TEST' });
+      const service = Object.create(paymentService, { provider: { value: mock } });
+
+      const first = await service.initiatePayment(createAppointment());
+      const second = await service.initiatePayment(createAppointment());
+
+      expect(first.payment).toMatchObject({
+        transactionId: 'TXN-TEST-000001',
+        status: 'pending',
+        amount: 150,
+        paymentUrl: 'https://payment-gateway.com/pay/TXN-TEST-000001',
+        expiresAt: expect.any(Date)
+      });
+      expect(second.payment.transactionId).toBe('TXN-TEST-000002');
+
+      await service.confirmPayment('TXN-TEST-000001', { amount: 150, currency: 'USD' });
+
+      expect(await service.getPaymentStatus('TXN-TEST-000001')).toMatchObject({ success: true, status: 'paid', amount: 150 });
+      expect(await service.getPaymentStatus('TXN-UNKNOWN')).toEqual({
+        success: false,
+        transactionId: 'TXN-UNKNOWN',
+        error: 'Transaction not found'
+      });
+    });
+
+    it('should simulate declined payments', async () => {
+      provider.simulate({ declineReason: 'Card declined' });
+      const { payment } = await paymentService.initiatePayment(createAppointment());
+
+      const result = await paymentService.confirmPayment(payment.transactionId, { amount: 150, currency: 'USD' });
+
+      expect(result).toEqual({
+        success: false,
+        transactionId: payment.transactionId,
+        status: 'failed',
+        error: 'Card declined'
+      });
+      expect((await paymentService.getPaymentStatus(payment.transactionId)).status).toBe('failed');
+    });
+
+    it('should refund in parts up to the captured amount', async () => {
+      const appointment = await payFor(createAppointment(100));
+
+      const first = await paymentService.processRefund(appointment, 30.1);
+      expect(first).toMatchObject({ success: true, amount: 30.1, status: 'processed', refundId: expect.any(String) });
+      expect(await paymentService.getPaymentStatus(appointment.payment.transactionId))
+        .toMatchObject({ status: 'partially_refunded', refundedAmount: 30.1 });
+
+      const tooMuch = await paymentService.processRefund(appointment, 70);
+      expect(tooMuch).toMatchObject({ success: false, error: 'Refund exceeds the amount still captured' });
+
+      await paymentService.processRefund(appointment, 69.9);
+      expect(await paymentService.getPaymentStatus(appointment.payment.transactionId))
+        .toMatchObject({ status: 'refunded', refundedAmount: 100 });
+    });
+
+    it('should refuse refunds of uncaptured payments or when told to', async () => {
+      const appointment = createAppointment();
+      const { payment } = await paymentService.initiatePayment(appointment);
+      appointment.payment.transactionId = payment.transactionId;
+
+      expect(await paymentService.processRefund(appointment, 50))
+        .toMatchObject({ success: false, error: 'Payment has not been captured' });
+
+      provider.simulate({ refundFailureReason: 'Gateway unavailable' });
+
+      expect(await paymentService.processRefund(await payFor(createAppointment()), 50))
+        .toMatchObject({ success: false, error: 'Gateway unavailable' });
+    });
+
+    it('should confirm and refund transactions it did not create', async () => {
+      const appointment = { ...createAppointment(), payment: { amount: 150, currency: 'USD', transactionId: 'DESK-1' } };
+
+      expect(await paymentService.processRefund(appointment, 150)).toMatchObject({ success: true, status: 'processed' });
+      expect(await paymentService.confirmPayment('TXN-OLD', { amount: 150, currency: 'USD' })).toMatchObject({ success: true, status: 'paid' });
+    });
+
+    it('should leave refunds of desk payments to be handed back at the desk', async () => {
+      const cash = { ...createAppointment(), payment: { amount: 150, currency: 'USD', paymentMethod: 'cash', transactionId: 'DESK-1' } };
+      const deskCard = { ...createAppointment(), payment: { amount: 150, currency: 'USD', paymentMethod: 'card', transactionId: 'TERM-1', receivedBy: 'staff-1' } };
+      const refundPayment = jest.spyOn(provider, 'refundPayment');
+
+      for (const appointment of [cash, deskCard]) {
+        const result = await paymentService.processRefund(appointment, 150);
+
+        expect(result).toMatchObject({ success: true, amount: 150, status: 'pending_manual' });
+        expect(paymentService.getRefundStatus(result)).toBe('pending_manual');
+      }
+      expect(refundPayment).not.toHaveBeenCalled();
+      expect(paymentService.getRefundStatus({ success: true, status: 'pending' })).toBe('pending');
+      expect(paymentService.getRefundStatus({ success: true, status: 'succeeded' })).toBe('processed');
+
+      refundPayment.mockRestore();
+    });
+
+    it('should simulate a slow gateway', async () => {
+      jest.useFakeTimers();
+      provider.simulate({ delayMs: 5000 });
+
+      let settled = false;
+      const pending = paymentService.initiatePayment(createAppointment()).then(() => { settled = true; });
+
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(settled).toBe(false);
+
+      await jest.advanceTimersByTimeAsync(1);
+      await pending;
+      expect(settled).toBe(true);
+      jest.useRealTimers();
+    });
+
+    it('should verify webhook signatures', () => {
+      const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded' });
+      const signature = provider.signWebhook(body);
+
+      expect(paymentService.verifyWebhook(body, signature)).toBe(true);
+      expect(paymentService.verifyWebhook(`${body} `, signature)).toBe(false);
+      expect(paymentService.verifyWebhook(body, 'bad')).toBe(false);
+      expect(paymentService.verifyWebhook(body, undefined)).toBe(false);
+    });
+
+    it('should refuse every webhook while no secret is configured', () => {
+      const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded' });
+      const signature = provider.signWebhook(body);
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+      expect(paymentService.verifyWebhook(body, signature)).toBe(false);
+      expect(() => provider.signWebhook(body)).toThrow('PAYMENT_WEBHOOK_SECRET is not set');
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { jest } from '@jest/globals';
+import { handlePaymentWebhook } from '@/controllers/webhooks/payment.controller.js';
+import paymentService from '@/utils/paymentService.js';
+import Appointment from '@/models/Appointment.js';
+import PaymentEvent from '@/models/PaymentEvent.js';
+import transactionManager from '@/utils/transactionManager.js';
+import redisCache from '@/utils/redis.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/PaymentEvent.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/redis.js');
+
+// Chainable query resolving to a result
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.session = () => promise;
+  return promise;
+};
+
+describe('Payment Webhook Unit Tests', () => {
+  const session = { id: 'session' };
+  let appointment;
+  let events;
+
+  // Signed delivery of a gateway event
+  const deliver = (id, type, data = {}, signature) => {
+    const payload = { id, type, createdAt: '2030-01-10T10:00:00.000Z', data: { transactionId: 'TXN-1', ...data } };
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return handlePaymentWebhook(rawBody, signature ?? paymentService.provider.signWebhook(rawBody), payload);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    appointment = {
+      _id: 'apt-1',
+      appointmentId: 'APT-1',
+      status: 'pending',
+      payment: { amount: 150, status: 'pending', transactionId: 'TXN-1' },
+      cancellation: { refundStatus: 'none' },
+      save: jest.fn().mockResolvedValue()
+    };
+    events = new Map();
+
+    Appointment.findOne = jest.fn().mockImplementation(() => query(appointment));
+    PaymentEvent.findOne = jest.fn().mockImplementation(({ eventId }) => Promise.resolve(events.get(eventId) || null));
+    PaymentEvent.create = jest.fn().mockImplementation(([record]) => {
+      events.set(record.eventId, record);
+      return Promise.resolve([record]);
+    });
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.PAYMENT_WEBHOOK_SECRET;
+  });
+
+  it('should reject events without a valid signature', async () => {
+    await expect(deliver('evt_1', 'payment.succeeded', {}, 'forged')).rejects.toThrow('Invalid webhook signature');
+    expect(Appointment.findOne).not.toHaveBeenCalled();
+  });
+
+  it('should mark the payment paid and confirm the appointment', async () => {
+    const result = await deliver('evt_1', 'payment.succeeded');
+
+    expect(Appointment.findOne).toHaveBeenCalledWith({ 'payment.transactionId': 'TXN-1', status: { $ne: 'rescheduled' } });
+    expect(appointment).toMatchObject({
+      status: 'confirmed',
+      payment: expect.objectContaining({ status: 'paid', paidAt: new Date('2030-01-10T10:00:00.000Z') })
+    });
+    expect(appointment.save).toHaveBeenCalledWith({ session });
+    expect(PaymentEvent.create).toHaveBeenCalledWith([expect.objectContaining({
+      eventId: 'evt_1',
+      provider: 'mock',
+      appointmentId: 'apt-1',
+      outcome: 'applied'
+    })], { session });
+    expect(redisCache.publish).toHaveBeenCalledWith('appointment_updates', expect.objectContaining({ action: 'paid' }));
+    expect(result).toEqual({ eventId: 'evt_1', type: 'payment.succeeded', outcome: 'applied', note: undefined, duplicate: false });
+  });
+
+  it('should apply each event only once', async () => {
+    await deliver('evt_1', 'payment.succeeded');
+    appointment.save.mockClear();
+
+    const result = await deliver('evt_1', 'payment.succeeded');
+
+    expect(result).toMatchObject({ outcome: 'applied', duplicate: true });
+    expect(appointment.save).not.toHaveBeenCalled();
+    expect(PaymentEvent.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not move a paid payment back to failed', async () => {
+    await deliver('evt_2', 'payment.succeeded');
+
+    const result = await deliver('evt_1', 'payment.failed', { failureReason: 'Card declined' });
+
+    expect(result).toMatchObject({ outcome: 'ignored', note: 'Payment is already paid' });
+    expect(appointment.payment.status).toBe('paid');
+  });
+
+  it('should let a declined payment succeed on a later attempt', async () => {
+    await deliver('evt_1', 'payment.failed', { failureReason: 'Card declined' });
+    expect(appointment.payment).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+    expect(appointment.status).toBe('pending');
+
+    await deliver('evt_2', 'payment.succeeded');
+    expect(appointment.payment).toMatchObject({ status: 'paid', failureReason: undefined });
+  });
+
+  it('should settle an asynchronous cancellation refund', async () => {
+    appointment.status = 'cancelled';
+    appointment.payment.status = 'paid';
+    appointment.cancellation = { refundAmount: 150, refundStatus: 'pending', refundId: 'REF-9' };
+
+    await deliver('evt_1', 'refund.succeeded', { refundId: 'REF-9', amount: 150 });
+
+    expect(appointment.cancellation.refundStatus).toBe('processed');
+    expect(appointment.payment).toMatchObject({ status: 'refunded', refundedAt: expect.any(Date) });
+
+    const late = await deliver('evt_0', 'refund.failed', { refundId: 'REF-9' });
+    expect(late).toMatchObject({ outcome: 'ignored', note: 'Refund is already processed' });
+    expect(appointment.cancellation.refundStatus).toBe('processed');
+  });
+
+  it('should keep a partly refunded payment as paid', async () => {
+    appointment.status = 'cancelled';
+    appointment.payment.status = 'paid';
+    appointment.cancellation = { refundAmount: 75, refundStatus: 'failed' };
+
+    await deliver('evt_1', 'refund.succeeded', { refundId: 'REF-3', amount: 75 });
+
+    expect(appointment.cancellation).toMatchObject({ refundStatus: 'processed', refundId: 'REF-3' });
+    expect(appointment.payment.status).toBe('paid');
+  });
+
+  it('should match a substitute fee difference refund by its ID', async () => {
+    appointment.status = 'confirmed';
+    appointment.payment.status = 'paid';
+    appointment.reassignment = { differenceRefundStatus: 'pending', differenceRefundId: 'REF-5' };
+
+    await deliver('evt_1', 'refund.succeeded', { refundId: 'REF-5', amount: 30 });
+
+    expect(appointment.reassignment.differenceRefundStatus).toBe('processed');
+    expect(appointment.payment.status).toBe('paid');
+  });
+
+  it('should refund in full a payment captured after the reaper cancelled the appointment', async () => {
+    appointment.status = 'cancelled';
+    appointment.payment.status = 'failed';
+    appointment.cancellation = { initiatedBy: 'system', refundAmount: 0, refundStatus: 'none' };
+    const processRefund = jest.spyOn(paymentService, 'processRefund')
+      .mockResolvedValue({ success: true, status: 'processed', refundId: 'REF-7' });
+
+    const result = await deliver('evt_1', 'payment.succeeded');
+
+    expect(result).toMatchObject({
+      outcome: 'applied',
+      note: 'Payment received after the appointment was cancelled; refunding it in full'
+    });
+    expect(processRefund).toHaveBeenCalledWith(appointment, 150);
+    expect(appointment.payment.status).toBe('paid');
+    expect(appointment.cancellation).toMatchObject({ refundAmount: 150, refundStatus: 'processed', refundId: 'REF-7' });
+    expect(appointment.save).toHaveBeenCalledTimes(2);
+
+    processRefund.mockRejectedValue(new Error('Gateway unavailable'));
+    appointment.payment.status = 'failed';
+    appointment.cancellation = { refundAmount: 0, refundStatus: 'none' };
+
+    await deliver('evt_2', 'payment.succeeded');
+
+    // Left for payment reconciliation to retry
+    expect(appointment.cancellation).toMatchObject({ refundAmount: 150, refundStatus: 'failed' });
+    processRefund.mockRestore();
+  });
+
+  it('should record events for unknown transactions without applying them', async () => {
+    appointment = null;
+
+    const result = await deliver('evt_1', 'payment.succeeded');
+
+    expect(result).toMatchObject({ outcome: 'ignored', note: 'No appointment has this transaction' });
+    expect(redisCache.publish).not.toHaveBeenCalled();
+  });
+
+  it('should reject unsupported events', async () => {
+    await expect(deliver('evt_1', 'payment.disputed')).rejects.toThrow('Unsupported webhook event');
+  });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import reminderScheduler from '@/utils/reminderScheduler.js';
+import Appointment from '@/models/Appointment.js';
+import distributedLock from '@/utils/distributedLock.js';
+import notificationService from '@/utils/notificationService.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/notificationService.js');
+
+describe('Reminder Scheduler Unit Tests', () => {
+  const now = new Date('2024-01-01T08:00:00.000Z');
+  let mockAppointment;
+
+  const appointmentAt = (hoursFromNow) => {
+    const start = new Date(now.getTime() + hoursFromNow * 60 * 60 * 1000);
+    return {
+      date: new Date(`${start.toISOString().split('T')[0]}T00:00:00`),
+      startTime: start.toTimeString().slice(0, 5)
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REMINDER_LEAD_TIMES;
+
+    mockAppointment = {
+      _id: '507f1f77bcf86cd799439014',
+      appointmentId: 'APT-1-ABCDE',
+      status: 'confirmed',
+      patientId: { name: 'Jane Patient', email: 'jane@example.com' },
+      doctorId: { name: 'Dr. John Doe' },
+      notifications: { remindersSent: [] },
+      ...appointmentAt(1.5)
+    };
+
+    distributedLock.acquire = jest.fn().mockResolvedValue(true);
+    distributedLock.release = jest.fn().mockResolvedValue(true);
+
+    Appointment.find = jest.fn().mockReturnValue({
+      populate: jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue([mockAppointment])
+      })
+    });
+    Appointment.findOneAndUpdate = jest.fn().mockResolvedValue(mockAppointment);
+    Appointment.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+
+    notificationService.sendAppointmentReminder = jest.fn().mockResolvedValue({ success: true });
+  });
+
+  it('should parse lead times from configuration in minutes, largest first', () => {
+    process.env.REMINDER_LEAD_TIMES = '2,24,0.5';
+
+    expect(reminderScheduler.leadTimes).toEqual([1440, 120, 30]);
+  });
+
+  it('should claim all due lead times and send a single reminder', async () => {
+    const result = await reminderScheduler.runSweep(now);
+
+    expect(Appointment.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        _id: mockAppointment._id,
+        'notifications.remindersSent.leadTime': { $nin: [1440, 120] }
+      }),
+      expect.any(Object),
+      { new: true }
+    );
+    expect(notificationService.sendAppointmentReminder).toHaveBeenCalledTimes(1);
+    expect(notificationService.sendAppointmentReminder).toHaveBeenCalledWith(
+      mockAppointment,
+      mockAppointment.patientId,
+      mockAppointment.doctorId,
+      { leadTime: 120 }
+    );
+    expect(distributedLock.release).toHaveBeenCalledWith('reminder_sweep');
+    expect(result).toEqual({ skipped: false, sent: 1, failed: 0 });
+  });
+
+  it('should only send the lead times that have not been sent yet', async () => {
+    mockAppointment.notifications.remindersSent = [{ leadTime: 1440 }];
+
+    await reminderScheduler.runSweep(now);
+
+    expect(notificationService.sendAppointmentReminder).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.anything(),
+      expect.anything(),
+      { leadTime: 120 }
+    );
+  });
+
+  it('should not send when another instance already claimed the reminder', async () => {
+    Appointment.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await reminderScheduler.runSweep(now);
+
+    expect(notificationService.sendAppointmentReminder).not.toHaveBeenCalled();
+    expect(result.sent).toBe(0);
+  });
+
+  it('should skip the sweep when the lock is held elsewhere', async () => {
+    distributedLock.acquire.mockResolvedValue(false);
+
+    const result = await reminderScheduler.runSweep(now);
+
+    expect(Appointment.find).not.toHaveBeenCalled();
+    expect(result.skipped).toBe(true);
+  });
+
+  it('should release the claim when sending fails', async () => {
+    notificationService.sendAppointmentReminder.mockResolvedValue({ success: false, error: 'SMTP down' });
+
+    const result = await reminderScheduler.runSweep(now);
+
+    expect(Appointment.updateOne).toHaveBeenCalledWith(
+      { _id: mockAppointment._id },
+      { $pull: { 'notifications.remindersSent': { leadTime: { $in: [1440, 120] }, sentAt: expect.any(Date) } } }
+    );
+    expect(result.failed).toBe(1);
+  });
+});
@@ -0,0 +1,273 @@
+import { jest } from '@jest/globals';
+import { rescheduleAppointment } from '@/controllers/patient/appointment.controller.js';
+import Appointment from '@/models/Appointment.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+import notificationService from '@/utils/notificationService.js';
+import waitlistService from '@/utils/waitlistService.js';
+import redisCache from '@/utils/redis.js';
+import invoiceService from '@/utils/invoiceService.js';
+import { createAppointment, createSlot, ids, session } from '../../fixtures.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/users.model.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+jest.mock('@/utils/invoiceService.js');
+
+describe('Reschedule Appointment Unit Tests', () => {
+  const patient = { _id: ids.patient, name: 'Jane Patient', role: 'patient' };
+  const doctor = { _id: ids.doctor, name: 'Dr. John Doe' };
+  let mockAppointment;
+  let mockOldSlot;
+  let mockNewSlot;
+  let createdAppointment;
+
+  // Query chains end in .session(session)
+  const sessionQuery = (value) => ({ session: jest.fn().mockResolvedValue(value) });
+
+  const daysAhead = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date;
+  };
+
+  // Serve an appointment and the slots it moves between to the controller's queries
+  const useAppointment = (appointment, slots) => {
+    Appointment.findOne = jest.fn()
+      .mockResolvedValueOnce(appointment)
+      .mockReturnValueOnce(sessionQuery(appointment))
+      .mockReturnValueOnce(sessionQuery(null));
+
+    AvailabilitySlot.findById = jest.fn().mockImplementation((id) => {
+      const slot = slots.find(candidate => candidate._id === id) || null;
+      return id === appointment.slotId ? sessionQuery(slot) : { populate: jest.fn().mockReturnValue(sessionQuery(slot)) };
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockAppointment = createAppointment({
+      doctorId: doctor._id,
+      date: daysAhead(3),
+      payment: { amount: 100, currency: 'USD', status: 'paid', transactionId: 'txn_1', paymentMethod: 'card' }
+    });
+
+    mockOldSlot = createSlot({ status: 'booked', appointmentId: mockAppointment._id });
+
+    mockNewSlot = createSlot({
+      _id: '507f1f77bcf86cd799439020',
+      doctorId: doctor,
+      date: daysAhead(4),
+      startTime: '11:00',
+      endTime: '11:30'
+    });
+
+    useAppointment(mockAppointment, [mockOldSlot, mockNewSlot]);
+    Appointment.mockImplementation((data) => {
+      createdAppointment = createAppointment({
+        ...data,
+        _id: '507f1f77bcf86cd799439030',
+        appointmentId: 'APT-2-FGHIJ',
+        save: jest.fn().mockResolvedValue()
+      });
+      return createdAppointment;
+    });
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+    notificationService.sendRescheduleNotification = jest.fn().mockResolvedValue({ success: true });
+    notificationService.sendCancellationNotification = jest.fn();
+    notificationService.sendBookingConfirmation = jest.fn();
+    waitlistService.notifySlotsAvailable = jest.fn().mockResolvedValue(0);
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+    invoiceService.syncDocumentsQuietly = jest.fn().mockResolvedValue();
+  });
+
+  it('should move the booking to the new slot in one transaction and carry the payment over', async () => {
+    const result = await rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id);
+
+    expect(distributedLock.withLock).toHaveBeenCalledWith(`slot_booking_${mockOldSlot._id}`, expect.any(Function), 30);
+    expect(distributedLock.withLock).toHaveBeenCalledWith(`slot_booking_${mockNewSlot._id}`, expect.any(Function), 30);
+    expect(transactionManager.withTransaction).toHaveBeenCalledTimes(1);
+
+    expect(createdAppointment.save).toHaveBeenCalledWith({ session });
+    expect(createdAppointment.payment).toEqual(expect.objectContaining({ status: 'paid', transactionId: 'txn_1', amount: 100 }));
+    expect(createdAppointment.rescheduledFrom).toBe(mockAppointment._id);
+    expect(mockAppointment.markRescheduled).toHaveBeenCalledWith(createdAppointment._id);
+    expect(mockOldSlot.cancelBooking).toHaveBeenCalledWith(session);
+    expect(mockNewSlot.bookSlot).toHaveBeenCalledWith(patient._id, createdAppointment._id, undefined, session);
+
+    expect(notificationService.sendRescheduleNotification).toHaveBeenCalledTimes(1);
+    expect(notificationService.sendCancellationNotification).not.toHaveBeenCalled();
+    expect(notificationService.sendBookingConfirmation).not.toHaveBeenCalled();
+    expect(waitlistService.notifySlotsAvailable).toHaveBeenCalledWith([mockOldSlot._id, null]);
+    expect(invoiceService.syncDocumentsQuietly).toHaveBeenCalledWith(createdAppointment);
+
+    expect(result.appointment.appointmentId).toBe('APT-2-FGHIJ');
+    expect(result.appointment.previousAppointmentId).toBe(mockAppointment.appointmentId);
+  });
+
+  it('should keep the original appointment when the new slot is taken', async () => {
+    mockNewSlot.status = 'booked';
+
+    await expect(rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id))
+      .rejects.toThrow('Slot is not available');
+
+    expect(mockAppointment.markRescheduled).not.toHaveBeenCalled();
+    expect(mockOldSlot.cancelBooking).not.toHaveBeenCalled();
+    expect(notificationService.sendRescheduleNotification).not.toHaveBeenCalled();
+  });
+
+  it('should reject a slot with a different doctor', async () => {
+    mockNewSlot.doctorId = { _id: '507f1f77bcf86cd799439099', name: 'Dr. Other' };
+
+    await expect(rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id))
+      .rejects.toThrow('Appointments can only be rescheduled with the same doctor');
+
+    expect(mockAppointment.markRescheduled).not.toHaveBeenCalled();
+  });
+
+  it('should reject rescheduling into the same slot', async () => {
+    await expect(rescheduleAppointment(patient, mockAppointment.appointmentId, mockOldSlot._id))
+      .rejects.toThrow('Appointment is already booked in this slot');
+
+    expect(transactionManager.withTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should carry an unpaid, discounted and insured payment over unchanged', async () => {
+    const payment = {
+      amount: 24,
+      originalAmount: 150,
+      discount: { code: 'SPRING20', type: 'percentage', value: 20, amount: 30 },
+      insurance: { planId: 'plan-1', inNetwork: true, copay: 20, coveredAmount: 96, patientAmount: 24 },
+      currency: 'USD',
+      status: 'pending',
+      transactionId: undefined,
+      paymentMethod: 'insurance',
+      paidAt: undefined,
+      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
+    };
+    Object.assign(mockAppointment, {
+      status: 'pending',
+      payment,
+      cancellationPolicy: { policyId: 'policy-1', tiers: [{ minHoursBefore: 24, refundPercent: 100 }] }
+    });
+
+    const result = await rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id);
+
+    expect(createdAppointment.payment).toEqual(payment);
+    expect(createdAppointment.status).toBe('pending');
+    expect(createdAppointment.cancellationPolicy).toBe(mockAppointment.cancellationPolicy);
+    expect(result.appointment.payment).toEqual({ amount: 24, currency: 'USD', status: 'pending', expiresAt: payment.expiresAt });
+  });
+
+  it('should take the slot locks in the same order when two reschedules swap slots', async () => {
+    const lockOrder = () => distributedLock.withLock.mock.calls.map(([key]) => key);
+
+    await rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id);
+    const forward = lockOrder();
+
+    // The other patient moves from the new slot into the old one
+    distributedLock.withLock.mockClear();
+    const otherAppointment = createAppointment({
+      _id: '507f1f77bcf86cd799439040',
+      appointmentId: 'APT-3-KLMNO',
+      slotId: mockNewSlot._id,
+      doctorId: doctor._id,
+      date: daysAhead(4)
+    });
+    const otherSlot = createSlot({ _id: mockNewSlot._id, status: 'booked', appointmentId: otherAppointment._id });
+    const freedSlot = createSlot({ doctorId: doctor, date: daysAhead(3) });
+    useAppointment(otherAppointment, [otherSlot, freedSlot]);
+
+    await rescheduleAppointment(patient, otherAppointment.appointmentId, mockOldSlot._id);
+
+    expect(forward).toEqual([`slot_booking_${mockOldSlot._id}`, `slot_booking_${mockNewSlot._id}`]);
+    expect(lockOrder()).toEqual(forward);
+  });
+
+  it('should not reschedule an appointment that was already rescheduled', async () => {
+    Appointment.findOne = jest.fn().mockResolvedValue(null);
+
+    await expect(rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id))
+      .rejects.toThrow('Appointment not found or cannot be rescheduled');
+
+    expect(Appointment.findOne).toHaveBeenCalledWith(expect.objectContaining({ status: { $in: ['pending', 'confirmed'] } }));
+    expect(distributedLock.withLock).not.toHaveBeenCalled();
+  });
+
+  it('should not move an appointment rescheduled by another request meanwhile', async () => {
+    Appointment.findOne = jest.fn()
+      .mockResolvedValueOnce(mockAppointment)
+      .mockReturnValueOnce(sessionQuery(null));
+
+    await expect(rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id))
+      .rejects.toThrow('Appointment not found or cannot be rescheduled');
+
+    expect(Appointment).not.toHaveBeenCalled();
+    expect(mockOldSlot.cancelBooking).not.toHaveBeenCalled();
+    expect(mockNewSlot.bookSlot).not.toHaveBeenCalled();
+  });
+
+  it('should reschedule the replacement appointment again', async () => {
+    await rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id);
+    const replacement = createdAppointment;
+
+    const laterSlot = createSlot({
+      _id: '507f1f77bcf86cd799439021',
+      doctorId: doctor,
+      date: daysAhead(5),
+      startTime: '12:00',
+      endTime: '12:30'
+    });
+    useAppointment(replacement, [mockNewSlot, laterSlot]);
+
+    const result = await rescheduleAppointment(patient, replacement.appointmentId, laterSlot._id);
+
+    expect(replacement.markRescheduled).toHaveBeenCalledWith(createdAppointment._id);
+    expect(createdAppointment.rescheduledFrom).toBe(replacement._id);
+    expect(createdAppointment.payment).toEqual(expect.objectContaining({ status: 'paid', transactionId: 'txn_1', amount: 100 }));
+    expect(mockNewSlot.cancelBooking).toHaveBeenCalledWith(session);
+    expect(laterSlot.bookSlot).toHaveBeenCalledWith(patient._id, createdAppointment._id, undefined, session);
+    expect(result.appointment.previousAppointmentId).toBe(replacement.appointmentId);
+  });
+
+  it('should leave both slots and the appointment unchanged when the transaction fails', async () => {
+    // Roll the documents back the way an aborted transaction leaves them in the database
+    transactionManager.withTransaction = jest.fn().mockImplementation(async (fn) => {
+      const snapshot = [mockAppointment, mockOldSlot, mockNewSlot].map(doc => [doc, { ...doc }]);
+      try {
+        return await fn(session);
+      } catch (error) {
+        snapshot.forEach(([doc, fields]) => Object.assign(doc, fields));
+        throw error;
+      }
+    });
+    mockNewSlot.bookSlot.mockResolvedValue(null);
+
+    await expect(rescheduleAppointment(patient, mockAppointment.appointmentId, mockNewSlot._id))
+      .rejects.toThrow('Slot is no longer available');
+
+    // Every write was part of the transaction that failed
+    expect(createdAppointment.save).toHaveBeenCalledWith({ session });
+    expect(mockOldSlot.cancelBooking).toHaveBeenCalledWith(session);
+    expect(mockNewSlot.bookSlot).toHaveBeenCalledWith(patient._id, createdAppointment._id, undefined, session);
+
+    expect(mockAppointment.status).toBe('confirmed');
+    expect(mockOldSlot).toEqual(expect.objectContaining({ status: 'booked', appointmentId: mockAppointment._id }));
+    expect(mockNewSlot.status).toBe('available');
+    expect(invoiceService.syncDocumentsQuietly).not.toHaveBeenCalled();
+    expect(notificationService.sendRescheduleNotification).not.toHaveBeenCalled();
+    expect(redisCache.publish).not.toHaveBeenCalled();
+    expect(waitlistService.notifySlotsAvailable).not.toHaveBeenCalled();
+  });
+});
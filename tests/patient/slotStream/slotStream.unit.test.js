@@ -0,0 +1,274 @@
+import { jest } from '@jest/globals';
+import { streamDoctorSlotUpdates } from '@/controllers/patient/appointment.controller.js';
+import { streamSlotUpdates } from '@/controllers/staff/slotManagement.controller.js';
+import slotEventStream from '@/utils/slotEventStream.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import User from '@/models/users.model.js';
+import redisCache from '@/utils/redis.js';
+import { allowStreamTicket, generateStreamTicket } from '@/middlewares/auth.js';
+
+// Mock dependencies
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/users.model.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/redis.js');
+
+describe('Slot Update Stream Unit Tests', () => {
+  const doctorId = '507f1f77bcf86cd799439011';
+  const otherDoctorId = '507f1f77bcf86cd799439012';
+  const slots = {
+    '507f1f77bcf86cd799439013': { doctorId, date: new Date('2030-01-15'), startTime: '10:00', endTime: '10:30' },
+    '507f1f77bcf86cd799439014': { doctorId, date: new Date('2030-01-16'), startTime: '11:00', endTime: '11:30' },
+    '507f1f77bcf86cd799439015': { doctorId: otherDoctorId, date: new Date('2030-01-15'), startTime: '09:00', endTime: '09:30' }
+  };
+
+  const createConnection = (headers = {}) => {
+    const listeners = {};
+    const req = {
+      get: jest.fn(name => headers[name]),
+      on: jest.fn((event, listener) => { listeners[event] = listener; })
+    };
+    const res = { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() };
+    return { req, res, close: () => listeners.close?.() };
+  };
+
+  // Events written to a response, parsed from the SSE wire format
+  const writtenEvents = (res) => res.write.mock.calls
+    .map(([chunk]) => chunk)
+    .filter(chunk => chunk.startsWith('id:'))
+    .map(chunk => {
+      const [idLine, eventLine, dataLine] = chunk.trim().split('\n');
+      return {
+        id: idLine.slice(4),
+        event: eventLine.slice(7),
+        data: JSON.parse(dataLine.slice(6))
+      };
+    });
+
+  const publish = (slotId, action, status, extra = {}) =>
+    slotEventStream.handleUpdate({ slotId, doctorId: slots[slotId].doctorId, action, status, timestamp: new Date(), ...extra });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    slotEventStream.clients.clear();
+    slotEventStream.buffer = [];
+    slotEventStream.sequence = 0;
+
+    User.findOne = jest.fn().mockResolvedValue({ _id: doctorId, role: 'doctor' });
+    AvailabilitySlot.findById = jest.fn().mockImplementation(slotId => ({
+      select: jest.fn().mockResolvedValue(slots[slotId] ? { _id: slotId, status: 'available', ...slots[slotId] } : null)
+    }));
+  });
+
+  describe('streamDoctorSlotUpdates', () => {
+    it('should open an event stream for the doctor', async () => {
+      const { req, res } = createConnection();
+
+      await streamDoctorSlotUpdates(doctorId, {}, req, res);
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+        'Content-Type': 'text/event-stream'
+      }));
+      expect(slotEventStream.clients.size).toBe(1);
+    });
+
+    it('should throw error if doctor not found', async () => {
+      User.findOne.mockResolvedValue(null);
+      const { req, res } = createConnection();
+
+      await expect(streamDoctorSlotUpdates(doctorId, {}, req, res)).rejects.toThrow('Doctor not found');
+      expect(res.writeHead).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid date filter', async () => {
+      const { req, res } = createConnection();
+
+      await expect(streamDoctorSlotUpdates(doctorId, { date: '15/01/2030' }, req, res))
+        .rejects.toThrow('Date must be in YYYY-MM-DD format');
+    });
+
+    it('should relay only the doctor\'s slot changes on the requested date', async () => {
+      const { req, res } = createConnection();
+      await streamDoctorSlotUpdates(doctorId, { date: '2030-01-15' }, req, res);
+
+      await publish('507f1f77bcf86cd799439013', 'booked', 'booked', { patientId: '507f1f77bcf86cd799439099' });
+      await publish('507f1f77bcf86cd799439014', 'booked', 'booked');
+      await publish('507f1f77bcf86cd799439015', 'blocked', 'blocked');
+
+      const events = writtenEvents(res);
+      expect(events).toHaveLength(1);
+      expect(events[0].event).toBe('slot_update');
+      expect(events[0].data).toMatchObject({
+        slotId: '507f1f77bcf86cd799439013',
+        doctorId,
+        date: '2030-01-15',
+        startTime: '10:00',
+        action: 'booked',
+        status: 'booked'
+      });
+      expect(events[0].data.patientId).toBeUndefined();
+    });
+
+    it('should relay block and unblock as the documented blocked and unblocked actions', async () => {
+      const { req, res } = createConnection();
+      await streamDoctorSlotUpdates(doctorId, {}, req, res);
+
+      await publish('507f1f77bcf86cd799439013', 'block', 'blocked');
+      await publish('507f1f77bcf86cd799439013', 'blocked', 'blocked');
+      await publish('507f1f77bcf86cd799439013', 'unblock', 'available');
+
+      expect(writtenEvents(res).map(event => event.data.action)).toEqual(['blocked', 'blocked', 'unblocked']);
+    });
+
+    it('should stop relaying once the client disconnects', async () => {
+      const { req, res, close } = createConnection();
+      await streamDoctorSlotUpdates(doctorId, {}, req, res);
+
+      close();
+      await publish('507f1f77bcf86cd799439013', 'cancelled', 'available');
+
+      expect(slotEventStream.clients.size).toBe(0);
+      expect(writtenEvents(res)).toHaveLength(0);
+    });
+  });
+
+  describe('resuming with Last-Event-ID', () => {
+    it('should replay events missed since the last event ID', async () => {
+      const first = createConnection();
+      await streamDoctorSlotUpdates(doctorId, {}, first.req, first.res);
+
+      await publish('507f1f77bcf86cd799439013', 'booked', 'booked');
+      const [lastSeen] = writtenEvents(first.res);
+      first.close();
+
+      await publish('507f1f77bcf86cd799439014', 'blocked', 'blocked');
+      await publish('507f1f77bcf86cd799439013', 'cancelled', 'available');
+
+      const second = createConnection({ 'Last-Event-ID': lastSeen.id });
+      await streamDoctorSlotUpdates(doctorId, {}, second.req, second.res);
+
+      expect(writtenEvents(second.res).map(event => event.data.action)).toEqual(['blocked', 'cancelled']);
+    });
+
+    it('should ask the client to reload when the event ID is unknown', async () => {
+      await publish('507f1f77bcf86cd799439013', 'booked', 'booked');
+
+      const { req, res } = createConnection({ 'Last-Event-ID': 'oldprocess-5' });
+      await streamDoctorSlotUpdates(doctorId, {}, req, res);
+
+      const events = writtenEvents(res);
+      expect(events).toHaveLength(1);
+      expect(events[0].event).toBe('resync');
+    });
+
+    it('should ask the client to reload when missed events left the buffer', async () => {
+      const originalSize = process.env.SLOT_STREAM_BUFFER_SIZE;
+      process.env.SLOT_STREAM_BUFFER_SIZE = '2';
+
+      await publish('507f1f77bcf86cd799439013', 'booked', 'booked');
+      const lastSeenId = slotEventStream.buffer[0].id;
+      await publish('507f1f77bcf86cd799439014', 'blocked', 'blocked');
+      await publish('507f1f77bcf86cd799439013', 'cancelled', 'available');
+      await publish('507f1f77bcf86cd799439014', 'unblocked', 'available');
+
+      const { req, res } = createConnection({ 'Last-Event-ID': lastSeenId });
+      await streamDoctorSlotUpdates(doctorId, {}, req, res);
+
+      expect(writtenEvents(res).map(event => event.event)).toEqual(['resync']);
+
+      process.env.SLOT_STREAM_BUFFER_SIZE = originalSize;
+      if (originalSize === undefined) delete process.env.SLOT_STREAM_BUFFER_SIZE;
+    });
+  });
+
+  describe('streamSlotUpdates (staff)', () => {
+    it('should relay changes for every doctor when no doctor is given', async () => {
+      const { req, res } = createConnection();
+      await streamSlotUpdates({}, req, res);
+
+      await publish('507f1f77bcf86cd799439013', 'booked', 'booked');
+      await publish('507f1f77bcf86cd799439015', 'blocked', 'blocked');
+
+      expect(writtenEvents(res).map(event => event.data.doctorId)).toEqual([doctorId, otherDoctorId]);
+    });
+
+    it('should filter by a comma separated list of doctors', async () => {
+      const { req, res } = createConnection();
+      await streamSlotUpdates({ doctorId: `${otherDoctorId}, 507f1f77bcf86cd799439099` }, req, res);
+
+      await publish('507f1f77bcf86cd799439013', 'booked', 'booked');
+      await publish('507f1f77bcf86cd799439015', 'blocked', 'blocked');
+
+      expect(writtenEvents(res).map(event => event.data.slotId)).toEqual(['507f1f77bcf86cd799439015']);
+    });
+  });
+
+  describe('heartbeats', () => {
+    it('should send a comment line to every open stream', async () => {
+      const { req, res } = createConnection();
+      await streamSlotUpdates({}, req, res);
+
+      slotEventStream.sendHeartbeat();
+
+      expect(res.write).toHaveBeenLastCalledWith(expect.stringMatching(/^: heartbeat /));
+    });
+  });
+
+  describe('stream tickets', () => {
+    const user = { _id: 'user-1', role: 'staff', isActive: true };
+    let stored;
+
+    // Runs the ticket middleware the way the stream routes mount it
+    const open = (query, headers = {}) => new Promise(resolve => {
+      const req = { query, headers };
+      allowStreamTicket(req, {}, error => resolve({ req, error }));
+    });
+
+    beforeEach(() => {
+      stored = new Map();
+      redisCache.set = jest.fn().mockImplementation((key, value) => {
+        stored.set(key, value);
+        return Promise.resolve(true);
+      });
+      redisCache.getDel = jest.fn().mockImplementation(key => {
+        const value = stored.get(key) ?? null;
+        stored.delete(key);
+        return Promise.resolve(value);
+      });
+      User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    });
+
+    it('should authenticate a stream once with a short-lived ticket', async () => {
+      const { ticket, expiresIn } = await generateStreamTicket(user);
+
+      expect(expiresIn).toBe(60);
+      expect(redisCache.set).toHaveBeenCalledWith(`stream_ticket:${ticket}`, 'user-1', 60);
+
+      const first = await open({ ticket });
+      expect(first.error).toBeUndefined();
+      expect(first.req.user).toBe(user);
+
+      const second = await open({ ticket });
+      expect(second.error.message).toBe('Invalid or expired stream ticket');
+      expect(second.req.user).toBeUndefined();
+    });
+
+    it('should not accept an access token in the query string', async () => {
+      const { req, error } = await open({ access_token: 'jwt' });
+
+      expect(error).toBeUndefined();
+      expect(req.user).toBeUndefined();
+      expect(req.headers.authorization).toBeUndefined();
+    });
+
+    it('should refuse to issue a ticket it cannot store', async () => {
+      redisCache.set = jest.fn().mockResolvedValue(false);
+
+      await expect(generateStreamTicket(user)).rejects.toThrow('Could not issue a stream ticket');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { jest } from '@jest/globals';
+import waitlistService from '@/utils/waitlistService.js';
+import { joinWaitlist, leaveWaitlist } from '@/controllers/patient/waitlist.controller.js';
+import Waitlist from '@/models/Waitlist.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import User from '@/models/users.model.js';
+import notificationService from '@/utils/notificationService.js';
+import redisCache from '@/utils/redis.js';
+
+// Mock dependencies
+jest.mock('@/models/Waitlist.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/users.model.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/redis.js');
+
+describe('Waitlist Unit Tests', () => {
+  const patient = { _id: '507f1f77bcf86cd799439015', role: 'patient' };
+  let mockSlot;
+  let mockEntry;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    mockSlot = {
+      _id: '507f1f77bcf86cd799439013',
+      doctorId: '507f1f77bcf86cd799439011',
+      date: tomorrow,
+      startTime: '10:00',
+      endTime: '10:30',
+      status: 'available',
+      isHeldForOther: jest.fn().mockReturnValue(false)
+    };
+
+    mockEntry = {
+      _id: '507f1f77bcf86cd799439020',
+      patientId: patient._id,
+      doctorId: mockSlot.doctorId,
+      status: 'waiting'
+    };
+
+    AvailabilitySlot.findById = jest.fn().mockResolvedValue(mockSlot);
+    AvailabilitySlot.placeHold = jest.fn().mockResolvedValue(mockSlot);
+    AvailabilitySlot.releaseHold = jest.fn().mockResolvedValue(mockSlot);
+    Waitlist.findNextForSlot = jest.fn().mockResolvedValue(mockEntry);
+    Waitlist.findOneAndUpdate = jest.fn().mockResolvedValue({ ...mockEntry, status: 'offered' });
+    Waitlist.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+    User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue({}) });
+
+    notificationService.sendWaitlistOffer = jest.fn().mockResolvedValue({ success: true });
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('offerSlot', () => {
+    it('should hold a freed slot for the first waiting patient and notify them', async () => {
+      const entry = await waitlistService.offerSlot(mockSlot._id);
+
+      expect(Waitlist.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockEntry._id, status: 'waiting' },
+        { $set: expect.objectContaining({ status: 'offered' }) },
+        { new: true }
+      );
+      expect(AvailabilitySlot.placeHold).toHaveBeenCalledWith(mockSlot._id, expect.objectContaining({
+        patientId: patient._id,
+        source: 'waitlist',
+        waitlistId: mockEntry._id
+      }));
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({ action: 'held' }));
+      expect(notificationService.sendWaitlistOffer).toHaveBeenCalled();
+      expect(entry.status).toBe('offered');
+    });
+
+    it('should put the patient back in line when the slot was taken meanwhile', async () => {
+      AvailabilitySlot.placeHold.mockResolvedValue(null);
+
+      const entry = await waitlistService.offerSlot(mockSlot._id);
+
+      expect(entry).toBeNull();
+      expect(Waitlist.updateOne).toHaveBeenCalledWith(
+        { _id: mockEntry._id, status: 'offered' },
+        { $set: { status: 'waiting' }, $unset: { offer: 1 } }
+      );
+      expect(notificationService.sendWaitlistOffer).not.toHaveBeenCalled();
+    });
+
+    it('should not offer a slot that is already held', async () => {
+      mockSlot.isHeldForOther.mockReturnValue(true);
+
+      const entry = await waitlistService.offerSlot(mockSlot._id);
+
+      expect(entry).toBeNull();
+      expect(Waitlist.findNextForSlot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withdrawOffer', () => {
+    it('should skip the lapsed slot for this patient and offer it to the next one', async () => {
+      const offeredEntry = { ...mockEntry, status: 'offered', offer: { slotId: mockSlot._id } };
+      const offerSpy = jest.spyOn(waitlistService, 'offerSlot').mockResolvedValue(null);
+
+      await waitlistService.withdrawOffer(offeredEntry);
+
+      expect(Waitlist.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: mockEntry._id, status: 'offered', 'offer.slotId': mockSlot._id },
+        expect.objectContaining({ $addToSet: { passedSlots: mockSlot._id } }),
+        { new: true }
+      );
+      expect(AvailabilitySlot.releaseHold).toHaveBeenCalledWith(mockSlot._id, patient._id);
+      expect(offerSpy).toHaveBeenCalledWith(mockSlot._id);
+
+      offerSpy.mockRestore();
+    });
+  });
+
+  describe('joinWaitlist', () => {
+    const waitlistData = {
+      doctorId: '507f1f77bcf86cd799439011',
+      dateFrom: '2099-01-01',
+      dateTo: '2099-01-07',
+      timeFrom: '9:00',
+      timeTo: '12:00'
+    };
+
+    beforeEach(() => {
+      User.findOne = jest.fn().mockResolvedValue({ _id: waitlistData.doctorId, role: 'doctor' });
+      Waitlist.findOne = jest.fn().mockResolvedValue(null);
+      Waitlist.create = jest.fn().mockImplementation(data => Promise.resolve({ _id: mockEntry._id, ...data }));
+    });
+
+    it('should add the patient to the waitlist with normalized times', async () => {
+      const result = await joinWaitlist(patient, waitlistData);
+
+      expect(Waitlist.create).toHaveBeenCalledWith(expect.objectContaining({
+        patientId: patient._id,
+        doctorId: waitlistData.doctorId,
+        timeFrom: '09:00',
+        timeTo: '12:00'
+      }));
+      expect(result.entry._id).toBe(mockEntry._id);
+    });
+
+    it('should reject a second active entry for the same doctor', async () => {
+      Waitlist.findOne.mockResolvedValue(mockEntry);
+
+      await expect(joinWaitlist(patient, waitlistData)).rejects.toThrow('You are already on the waitlist for this doctor');
+    });
+
+    it('should reject a time window that ends before it starts', async () => {
+      await expect(joinWaitlist(patient, { ...waitlistData, timeFrom: '14:00', timeTo: '12:00' }))
+        .rejects.toThrow('Start time must be before end time');
+    });
+  });
+
+  describe('leaveWaitlist', () => {
+    it('should pass a held slot on to the next patient', async () => {
+      const offeredEntry = {
+        ...mockEntry,
+        status: 'offered',
+        offer: { slotId: mockSlot._id },
+        save: jest.fn().mockResolvedValue()
+      };
+      Waitlist.findOne = jest.fn().mockResolvedValue(offeredEntry);
+      const passSpy = jest.spyOn(waitlistService, 'passSlotOn').mockResolvedValue(null);
+
+      await leaveWaitlist(patient, mockEntry._id);
+
+      expect(offeredEntry.status).toBe('cancelled');
+      expect(offeredEntry.save).toHaveBeenCalled();
+      expect(passSpy).toHaveBeenCalledWith(mockSlot._id, patient._id);
+
+      passSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,252 @@
+import { jest } from '@jest/globals';
+import { cancelDoctorAppointments } from '@/controllers/staff/massCancellation.controller.js';
+import User from '@/models/users.model.js';
+import Appointment from '@/models/Appointment.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+import paymentService from '@/utils/paymentService.js';
+import notificationService from '@/utils/notificationService.js';
+import redisCache from '@/utils/redis.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/paymentService.js');
+jest.mock('@/utils/notificationService.js');
+jest.mock('@/utils/redis.js');
+
+// Chainable query resolving to a result
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.sort = () => promise;
+  promise.limit = () => promise;
+  promise.populate = () => promise;
+  promise.session = () => promise;
+  return promise;
+};
+
+describe('Mass Cancellation Unit Tests', () => {
+  const staff = { _id: '507f1f77bcf86cd799439020', role: 'staff', name: 'Front Desk' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { specialization: 'Cardiology', hospital: 'General Hospital', timezone: 'UTC' }
+  };
+  const colleague = { _id: '507f1f77bcf86cd799439012', name: 'Dr. Jane Roe', doctorProfile: { specialization: 'Cardiology' } };
+  const session = { id: 'session' };
+  const day = new Date('2030-01-15');
+
+  const createSlot = (id, startTime, endTime, status = 'available') => ({
+    _id: id,
+    doctorId: doctor._id,
+    date: day,
+    startTime,
+    endTime,
+    timezone: 'UTC',
+    status,
+    withdrawSlot: jest.fn().mockImplementation(function() {
+      this.status = 'blocked';
+      return Promise.resolve(this);
+    })
+  });
+
+  const createAppointment = (id, slotId, status = 'confirmed', paymentStatus = 'paid') => ({
+    _id: `apt-${id}`,
+    appointmentId: `APT-${id}`,
+    slotId,
+    doctorId: doctor._id,
+    patientId: { _id: `patient-${id}`, name: `Patient ${id}`, email: `p${id}@example.com` },
+    date: day,
+    startTime: '09:00',
+    endTime: '09:30',
+    status,
+    payment: { amount: 150, status: paymentStatus, currency: 'USD' },
+    cancellation: {},
+    cancel: jest.fn().mockImplementation(function(cancelledBy, reason, session, initiatedBy) {
+      this.status = 'cancelled';
+      this.cancellation = { initiatedBy, reason, refundStatus: 'pending', refundAmount: this.payment.status === 'paid' ? this.payment.amount : undefined };
+      return Promise.resolve(this);
+    }),
+    save: jest.fn().mockResolvedValue()
+  });
+
+  let slots;
+  let appointmentsBySlot;
+  const alternative = {
+    _id: 'alt-1',
+    doctorId: colleague,
+    date: day,
+    startTime: '15:00',
+    endTime: '15:30',
+    timezone: 'UTC'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    slots = [
+      createSlot('slot-1', '09:00', '09:30', 'booked'),
+      createSlot('slot-2', '09:30', '10:00'),
+      createSlot('slot-3', '14:00', '14:30', 'booked')
+    ];
+    appointmentsBySlot = {
+      'slot-1': [createAppointment(1, 'slot-1')],
+      'slot-3': [createAppointment(3, 'slot-3')]
+    };
+
+    User.findOne = jest.fn().mockResolvedValue(doctor);
+    User.find = jest.fn().mockReturnValue(query([{ _id: colleague._id }]));
+    AvailabilitySlot.notHeldCondition = jest.fn().mockReturnValue({});
+    AvailabilitySlot.find = jest.fn().mockImplementation(filter =>
+      query(filter.status === 'available' ? (filter.doctorId.$in.includes(colleague._id) ? [alternative] : []) : slots)
+    );
+    Appointment.find = jest.fn().mockImplementation(filter => query(appointmentsBySlot[filter.slotId] || []));
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+    paymentService.processRefund = jest.fn().mockResolvedValue({ success: true });
+    paymentService.getRefundStatus = jest.fn().mockReturnValue('processed');
+    notificationService.sendCancellationNotification = jest.fn().mockResolvedValue({
+      success: true,
+      results: { email: { patient: true, doctor: true } }
+    });
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+  });
+
+  const cancelMorning = (overrides = {}) => cancelDoctorAppointments(staff, doctor._id, {
+    startDate: '2030-01-15',
+    startTime: '08:00',
+    endTime: '12:00',
+    reason: 'Doctor unwell',
+    ...overrides
+  });
+
+  it('should cancel and fully refund bookings in the range and block its slots', async () => {
+    const report = await cancelMorning();
+
+    const [booked, available, afternoon] = slots;
+    const appointment = appointmentsBySlot['slot-1'][0];
+
+    expect(appointment.cancel).toHaveBeenCalledWith(staff._id, 'Doctor unwell', session, 'doctor');
+    expect(booked.withdrawSlot).toHaveBeenCalledWith(staff._id, 'Doctor unwell', session);
+    expect(available.withdrawSlot).toHaveBeenCalled();
+    expect(afternoon.withdrawSlot).not.toHaveBeenCalled();
+    expect(appointmentsBySlot['slot-3'][0].cancel).not.toHaveBeenCalled();
+
+    expect(paymentService.processRefund).toHaveBeenCalledWith(appointment, 150);
+    expect(appointment.cancellation.refundStatus).toBe('processed');
+    expect(redisCache.publish).toHaveBeenCalledWith('appointment_updates', expect.objectContaining({
+      appointmentId: appointment._id,
+      action: 'cancelled'
+    }));
+    expect(redisCache.del).toHaveBeenCalledWith(`doctor_slots_${doctor._id}`);
+
+    expect(report.summary).toEqual({
+      slotsBlocked: 2,
+      appointmentsCancelled: 1,
+      appointmentsSkipped: 0,
+      slotsFailed: 0,
+      refundsProcessed: 1,
+      refundsFailed: 0,
+      totalRefunded: 150,
+      patientsNotified: 1
+    });
+    expect(report.appointments[0]).toMatchObject({
+      appointmentId: 'APT-1',
+      previousStatus: 'confirmed',
+      outcome: 'cancelled',
+      refund: { amount: 150, status: 'processed' },
+      notified: true
+    });
+  });
+
+  it('should notify patients as cancelled by the doctor with alternative slots', async () => {
+    const report = await cancelMorning();
+
+    expect(User.find).toHaveBeenCalledWith(expect.objectContaining({
+      'doctorProfile.specialization': 'Cardiology',
+      'doctorProfile.hospital': 'General Hospital'
+    }));
+    expect(report.alternatives).toEqual([
+      expect.objectContaining({ slotId: 'alt-1', doctor: expect.objectContaining({ name: 'Dr. Jane Roe' }), startTime: '15:00' })
+    ]);
+    expect(notificationService.sendCancellationNotification).toHaveBeenCalledWith(
+      appointmentsBySlot['slot-1'][0],
+      doctor,
+      appointmentsBySlot['slot-1'][0].patientId,
+      doctor,
+      { alternatives: report.alternatives }
+    );
+  });
+
+  it('should not refund unpaid bookings', async () => {
+    appointmentsBySlot['slot-1'] = [createAppointment(1, 'slot-1', 'pending', 'pending')];
+
+    const report = await cancelMorning({ initiatedBy: 'clinic' });
+
+    expect(appointmentsBySlot['slot-1'][0].cancel).toHaveBeenCalledWith(staff._id, 'Doctor unwell', session, 'clinic');
+    expect(paymentService.processRefund).not.toHaveBeenCalled();
+    expect(report.summary.refundsProcessed).toBe(0);
+  });
+
+  it('should leave a slot alone while its patient is with the doctor', async () => {
+    appointmentsBySlot['slot-1'] = [createAppointment(1, 'slot-1', 'in_consultation')];
+
+    const report = await cancelMorning();
+
+    expect(appointmentsBySlot['slot-1'][0].cancel).not.toHaveBeenCalled();
+    expect(slots[0].withdrawSlot).not.toHaveBeenCalled();
+    expect(report.appointments).toEqual([
+      expect.objectContaining({ appointmentId: 'APT-1', outcome: 'skipped', note: 'Consultation already in progress' })
+    ]);
+    expect(report.summary.slotsBlocked).toBe(1);
+  });
+
+  it('should cancel a longer booking that runs into the range from the slot it starts in', async () => {
+    const startSlot = createSlot('slot-0', '07:30', '08:00', 'booked');
+    const continuation = { ...createSlot('slot-c', '08:00', '08:30', 'booked'), continuationOf: 'slot-0' };
+    slots = [continuation];
+    appointmentsBySlot = { 'slot-0': [createAppointment(0, 'slot-0')] };
+    AvailabilitySlot.find = jest.fn().mockImplementation(filter =>
+      query(filter._id ? [startSlot] : filter.status === 'available' ? [] : slots)
+    );
+
+    await cancelMorning();
+
+    expect(AvailabilitySlot.find).toHaveBeenCalledWith({ _id: { $in: ['slot-0'] }, status: 'booked' });
+    expect(appointmentsBySlot['slot-0'][0].cancel).toHaveBeenCalledWith(staff._id, 'Doctor unwell', session, 'doctor');
+    expect(startSlot.withdrawSlot).toHaveBeenCalledWith(staff._id, 'Doctor unwell', session);
+    expect(continuation.withdrawSlot).not.toHaveBeenCalled();
+  });
+
+  it('should report slots that changed while being cancelled', async () => {
+    slots[1].withdrawSlot.mockResolvedValue(null);
+
+    const report = await cancelMorning();
+
+    expect(report.failures).toEqual([
+      expect.objectContaining({ slotId: 'slot-2', error: 'Slot changed while it was being cancelled' })
+    ]);
+    expect(report.summary).toMatchObject({ slotsBlocked: 1, slotsFailed: 1, appointmentsCancelled: 1 });
+  });
+
+  it('should validate the range and initiator', async () => {
+    await expect(cancelMorning({ endTime: '07:00' })).rejects.toThrow('Range end must be after its start');
+    await expect(cancelMorning({ startDate: '15/01/2030' })).rejects.toThrow('Start and end dates must be in YYYY-MM-DD format');
+    await expect(cancelMorning({ endDate: '2030-03-15' })).rejects.toThrow('A mass cancellation cannot cover more than 31 days');
+    await expect(cancelMorning({ initiatedBy: 'patient' })).rejects.toThrow('initiatedBy must be either doctor or clinic');
+  });
+
+  it('should reject unknown doctors', async () => {
+    User.findOne = jest.fn().mockResolvedValue(null);
+
+    await expect(cancelMorning()).rejects.toThrow('Doctor not found');
+  });
+});
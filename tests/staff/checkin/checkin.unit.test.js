@@ -0,0 +1,276 @@
+import { jest } from '@jest/globals';
+import { checkInPatient, startConsultation, getDoctorQueueForStaff } from '@/controllers/staff/waitingRoom.controller.js';
+import { kioskCheckIn } from '@/controllers/kiosk/checkIn.controller.js';
+import { completeAppointment } from '@/controllers/doctor/appointments/appointments.controller.js';
+import { authenticateKiosk } from '@/middlewares/auth.js';
+import waitingRoomService from '@/utils/waitingRoomService.js';
+import Appointment from '@/models/Appointment.js';
+import User from '@/models/users.model.js';
+import redisCache from '@/utils/redis.js';
+import { todayInTimezone } from '@/utils/timezone.js';
+import { createAppointment as baseAppointment, ids, query } from '../../fixtures.js';
+
+// Mock dependencies
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/users.model.js');
+jest.mock('@/utils/redis.js');
+
+describe('Check-in and Waiting Room Unit Tests', () => {
+  const staff = { _id: '507f1f77bcf86cd799439020', role: 'staff' };
+  const doctor = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. John Doe',
+    role: 'doctor',
+    doctorProfile: { specialization: 'Cardiology', timezone: 'UTC' }
+  };
+
+  // Appointment today in the doctor's queue
+  const createAppointment = (overrides = {}) => baseAppointment({
+    _id: `id-${overrides.appointmentId || 'APT-1'}`,
+    appointmentId: 'APT-1',
+    patientId: { _id: ids.patient, name: 'Jane Patient', profile: { phone: '555-0100' } },
+    date: todayInTimezone('UTC'),
+    startTime: '09:00',
+    endTime: '09:30',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    redisCache.publish = jest.fn().mockResolvedValue(true);
+    redisCache.del = jest.fn().mockResolvedValue(true);
+    User.findById = jest.fn().mockReturnValue(query(doctor));
+    User.findOne = jest.fn().mockResolvedValue(doctor);
+    Appointment.find = jest.fn().mockReturnValue(query([]));
+    Appointment.exists = jest.fn().mockResolvedValue(null);
+  });
+
+  describe('checkInPatient', () => {
+    it('should check the patient in and return their place in the queue', async () => {
+      const appointment = createAppointment({ startTime: '23:30', endTime: '23:45' });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+      Appointment.find = jest.fn().mockImplementation(() => query([appointment]));
+
+      const result = await checkInPatient(staff, 'APT-1');
+
+      expect(appointment.markCheckedIn).toHaveBeenCalledWith(staff._id, 'staff');
+      expect(result.appointment).toMatchObject({ appointmentId: 'APT-1', status: 'checked_in', checkInMethod: 'staff' });
+      expect(result.position).toBe(1);
+      expect(result.estimatedWaitMinutes).toEqual(expect.any(Number));
+      expect(redisCache.publish).toHaveBeenCalledWith('appointment_updates', expect.objectContaining({
+        appointmentId: appointment._id,
+        doctorId: doctor._id,
+        action: 'checked_in',
+        status: 'checked_in'
+      }));
+    });
+
+    it('should refuse unpaid appointments', async () => {
+      Appointment.findOne = jest.fn().mockResolvedValue(createAppointment({ status: 'pending' }));
+
+      await expect(checkInPatient(staff, 'APT-1')).rejects.toThrow('Appointment must be paid before check-in');
+    });
+
+    it('should refuse patients who are already checked in', async () => {
+      Appointment.findOne = jest.fn().mockResolvedValue(createAppointment({ status: 'checked_in' }));
+
+      await expect(checkInPatient(staff, 'APT-1')).rejects.toThrow('Appointment is already checked_in');
+    });
+
+    it('should only open check-in on the day of the appointment', async () => {
+      Appointment.findOne = jest.fn().mockResolvedValue(createAppointment({ date: new Date('2030-01-15') }));
+
+      await expect(checkInPatient(staff, 'APT-1')).rejects.toThrow('Check-in is only open on the day of the appointment');
+    });
+
+    it('should throw error if appointment not found', async () => {
+      Appointment.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(checkInPatient(staff, 'APT-404')).rejects.toThrow('Appointment not found');
+    });
+
+    it('should refuse when the desk and a kiosk check the patient in at once', async () => {
+      const appointment = createAppointment({ markCheckedIn: jest.fn().mockResolvedValue(null) });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+
+      await expect(checkInPatient(staff, 'APT-1'))
+        .rejects.toThrow('Appointment changed while checking in; it may already be checked in');
+      expect(redisCache.publish).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('kioskCheckIn', () => {
+    it('should record a kiosk check-in without a staff member', async () => {
+      const appointment = createAppointment();
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+
+      await kioskCheckIn({ appointmentId: ' APT-1 ' });
+
+      expect(Appointment.findOne).toHaveBeenCalledWith({ appointmentId: 'APT-1' });
+      expect(appointment.markCheckedIn).toHaveBeenCalledWith(undefined, 'kiosk');
+    });
+
+    it('should require an appointment ID', async () => {
+      await expect(kioskCheckIn({})).rejects.toThrow('Appointment ID is required');
+    });
+  });
+
+  describe('authenticateKiosk', () => {
+    const originalTokens = process.env.KIOSK_TOKENS;
+
+    afterEach(() => {
+      process.env.KIOSK_TOKENS = originalTokens;
+      if (originalTokens === undefined) delete process.env.KIOSK_TOKENS;
+    });
+
+    const run = (token) => {
+      const next = jest.fn();
+      authenticateKiosk({ get: jest.fn(() => token) }, {}, next);
+      return next.mock.calls[0][0];
+    };
+
+    it('should accept any configured kiosk token', () => {
+      process.env.KIOSK_TOKENS = 'lobby-token, annex-token';
+
+      expect(run('annex-token')).toBeUndefined();
+    });
+
+    it('should reject missing and unknown tokens', () => {
+      process.env.KIOSK_TOKENS = 'lobby-token';
+
+      expect(run(undefined).message).toBe('Kiosk token is required');
+      expect(run('lobby-tokem').statusCode).toBe(401);
+    });
+
+    it('should reject every token when kiosk check-in is not configured', () => {
+      delete process.env.KIOSK_TOKENS;
+
+      expect(run('lobby-token').message).toBe('Invalid kiosk token');
+    });
+  });
+
+  describe('startConsultation', () => {
+    it('should move a checked-in patient into consultation', async () => {
+      const appointment = createAppointment({ status: 'checked_in' });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+
+      const result = await startConsultation(staff, 'APT-1');
+
+      expect(result.appointment.status).toBe('in_consultation');
+      expect(result.appointment.consultationStartedAt).toBeInstanceOf(Date);
+      expect(redisCache.publish).toHaveBeenCalledWith('appointment_updates', expect.objectContaining({
+        action: 'consultation_started'
+      }));
+    });
+
+    it('should refuse patients who have not checked in', async () => {
+      Appointment.findOne = jest.fn().mockResolvedValue(createAppointment());
+
+      await expect(startConsultation(staff, 'APT-1')).rejects.toThrow('Patient has not checked in yet');
+    });
+
+    it('should refuse while the doctor is in another consultation', async () => {
+      const appointment = createAppointment({ status: 'checked_in' });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+      Appointment.exists = jest.fn().mockResolvedValue({ _id: 'other' });
+
+      await expect(startConsultation(staff, 'APT-1')).rejects.toThrow('Doctor is still in a consultation with another patient');
+      expect(appointment.startConsultation).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second patient called in to the doctor at the same moment', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      const appointment = createAppointment({ status: 'checked_in', startConsultation: jest.fn().mockRejectedValue(duplicate) });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+
+      await expect(startConsultation(staff, 'APT-1')).rejects.toThrow('Doctor is still in a consultation with another patient');
+      expect(redisCache.publish).not.toHaveBeenCalled();
+    });
+
+    it('should refuse when the consultation was started meanwhile', async () => {
+      const appointment = createAppointment({ status: 'checked_in', startConsultation: jest.fn().mockResolvedValue(null) });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+
+      await expect(startConsultation(staff, 'APT-1'))
+        .rejects.toThrow('Appointment changed while starting the consultation; it may already have started');
+    });
+  });
+
+  describe('getQueue', () => {
+    const day = new Date('2030-01-15');
+    const at = (time) => new Date(`2030-01-15T${time}:00.000Z`);
+    const onDay = (overrides) => createAppointment({ date: day, ...overrides });
+
+    it('should estimate waits from actual consultation lengths and flag a late doctor', async () => {
+      Appointment.find = jest.fn().mockReturnValue(query([
+        onDay({ appointmentId: 'APT-A', startTime: '09:00', endTime: '09:30', status: 'completed', consultationStartedAt: at('09:05'), completedAt: at('09:25') }),
+        onDay({ appointmentId: 'APT-C', startTime: '09:30', endTime: '10:00', status: 'in_consultation', consultationStartedAt: at('09:50') }),
+        onDay({ appointmentId: 'APT-E', startTime: '10:30', endTime: '11:00', status: 'checked_in', checkIn: { checkedInAt: at('09:40') } }),
+        onDay({ appointmentId: 'APT-D', startTime: '10:00', endTime: '10:30', status: 'checked_in', checkIn: { checkedInAt: at('09:45') } }),
+        onDay({ appointmentId: 'APT-F', startTime: '11:00', endTime: '11:30', status: 'confirmed' })
+      ]));
+
+      const queue = await waitingRoomService.getQueue(doctor, at('10:00'));
+
+      expect(Appointment.find).toHaveBeenCalledWith(expect.objectContaining({
+        doctorId: doctor._id,
+        date: { $gte: day, $lt: new Date('2030-01-16') }
+      }));
+      expect(queue.averageConsultationMinutes).toBe(20);
+      expect(queue.completedConsultations).toBe(1);
+      expect(queue.current.appointmentId).toBe('APT-C');
+      expect(queue.waiting.map(entry => [entry.appointmentId, entry.position, entry.estimatedWaitMinutes]))
+        .toEqual([['APT-D', 1, 10], ['APT-E', 2, 30]]);
+      expect(queue.notArrived.map(entry => entry.appointmentId)).toEqual(['APT-F']);
+      expect(queue.runningLate).toEqual({ isRunningLate: true, delayMinutes: 10, thresholdMinutes: 10 });
+    });
+
+    it('should fall back to slot lengths before any consultation has finished', async () => {
+      Appointment.find = jest.fn().mockReturnValue(query([
+        onDay({ appointmentId: 'APT-D', startTime: '09:30', endTime: '09:45', status: 'checked_in', checkIn: { checkedInAt: at('09:20') } }),
+        onDay({ appointmentId: 'APT-E', startTime: '09:45', endTime: '10:00', status: 'checked_in', checkIn: { checkedInAt: at('09:40') } })
+      ]));
+
+      const queue = await waitingRoomService.getQueue(doctor, at('10:00'));
+
+      expect(queue.averageConsultationMinutes).toBeNull();
+      expect(queue.current).toBeNull();
+      expect(queue.waiting.map(entry => entry.estimatedWaitMinutes)).toEqual([0, 15]);
+      expect(queue.runningLate).toMatchObject({ isRunningLate: true, delayMinutes: 30 });
+    });
+
+    it('should not flag a doctor who is on schedule', async () => {
+      Appointment.find = jest.fn().mockReturnValue(query([
+        onDay({ appointmentId: 'APT-D', startTime: '10:30', endTime: '11:00', status: 'checked_in', checkIn: { checkedInAt: at('10:00') } })
+      ]));
+
+      const queue = await waitingRoomService.getQueue(doctor, at('10:00'));
+
+      expect(queue.waiting[0].estimatedWaitMinutes).toBe(30);
+      expect(queue.runningLate).toMatchObject({ isRunningLate: false, delayMinutes: 0 });
+    });
+
+    it('should throw error if doctor not found', async () => {
+      User.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(getDoctorQueueForStaff(doctor._id)).rejects.toThrow('Doctor not found');
+    });
+  });
+
+  describe('completeAppointment', () => {
+    it('should let the doctor complete a consultation that started before the slot', async () => {
+      const appointment = createAppointment({
+        startTime: '23:45',
+        endTime: '23:59',
+        status: 'in_consultation',
+        startAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      Appointment.findOne = jest.fn().mockReturnValue(query(appointment));
+
+      const result = await completeAppointment(doctor, 'APT-1');
+
+      expect(result.appointment.status).toBe('completed');
+    });
+  });
+});
@@ -0,0 +1,239 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import { WebSocket } from 'ws';
+import staffDashboard from '@/utils/staffDashboard.js';
+import User from '@/models/users.model.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import Appointment from '@/models/Appointment.js';
+import redisCache from '@/utils/redis.js';
+import { verifyAccessToken, verifyStreamTicket } from '@/middlewares/auth.js';
+import ApiError from '@/utils/ApiError.util.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/middlewares/auth.js');
+jest.mock('@/utils/redis.js');
+
+// Chainable query resolving to a result
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.sort = () => promise;
+  promise.populate = () => promise;
+  return promise;
+};
+
+describe('Staff Dashboard Unit Tests', () => {
+  const staff = { _id: '507f1f77bcf86cd799439020', role: 'staff', name: 'Front Desk' };
+  const cardiologist = {
+    _id: '507f1f77bcf86cd799439011',
+    name: 'Dr. Heart',
+    doctorProfile: { specialization: 'Cardiology', timezone: 'UTC' }
+  };
+  const dermatologist = {
+    _id: '507f1f77bcf86cd799439012',
+    name: 'Dr. Skin',
+    doctorProfile: { specialization: 'Dermatology', timezone: 'UTC' }
+  };
+  const slot = {
+    _id: '507f1f77bcf86cd799439013',
+    doctorId: cardiologist._id,
+    date: new Date(),
+    startTime: '10:00',
+    endTime: '10:30',
+    status: 'booked'
+  };
+
+  let server;
+  let baseUrl;
+  const sockets = [];
+
+  // Open a dashboard connection and collect its messages
+  const connect = (path = '/staff/dashboard', headers = { authorization: 'Bearer staff-token' }) => {
+    const ws = new WebSocket(`${baseUrl}${path}`, { headers });
+    const messages = [];
+    const waiters = [];
+
+    ws.on('message', (raw) => {
+      messages.push(JSON.parse(raw.toString()));
+      waiters.splice(0).forEach(waiter => waiter());
+    });
+    // Rejected handshakes are asserted through unexpected-response
+    ws.on('error', () => {});
+    sockets.push(ws);
+
+    // Resolve once a message of the given type arrives
+    const next = (type) => new Promise(resolve => {
+      const check = () => {
+        const index = messages.findIndex(message => message.type === type);
+        if (index === -1) {
+          waiters.push(check);
+          return;
+        }
+        resolve(messages.splice(index, 1)[0]);
+      };
+      check();
+    });
+
+    return { ws, messages, next };
+  };
+
+  beforeAll(async () => {
+    redisCache.subscribe = jest.fn().mockResolvedValue();
+
+    server = http.createServer();
+    await staffDashboard.start(server);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    staffDashboard.stop();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    verifyAccessToken.mockResolvedValue(staff);
+    User.find = jest.fn().mockImplementation((filter) => {
+      if (filter['doctorProfile.specialization']) {
+        return query([cardiologist]);
+      }
+      if (filter.$or) {
+        const specializations = filter.$or.find(condition => condition['doctorProfile.specialization']);
+        return query(specializations ? [cardiologist] : [cardiologist, dermatologist].filter(doctor =>
+          filter.$or.some(condition => condition._id?.$in.includes(doctor._id))
+        ));
+      }
+      if (filter._id) {
+        return query([cardiologist, dermatologist].filter(doctor => filter._id.$in.includes(doctor._id)));
+      }
+      return query([cardiologist, dermatologist]);
+    });
+    AvailabilitySlot.find = jest.fn().mockReturnValue(query([slot]));
+    AvailabilitySlot.findById = jest.fn().mockReturnValue(query(slot));
+    Appointment.find = jest.fn().mockReturnValue(query([{
+      appointmentId: 'APT-1',
+      slotId: slot._id,
+      status: 'confirmed',
+      payment: { status: 'paid' },
+      patientId: { _id: '507f1f77bcf86cd799439030', name: 'Jane Patient', profile: { phone: '555-0100' } }
+    }]));
+  });
+
+  afterEach(() => {
+    sockets.splice(0).forEach(ws => ws.terminate());
+  });
+
+  it('should reject connections without a valid token', async () => {
+    verifyAccessToken.mockRejectedValue(ApiError.unauthorized('Invalid token'));
+    const { ws } = connect();
+
+    const response = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res)));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should reject users who are not staff', async () => {
+    verifyAccessToken.mockResolvedValue({ ...staff, role: 'patient' });
+    const { ws } = connect();
+
+    const response = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res)));
+
+    expect(response.statusCode).toBe(403);
+  });
+
+  it('should accept a stream ticket as a query parameter', async () => {
+    verifyStreamTicket.mockResolvedValue(staff);
+    const { next } = connect('/staff/dashboard?ticket=stream-ticket', {});
+
+    await next('snapshot');
+
+    expect(verifyStreamTicket).toHaveBeenCalledWith('stream-ticket');
+    expect(verifyAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('should not accept the access token as a query parameter', async () => {
+    verifyStreamTicket.mockRejectedValue(ApiError.unauthorized('Stream ticket is required'));
+    const { ws } = connect('/staff/dashboard?access_token=staff-token', {});
+
+    const response = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res)));
+
+    expect(response.statusCode).toBe(401);
+    expect(verifyAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('should send a snapshot of today\'s slots and bookings on connect', async () => {
+    const { next } = connect();
+
+    const subscribed = await next('subscribed');
+    const snapshot = await next('snapshot');
+
+    expect(subscribed.all).toBe(true);
+    expect(snapshot.doctors).toHaveLength(2);
+    expect(snapshot.doctors[0].slots).toEqual([
+      expect.objectContaining({
+        slotId: slot._id,
+        startTime: '10:00',
+        status: 'booked',
+        appointment: expect.objectContaining({
+          appointmentId: 'APT-1',
+          status: 'confirmed',
+          patient: expect.objectContaining({ name: 'Jane Patient' })
+        })
+      })
+    ]);
+    expect(snapshot.doctors[1].slots).toEqual([]);
+  });
+
+  it('should subscribe to a department from the connection URL', async () => {
+    const { next } = connect('/staff/dashboard?department=cardiology');
+
+    const subscribed = await next('subscribed');
+    const snapshot = await next('snapshot');
+
+    expect(subscribed).toMatchObject({ all: false, doctorIds: [cardiologist._id] });
+    expect(snapshot.doctors.map(doctor => doctor.id)).toEqual([cardiologist._id]);
+  });
+
+  it('should only relay updates for followed doctors', async () => {
+    const { ws, next, messages } = connect();
+    await next('subscribed');
+    await next('snapshot');
+
+    ws.send(JSON.stringify({ type: 'unsubscribe', doctorIds: [dermatologist._id] }));
+    expect(await next('subscribed')).toMatchObject({ all: false, doctorIds: [cardiologist._id] });
+
+    await staffDashboard.relay('appointment_updates', {
+      appointmentId: 'APT-2',
+      doctorId: dermatologist._id,
+      action: 'paid',
+      status: 'confirmed'
+    });
+    await staffDashboard.relay('slot_updates', {
+      slotId: slot._id,
+      doctorId: cardiologist._id,
+      appointmentId: 'APT-1',
+      action: 'booked',
+      status: 'booked'
+    });
+
+    const update = await next('slot_update');
+    expect(update).toMatchObject({ slotId: slot._id, doctorId: cardiologist._id, action: 'booked', appointmentId: 'APT-1' });
+    expect(messages.some(message => message.type === 'appointment_update')).toBe(false);
+  });
+
+  it('should answer pings and report unknown messages', async () => {
+    const { ws, next } = connect();
+    await next('snapshot');
+
+    ws.send(JSON.stringify({ type: 'ping' }));
+    ws.send(JSON.stringify({ type: 'shout' }));
+
+    await next('pong');
+    expect((await next('error')).message).toMatch(/Unknown message type/);
+  });
+});
@@ -0,0 +1,351 @@
+import { jest } from '@jest/globals';
+import { bookWalkIn, findPatients, recordDeskRefund } from '@/controllers/staff/walkIn.controller.js';
+import { setSlotOverbookLimit } from '@/controllers/staff/slotManagement.controller.js';
+import User from '@/models/users.model.js';
+import Appointment from '@/models/Appointment.js';
+import AvailabilitySlot from '@/models/AvailabilitySlot.js';
+import CancellationPolicy from '@/models/CancellationPolicy.js';
+import AppointmentType from '@/models/AppointmentType.js';
+import distributedLock from '@/utils/distributedLock.js';
+import transactionManager from '@/utils/transactionManager.js';
+import paymentService from '@/utils/paymentService.js';
+import redisCache from '@/utils/redis.js';
+import invoiceService from '@/utils/invoiceService.js';
+import { createSlot as baseSlot, query, session } from '../../fixtures.js';
+
+// Mock dependencies
+jest.mock('@/models/users.model.js');
+jest.mock('@/models/Appointment.js');
+jest.mock('@/models/AvailabilitySlot.js');
+jest.mock('@/models/CancellationPolicy.js');
+jest.mock('@/models/AppointmentType.js');
+jest.mock('@/utils/distributedLock.js');
+jest.mock('@/utils/transactionManager.js');
+jest.mock('@/utils/paymentService.js');
+jest.mock('@/utils/waitlistService.js');
+jest.mock('@/utils/invoiceService.js');
+jest.mock('@/utils/redis.js');
+
+describe('Walk-in Booking Unit Tests', () => {
+  const staff = { _id: '507f1f77bcf86cd799439020', role: 'staff' };
+  const doctor = { _id: '507f1f77bcf86cd799439011', name: 'Dr. John Doe', role: 'doctor', doctorProfile: { timezone: 'UTC' } };
+  const patient = {
+    _id: '507f1f77bcf86cd799439015',
+    name: 'Jane Patient',
+    email: 'jane@example.com',
+    role: 'patient',
+    isActive: true,
+    profile: { phone: '555-0100' }
+  };
+  let createdAppointment;
+
+  // Slot relative to now
+  const createSlot = (id, startOffsetMinutes, overrides = {}) => {
+    const startAt = new Date(Date.now() + startOffsetMinutes * 60 * 1000);
+    return baseSlot({
+      _id: id,
+      doctorId: doctor,
+      date: new Date(),
+      startAt,
+      endAt: new Date(startAt.getTime() + 30 * 60 * 1000),
+      ...overrides
+    });
+  };
+
+  const slotsById = {};
+  const useSlots = (...slots) => {
+    slots.forEach(slot => { slotsById[slot._id] = slot; });
+    AvailabilitySlot.find = jest.fn().mockReturnValue(query(slots));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CancellationPolicy.findApplicable = jest.fn().mockResolvedValue(null);
+    AppointmentType.findApplicable = jest.fn().mockResolvedValue([]);
+    Object.keys(slotsById).forEach(id => delete slotsById[id]);
+
+    AvailabilitySlot.findById = jest.fn().mockImplementation(id => query(slotsById[id] || null));
+    User.findOne = jest.fn().mockImplementation(filter => Promise.resolve(filter.role === 'doctor' ? doctor : patient));
+    User.findById = jest.fn().mockResolvedValue(patient);
+    User.mockImplementation((data) => ({
+      ...data,
+      _id: '507f1f77bcf86cd799439099',
+      isActive: true,
+      save: jest.fn().mockResolvedValue()
+    }));
+    Appointment.findOne = jest.fn().mockResolvedValue(null);
+    Appointment.mockImplementation((data) => {
+      createdAppointment = {
+        ...data,
+        _id: '507f1f77bcf86cd799439014',
+        appointmentId: 'APT-1-ABCDE',
+        save: jest.fn().mockResolvedValue()
+      };
+      return createdAppointment;
+    });
+
+    distributedLock.withLock = jest.fn().mockImplementation((key, fn) => fn());
+    transactionManager.withTransaction = jest.fn().mockImplementation((fn) => fn(session));
+    paymentService.calculateFee = jest.fn().mockReturnValue(120);
+    redisCache.publish = jest.fn().mockResolvedValue(1);
+    redisCache.del = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('bookWalkIn', () => {
+    it('should book an existing patient found by phone and record cash paid at the desk', async () => {
+      const slot = createSlot('slot-1', 30);
+      useSlots(slot);
+
+      const result = await bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0100' } });
+
+      expect(User.findOne).toHaveBeenCalledWith({ $or: [{ 'profile.phone': '555-0100' }] });
+      expect(paymentService.calculateFee).toHaveBeenCalledWith(doctor, { bookingType: 'walk_in', appointmentType: null });
+      expect(slot.bookSlot).toHaveBeenCalledWith(patient._id, createdAppointment._id, undefined, session);
+      expect(createdAppointment).toMatchObject({
+        status: 'confirmed',
+        bookingType: 'walk_in',
+        bookedBy: staff._id,
+        isOverbooked: false,
+        payment: expect.objectContaining({
+          amount: 120,
+          status: 'paid',
+          paymentMethod: 'cash',
+          receivedBy: staff._id,
+          transactionId: expect.stringMatching(/^DESK-/)
+        })
+      });
+      expect(result.patientCreated).toBe(false);
+      expect(result.appointment.payment.status).toBe('paid');
+    });
+
+    it('should create a lightweight patient record when nobody matches', async () => {
+      useSlots(createSlot('slot-1', 30));
+      User.findOne = jest.fn().mockResolvedValue(null);
+
+      const result = await bookWalkIn(staff, {
+        slotId: 'slot-1',
+        patient: { name: 'New Walker', phone: '555-0199' }
+      });
+
+      expect(User).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'New Walker',
+        role: 'patient',
+        registrationSource: 'front_desk',
+        email: expect.stringMatching(/@walk-in\.invalid$/),
+        profile: { phone: '555-0199' }
+      }));
+      const newPatient = User.mock.results[0].value;
+      expect(newPatient.save).toHaveBeenCalledWith({ session });
+      expect(newPatient.save.mock.invocationCallOrder[0])
+        .toBeLessThan(createdAppointment.save.mock.invocationCallOrder[0]);
+      expect(result.patientCreated).toBe(true);
+    });
+
+    it('should not leave a patient record behind when the booking fails', async () => {
+      User.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(bookWalkIn(staff, { slotId: 'slot-gone', patient: { name: 'New Walker', email: 'walker@example.com' } }))
+        .rejects.toThrow('Slot not found');
+
+      expect(User.mock.results[0].value.save).not.toHaveBeenCalled();
+    });
+
+    it('should require a name to create a patient record', async () => {
+      User.findOne = jest.fn().mockResolvedValue(null);
+
+      await expect(bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0199' } }))
+        .rejects.toThrow('Patient name is required to create a walk-in record');
+    });
+
+    it('should refuse staff or doctor accounts as the patient', async () => {
+      User.findOne = jest.fn().mockResolvedValue({ ...patient, role: 'doctor' });
+
+      await expect(bookWalkIn(staff, { slotId: 'slot-1', patient: { email: 'jane@example.com' } }))
+        .rejects.toThrow('This email or phone number belongs to a non-patient account');
+    });
+
+    it('should reject payment methods the desk cannot take', async () => {
+      await expect(bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0100' }, paymentMethod: 'insurance' }))
+        .rejects.toThrow('Payment method must be one of: cash, card');
+    });
+
+    it('should overbook a booked slot that has room', async () => {
+      const slot = createSlot('slot-1', 30, { status: 'booked', overbookLimit: 1 });
+      useSlots(slot);
+
+      const result = await bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0100' } });
+
+      expect(slot.addOverbooking).toHaveBeenCalledWith(session);
+      expect(slot.bookSlot).not.toHaveBeenCalled();
+      expect(result.appointment.isOverbooked).toBe(true);
+      expect(redisCache.publish).toHaveBeenCalledWith('slot_updates', expect.objectContaining({
+        action: 'overbooked',
+        status: 'booked'
+      }));
+    });
+
+    it('should refuse a booked slot without overbooking room', async () => {
+      useSlots(createSlot('slot-1', 30, { status: 'booked', overbookLimit: 1, overbookedCount: 1 }));
+
+      await expect(bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0100' } }))
+        .rejects.toThrow('Slot is not available and has no overbooking room left');
+    });
+
+    it('should refuse a slot that has already ended', async () => {
+      useSlots(createSlot('slot-1', -60));
+
+      await expect(bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0100' } }))
+        .rejects.toThrow('Slot has already ended');
+    });
+
+    it('should squeeze the patient into the next free or overbookable slot today', async () => {
+      const ended = createSlot('slot-1', -60);
+      const full = createSlot('slot-2', 0, { status: 'booked' });
+      const overbookable = createSlot('slot-3', 30, { status: 'booked', overbookLimit: 2 });
+      const free = createSlot('slot-4', 60);
+      useSlots(ended, full, overbookable, free);
+
+      const result = await bookWalkIn(staff, { doctorId: doctor._id, squeezeIn: true, patient: { patientId: patient._id } });
+
+      expect(distributedLock.withLock).toHaveBeenCalledWith('slot_booking_slot-3', expect.any(Function));
+      expect(overbookable.addOverbooking).toHaveBeenCalled();
+      expect(result.appointment.slotId).toBe('slot-3');
+    });
+
+    it('should report when no slot is left to squeeze into', async () => {
+      useSlots(createSlot('slot-1', 0, { status: 'booked' }));
+
+      await expect(bookWalkIn(staff, { doctorId: doctor._id, squeezeIn: true, patient: { patientId: patient._id } }))
+        .rejects.toThrow('No free or overbookable slot is left today for this doctor');
+    });
+
+    it('should refuse a patient already booked at the same time', async () => {
+      useSlots(createSlot('slot-1', 30));
+      Appointment.findOne = jest.fn().mockResolvedValue({ _id: 'existing' });
+
+      await expect(bookWalkIn(staff, { slotId: 'slot-1', patient: { phone: '555-0100' } }))
+        .rejects.toThrow('Patient already has a booking at this time');
+    });
+  });
+
+  describe('findPatients', () => {
+    it('should search patients by email or phone', async () => {
+      User.find = jest.fn().mockReturnValue(query([patient]));
+
+      const result = await findPatients({ email: ' Jane@Example.com ' });
+
+      expect(User.find).toHaveBeenCalledWith({ role: 'patient', $or: [{ email: 'jane@example.com' }] });
+      expect(result.patients).toEqual([patient]);
+    });
+
+    it('should require an email or phone', async () => {
+      await expect(findPatients({})).rejects.toThrow('Provide an email or phone number to search by');
+    });
+  });
+
+  describe('recordDeskRefund', () => {
+    const cancelledAtDesk = (overrides = {}) => ({
+      _id: 'apt-1',
+      appointmentId: 'APT-1-ABCDE',
+      status: 'cancelled',
+      payment: { amount: 120, status: 'paid', paymentMethod: 'cash', receivedBy: staff._id },
+      cancellation: { refundAmount: 120, refundStatus: 'pending_manual' },
+      ...overrides
+    });
+
+    // Apply the conditional update to the appointment when its condition still holds
+    const updateWhenMatched = (appointment) => jest.fn().mockImplementation((condition, update) => {
+      const matches = Object.entries(condition).every(([path, value]) =>
+        path.split('.').reduce((target, key) => target?.[key], appointment) === value);
+      if (!matches) {
+        return Promise.resolve(null);
+      }
+      Object.entries(update.$set).forEach(([path, value]) => {
+        const keys = path.split('.');
+        keys.slice(0, -1).reduce((target, key) => target[key], appointment)[keys.at(-1)] = value;
+      });
+      return Promise.resolve(appointment);
+    });
+
+    it('should record the refund handed back and refund the payment in full', async () => {
+      const appointment = cancelledAtDesk();
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+      Appointment.findOneAndUpdate = updateWhenMatched(appointment);
+
+      const result = await recordDeskRefund(staff, 'APT-1-ABCDE');
+
+      expect(Appointment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'apt-1', 'cancellation.refundStatus': 'pending_manual' },
+        { $set: expect.objectContaining({ 'cancellation.refundStatus': 'processed', 'payment.status': 'refunded', 'payment.refundedBy': staff._id }) },
+        { new: true }
+      );
+      expect(result).toMatchObject({
+        refunds: [{ kind: 'refund', amount: 120, status: 'processed' }],
+        paymentStatus: 'refunded',
+        refundedBy: staff._id
+      });
+      expect(invoiceService.syncDocumentsQuietly).toHaveBeenCalledWith(appointment);
+    });
+
+    it('should record a substitute\'s fee difference without refunding the payment', async () => {
+      const appointment = cancelledAtDesk({
+        status: 'confirmed',
+        cancellation: { refundStatus: 'none' },
+        reassignment: { refundedDifference: 30, differenceRefundStatus: 'pending_manual' }
+      });
+      Appointment.findOne = jest.fn().mockResolvedValue(appointment);
+      Appointment.findOneAndUpdate = updateWhenMatched(appointment);
+
+      const result = await recordDeskRefund(staff, 'APT-1-ABCDE');
+
+      expect(result.refunds).toEqual([{ kind: 'difference_refund', amount: 30, status: 'processed' }]);
+      expect(result.paymentStatus).toBe('paid');
+    });
+
+    it('should refuse when no desk refund is owed or it was already recorded', async () => {
+      Appointment.findOne = jest.fn().mockResolvedValue(cancelledAtDesk({ cancellation: { refundAmount: 120, refundStatus: 'processed' } }));
+      await expect(recordDeskRefund(staff, 'APT-1-ABCDE')).rejects.toThrow('No desk refund is owed on this appointment');
+
+      Appointment.findOne = jest.fn().mockResolvedValue(cancelledAtDesk());
+      Appointment.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+      await expect(recordDeskRefund(staff, 'APT-1-ABCDE')).rejects.toThrow('This refund was already recorded');
+      expect(invoiceService.syncDocumentsQuietly).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setSlotOverbookLimit', () => {
+    it('should update the limit while it covers existing overbookings', async () => {
+      const slot = {
+        _id: 'slot-1',
+        doctorId: doctor._id,
+        status: 'booked',
+        overbookedCount: 1,
+        transition: jest.fn().mockImplementation(function(condition, update) {
+          Object.assign(this, update.$set);
+          return Promise.resolve(this);
+        })
+      };
+      AvailabilitySlot.findById = jest.fn().mockResolvedValue(slot);
+
+      const result = await setSlotOverbookLimit(staff, 'slot-1', 2);
+
+      expect(result.slot.overbookLimit).toBe(2);
+      expect(redisCache.del).toHaveBeenCalledWith(`doctor_slots_${doctor._id}`);
+    });
+
+    it('should refuse a limit below the current overbookings', async () => {
+      AvailabilitySlot.findById = jest.fn().mockResolvedValue({
+        _id: 'slot-1',
+        status: 'booked',
+        overbookedCount: 2,
+        transition: jest.fn().mockResolvedValue(null)
+      });
+
+      await expect(setSlotOverbookLimit(staff, 'slot-1', 1)).rejects.toThrow('Slot already holds 2 overbooked patients');
+    });
+
+    it('should reject limits outside 0 to 5', async () => {
+      await expect(setSlotOverbookLimit(staff, 'slot-1', 9)).rejects.toThrow('Overbook limit must be a whole number from 0 to 5');
+    });
+  });
+});
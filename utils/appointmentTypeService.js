@@ -0,0 +1,243 @@
+import AppointmentType from '../models/AppointmentType.js';
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import ApiError from './ApiError.util.js';
+import { formatInTimezone, getDefaultTimezone, getEndInstant, getStartInstant, getZonedTimes } from './timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Type booked when the patient doesn't choose one
+const DEFAULT_CODE = 'new_consultation';
+
+// ID of a document, populated or not
+const idOf = (value) => String(value?._id ?? value);
+
+/**
+ * Appointment type service: resolves the types, lengths and prices a doctor offers and
+ * fits a chosen type into a slot. The type sets how long the booking takes: a longer type
+ * also books the free slots straight after the one booked, and a shorter type gives the
+ * rest of its slot back as a new free slot.
+ */
+class AppointmentTypeService {
+  /**
+   * Types a doctor offers, each at its most specific price
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @returns {Promise<Array>} - Appointment types
+   */
+  async getCatalog(doctor) {
+    return await AppointmentType.findApplicable(doctor);
+  }
+
+  /**
+   * Type a booking with a doctor is for. Without a code the default type is used; doctors
+   * without a catalog are booked without a type and priced by paymentService.calculateFee.
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @param {string} code - Requested type code
+   * @returns {Promise<Object|null>} - Appointment type, or null for doctors without a catalog
+   */
+  async resolve(doctor, code) {
+    const catalog = await this.getCatalog(doctor);
+
+    if (!code && catalog.length === 0) {
+      return null;
+    }
+
+    const type = catalog.find(candidate => candidate.code === (code || DEFAULT_CODE));
+
+    if (!type) {
+      const offered = catalog.map(candidate => candidate.code).join(', ');
+      throw ApiError.badRequest(code ?
+        `${doctor.name || 'This doctor'} does not offer ${code} appointments${offered ? `; choose one of: ${offered}` : ''}` :
+        `Choose an appointment type: ${offered}`);
+    }
+
+    return type;
+  }
+
+  /**
+   * Free slots an appointment starting in a slot runs on into, back to back
+   * @param {Object} slot - Availability slot the appointment starts in
+   * @param {Object} type - Appointment type or appointment snapshot, or null
+   * @param {Array} freeSlots - Free slots to run on into; those of other doctors are skipped
+   * @returns {Object} - { following, endAt }: the slots taken in order and where the last one ends
+   */
+  getRun(slot, type, freeSlots = []) {
+    const following = [];
+    let endAt = getEndInstant(slot);
+
+    if (!type?.durationMinutes) {
+      return { following, endAt };
+    }
+
+    const appointmentEndAt = getStartInstant(slot).getTime() + type.durationMinutes * MINUTE_MS;
+
+    while (endAt < appointmentEndAt) {
+      const next = freeSlots.find(candidate =>
+        idOf(candidate.doctorId) === idOf(slot.doctorId) &&
+        getStartInstant(candidate).getTime() === endAt.getTime());
+
+      if (!next) break;
+
+      following.push(next);
+      endAt = getEndInstant(next);
+    }
+
+    return { following, endAt };
+  }
+
+  /**
+   * Whether a type can be booked in a slot, on its own or with the free slots after it
+   * @param {Object} slot - Availability slot
+   * @param {Object} type - Appointment type or appointment snapshot, or null
+   * @param {Array} freeSlots - The doctor's other free slots
+   * @returns {boolean}
+   */
+  fitsSlot(slot, type, freeSlots = []) {
+    return !type?.durationMinutes ||
+      this.getRun(slot, type, freeSlots).endAt - getStartInstant(slot) >= type.durationMinutes * MINUTE_MS;
+  }
+
+  /**
+   * Reject a slot a type can't be booked in
+   * @param {Object} slot - Availability slot
+   * @param {Object} type - Appointment type or appointment snapshot, or null
+   * @param {Array} freeSlots - The doctor's other free slots
+   */
+  assertFits(slot, type, freeSlots = []) {
+    if (!this.fitsSlot(slot, type, freeSlots)) {
+      const freeMinutes = Math.round((this.getRun(slot, type, freeSlots).endAt - getStartInstant(slot)) / MINUTE_MS);
+      throw ApiError.badRequest(`${type.name} takes ${type.durationMinutes} minutes but only ${freeMinutes} minutes are free from ${slot.startTime}`);
+    }
+  }
+
+  /**
+   * Make a slot just booked as long as its appointment. A longer type also books the free
+   * slots straight after it, which are freed again with the booking, and a shorter one
+   * gives the rest back as a new free slot.
+   * @param {Object} slot - Availability slot, already booked
+   * @param {Object} type - Appointment type or appointment snapshot, or null
+   * @param {Object} session - MongoDB session of the booking
+   * @returns {Promise<Object|null>} - Free slot made from the time given back, or null
+   */
+  async fitBookedSlot(slot, type, session) {
+    if (!type?.durationMinutes) {
+      return null;
+    }
+
+    const { endTime, endAt } = this.getTimes(slot, type);
+    const slotEndAt = getEndInstant(slot);
+
+    if (slotEndAt.getTime() === endAt.getTime()) {
+      return null;
+    }
+
+    if (slotEndAt < endAt) {
+      const freeSlots = await AvailabilitySlot.find({
+        _id: { $ne: slot._id },
+        doctorId: idOf(slot.doctorId),
+        date: slot.date,
+        status: 'available',
+        ...AvailabilitySlot.notHeldCondition()
+      }).session(session);
+
+      this.assertFits(slot, type, freeSlots);
+
+      const { following } = this.getRun(slot, type, freeSlots);
+      for (const next of following) {
+        // Booked only while still free, so a concurrent booking of it fails one of the two
+        const taken = await next.bookContinuation(slot, session);
+
+        if (!taken) {
+          throw ApiError.conflict('Slot is no longer available');
+        }
+      }
+
+      return null;
+    }
+
+    const [freedSlot] = await AvailabilitySlot.create([{
+      doctorId: idOf(slot.doctorId),
+      scheduleId: slot.scheduleId?._id ?? slot.scheduleId,
+      exceptionId: slot.exceptionId,
+      date: slot.date,
+      location: slot.location,
+      startTime: endTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone || getDefaultTimezone(),
+      startAt: endAt,
+      endAt: slotEndAt
+    }], { session });
+
+    const resized = await slot.resizeBooking(endTime, endAt, session);
+    if (!resized) {
+      throw ApiError.conflict('Slot is no longer available');
+    }
+
+    return freedSlot;
+  }
+
+  /**
+   * Wall times and instants of an appointment booked into a slot; a type ends the
+   * appointment after its own length instead of at the slot's end, read off the clock in
+   * the slot's timezone so it stays right past midnight and across DST changes
+   * @param {Object} slot - Availability slot
+   * @param {Object} type - Appointment type or appointment snapshot, or null
+   * @returns {Object} - { startTime, endTime, timezone, startAt, endAt }
+   */
+  getTimes(slot, type) {
+    if (!type?.durationMinutes) {
+      return { startTime: slot.startTime, endTime: slot.endTime, ...getZonedTimes(slot) };
+    }
+
+    const timezone = slot.timezone || getDefaultTimezone();
+    const startAt = getStartInstant(slot);
+    const endAt = new Date(startAt.getTime() + type.durationMinutes * MINUTE_MS);
+
+    return {
+      startTime: slot.startTime,
+      endTime: formatInTimezone(endAt, timezone).time,
+      timezone,
+      startAt,
+      endAt
+    };
+  }
+
+  /**
+   * Copy of a type to store on an appointment, so later price changes don't apply to it
+   * @param {Object} type - Appointment type, or null
+   * @returns {Object|undefined} - Snapshot
+   */
+  toSnapshot(type) {
+    if (!type) {
+      return undefined;
+    }
+
+    return {
+      typeId: type._id,
+      code: type.code,
+      name: type.name,
+      durationMinutes: type.durationMinutes,
+      price: type.price
+    };
+  }
+
+  /**
+   * Shape a type for a doctor's catalog
+   * @param {Object} type - Appointment type
+   * @returns {Object} - Formatted type
+   */
+  formatType(type) {
+    return {
+      id: type._id,
+      code: type.code,
+      name: type.name,
+      description: type.description,
+      scope: type.scope,
+      durationMinutes: type.durationMinutes,
+      price: type.price
+    };
+  }
+}
+
+const appointmentTypeService = new AppointmentTypeService();
+
+export default appointmentTypeService;
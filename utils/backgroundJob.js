@@ -0,0 +1,91 @@
+import distributedLock from './distributedLock.js';
+
+/**
+ * Base class for periodic background jobs.
+ * Each sweep runs under a distributed lock so only one instance works at a time.
+ */
+class BackgroundJob {
+  /**
+   * Creates an instance of BackgroundJob
+   * @param {string} name - Job name, used for the lock key and logs
+   * @param {string} intervalEnvVar - Environment variable holding the interval in seconds
+   * @param {number} defaultInterval - Interval in seconds when the variable is not set
+   */
+  constructor(name, intervalEnvVar, defaultInterval) {
+    this.name = name;
+    this.lockKey = `${name}_sweep`;
+    this.intervalEnvVar = intervalEnvVar;
+    this.defaultInterval = defaultInterval;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Interval between sweeps in seconds
+   * @returns {number} - Sweep interval
+   */
+  get sweepInterval() {
+    return parseInt(process.env[this.intervalEnvVar]) || this.defaultInterval;
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runSweep().catch(error => console.error(`${this.name} sweep failed:`, error));
+    }, this.sweepInterval * 1000);
+
+    // Do not keep the process alive just for background jobs
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run a single sweep. Only one instance holds the sweep lock at a time.
+   * @param {Date} now - Reference time (defaults to current time)
+   * @param {Object} options - Passed through to run(), e.g. for sweeps started by hand
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async runSweep(now = new Date(), options = {}) {
+    if (this.isRunning) {
+      return { skipped: true };
+    }
+
+    const lockAcquired = await distributedLock.acquire(this.lockKey, this.sweepInterval);
+    if (!lockAcquired) {
+      return { skipped: true };
+    }
+
+    this.isRunning = true;
+    try {
+      return { skipped: false, ...(await this.run(now, options)) };
+    } finally {
+      this.isRunning = false;
+      await distributedLock.release(this.lockKey);
+    }
+  }
+
+  /**
+   * Do the work of one sweep. Implemented by subclasses.
+   * @param {Date} now - Reference time
+   * @param {Object} options - Options given to runSweep()
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async run(now, options) {
+    throw new Error(`${this.name} job does not implement run()`);
+  }
+}
+
+export default BackgroundJob;
@@ -0,0 +1,113 @@
+import CancellationPolicy from '../models/CancellationPolicy.js';
+import ApiError from './ApiError.util.js';
+import { getStartInstant } from './timezone.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Terms used when no policy is configured, and for appointments booked before policies existed
+const DEFAULT_TERMS = Object.freeze({
+  policyId: null,
+  name: 'Standard cancellation policy',
+  scope: 'default',
+  tiers: [
+    { minHoursBefore: 24, refundPercent: 100 },
+    { minHoursBefore: 2, refundPercent: 50 },
+    { minHoursBefore: 0, refundPercent: 0 }
+  ],
+  cancellationFee: 0,
+  cutoffHours: 2
+});
+
+/**
+ * Round a currency amount to cents
+ * @returns {number}
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Cancellation policy service: resolves which policy applies to a booking and
+ * applies the terms snapshotted on an appointment
+ */
+class CancellationPolicyService {
+  /**
+   * Terms of the policy that applies to a doctor's new bookings
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @returns {Promise<Object>} - Terms to snapshot onto the appointment
+   */
+  async getTermsForDoctor(doctor) {
+    const policy = await CancellationPolicy.findApplicable(doctor);
+    const terms = policy ? policy.toTerms() : DEFAULT_TERMS;
+
+    return {
+      ...terms,
+      tiers: terms.tiers.map(tier => ({ ...tier })),
+      appliedAt: new Date()
+    };
+  }
+
+  /**
+   * Terms an appointment was booked under
+   * @param {Object} appointment - Appointment document
+   * @returns {Object} - Snapshotted terms, or the defaults for older bookings
+   */
+  getTerms(appointment) {
+    const snapshot = appointment.cancellationPolicy;
+    return snapshot?.tiers?.length ? snapshot : DEFAULT_TERMS;
+  }
+
+  /**
+   * Refund owed when an appointment is cancelled. Cancellations the patient did not
+   * make are refunded in full; otherwise the tier for the notice given applies, less
+   * the flat cancellation fee. Both are worked out from the amount the patient actually
+   * paid, after any promo code discount, never from the fee before it.
+   * @param {Object} appointment - Paid appointment
+   * @param {string} initiatedBy - 'patient', 'doctor', 'clinic' or 'system'
+   * @param {Date} now - Time of cancellation
+   * @returns {number} - Refund amount
+   */
+  calculateRefund(appointment, initiatedBy = 'patient', now = new Date()) {
+    // payment.amount is what was charged; payment.originalAmount is the fee before a discount
+    const amount = appointment.payment.amount;
+
+    if (initiatedBy !== 'patient') {
+      return amount;
+    }
+
+    const terms = this.getTerms(appointment);
+    const hoursBefore = (getStartInstant(appointment) - now) / HOUR_MS;
+    const tier = [...terms.tiers]
+      .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+      .find(candidate => hoursBefore >= candidate.minHoursBefore);
+
+    if (!tier || tier.refundPercent === 0) {
+      return 0;
+    }
+
+    return Math.max(0, roundAmount(amount * tier.refundPercent / 100 - (terms.cancellationFee || 0)));
+  }
+
+  /**
+   * Reject a patient change made inside the appointment's cutoff window
+   * @param {Object} appointment - Appointment document
+   * @param {string} action - 'cancel' or 'reschedule', for the error message
+   * @param {Date} now - Current time
+   */
+  assertBeforeCutoff(appointment, action, now = new Date()) {
+    const { cutoffHours = 0 } = this.getTerms(appointment);
+    const deadline = getStartInstant(appointment).getTime() - cutoffHours * HOUR_MS;
+
+    if (now.getTime() < deadline) return;
+
+    if (cutoffHours > 0) {
+      throw ApiError.badRequest(
+        `Cannot ${action} appointment less than ${cutoffHours} hour${cutoffHours === 1 ? '' : 's'} before the scheduled time`
+      );
+    }
+
+    throw ApiError.badRequest(`Cannot ${action} an appointment that has already started`);
+  }
+}
+
+const cancellationPolicyService = new CancellationPolicyService();
+
+export default cancellationPolicyService;
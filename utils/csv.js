@@ -0,0 +1,35 @@
+/**
+ * Format a value as a CSV cell. Dates become ISO strings, text that a spreadsheet would read
+ * as a formula is prefixed with a quote, and cells holding a comma, quote or line break are
+ * quoted.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+const toCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document with a header row
+ * @param {Array} columns - [{ header, value: (row) => cell value }]
+ * @param {Array} rows - Rows to write
+ * @returns {string} - CSV text
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => toCell(column.header)),
+    ...rows.map(row => columns.map(column => toCell(column.value(row))))
+  ];
+
+  return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+};
@@ -25,9 +25,8 @@ class DistributedLock {
     const lockValue = `${Date.now()}-${Math.random()}`;
 
     try {
-      // Use SET with NX (only if not exists) and PX (expire in milliseconds)
-      const result = await redisCache.set(lockKey, lockValue, ttl);
-      return result === 'OK';
+      // Use SET with NX (only if not exists) and EX (expire in seconds)
+      return await redisCache.setNX(lockKey, lockValue, ttl);
     } catch (error) {
       console.error('Error acquiring distributed lock:', error);
       return false;
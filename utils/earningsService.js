@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import PayoutRecord from '../models/PayoutRecord.js';
+import User from '../models/users.model.js';
+import ApiError from './ApiError.util.js';
+import { formatInTimezone, getDefaultTimezone, zonedTimeToUtc } from './timezone.js';
+import { toCsv } from './csv.js';
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Columns of the earnings export
+const EXPORT_COLUMNS = [
+  { header: 'Period', value: row => row.period },
+  { header: 'Doctor', value: row => row.doctor?.name },
+  { header: 'Email', value: row => row.doctor?.email },
+  { header: 'Paid appointments', value: row => row.appointments },
+  { header: 'Gross', value: row => row.gross },
+  { header: 'Refunds', value: row => row.refunds },
+  { header: 'Net', value: row => row.net },
+  { header: 'Commission %', value: row => row.commissionPercent },
+  { header: 'Commission', value: row => row.commission },
+  { header: 'Payout due', value: row => row.payoutDue },
+  { header: 'Settled', value: row => (row.settlement ? 'yes' : 'no') },
+  { header: 'Settled at', value: row => row.settlement?.settledAt },
+  { header: 'Paid out', value: row => row.settlement?.payoutAmount },
+  { header: 'Reference', value: row => row.settlement?.reference },
+  { header: 'Outstanding', value: row => row.outstanding }
+];
+
+const TOTAL_FIELDS = ['appointments', 'gross', 'refunds', 'net', 'commission', 'payoutDue', 'outstanding'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Earnings service: totals what patients paid and were refunded per doctor and month, takes
+ * the clinic's commission and tracks which months have been paid out
+ */
+class EarningsService {
+  /**
+   * Share of a doctor's net earnings the clinic keeps
+   * @returns {number} - Commission in percent
+   */
+  getCommissionPercent() {
+    return parseFloat(process.env.CLINIC_COMMISSION_PERCENT) || 0;
+  }
+
+  /**
+   * Instants a month starts and ends at in the clinic's timezone
+   * @param {string} period - Month as YYYY-MM
+   * @returns {Object} - { start, end }, end exclusive
+   */
+  getPeriodRange(period) {
+    const timezone = getDefaultTimezone();
+    const [year, month] = period.split('-').map(Number);
+    const next = month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+
+    return {
+      start: zonedTimeToUtc(`${period}-01`, '00:00', timezone),
+      end: zonedTimeToUtc(`${next}-01`, '00:00', timezone)
+    };
+  }
+
+  /**
+   * Month an instant falls in, in the clinic's timezone
+   * @param {Date} instant - Point in time
+   * @returns {string} - Month as YYYY-MM
+   */
+  getPeriod(instant) {
+    return formatInTimezone(instant, getDefaultTimezone()).date.slice(0, 7);
+  }
+
+  /**
+   * Earnings per doctor and month. Payments count towards the month they were made in and
+   * refunds towards the month the appointment was cancelled or reassigned in, so cancelling
+   * an appointment paid for in a settled month is taken off the next payout.
+   * @param {Object} options - { from, to, doctorId, now }; from and to are months as YYYY-MM,
+   *   to defaults to the current month and from to to
+   * @returns {Promise<Object>} - { from, to, timezone, commissionPercent, earnings, totals }
+   */
+  async getEarnings({ from, to, doctorId, now = new Date() } = {}) {
+    to = to || this.getPeriod(now);
+    from = from || to;
+
+    if (!PERIOD_PATTERN.test(from) || !PERIOD_PATTERN.test(to)) {
+      throw ApiError.badRequest('From and to must be months as YYYY-MM');
+    }
+
+    if (from > to) {
+      throw ApiError.badRequest('From must not be after to');
+    }
+
+    if (doctorId && !mongoose.isValidObjectId(doctorId)) {
+      throw ApiError.notFound('Doctor not found');
+    }
+
+    const timezone = getDefaultTimezone();
+    const range = { $gte: this.getPeriodRange(from).start, $lt: this.getPeriodRange(to).end };
+    const doctorFilter = doctorId ? { doctorId: new mongoose.Types.ObjectId(doctorId) } : {};
+    const groupBy = (date) => ({
+      doctor: '$doctorId',
+      period: { $dateToString: { format: '%Y-%m', date, timezone } }
+    });
+
+    // Refunds that were given or are on their way; failed ones stay with the doctor
+    const refundGiven = { $in: ['pending', 'pending_manual', 'processed'] };
+
+    const [payments, cancellationRefunds, differenceRefunds] = await Promise.all([
+      // Reassignment lowers payment.amount to a cheaper substitute's fee, so the difference is
+      // added back to what was paid and counted as a refund in the month it was given
+      Appointment.aggregate([
+        { $match: { ...doctorFilter, 'payment.status': { $in: ['paid', 'refunded'] }, 'payment.paidAt': range } },
+        { $group: {
+          _id: groupBy('$payment.paidAt'),
+          appointments: { $sum: 1 },
+          gross: { $sum: { $add: ['$payment.amount', { $ifNull: ['$reassignment.refundedDifference', 0] }] } }
+        } }
+      ]),
+      Appointment.aggregate([
+        { $match: {
+          ...doctorFilter,
+          'cancellation.refundAmount': { $gt: 0 },
+          'cancellation.refundStatus': refundGiven,
+          'cancellation.cancelledAt': range
+        } },
+        { $group: { _id: groupBy('$cancellation.cancelledAt'), refunds: { $sum: '$cancellation.refundAmount' } } }
+      ]),
+      // Paid amount above a substitute doctor's fee, given back when the appointment was reassigned
+      Appointment.aggregate([
+        { $match: {
+          ...doctorFilter,
+          'reassignment.refundedDifference': { $gt: 0 },
+          'reassignment.differenceRefundStatus': refundGiven,
+          'reassignment.reassignedAt': range
+        } },
+        { $group: { _id: groupBy('$reassignment.reassignedAt'), refunds: { $sum: '$reassignment.refundedDifference' } } }
+      ])
+    ]);
+
+    const rows = new Map();
+    const rowFor = ({ doctor, period }) => {
+      const key = `${doctor}|${period}`;
+      if (!rows.has(key)) {
+        rows.set(key, { doctorId: doctor, period, appointments: 0, gross: 0, refunds: 0 });
+      }
+      return rows.get(key);
+    };
+
+    payments.forEach(group => {
+      const row = rowFor(group._id);
+      row.appointments += group.appointments;
+      row.gross += group.gross;
+    });
+    [...cancellationRefunds, ...differenceRefunds].forEach(group => {
+      rowFor(group._id).refunds += group.refunds;
+    });
+
+    const doctorIds = [...new Set([...rows.values()].map(row => String(row.doctorId)))];
+    const [doctors, settlements] = doctorIds.length === 0 ? [[], []] : await Promise.all([
+      User.find({ _id: { $in: doctorIds } }).select('name email doctorProfile.specialization'),
+      PayoutRecord.find({ doctor: { $in: doctorIds }, period: { $gte: from, $lte: to } })
+    ]);
+
+    const doctorsById = new Map(doctors.map(doctor => [String(doctor._id), doctor]));
+    const settlementsByKey = new Map(settlements.map(record => [`${record.doctor}|${record.period}`, record]));
+
+    const earnings = [...rows.entries()].map(([key, row]) => {
+      const settlement = settlementsByKey.get(key);
+      const doctor = doctorsById.get(String(row.doctorId));
+      // A settled month keeps the commission it was settled at
+      const commissionPercent = settlement ? settlement.commissionPercent : this.getCommissionPercent();
+      const net = roundAmount(row.gross - row.refunds);
+      const commission = roundAmount(net * commissionPercent / 100);
+      const payoutDue = roundAmount(net - commission);
+
+      return {
+        period: row.period,
+        doctor: doctor ?
+          { _id: doctor._id, name: doctor.name, email: doctor.email, specialization: doctor.doctorProfile?.specialization } :
+          { _id: row.doctorId },
+        appointments: row.appointments,
+        gross: roundAmount(row.gross),
+        refunds: roundAmount(row.refunds),
+        net,
+        commissionPercent,
+        commission,
+        payoutDue,
+        settlement: settlement ? {
+          settledAt: settlement.settledAt,
+          payoutAmount: settlement.payoutAmount,
+          reference: settlement.reference
+        } : null,
+        outstanding: roundAmount(payoutDue - (settlement?.payoutAmount || 0))
+      };
+    }).sort((a, b) => a.period.localeCompare(b.period) ||
+      (a.doctor.name || '').localeCompare(b.doctor.name || ''));
+
+    const totals = Object.fromEntries(TOTAL_FIELDS.map(field =>
+      [field, roundAmount(earnings.reduce((sum, row) => sum + row[field], 0))]));
+
+    return {
+      from,
+      to,
+      timezone,
+      commissionPercent: this.getCommissionPercent(),
+      earnings,
+      totals
+    };
+  }
+
+  /**
+   * Record that a doctor has been paid out for a month that has ended
+   * @param {Object} admin - Admin user object
+   * @param {Object} payout - { doctorId, period, reference, note }
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Payout record
+   */
+  async settle(admin, { doctorId, period, reference, note } = {}, now = new Date()) {
+    if (!doctorId || !period) {
+      throw ApiError.badRequest('Doctor and period are required');
+    }
+
+    if (!PERIOD_PATTERN.test(period)) {
+      throw ApiError.badRequest('Period must be a month as YYYY-MM');
+    }
+
+    if (this.getPeriodRange(period).end > now) {
+      throw ApiError.badRequest('Only a period that has ended can be settled');
+    }
+
+    const doctor = mongoose.isValidObjectId(doctorId) ?
+      await User.findOne({ _id: doctorId, role: 'doctor' }) :
+      null;
+
+    if (!doctor) {
+      throw ApiError.notFound('Doctor not found');
+    }
+
+    const alreadySettled = `${period} is already settled for ${doctor.name}`;
+
+    if (await PayoutRecord.findOne({ doctor: doctor._id, period })) {
+      throw ApiError.conflict(alreadySettled);
+    }
+
+    const { earnings } = await this.getEarnings({ from: period, to: period, doctorId: String(doctor._id), now });
+    const row = earnings[0];
+
+    try {
+      return await PayoutRecord.create({
+        doctor: doctor._id,
+        period,
+        appointments: row?.appointments || 0,
+        gross: row?.gross || 0,
+        refunds: row?.refunds || 0,
+        net: row?.net || 0,
+        commissionPercent: row ? row.commissionPercent : this.getCommissionPercent(),
+        commission: row?.commission || 0,
+        payoutAmount: row?.payoutDue || 0,
+        reference,
+        note,
+        settledAt: now,
+        settledBy: admin._id
+      });
+    } catch (error) {
+      // Settled at the same time by another admin; the unique index kept only one
+      if (error.code === 11000) {
+        throw ApiError.conflict(alreadySettled);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write earnings rows as CSV
+   * @param {Array} earnings - Rows from getEarnings
+   * @returns {string} - CSV text
+   */
+  toCsv(earnings) {
+    return toCsv(EXPORT_COLUMNS, earnings);
+  }
+}
+
+const earningsService = new EarningsService();
+
+export default earningsService;
@@ -0,0 +1,301 @@
+import InsurancePlan from '../models/InsurancePlan.js';
+import InsuranceClaim from '../models/InsuranceClaim.js';
+import Counter from '../models/Counter.js';
+import ApiError from './ApiError.util.js';
+import transactionManager from './transactionManager.js';
+import { toCsv } from './csv.js';
+
+// Statuses an admin can decide a submitted claim with
+const DECISIONS = ['approved', 'denied'];
+
+// Columns of the claims export
+const EXPORT_COLUMNS = [
+  { header: 'Claim number', value: claim => claim.claimNumber },
+  { header: 'Status', value: claim => claim.status },
+  { header: 'Submitted at', value: claim => claim.submittedAt },
+  { header: 'Appointment', value: claim => claim.appointmentId },
+  { header: 'Service date', value: claim => claim.serviceDate },
+  { header: 'Patient', value: claim => claim.patient?.name },
+  { header: 'Doctor', value: claim => claim.doctor?.name },
+  { header: 'Provider', value: claim => claim.provider },
+  { header: 'Plan', value: claim => claim.planName },
+  { header: 'Policy number', value: claim => claim.policyNumber },
+  { header: 'In network', value: claim => (claim.inNetwork ? 'yes' : 'no') },
+  { header: 'Currency', value: claim => claim.currency },
+  { header: 'Fee', value: claim => claim.fee },
+  { header: 'Patient share', value: claim => claim.patientShare },
+  { header: 'Claimed amount', value: claim => claim.claimedAmount },
+  { header: 'Approved amount', value: claim => claim.approvedAmount },
+  { header: 'Denial reason', value: claim => claim.denialReason },
+  { header: 'Decided at', value: claim => claim.decidedAt }
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Insurance service: splits fees between patients and their insurance plan, and submits
+ * and decides claims for the insurer's share
+ */
+class InsuranceService {
+  /**
+   * Plan covering a patient's bookings: the plan in their profile, or the only accepted plan
+   * of their insurer
+   * @param {Object} patient - Patient user object with patientProfile
+   * @returns {Promise<Object>} - Insurance plan
+   */
+  async resolvePlan(patient) {
+    const insurance = patient.patientProfile?.insurance;
+
+    if (!insurance?.policyNumber || !(insurance.planId || insurance.provider)) {
+      throw ApiError.badRequest('Add your insurance plan and policy number to pay by insurance');
+    }
+
+    if (insurance.planId) {
+      const plan = await InsurancePlan.findOne({ _id: insurance.planId, isActive: true });
+
+      if (!plan) {
+        throw ApiError.badRequest('Your insurance plan is no longer accepted');
+      }
+
+      return plan;
+    }
+
+    const plans = await InsurancePlan.find({ provider: insurance.provider, isActive: true });
+
+    if (plans.length !== 1) {
+      throw ApiError.badRequest(plans.length ?
+        `Choose which ${insurance.provider} plan your policy belongs to` :
+        `${insurance.provider} insurance is not accepted`);
+    }
+
+    return plans[0];
+  }
+
+  /**
+   * Whether a doctor is in a plan's network
+   * @param {Object} plan - Insurance plan
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @returns {boolean}
+   */
+  isInNetwork(plan, doctor) {
+    const hospital = doctor.doctorProfile?.hospital;
+
+    return (plan.networkDoctors || []).some(doctorId => String(doctorId) === String(doctor._id)) ||
+      Boolean(hospital && (plan.networkClinics || []).includes(hospital));
+  }
+
+  /**
+   * Split a fee between the patient and the plan. In network the patient pays the co-pay
+   * and the part of the rest the plan doesn't cover; out of network there is no co-pay and
+   * the out-of-network coverage applies.
+   * @param {Object} plan - Insurance plan
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @param {number} amount - Fee to split
+   * @returns {Object} - { inNetwork, insurerShare, patientShare }
+   */
+  splitFee(plan, doctor, amount) {
+    const inNetwork = this.isInNetwork(plan, doctor);
+    const copay = inNetwork ? Math.min(amount, plan.copay || 0) : 0;
+    const coveragePercent = inNetwork ? plan.coveragePercent : plan.outOfNetworkCoveragePercent;
+    const insurerShare = roundAmount((amount - copay) * (coveragePercent || 0) / 100);
+
+    return {
+      inNetwork,
+      insurerShare,
+      patientShare: roundAmount(amount - insurerShare)
+    };
+  }
+
+  /**
+   * Cover a booking paid by insurance
+   * @param {Object} patient - Patient user object with patientProfile
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @param {number} amount - Fee to split
+   * @returns {Promise<Object>} - Insurance snapshot for the appointment's payment
+   */
+  async getCoverage(patient, doctor, amount) {
+    const plan = await this.resolvePlan(patient);
+    const split = this.splitFee(plan, doctor, amount);
+
+    if (!split.inNetwork && !plan.outOfNetworkCoveragePercent) {
+      throw ApiError.badRequest(`${plan.name} does not cover appointments with ${doctor.name || 'this doctor'}, who is out of network`);
+    }
+
+    return {
+      planId: plan._id,
+      planName: plan.name,
+      provider: plan.provider,
+      policyNumber: patient.patientProfile.insurance.policyNumber,
+      ...split
+    };
+  }
+
+  /**
+   * Submit the claim for a completed appointment's insurer share. Safe to call more than once.
+   * @param {Object} appointment - Completed appointment document
+   * @returns {Promise<Object|null>} - Claim, or null when there is nothing to claim
+   */
+  async submitClaim(appointment) {
+    const insurance = appointment.payment?.insurance;
+
+    if (appointment.status !== 'completed' || !(insurance?.insurerShare > 0)) {
+      return null;
+    }
+
+    const existing = await InsuranceClaim.findOne({ appointment: appointment._id });
+    if (existing) {
+      return existing;
+    }
+
+    const submittedAt = new Date();
+
+    try {
+      return await transactionManager.withTransaction(async (session) => {
+        const year = submittedAt.getUTCFullYear();
+        const seq = await Counter.next(`insurance_claim_${year}`, session);
+
+        const [claim] = await InsuranceClaim.create([{
+          claimNumber: `CLM-${year}-${String(seq).padStart(6, '0')}`,
+          appointment: appointment._id,
+          appointmentId: appointment.appointmentId,
+          patient: appointment.patientId?._id || appointment.patientId,
+          doctor: appointment.doctorId?._id || appointment.doctorId,
+          plan: insurance.planId,
+          planName: insurance.planName,
+          provider: insurance.provider,
+          policyNumber: insurance.policyNumber,
+          inNetwork: insurance.inNetwork,
+          serviceDate: appointment.startAt || appointment.date,
+          currency: appointment.payment.currency,
+          fee: roundAmount(insurance.insurerShare + insurance.patientShare),
+          patientShare: insurance.patientShare,
+          claimedAmount: insurance.insurerShare,
+          submittedAt,
+          history: [{ status: 'submitted', changedAt: submittedAt }]
+        }], { session });
+
+        return claim;
+      });
+    } catch (error) {
+      // Submitted at the same time by another request; the unique index kept only one
+      if (error.code === 11000) {
+        const claim = await InsuranceClaim.findOne({ appointment: appointment._id });
+        if (claim) {
+          return claim;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a claim without failing the caller; an admin can submit a missed claim later
+   * @param {Object} appointment - Completed appointment document
+   */
+  async submitClaimQuietly(appointment) {
+    try {
+      await this.submitClaim(appointment);
+    } catch (error) {
+      console.error(`Submitting the insurance claim for ${appointment.appointmentId} failed:`, error);
+    }
+  }
+
+  /**
+   * Approve or deny a submitted claim
+   * @param {string} claimNumber - Claim number
+   * @param {Object} admin - Admin user object
+   * @param {Object} decision - { status, approvedAmount, note }
+   * @returns {Promise<Object>} - Decided claim
+   */
+  async decideClaim(claimNumber, admin, { status, approvedAmount, note } = {}) {
+    if (!DECISIONS.includes(status)) {
+      throw ApiError.badRequest(`Status must be one of: ${DECISIONS.join(', ')}`);
+    }
+
+    const claim = await InsuranceClaim.findOne({ claimNumber });
+
+    if (!claim) {
+      throw ApiError.notFound('Claim not found');
+    }
+
+    if (claim.status !== 'submitted') {
+      throw ApiError.conflict(`Claim ${claimNumber} has already been ${claim.status}`);
+    }
+
+    const decision = { status, decidedAt: new Date(), decidedBy: admin._id };
+
+    if (status === 'approved') {
+      const amount = approvedAmount === undefined ? claim.claimedAmount : Number(approvedAmount);
+
+      if (!(amount >= 0 && amount <= claim.claimedAmount)) {
+        throw ApiError.badRequest(`Approved amount must be between 0 and the claimed ${claim.claimedAmount}`);
+      }
+
+      decision.approvedAmount = roundAmount(amount);
+    } else {
+      if (!note) {
+        throw ApiError.badRequest('A reason is required to deny a claim');
+      }
+
+      decision.denialReason = note;
+    }
+
+    // Only a claim still submitted can be decided, so two admins can't decide it twice
+    const decided = await InsuranceClaim.findOneAndUpdate(
+      { _id: claim._id, status: 'submitted' },
+      {
+        $set: decision,
+        $push: { history: { status, changedAt: decision.decidedAt, changedBy: admin._id, note } }
+      },
+      { new: true }
+    );
+
+    if (!decided) {
+      throw ApiError.conflict(`Claim ${claimNumber} has already been decided`);
+    }
+
+    return decided;
+  }
+
+  /**
+   * Write claims as CSV
+   * @param {Array} claims - Claims with populated patient and doctor
+   * @returns {string} - CSV text
+   */
+  toCsv(claims) {
+    return toCsv(EXPORT_COLUMNS, claims);
+  }
+
+  /**
+   * Shape a claim for the API
+   * @param {Object} claim - Insurance claim document
+   * @returns {Object} - Formatted claim
+   */
+  formatClaim(claim) {
+    return {
+      claimNumber: claim.claimNumber,
+      status: claim.status,
+      appointmentId: claim.appointmentId,
+      patient: claim.patient,
+      doctor: claim.doctor,
+      provider: claim.provider,
+      planName: claim.planName,
+      policyNumber: claim.policyNumber,
+      inNetwork: claim.inNetwork,
+      serviceDate: claim.serviceDate,
+      currency: claim.currency,
+      fee: claim.fee,
+      patientShare: claim.patientShare,
+      claimedAmount: claim.claimedAmount,
+      approvedAmount: claim.approvedAmount,
+      denialReason: claim.denialReason,
+      submittedAt: claim.submittedAt,
+      decidedAt: claim.decidedAt,
+      history: claim.history
+    };
+  }
+}
+
+const insuranceService = new InsuranceService();
+
+export default insuranceService;
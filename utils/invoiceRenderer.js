@@ -0,0 +1,174 @@
+import PDFDocument from 'pdfkit';
+
+const TITLES = {
+  invoice: 'Invoice',
+  credit_note: 'Credit Note'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+
+const formatDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : '';
+
+/**
+ * Text of an invoice, receipt or credit note, shared by the HTML and PDF layouts
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { receipt, issuerName }
+ * @returns {Object} - Title, detail rows, line items and totals
+ */
+const describe = (invoice, { receipt = false, issuerName } = {}) => {
+  const money = (amount) => formatMoney(amount, invoice.currency);
+  const { billTo = {}, provider = {}, service = {}, payment = {} } = invoice;
+
+  const details = [
+    [receipt ? 'Receipt for invoice' : `${TITLES[invoice.type]} number`, invoice.invoiceNumber],
+    ['Issued', formatDate(invoice.issuedAt)],
+    invoice.relatedInvoiceNumber && ['Credits invoice', invoice.relatedInvoiceNumber],
+    ['Appointment', invoice.appointmentId],
+    ['Date of service', `${formatDate(service.date)} ${service.startTime || ''}-${service.endTime || ''} (${service.timezone || 'UTC'})`],
+    ['Doctor', [provider.name, provider.specialization].filter(Boolean).join(', ')],
+    provider.hospital && ['Hospital', provider.hospital],
+    ['Billed to', [billTo.name, billTo.email].filter(Boolean).join(', ')],
+    receipt && ['Paid on', formatDate(payment.paidAt)],
+    receipt && ['Payment method', payment.method],
+    (receipt || invoice.type === 'credit_note') && ['Transaction', payment.transactionId],
+    payment.refundId && ['Refund reference', payment.refundId],
+    invoice.status === 'void' && ['Status', `VOID${invoice.voidReason ? ` - ${invoice.voidReason}` : ''}`]
+  ].filter(Boolean);
+
+  const totals = [
+    ['Subtotal', money(invoice.subtotal)],
+    [`Tax included (${invoice.taxRate || 0}%)`, money(invoice.taxAmount || 0)],
+    [receipt ? 'Amount paid' : invoice.type === 'credit_note' ? 'Amount credited' : 'Total', money(invoice.total)]
+  ];
+
+  return {
+    issuerName,
+    title: receipt ? 'Receipt' : TITLES[invoice.type],
+    details,
+    lineItems: invoice.lineItems.map(item => [item.description, money(item.amount)]),
+    totals
+  };
+};
+
+/**
+ * Render an invoice, receipt or credit note as a standalone HTML page
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { receipt, issuerName }
+ * @returns {string} - HTML
+ */
+export const renderInvoiceHtml = (invoice, options = {}) => {
+  const { issuerName, title, details, lineItems, totals } = describe(invoice, options);
+  const rows = (entries, cell = 'td') => entries
+    .map(([label, value]) => `<tr><${cell}>${escapeHtml(label)}</${cell}><td class="amount">${escapeHtml(value)}</td></tr>`)
+    .join('\n        ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} ${escapeHtml(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 6px 4px; text-align: left; border-bottom: 1px solid #ddd; }
+    .amount { text-align: right; }
+    .details td { border: none; padding: 2px 4px; }
+    .details .amount { text-align: left; }
+    .totals tr:last-child { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(issuerName)}</p>
+  <table class="details">
+    <tbody>
+        ${rows(details, 'th')}
+    </tbody>
+  </table>
+  <table>
+    <thead>
+      <tr><th>Description</th><th class="amount">Amount</th></tr>
+    </thead>
+    <tbody>
+        ${rows(lineItems)}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tbody>
+        ${rows(totals, 'th')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render an invoice, receipt or credit note as a PDF
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { receipt, issuerName }
+ * @returns {Promise<Buffer>} - PDF file
+ */
+export const renderInvoicePdf = (invoice, options = {}) => {
+  const { issuerName, title, details, lineItems, totals } = describe(invoice, options);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${title} ${invoice.invoiceNumber}` } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    const row = ([label, value], { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, left, y, { width: width * 0.65 })
+        .text(value, left + width * 0.65, y, { width: width * 0.35, align: 'right' });
+      doc.moveDown(0.3);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(20).text(title);
+    doc.font('Helvetica').fontSize(10).text(issuerName).moveDown();
+
+    details.forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value || '');
+    });
+
+    doc.moveDown();
+    row(['Description', 'Amount'], { bold: true });
+    lineItems.forEach(item => row(item));
+
+    doc.moveDown();
+    totals.forEach((total, index) => row(total, { bold: index === totals.length - 1 }));
+
+    doc.end();
+  });
+};
+
+/**
+ * Render a document as a downloadable file
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - { format: 'pdf' | 'html', receipt, issuerName }
+ * @returns {Promise<Object>} - { filename, contentType, body }
+ */
+export const renderInvoiceFile = async (invoice, { format = 'pdf', ...options } = {}) => {
+  const name = `${options.receipt ? 'receipt-' : ''}${invoice.invoiceNumber}.${format}`;
+
+  if (format === 'html') {
+    return { filename: name, contentType: 'text/html; charset=utf-8', body: renderInvoiceHtml(invoice, options) };
+  }
+
+  return { filename: name, contentType: 'application/pdf', body: await renderInvoicePdf(invoice, options) };
+};
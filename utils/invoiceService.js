@@ -0,0 +1,408 @@
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import User from '../models/users.model.js';
+import Appointment from '../models/Appointment.js';
+import ApiError from './ApiError.util.js';
+import paymentService from './paymentService.js';
+import transactionManager from './transactionManager.js';
+import { getDefaultTimezone } from './timezone.js';
+import { renderInvoiceFile } from './invoiceRenderer.js';
+
+// Number prefixes; each document type and year has its own unbroken sequence
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// Refunds an appointment can carry, each credited by its own credit note
+const REFUNDS = [
+  { kind: 'refund', path: 'cancellation', statusField: 'refundStatus', idField: 'refundId', amountField: 'refundAmount', description: 'Refund for the cancelled appointment' },
+  { kind: 'difference_refund', path: 'reassignment', statusField: 'differenceRefundStatus', idField: 'differenceRefundId', amountField: 'refundedDifference', description: 'Refund of the fee difference for a substitute doctor' }
+];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Invoice service: issues numbered invoices for paid appointments and credit notes for
+ * processed refunds
+ */
+class InvoiceService {
+  /**
+   * Tax rate in percent included in consultation fees
+   * @returns {number} - Tax rate
+   */
+  get taxRate() {
+    return parseFloat(process.env.INVOICE_TAX_RATE) || 0;
+  }
+
+  /**
+   * Name printed as the issuer of invoices
+   * @returns {string} - Issuer name
+   */
+  get issuerName() {
+    return process.env.INVOICE_ISSUER_NAME || 'Medical Appointment System';
+  }
+
+  /**
+   * Issue whatever documents an appointment is owed and does not have yet: an invoice once
+   * it is paid and a credit note for each processed refund. Safe to call repeatedly.
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<Array>} - Issued documents of the appointment, oldest first
+   */
+  async syncDocuments(appointment) {
+    const documents = await Invoice.find({ appointment: appointment._id, status: 'issued' })
+      .sort({ issuedAt: 1 });
+
+    // A rescheduled appointment hands its payment to the new appointment
+    if (appointment.status === 'rescheduled' || !appointment.payment?.paidAt ||
+      !['paid', 'refunded'].includes(appointment.payment.status)) {
+      return documents;
+    }
+
+    let invoice = documents.find(document => document.type === 'invoice');
+    if (!invoice) {
+      invoice = await this.moveRescheduledInvoice(appointment) || await this.issueInvoice(appointment);
+      documents.push(invoice);
+    }
+
+    for (const refund of REFUNDS) {
+      const record = appointment[refund.path];
+      if (record?.[refund.statusField] !== 'processed' || !(record[refund.amountField] > 0)) {
+        continue;
+      }
+
+      if (!documents.some(document => document.type === 'credit_note' && document.refundKind === refund.kind)) {
+        documents.push(await this.issueCreditNote(appointment, refund, invoice));
+      }
+    }
+
+    return documents;
+  }
+
+  /**
+   * Move the invoice of the appointment a booking was rescheduled from onto the booking, so
+   * the payment it carried over stays on a single invoice. The old invoice is voided and
+   * replaced by one for the new date and time.
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<Object|null>} - Invoice now issued for the appointment, or null if there was none to move
+   */
+  async moveRescheduledInvoice(appointment) {
+    let previousId = appointment.rescheduledFrom;
+
+    // An appointment rescheduled more than once may have been invoiced at any step
+    while (previousId) {
+      const previousInvoice = await Invoice.findOne({ appointment: previousId, type: 'invoice', status: 'issued' });
+
+      if (previousInvoice) {
+        return await this.issueInvoice(appointment, {
+          replaces: previousInvoice,
+          voidReason: `Moved to appointment ${appointment.appointmentId} when rescheduled`
+        });
+      }
+
+      previousId = (await Appointment.findById(previousId))?.rescheduledFrom;
+    }
+
+    return null;
+  }
+
+  /**
+   * Issue documents after a payment without failing the caller; anything missed is issued
+   * the next time the documents are requested
+   * @param {Object} appointment - Appointment document
+   * @returns {Promise<void>}
+   */
+  async syncDocumentsQuietly(appointment) {
+    try {
+      await this.syncDocuments(appointment);
+    } catch (error) {
+      console.error(`Issuing invoices for ${appointment.appointmentId} failed:`, error);
+    }
+  }
+
+  /**
+   * Issue the invoice for a paid appointment
+   * @param {Object} appointment - Appointment document
+   * @param {Object} options - { issuedBy, replaces, voidReason } when re-issuing
+   * @returns {Promise<Object>} - Issued invoice
+   */
+  async issueInvoice(appointment, options = {}) {
+    const { doctor, patient } = await this.loadParties(appointment);
+
+    // Amount captured, including any fee difference refunded after a substitution
+    const charged = appointment.payment.amount + (appointment.reassignment?.refundedDifference || 0);
+
+    const lineItems = doctor ?
+      paymentService.getFeeBreakdown(doctor, { bookingType: appointment.bookingType, appointmentType: appointment.appointmentType }) :
+      [];
+
+    // A promo code's discount comes off the itemised fee
+    const discount = appointment.payment.discount;
+    if (doctor && discount?.amount) {
+      lineItems.push({
+        code: 'discount',
+        description: `Discount (promo code ${discount.code})`,
+        amount: -discount.amount
+      });
+    }
+
+    // The insurer's share is claimed from the plan, not charged to the patient
+    const insurance = appointment.payment.insurance;
+    if (doctor && insurance?.insurerShare) {
+      lineItems.push({
+        code: 'insurance',
+        description: `Covered by ${insurance.provider} ${insurance.planName}`,
+        amount: -insurance.insurerShare
+      });
+    }
+
+    const itemised = lineItems.reduce((sum, item) => sum + item.amount, 0);
+
+    // The fee agreed at booking can differ from what the doctor charges today
+    if (roundAmount(charged - itemised) !== 0) {
+      lineItems.push({
+        code: 'adjustment',
+        description: lineItems.length ? 'Adjustment to the fee agreed at booking' : 'Consultation fee',
+        amount: roundAmount(charged - itemised)
+      });
+    }
+
+    return await this.create('invoice', {
+      ...this.describe(appointment, doctor, patient),
+      lineItems
+    }, options);
+  }
+
+  /**
+   * Issue a credit note for a processed refund
+   * @param {Object} appointment - Appointment document
+   * @param {Object} refund - Entry of REFUNDS
+   * @param {Object} invoice - Invoice the refund reduces
+   * @param {Object} options - { issuedBy, replaces, voidReason } when re-issuing
+   * @returns {Promise<Object>} - Issued credit note
+   */
+  async issueCreditNote(appointment, refund, invoice, options = {}) {
+    const { doctor, patient } = await this.loadParties(appointment);
+    const record = appointment[refund.path];
+    const description = refund.kind === 'refund' && record.reason ?
+      `${refund.description}: ${record.reason}` :
+      refund.description;
+
+    const document = this.describe(appointment, doctor, patient);
+
+    return await this.create('credit_note', {
+      ...document,
+      refundKind: refund.kind,
+      relatedInvoiceNumber: invoice?.invoiceNumber,
+      payment: { ...document.payment, refundId: record[refund.idField] },
+      lineItems: [{ code: 'refund', description, amount: record[refund.amountField] }]
+    }, options);
+  }
+
+  /**
+   * Void an issued document and issue a corrected one with a new number, using the
+   * appointment, patient and doctor details as they are now
+   * @param {string} invoiceNumber - Number of the document to replace
+   * @param {Object} admin - Admin user object
+   * @param {string} reason - Why the document is re-issued
+   * @returns {Promise<Object>} - { voided, issued }
+   */
+  async reissue(invoiceNumber, admin, reason) {
+    const current = await Invoice.findOne({ invoiceNumber });
+
+    if (!current) {
+      throw ApiError.notFound('Invoice not found');
+    }
+
+    if (current.status !== 'issued') {
+      throw ApiError.badRequest(`Invoice ${invoiceNumber} is void and cannot be re-issued`);
+    }
+
+    const appointment = await Appointment.findById(current.appointment);
+    if (!appointment) {
+      throw ApiError.notFound('Appointment not found');
+    }
+
+    const options = { issuedBy: admin._id, replaces: current, voidReason: reason || 'Re-issued' };
+    let issued;
+
+    if (current.type === 'invoice') {
+      issued = await this.issueInvoice(appointment, options);
+    } else {
+      const refund = REFUNDS.find(candidate => candidate.kind === current.refundKind);
+      const invoice = await Invoice.findOne({ appointment: appointment._id, type: 'invoice', status: 'issued' });
+      issued = await this.issueCreditNote(appointment, refund, invoice, options);
+    }
+
+    return {
+      voided: await Invoice.findById(current._id),
+      issued
+    };
+  }
+
+  /**
+   * Render a document for download
+   * @param {Object} invoice - Invoice document
+   * @param {Object} options - { format: 'pdf' | 'html', receipt }
+   * @returns {Promise<Object>} - { filename, contentType, body }
+   */
+  async renderFile(invoice, { format = 'pdf', receipt = false } = {}) {
+    if (!['pdf', 'html'].includes(format)) {
+      throw ApiError.badRequest('Format must be pdf or html');
+    }
+
+    if (receipt && invoice.type !== 'invoice') {
+      throw ApiError.badRequest('Receipts are only issued for invoices');
+    }
+
+    return await renderInvoiceFile(invoice, { format, receipt, issuerName: this.issuerName });
+  }
+
+  /**
+   * Summary of a document for listings
+   * @param {Object} invoice - Invoice document
+   * @returns {Object} - Formatted document
+   */
+  formatInvoice(invoice) {
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      type: invoice.type,
+      status: invoice.status,
+      appointmentId: invoice.appointmentId,
+      relatedInvoiceNumber: invoice.relatedInvoiceNumber,
+      issuedAt: invoice.issuedAt,
+      billTo: invoice.billTo,
+      provider: invoice.provider,
+      currency: invoice.currency,
+      lineItems: invoice.lineItems,
+      subtotal: invoice.subtotal,
+      taxRate: invoice.taxRate,
+      taxAmount: invoice.taxAmount,
+      total: invoice.total,
+      voidedAt: invoice.voidedAt,
+      voidReason: invoice.voidReason
+    };
+  }
+
+  /**
+   * Number a document and save it, voiding the document it replaces in the same transaction
+   * so numbers are never skipped and an appointment never has two issued invoices
+   * @private
+   */
+  async create(type, data, { issuedBy, replaces, voidReason } = {}) {
+    const total = roundAmount(data.lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const taxRate = this.taxRate;
+    const issuedAt = new Date();
+
+    try {
+      return await transactionManager.withTransaction(async (session) => {
+        if (replaces) {
+          const voided = await Invoice.findOneAndUpdate(
+            { _id: replaces._id, status: 'issued' },
+            { $set: { status: 'void', voidedAt: issuedAt, voidReason } },
+            { new: true, session }
+          );
+
+          if (!voided) {
+            throw ApiError.conflict(`Invoice ${replaces.invoiceNumber} has already been re-issued`);
+          }
+        }
+
+        const year = issuedAt.getUTCFullYear();
+        const seq = await Counter.next(`${type}_${year}`, session);
+
+        const [document] = await Invoice.create([{
+          ...data,
+          type,
+          invoiceNumber: `${NUMBER_PREFIXES[type]}-${year}-${String(seq).padStart(6, '0')}`,
+          issuedAt,
+          issuedBy,
+          replaces: replaces?._id,
+          subtotal: total,
+          taxRate,
+          // Fees include tax, so the tax is the share of the total above the pre-tax price
+          taxAmount: roundAmount(total * taxRate / (100 + taxRate)),
+          total
+        }], { session });
+
+        if (replaces) {
+          await Invoice.updateOne({ _id: replaces._id }, { $set: { replacedBy: document._id } }, { session });
+        }
+
+        return document;
+      });
+    } catch (error) {
+      // Issued at the same time by another request; the unique index kept only one
+      if (error.code === 11000 && !replaces) {
+        const existing = await Invoice.findOne({
+          appointment: data.appointment,
+          type,
+          refundKind: data.refundKind,
+          status: 'issued'
+        });
+        if (existing) {
+          return existing;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Details shared by every document of an appointment
+   * @private
+   */
+  describe(appointment, doctor, patient) {
+    return {
+      appointment: appointment._id,
+      appointmentId: appointment.appointmentId,
+      patient: patient?._id || appointment.patientId,
+      doctor: doctor?._id,
+      billTo: {
+        name: patient?.name,
+        email: patient?.email,
+        phone: patient?.profile?.phone
+      },
+      provider: {
+        name: doctor?.name,
+        specialization: doctor?.doctorProfile?.specialization,
+        hospital: doctor?.doctorProfile?.hospital
+      },
+      service: {
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        timezone: appointment.timezone || getDefaultTimezone(),
+        bookingType: appointment.bookingType
+      },
+      payment: {
+        method: appointment.payment.paymentMethod,
+        transactionId: appointment.payment.transactionId,
+        paidAt: appointment.payment.paidAt
+      },
+      currency: appointment.payment.currency || 'USD'
+    };
+  }
+
+  /**
+   * Doctor and patient of an appointment, using populated references when present
+   * @private
+   */
+  async loadParties(appointment) {
+    const load = async (reference) => {
+      if (reference?.name) {
+        return reference;
+      }
+      return reference ? await User.findById(reference._id || reference) : null;
+    };
+
+    return {
+      doctor: await load(appointment.doctorId),
+      patient: await load(appointment.patientId)
+    };
+  }
+}
+
+const invoiceService = new InvoiceService();
+
+export default invoiceService;
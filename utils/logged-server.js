@@ -9,6 +9,9 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Credentials some clients must pass in the query string are kept out of the logs
+const redactUrl = (url) => url.replace(/([?&](?:access_token|ticket)=)[^&]*/g, '$1[REDACTED]');
+
 const createLogger = (logFileName) => {
     const date = new Date().toISOString().split('T')[0];
     const logPath = path.join(__dirname, '..', 'logs', `${logFileName}-${date}.log`);
@@ -39,14 +42,19 @@ const loggedServer = (port, callback, logFileName = 'app') => {
     const logger = createLogger(logFileName);
     const app = express();
 
-    app.use(express.json());
+    // Keep the raw body so webhook signatures can be checked against exactly what was sent
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
 
     app.use((req, res, next) => {
         const logData = {
             time: new Date().toISOString(),
             ip: req.headers["x-forwarded-for"] || req.ip,
             method: req.method,
-            url: req.originalUrl,
+            url: redactUrl(req.originalUrl),
             userAgent: req.headers["user-agent"],
             body: req.body,
         };
@@ -57,8 +65,9 @@ const loggedServer = (port, callback, logFileName = 'app') => {
 
     return {
         app,
+        // Returns the HTTP server, e.g. to attach WebSocket endpoints
         start: () => {
-            app.listen(port, () => {
+            return app.listen(port, () => {
                 console.log(`Server is running on port ${port}`);
                 if (callback) callback();
             });
@@ -0,0 +1,381 @@
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import Appointment from '../models/Appointment.js';
+import User from '../models/users.model.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import distributedLock from './distributedLock.js';
+import transactionManager from './transactionManager.js';
+import paymentService from './paymentService.js';
+import notificationService from './notificationService.js';
+import retryUtility from './retryUtility.js';
+import {
+  addDays,
+  getDoctorTimezone,
+  getEndInstant,
+  getStartInstant,
+  getZonedTimes,
+  startOfDay,
+  zonedTimeToUtc
+} from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range one mass cancellation may cover
+const MAX_RANGE_DAYS = 31;
+
+// Alternative slots suggested per doctor in the cancellation notice
+const ALTERNATIVE_COUNT = 3;
+
+// Appointments the doctor has not started yet; in_consultation ones are left alone
+const CANCELLABLE_STATUSES = ['pending', 'confirmed', 'checked_in'];
+
+/**
+ * Check a calendar date and optional HH:MM time from the request
+ * @returns {boolean}
+ */
+const isValidDate = (date) => /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !isNaN(new Date(date));
+const isValidTime = (time) => /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(time);
+
+/**
+ * Mass cancellation service: cancels everything booked with a doctor over a date/time
+ * range with full refunds, blocks the slots and reports what happened to each booking
+ */
+class MassCancellationService {
+  /**
+   * Resolve the requested range to UTC instants in the doctor's timezone
+   * @param {Object} doctor - Doctor user object
+   * @param {Object} rangeData - { startDate, endDate, startTime, endTime }
+   * @returns {Object} - { from, to, startDate, endDate, timezone }
+   */
+  resolveRange(doctor, { startDate, endDate = startDate, startTime, endTime } = {}) {
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      throw ApiError.badRequest('Start and end dates must be in YYYY-MM-DD format');
+    }
+
+    if ([startTime, endTime].some(time => time !== undefined && !isValidTime(time))) {
+      throw ApiError.badRequest('Times must be in HH:MM format');
+    }
+
+    const timezone = getDoctorTimezone(doctor);
+    const from = zonedTimeToUtc(startDate, startTime || '00:00', timezone);
+    // Without an end time the range runs to the end of the end date
+    const to = endTime
+      ? zonedTimeToUtc(endDate, endTime, timezone)
+      : zonedTimeToUtc(addDays(endDate, 1), '00:00', timezone);
+
+    if (to <= from) {
+      throw ApiError.badRequest('Range end must be after its start');
+    }
+
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      throw ApiError.badRequest(`A mass cancellation cannot cover more than ${MAX_RANGE_DAYS} days`);
+    }
+
+    return { from, to, startDate: startOfDay(startDate), endDate: startOfDay(endDate), timezone };
+  }
+
+  /**
+   * Cancel every booking with a doctor in a range, refund it in full, block the slots
+   * and notify patients with alternative slots
+   * @param {Object} doctor - Doctor user object
+   * @param {Object} cancellationData - Range, reason and initiatedBy ('doctor' or 'clinic')
+   * @param {Object} actor - Staff or admin user running the cancellation
+   * @returns {Promise<Object>} - Report of each booking's outcome
+   */
+  async cancelRange(doctor, cancellationData = {}, actor) {
+    const { reason = 'Doctor unavailable', initiatedBy = 'doctor' } = cancellationData;
+
+    if (!['doctor', 'clinic'].includes(initiatedBy)) {
+      throw ApiError.badRequest('initiatedBy must be either doctor or clinic');
+    }
+
+    const range = this.resolveRange(doctor, cancellationData);
+    const now = new Date();
+
+    // Slots overlapping the range that have not ended yet
+    const candidates = await AvailabilitySlot.find({
+      doctorId: doctor._id,
+      date: { $gte: range.startDate, $lt: addDays(range.endDate, 1) },
+      status: { $in: ['available', 'booked'] }
+    }).sort({ date: 1, startTime: 1 });
+
+    const overlapping = candidates.filter(slot => getStartInstant(slot) < range.to &&
+      getEndInstant(slot) > range.from && getEndInstant(slot) > now);
+
+    // A longer appointment's later slots are withdrawn along with the slot it starts in
+    const startSlotIds = overlapping
+      .filter(slot => slot.continuationOf && !overlapping.some(other => String(other._id) === String(slot.continuationOf)))
+      .map(slot => slot.continuationOf);
+    const startSlots = startSlotIds.length > 0
+      ? await AvailabilitySlot.find({ _id: { $in: startSlotIds }, status: 'booked' })
+      : [];
+    const slots = [...startSlots, ...overlapping.filter(slot => !slot.continuationOf)];
+
+    const alternatives = await this.findAlternatives(doctor, range, slots, now);
+    const cancelledBy = initiatedBy === 'doctor' ? doctor : actor;
+
+    const report = {
+      appointments: [],
+      failures: [],
+      slotsBlocked: 0
+    };
+
+    for (const slot of slots) {
+      try {
+        const outcome = await distributedLock.withLock(`slot_booking_${slot._id}`, async () => {
+          return await this.withdrawSlot(slot, { reason, initiatedBy, actor });
+        });
+
+        if (outcome.blocked) {
+          report.slotsBlocked++;
+
+          await redisCache.publish('slot_updates', {
+            slotId: slot._id,
+            doctorId: doctor._id,
+            blockedBy: actor._id,
+            action: 'blocked',
+            status: 'blocked',
+            timestamp: new Date()
+          });
+        }
+
+        for (const { appointment, previousStatus } of outcome.cancelled) {
+          report.appointments.push({
+            ...await this.settle(appointment, { cancelledBy, doctor, alternatives }),
+            previousStatus
+          });
+        }
+
+        outcome.skipped.forEach(appointment => report.appointments.push({
+          ...this.formatEntry(appointment),
+          outcome: 'skipped',
+          note: 'Consultation already in progress'
+        }));
+      } catch (error) {
+        report.failures.push({
+          slotId: slot._id,
+          date: slot.date,
+          startTime: slot.startTime,
+          error: error.message
+        });
+      }
+    }
+
+    // Clear cache
+    await redisCache.del(`doctor_slots_${doctor._id}`);
+
+    const cancelled = report.appointments.filter(entry => entry.outcome === 'cancelled');
+
+    return {
+      doctor: {
+        id: doctor._id,
+        name: doctor.name,
+        specialization: doctor.doctorProfile?.specialization
+      },
+      range: {
+        from: range.from,
+        to: range.to,
+        timezone: range.timezone
+      },
+      reason,
+      initiatedBy,
+      summary: {
+        slotsBlocked: report.slotsBlocked,
+        appointmentsCancelled: cancelled.length,
+        appointmentsSkipped: report.appointments.length - cancelled.length,
+        slotsFailed: report.failures.length,
+        refundsProcessed: cancelled.filter(entry => entry.refund.status === 'processed').length,
+        refundsFailed: cancelled.filter(entry => entry.refund.status === 'failed').length,
+        totalRefunded: cancelled
+          .filter(entry => entry.refund.status === 'processed')
+          .reduce((sum, entry) => sum + entry.refund.amount, 0),
+        patientsNotified: cancelled.filter(entry => entry.notified).length
+      },
+      appointments: report.appointments,
+      failures: report.failures,
+      alternatives
+    };
+  }
+
+  /**
+   * Cancel a slot's bookings and block it in one transaction. A slot whose patient is
+   * already with the doctor is left as it is.
+   * @param {Object} slot - Slot to withdraw
+   * @param {Object} options - { reason, initiatedBy, actor }
+   * @returns {Promise<Object>} - { blocked, cancelled: [{ appointment, previousStatus }], skipped }
+   */
+  async withdrawSlot(slot, { reason, initiatedBy, actor }) {
+    return await transactionManager.withTransaction(async (session) => {
+      const appointments = await Appointment.find({
+        slotId: slot._id,
+        status: { $in: [...CANCELLABLE_STATUSES, 'in_consultation'] }
+      })
+        .populate('patientId', 'name email profile')
+        .session(session);
+
+      if (appointments.some(appointment => appointment.status === 'in_consultation')) {
+        return { blocked: false, cancelled: [], skipped: appointments };
+      }
+
+      const cancelled = [];
+      for (const appointment of appointments) {
+        const previousStatus = appointment.status;
+        await appointment.cancel(actor._id, reason, session, initiatedBy);
+        cancelled.push({ appointment, previousStatus });
+      }
+
+      const blockedSlot = await slot.withdrawSlot(actor._id, reason, session);
+      if (!blockedSlot) {
+        throw ApiError.conflict('Slot changed while it was being cancelled');
+      }
+
+      return { blocked: true, cancelled, skipped: [] };
+    });
+  }
+
+  /**
+   * Refund, notify and announce a cancelled appointment
+   * @param {Object} appointment - Cancelled appointment with populated patient
+   * @param {Object} options - { cancelledBy, doctor, alternatives }
+   * @returns {Promise<Object>} - Report entry
+   */
+  async settle(appointment, { cancelledBy, doctor, alternatives }) {
+    // Process refund if payment was made
+    if (appointment.payment.status === 'paid' && appointment.cancellation.refundAmount > 0) {
+      try {
+        const refundResult = await retryUtility.withPaymentRetry(async () => {
+          return await paymentService.processRefund(appointment, appointment.cancellation.refundAmount);
+        });
+
+        if (refundResult.success) {
+          appointment.cancellation.refundStatus = paymentService.getRefundStatus(refundResult);
+          appointment.cancellation.refundId = refundResult.refundId;
+        } else {
+          appointment.cancellation.refundStatus = 'failed';
+        }
+      } catch (refundError) {
+        console.error('Refund processing failed:', refundError);
+        appointment.cancellation.refundStatus = 'failed';
+      }
+      await appointment.save();
+    }
+
+    let notified = false;
+    try {
+      await retryUtility.withNotificationRetry(async () => {
+        const result = await notificationService.sendCancellationNotification(
+          appointment,
+          cancelledBy,
+          appointment.patientId,
+          doctor,
+          { alternatives }
+        );
+        notified = Boolean(result?.results?.email?.patient);
+      });
+    } catch (notificationError) {
+      console.error('Cancellation notification failed:', notificationError);
+    }
+
+    await redisCache.publish('appointment_updates', {
+      appointmentId: appointment._id,
+      slotId: appointment.slotId,
+      doctorId: appointment.doctorId,
+      action: 'cancelled',
+      status: appointment.status,
+      timestamp: new Date()
+    });
+
+    return {
+      ...this.formatEntry(appointment),
+      outcome: 'cancelled',
+      refund: {
+        amount: appointment.cancellation.refundAmount || 0,
+        status: appointment.cancellation.refundStatus
+      },
+      notified
+    };
+  }
+
+  /**
+   * Open slots to suggest instead: the doctor's next slots after the range and slots
+   * with colleagues of the same specialization at the same hospital
+   * @param {Object} doctor - Doctor user object
+   * @param {Object} range - Resolved range
+   * @param {Array} withdrawn - Slots being cancelled
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} - Suggested slots
+   */
+  async findAlternatives(doctor, range, withdrawn, now) {
+    const withdrawnIds = withdrawn.map(slot => slot._id);
+    const openAfter = async (doctorIds, after) => {
+      const slots = await AvailabilitySlot.find({
+        _id: { $nin: withdrawnIds },
+        doctorId: { $in: doctorIds },
+        // Slot dates are doctor-local, so start a day early and filter on the instant
+        date: { $gte: addDays(after, -1) },
+        status: 'available',
+        ...AvailabilitySlot.notHeldCondition(now)
+      })
+        .populate('doctorId', 'name doctorProfile')
+        .sort({ date: 1, startTime: 1 })
+        .limit(ALTERNATIVE_COUNT * 4);
+
+      return slots.filter(slot => getStartInstant(slot) >= after).slice(0, ALTERNATIVE_COUNT);
+    };
+
+    const suggestions = await openAfter([doctor._id], range.to > now ? range.to : now);
+
+    const specialization = doctor.doctorProfile?.specialization;
+    if (specialization) {
+      const colleagues = await User.find({
+        _id: { $ne: doctor._id },
+        role: 'doctor',
+        isActive: true,
+        'doctorProfile.specialization': specialization,
+        ...(doctor.doctorProfile?.hospital && { 'doctorProfile.hospital': doctor.doctorProfile.hospital })
+      }).select('_id');
+
+      if (colleagues.length > 0) {
+        suggestions.push(...await openAfter(colleagues.map(colleague => colleague._id), range.from > now ? range.from : now));
+      }
+    }
+
+    return suggestions.map(slot => ({
+      slotId: slot._id,
+      doctor: {
+        id: slot.doctorId?._id,
+        name: slot.doctorId?.name,
+        specialization: slot.doctorId?.doctorProfile?.specialization
+      },
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      ...getZonedTimes(slot)
+    }));
+  }
+
+  /**
+   * Shape an appointment for the report
+   * @private
+   */
+  formatEntry(appointment) {
+    return {
+      appointmentId: appointment.appointmentId,
+      slotId: appointment.slotId,
+      patient: {
+        id: appointment.patientId?._id,
+        name: appointment.patientId?.name,
+        email: appointment.patientId?.email,
+        phone: appointment.patientId?.profile?.phone
+      },
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      status: appointment.status
+    };
+  }
+}
+
+const massCancellationService = new MassCancellationService();
+
+export default massCancellationService;
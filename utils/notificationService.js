@@ -1,4 +1,5 @@
 import { sendEmail } from './email.js';
+import { formatCalendarDate, formatInTimezone, getDefaultTimezone } from './timezone.js';
 
 /**
  * Notification service for sending emails and SMS
@@ -52,9 +53,12 @@ class NotificationService {
    * @param {Object} cancelledBy - User who cancelled
    * @param {Object} patient - Patient user object
    * @param {Object} doctor - Doctor user object
+   * @param {Object} options - Notification options
+   * @param {Array} options.alternatives - Open slots suggested to the patient for rebooking
    * @returns {Promise<Object>} - Notification result
    */
-  async sendCancellationNotification(appointment, cancelledBy, patient, doctor) {
+  async sendCancellationNotification(appointment, cancelledBy, patient, doctor, options = {}) {
+    const { alternatives = [] } = options;
     const results = {
       email: { patient: false, doctor: false },
       sms: { patient: false, doctor: false }
@@ -62,7 +66,7 @@ class NotificationService {
 
     try {
       // Send email to patient
-      const patientEmailResult = await this.sendCancellationEmail(patient, doctor, appointment, cancelledBy);
+      const patientEmailResult = await this.sendCancellationEmail(patient, doctor, appointment, cancelledBy, alternatives);
       results.email.patient = patientEmailResult.success;
 
       // Send email to doctor
@@ -70,7 +74,7 @@ class NotificationService {
       results.email.doctor = doctorEmailResult.success;
 
       // Send SMS notifications
-      results.sms.patient = await this.sendCancellationSMS(patient, appointment);
+      results.sms.patient = await this.sendCancellationSMS(patient, appointment, alternatives);
       results.sms.doctor = await this.sendCancellationSMS(doctor, appointment);
 
       return {
@@ -92,9 +96,13 @@ class NotificationService {
    * @param {Object} appointment - Appointment object
    * @param {Object} patient - Patient user object
    * @param {Object} doctor - Doctor user object
+   * @param {Object} options - Reminder options
+   * @param {number} options.leadTime - Minutes before the appointment the reminder is for
    * @returns {Promise<Object>} - Notification result
    */
-  async sendAppointmentReminder(appointment, patient, doctor) {
+  async sendAppointmentReminder(appointment, patient, doctor, options = {}) {
+    const when = this.describeLeadTime(options.leadTime);
+
     const results = {
       email: { patient: false },
       sms: { patient: false }
@@ -102,11 +110,11 @@ class NotificationService {
 
     try {
       // Send reminder email to patient
-      const emailResult = await this.sendReminderEmail(patient, doctor, appointment);
+      const emailResult = await this.sendReminderEmail(patient, doctor, appointment, when);
       results.email.patient = emailResult.success;
 
       // Send reminder SMS to patient
-      results.sms.patient = await this.sendReminderSMS(patient, appointment);
+      results.sms.patient = await this.sendReminderSMS(patient, appointment, when);
 
       return {
         success: true,
@@ -122,6 +130,160 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify a patient that an unpaid booking was released
+   * @param {Object} appointment - Appointment object
+   * @param {Object} patient - Patient user object
+   * @param {Object} doctor - Doctor user object
+   * @returns {Promise<Object>} - Notification result
+   */
+  async sendPaymentExpiredNotification(appointment, patient, doctor) {
+    const results = {
+      email: { patient: false },
+      sms: { patient: false }
+    };
+
+    try {
+      const emailResult = await this.sendPaymentExpiredEmail(patient, doctor, appointment);
+      results.email.patient = emailResult.success;
+
+      results.sms.patient = await this.sendPaymentExpiredSMS(patient, appointment);
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Payment expiry notification error:', error);
+      return {
+        success: false,
+        error: error.message,
+        results
+      };
+    }
+  }
+
+  /**
+   * Notify a waitlisted patient that a slot is being held for them
+   * @param {Object} entry - Waitlist entry
+   * @param {Object} slot - Held availability slot
+   * @param {Object} patient - Patient user object
+   * @param {Object} doctor - Doctor user object
+   * @returns {Promise<Object>} - Notification result
+   */
+  async sendWaitlistOffer(entry, slot, patient, doctor) {
+    const results = {
+      email: { patient: false },
+      sms: { patient: false }
+    };
+
+    try {
+      const emailResult = await this.sendWaitlistOfferEmail(patient, doctor, slot, entry);
+      results.email.patient = emailResult.success;
+
+      results.sms.patient = await this.sendWaitlistOfferSMS(patient, slot, entry);
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Waitlist offer notification error:', error);
+      return {
+        success: false,
+        error: error.message,
+        results
+      };
+    }
+  }
+
+  /**
+   * Notify patient and doctor that an appointment moved to a new time
+   * @param {Object} previousAppointment - Appointment that was rescheduled
+   * @param {Object} appointment - New appointment
+   * @param {Object} patient - Patient user object
+   * @param {Object} doctor - Doctor user object
+   * @returns {Promise<Object>} - Notification result
+   */
+  async sendRescheduleNotification(previousAppointment, appointment, patient, doctor) {
+    const results = {
+      email: { patient: false, doctor: false },
+      sms: { patient: false, doctor: false }
+    };
+
+    try {
+      const patientEmailResult = await this.sendRescheduleEmail(patient, doctor, previousAppointment, appointment, 'patient');
+      results.email.patient = patientEmailResult.success;
+
+      const doctorEmailResult = await this.sendRescheduleEmail(doctor, patient, previousAppointment, appointment, 'doctor');
+      results.email.doctor = doctorEmailResult.success;
+
+      results.sms.patient = await this.sendRescheduleSMS(patient, previousAppointment, appointment);
+      results.sms.doctor = await this.sendRescheduleSMS(doctor, previousAppointment, appointment);
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Reschedule notification error:', error);
+      return {
+        success: false,
+        error: error.message,
+        results
+      };
+    }
+  }
+
+  /**
+   * Send notification that an appointment moved to a substitute doctor
+   * @param {Object} appointment - Reassigned appointment
+   * @param {Object} previousDoctor - Doctor the appointment was with
+   * @param {Object} substitute - Substitute doctor
+   * @param {Object} patient - Patient user object
+   * @returns {Promise<Object>} - Notification result
+   */
+  async sendReassignmentNotification(appointment, previousDoctor, substitute, patient) {
+    const results = {
+      email: { patient: false, doctor: false },
+      sms: { patient: false }
+    };
+
+    try {
+      const patientEmailResult = await this.sendReassignmentEmail(patient, previousDoctor, substitute, appointment);
+      results.email.patient = patientEmailResult.success;
+
+      // The substitute gets the booking as a new appointment
+      const doctorEmailResult = await this.sendBookingEmail(substitute, patient, appointment, 'doctor');
+      results.email.doctor = doctorEmailResult.success;
+
+      results.sms.patient = await this.sendReassignmentSMS(patient, substitute, appointment);
+
+      return {
+        success: true,
+        results
+      };
+    } catch (error) {
+      console.error('Reassignment notification error:', error);
+      return {
+        success: false,
+        error: error.message,
+        results
+      };
+    }
+  }
+
+  /**
+   * Describe how far away an appointment is for reminder copy
+   * @private
+   */
+  describeLeadTime(leadTime) {
+    if (!leadTime || leadTime >= 12 * 60) return 'tomorrow';
+    if (leadTime >= 120) return `in ${Math.round(leadTime / 60)} hours`;
+    if (leadTime >= 60) return 'in 1 hour';
+    return `in ${leadTime} minutes`;
+  }
+
   /**
    * Send booking confirmation email
    * @private
@@ -138,7 +300,7 @@ class NotificationService {
           <h3>Appointment Details</h3>
           <p><strong>Appointment ID:</strong> ${appointment.appointmentId}</p>
           <p><strong>${recipientType === 'patient' ? 'Doctor' : 'Patient'}:</strong> ${otherParty.name}</p>
-          <p><strong>Date:</strong> ${appointment.date.toLocaleDateString()}</p>
+          <p><strong>Date:</strong> ${formatCalendarDate(appointment.date)}</p>
           <p><strong>Time:</strong> ${appointment.startTime} - ${appointment.endTime}</p>
           <p><strong>Status:</strong> ${appointment.status}</p>
           ${appointment.reason ? `<p><strong>Reason:</strong> ${appointment.reason}</p>` : ''}
@@ -165,7 +327,7 @@ class NotificationService {
    * Send cancellation email
    * @private
    */
-  async sendCancellationEmail(recipient, otherParty, appointment, cancelledBy) {
+  async sendCancellationEmail(recipient, otherParty, appointment, cancelledBy, alternatives = []) {
     const subject = `Appointment Cancelled: ${appointment.appointmentId}`;
 
     const html = `
@@ -177,7 +339,7 @@ class NotificationService {
           <h3>Cancelled Appointment Details</h3>
           <p><strong>Appointment ID:</strong> ${appointment.appointmentId}</p>
           <p><strong>${recipient === cancelledBy ? 'You cancelled' : 'Cancelled by'}:</strong> ${cancelledBy.name}</p>
-          <p><strong>Original Date:</strong> ${appointment.date.toLocaleDateString()}</p>
+          <p><strong>Original Date:</strong> ${formatCalendarDate(appointment.date)}</p>
           <p><strong>Original Time:</strong> ${appointment.startTime} - ${appointment.endTime}</p>
           ${appointment.cancellation?.reason ? `<p><strong>Cancellation Reason:</strong> ${appointment.cancellation.reason}</p>` : ''}
         </div>
@@ -188,6 +350,15 @@ class NotificationService {
           '<p>No refund is applicable for this cancellation.</p>'
         }
 
+        ${alternatives.length > 0 ? `
+        <div style="background-color: #e8f5e9; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>Suggested Alternative Slots</h3>
+          <ul>
+            ${alternatives.map(slot => `<li>${slot.doctor.name}: ${formatCalendarDate(slot.date)}, ${slot.startTime} - ${slot.endTime} (${slot.timezone})</li>`).join('')}
+          </ul>
+          <p>Book one of these from your appointments page while it is still open.</p>
+        </div>` : ''}
+
         <p>If you have any questions, please contact our support team.</p>
 
         <p>Best regards,<br>Medical Appointment System</p>
@@ -207,7 +378,7 @@ class NotificationService {
    * Send reminder email
    * @private
    */
-  async sendReminderEmail(patient, doctor, appointment) {
+  async sendReminderEmail(patient, doctor, appointment, when = 'tomorrow') {
     const subject = `Appointment Reminder: ${appointment.appointmentId}`;
 
     const html = `
@@ -216,10 +387,10 @@ class NotificationService {
         <p>Dear ${patient.name},</p>
 
         <div style="background-color: #e3f2fd; padding: 20px; margin: 20px 0; border-radius: 5px;">
-          <h3>Your appointment is tomorrow!</h3>
+          <h3>Your appointment is ${when}!</h3>
           <p><strong>Appointment ID:</strong> ${appointment.appointmentId}</p>
           <p><strong>Doctor:</strong> ${doctor.name}</p>
-          <p><strong>Date:</strong> ${appointment.date.toLocaleDateString()}</p>
+          <p><strong>Date:</strong> ${formatCalendarDate(appointment.date)}</p>
           <p><strong>Time:</strong> ${appointment.startTime} - ${appointment.endTime}</p>
         </div>
 
@@ -245,6 +416,159 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send payment expired email
+   * @private
+   */
+  async sendPaymentExpiredEmail(patient, doctor, appointment) {
+    const subject = `Booking Released: ${appointment.appointmentId}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Booking Released</h2>
+        <p>Dear ${patient.name},</p>
+
+        <div style="background-color: #fff3e0; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>Payment Not Received</h3>
+          <p><strong>Appointment ID:</strong> ${appointment.appointmentId}</p>
+          <p><strong>Doctor:</strong> ${doctor.name}</p>
+          <p><strong>Date:</strong> ${formatCalendarDate(appointment.date)}</p>
+          <p><strong>Time:</strong> ${appointment.startTime} - ${appointment.endTime}</p>
+        </div>
+
+        <p>We did not receive payment for this booking in time, so the slot has been released.</p>
+        <p>You have not been charged. You are welcome to book again if the slot is still available.</p>
+
+        <p>Best regards,<br>Medical Appointment System</p>
+      </div>
+    `;
+
+    try {
+      const result = await sendEmail(patient.email, subject, html);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send reschedule email
+   * @private
+   */
+  async sendRescheduleEmail(recipient, otherParty, previousAppointment, appointment, recipientType) {
+    const subject = `Appointment Rescheduled: ${appointment.appointmentId}`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Appointment Rescheduled</h2>
+        <p>Dear ${recipient.name},</p>
+
+        <div style="background-color: #e3f2fd; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>New Appointment Details</h3>
+          <p><strong>Appointment ID:</strong> ${appointment.appointmentId}</p>
+          <p><strong>${recipientType === 'patient' ? 'Doctor' : 'Patient'}:</strong> ${otherParty.name}</p>
+          <p><strong>Date:</strong> ${formatCalendarDate(appointment.date)}</p>
+          <p><strong>Time:</strong> ${appointment.startTime} - ${appointment.endTime}</p>
+          <p><strong>Previously:</strong> ${formatCalendarDate(previousAppointment.date)} at ${previousAppointment.startTime} (${previousAppointment.appointmentId})</p>
+        </div>
+
+        ${recipientType === 'patient' ?
+          '<p>Your payment has been carried over to the new appointment.</p>' :
+          ''
+        }
+
+        <p>Best regards,<br>Medical Appointment System</p>
+      </div>
+    `;
+
+    try {
+      const result = await sendEmail(recipient.email, subject, html);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send reassignment email
+   * @private
+   */
+  async sendReassignmentEmail(patient, previousDoctor, substitute, appointment) {
+    const subject = `New Doctor for Appointment ${appointment.appointmentId}`;
+    const { refundedDifference = 0 } = appointment.reassignment || {};
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your Appointment Has a New Doctor</h2>
+        <p>Dear ${patient.name},</p>
+
+        <p>${previousDoctor.name} is unavailable, so your appointment has been moved to ${substitute.name}, who has the same specialization.</p>
+
+        <div style="background-color: #e3f2fd; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>Updated Appointment Details</h3>
+          <p><strong>Appointment ID:</strong> ${appointment.appointmentId}</p>
+          <p><strong>Doctor:</strong> ${substitute.name}</p>
+          <p><strong>Date:</strong> ${formatCalendarDate(appointment.date)}</p>
+          <p><strong>Time:</strong> ${appointment.startTime} - ${appointment.endTime}</p>
+        </div>
+
+        ${refundedDifference > 0 ?
+          `<p>The new consultation costs less, so $${refundedDifference} (${appointment.payment.currency}) will be refunded to you.</p>` :
+          ''
+        }
+
+        <p>If this doesn't suit you, you can decline the new doctor from your appointments page and the appointment will be cancelled with a full refund.</p>
+
+        <p>Best regards,<br>Medical Appointment System</p>
+      </div>
+    `;
+
+    try {
+      const result = await sendEmail(patient.email, subject, html);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send waitlist offer email
+   * @private
+   */
+  async sendWaitlistOfferEmail(patient, doctor, slot, entry) {
+    const subject = `A slot with ${doctor.name} is available`;
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>A Slot Opened Up</h2>
+        <p>Dear ${patient.name},</p>
+
+        <div style="background-color: #e8f5e9; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <h3>Slot Held For You</h3>
+          <p><strong>Doctor:</strong> ${doctor.name}</p>
+          <p><strong>Date:</strong> ${formatCalendarDate(slot.date)}</p>
+          <p><strong>Time:</strong> ${slot.startTime} - ${slot.endTime}</p>
+          <p><strong>Hold expires:</strong> ${entry.offer.expiresAt.toLocaleString()}</p>
+        </div>
+
+        <p>Book this slot before the hold expires. After that it will be offered to the next patient on the waitlist.</p>
+
+        <p>Best regards,<br>Medical Appointment System</p>
+      </div>
+    `;
+
+    try {
+      const result = await sendEmail(patient.email, subject, html);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Send booking SMS (stub)
    * @private
@@ -255,8 +579,8 @@ class NotificationService {
       // like Twilio, AWS SNS, etc.
 
       const message = recipientType === 'patient'
-        ? `Your appointment ${appointment.appointmentId} is confirmed for ${appointment.date.toLocaleDateString()} at ${appointment.startTime}.`
-        : `New appointment ${appointment.appointmentId} scheduled for ${appointment.date.toLocaleDateString()} at ${appointment.startTime}.`;
+        ? `Your appointment ${appointment.appointmentId} is confirmed for ${formatCalendarDate(appointment.date)} at ${appointment.startTime}.`
+        : `New appointment ${appointment.appointmentId} scheduled for ${formatCalendarDate(appointment.date)} at ${appointment.startTime}.`;
 
       console.log(`SMS Stub: Sending to ${recipient.profile?.phone || 'N/A'}: ${message}`);
 
@@ -274,9 +598,11 @@ class NotificationService {
    * Send cancellation SMS (stub)
    * @private
    */
-  async sendCancellationSMS(recipient, appointment) {
+  async sendCancellationSMS(recipient, appointment, alternatives = []) {
     try {
-      const message = `Your appointment ${appointment.appointmentId} has been cancelled.`;
+      const [next] = alternatives;
+      const message = `Your appointment ${appointment.appointmentId} has been cancelled.` +
+        (next ? ` Next open slot: ${next.doctor.name}, ${formatCalendarDate(next.date)} at ${next.startTime}.` : '');
 
       console.log(`SMS Stub: Sending to ${recipient.profile?.phone || 'N/A'}: ${message}`);
 
@@ -293,9 +619,85 @@ class NotificationService {
    * Send reminder SMS (stub)
    * @private
    */
-  async sendReminderSMS(patient, appointment) {
+  async sendReminderSMS(patient, appointment, when = 'tomorrow') {
+    try {
+      const message = `Reminder: Your appointment ${appointment.appointmentId} is ${when} at ${appointment.startTime}.`;
+
+      console.log(`SMS Stub: Sending to ${patient.profile?.phone || 'N/A'}: ${message}`);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return true;
+    } catch (error) {
+      console.error('SMS sending error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send waitlist offer SMS (stub)
+   * @private
+   */
+  async sendWaitlistOfferSMS(patient, slot, entry) {
+    try {
+      const message = `A slot on ${formatCalendarDate(slot.date)} at ${slot.startTime} is held for you until ${formatInTimezone(entry.offer.expiresAt, slot.timezone || getDefaultTimezone()).time}. Book now to keep it.`;
+
+      console.log(`SMS Stub: Sending to ${patient.profile?.phone || 'N/A'}: ${message}`);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return true;
+    } catch (error) {
+      console.error('SMS sending error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send reschedule SMS (stub)
+   * @private
+   */
+  async sendRescheduleSMS(recipient, previousAppointment, appointment) {
+    try {
+      const message = `Appointment ${previousAppointment.appointmentId} has been moved to ${formatCalendarDate(appointment.date)} at ${appointment.startTime} (${appointment.appointmentId}).`;
+
+      console.log(`SMS Stub: Sending to ${recipient.profile?.phone || 'N/A'}: ${message}`);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return true;
+    } catch (error) {
+      console.error('SMS sending error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send reassignment SMS (stub)
+   * @private
+   */
+  async sendReassignmentSMS(patient, substitute, appointment) {
+    try {
+      const message = `Appointment ${appointment.appointmentId} is now with ${substitute.name} on ${formatCalendarDate(appointment.date)} at ${appointment.startTime}. You can decline for a full refund.`;
+
+      console.log(`SMS Stub: Sending to ${patient.profile?.phone || 'N/A'}: ${message}`);
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      return true;
+    } catch (error) {
+      console.error('SMS sending error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Send payment expired SMS (stub)
+   * @private
+   */
+  async sendPaymentExpiredSMS(patient, appointment) {
     try {
-      const message = `Reminder: Your appointment ${appointment.appointmentId} is tomorrow at ${appointment.startTime}.`;
+      const message = `Your booking ${appointment.appointmentId} was released because payment was not received in time.`;
 
       console.log(`SMS Stub: Sending to ${patient.profile?.phone || 'N/A'}: ${message}`);
 
@@ -0,0 +1,140 @@
+import Appointment from '../models/Appointment.js';
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import BackgroundJob from './backgroundJob.js';
+import distributedLock from './distributedLock.js';
+import notificationService from './notificationService.js';
+import redisCache from './redis.js';
+import retryUtility from './retryUtility.js';
+import transactionManager from './transactionManager.js';
+import waitlistService from './waitlistService.js';
+
+// Payment statuses of a booking that hasn't been paid for
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+/**
+ * Background job that cancels bookings whose payment window expired and releases their slots
+ */
+class PaymentExpiryReaper extends BackgroundJob {
+  constructor() {
+    super('payment_expiry', 'PAYMENT_EXPIRY_SWEEP_INTERVAL', 60);
+    this.cancellationReason = 'Payment not received within the payment window';
+  }
+
+  /**
+   * Release every expired unpaid booking
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async run(now) {
+    // A declined payment can be retried until the window closes, then it's released too
+    const expiredAppointments = await Appointment.find({
+      status: 'pending',
+      'payment.status': { $in: UNPAID_STATUSES },
+      'payment.expiresAt': { $lte: now }
+    })
+      .populate('patientId', 'name email profile')
+      .populate('doctorId', 'name email doctorProfile')
+      .limit(100);
+
+    let released = 0;
+    let failed = 0;
+
+    for (const appointment of expiredAppointments) {
+      try {
+        const wasReleased = await distributedLock.withLock(`slot_booking_${appointment.slotId}`, async () => {
+          return await this.releaseBooking(appointment, now);
+        }, 30, 1);
+
+        if (wasReleased) released++;
+      } catch (error) {
+        console.error(`Releasing unpaid appointment ${appointment.appointmentId} failed:`, error);
+        failed++;
+      }
+    }
+
+    return { released, failed };
+  }
+
+  /**
+   * Cancel a single unpaid appointment, free its slot and notify the patient
+   * @param {Object} appointment - Appointment document with populated patient and doctor
+   * @param {Date} now - Reference time
+   * @returns {Promise<boolean>} - Whether the booking was released by this call
+   */
+  async releaseBooking(appointment, now) {
+    // The cancellation and the freed slot are written together, so a failed slot write
+    // cannot leave a cancelled booking still holding its slot
+    const cancelled = await transactionManager.withTransaction(async (session) => {
+      // Only cancel if the payment is still unpaid, so a payment confirmed meanwhile wins
+      const cancelledAppointment = await Appointment.findOneAndUpdate(
+        {
+          _id: appointment._id,
+          status: 'pending',
+          'payment.status': { $in: UNPAID_STATUSES },
+          'payment.expiresAt': { $lte: now }
+        },
+        {
+          $set: {
+            status: 'cancelled',
+            'payment.status': 'failed',
+            'cancellation.initiatedBy': 'system',
+            'cancellation.reason': this.cancellationReason,
+            'cancellation.cancelledAt': now,
+            'cancellation.refundAmount': 0,
+            'cancellation.refundStatus': 'none'
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!cancelledAppointment) {
+        return null;
+      }
+
+      const slot = await AvailabilitySlot.findById(appointment.slotId).session(session);
+      if (slot && slot.status === 'booked' && slot.appointmentId?.toString() === appointment._id.toString()) {
+        await slot.cancelBooking(session);
+      }
+
+      return cancelledAppointment;
+    });
+
+    if (!cancelled) {
+      return false;
+    }
+
+    await redisCache.publish('slot_updates', {
+      slotId: appointment.slotId,
+      doctorId: appointment.doctorId._id,
+      patientId: appointment.patientId._id,
+      appointmentId: appointment._id,
+      action: 'released',
+      status: 'available',
+      timestamp: new Date()
+    });
+
+    // Clear cache
+    await redisCache.del(`doctor_slots_${appointment.doctorId._id}`);
+
+    // Offer the freed slot to the waitlist
+    await waitlistService.notifySlotsAvailable([appointment.slotId]);
+
+    try {
+      await retryUtility.withNotificationRetry(async () => {
+        await notificationService.sendPaymentExpiredNotification(
+          cancelled,
+          appointment.patientId,
+          appointment.doctorId
+        );
+      });
+    } catch (notificationError) {
+      console.error('Payment expiry notification failed:', notificationError);
+    }
+
+    return true;
+  }
+}
+
+const paymentExpiryReaper = new PaymentExpiryReaper();
+
+export default paymentExpiryReaper;
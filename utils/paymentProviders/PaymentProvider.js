@@ -0,0 +1,81 @@
+/**
+ * Interface every payment gateway adapter implements. Declines and refused refunds are
+ * returned as a 'failed' status; only transport problems (network errors, timeouts)
+ * should be thrown, so retryUtility.withPaymentRetry can retry them.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name, as set in PAYMENT_PROVIDER
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Start a payment the patient completes with the gateway
+   * @param {Object} request - { amount, currency, reference, paymentMethod, expiresAt }
+   * @returns {Promise<Object>} - { transactionId, status: 'pending'|'failed', amount, currency, paymentUrl, failureReason }
+   */
+  async initiatePayment(request) {
+    throw this.notImplemented('initiatePayment');
+  }
+
+  /**
+   * Capture a payment the patient has completed
+   * @param {string} transactionId - Gateway transaction ID
+   * @param {Object} request - { amount, currency, paymentMethod }
+   * @returns {Promise<Object>} - { transactionId, status: 'paid'|'failed', amount, currency, paidAt, failureReason }
+   */
+  async confirmPayment(transactionId, request) {
+    throw this.notImplemented('confirmPayment');
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {string} transactionId - Gateway transaction ID
+   * @param {Object} request - { amount, currency, reference }
+   * @returns {Promise<Object>} - { refundId, transactionId, status: 'processed'|'pending'|'failed', amount, currency, processedAt, failureReason }
+   */
+  async refundPayment(transactionId, request) {
+    throw this.notImplemented('refundPayment');
+  }
+
+  /**
+   * Look up a transaction
+   * @param {string} transactionId - Gateway transaction ID
+   * @returns {Promise<Object|null>} - { transactionId, status, amount, currency, refundedAmount, createdAt, paidAt }, or null if unknown
+   */
+  async getPaymentStatus(transactionId) {
+    throw this.notImplemented('getPaymentStatus');
+  }
+
+  /**
+   * Check that a webhook request came from the gateway
+   * @param {string|Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Signature header sent with it
+   * @returns {boolean} - Whether the signature is valid
+   */
+  verifyWebhook(rawBody, signature) {
+    throw this.notImplemented('verifyWebhook');
+  }
+
+  /**
+   * Turn a verified webhook payload into a gateway-neutral event
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object|null} - { id, type, transactionId, refundId, amount, failureReason, occurredAt },
+   *   where type is payment.succeeded, payment.failed, refund.succeeded or refund.failed;
+   *   null for events the system doesn't handle
+   */
+  parseWebhookEvent(payload) {
+    throw this.notImplemented('parseWebhookEvent');
+  }
+
+  /**
+   * @private
+   */
+  notImplemented(method) {
+    return new Error(`Payment provider "${this.name}" does not implement ${method}`);
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,25 @@
+import MockPaymentProvider from './mockPaymentProvider.js';
+
+// Gateways selectable with PAYMENT_PROVIDER; a real gateway's adapter is added here
+const providers = {
+  mock: (options) => new MockPaymentProvider(options)
+};
+
+/**
+ * Create the payment provider named in the configuration
+ * @param {string} name - Provider name, defaults to PAYMENT_PROVIDER or 'mock'
+ * @param {Object} options - Provider-specific options
+ * @returns {PaymentProvider} - Provider instance
+ */
+export const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock', options = {}) => {
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown payment provider "${name}"; expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return factory(options);
+};
+
+export { default as PaymentProvider } from './PaymentProvider.js';
+export { MockPaymentProvider };
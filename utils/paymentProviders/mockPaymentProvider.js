@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import PaymentProvider from './PaymentProvider.js';
+
+// Behaviour when nothing is being simulated
+const DEFAULT_SIMULATION = {
+  delayMs: 0,
+  declineReason: null,
+  refundFailureReason: null,
+  // Refunds are accepted as pending and settled later by a webhook
+  asyncRefunds: false
+};
+
+// Webhook event types the mock sends
+const WEBHOOK_EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'refund.succeeded', 'refund.failed'];
+
+// Cents, so repeated partial refunds don't drift
+const toCents = (amount) => Math.round(amount * 100);
+
+/**
+ * Local payment gateway that keeps transactions in memory. IDs come from a counter and
+ * every outcome is decided by the current simulation, so tests get the same results each
+ * run. Transactions it didn't create (from before a restart, or taken at the desk) are
+ * confirmed as given and refunded without checking what was captured.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.runId - Part of every ID, so IDs from different runs don't clash
+   * @param {string} options.webhookSecret - Secret webhook signatures are made with, PAYMENT_WEBHOOK_SECRET by default
+   */
+  constructor({ runId = Date.now().toString(36).toUpperCase(), webhookSecret } = {}) {
+    super('mock');
+    this.runId = runId;
+    this.webhookSecret = webhookSecret;
+    this.reset();
+  }
+
+  /**
+   * Secret webhook signatures are made with; every webhook is refused while there is none
+   * @returns {string|undefined} - Secret
+   */
+  getWebhookSecret() {
+    return this.webhookSecret || process.env.PAYMENT_WEBHOOK_SECRET;
+  }
+
+  /**
+   * Make later calls slow, decline payments, refuse refunds or settle them asynchronously until reset
+   * @param {Object} simulation - { delayMs, declineReason, refundFailureReason, asyncRefunds }
+   */
+  simulate(simulation = {}) {
+    this.simulation = { ...this.simulation, ...simulation };
+  }
+
+  /**
+   * Forget all transactions and go back to succeeding immediately
+   */
+  reset() {
+    this.simulation = { ...DEFAULT_SIMULATION };
+    this.transactions = new Map();
+    this.sequence = 0;
+  }
+
+  async initiatePayment({ amount, currency = 'USD', reference, paymentMethod } = {}) {
+    await this.delay();
+
+    const transaction = {
+      transactionId: this.nextId('TXN'),
+      reference,
+      paymentMethod,
+      status: 'pending',
+      amount,
+      currency,
+      refundedAmount: 0,
+      refunds: [],
+      createdAt: new Date()
+    };
+    this.transactions.set(transaction.transactionId, transaction);
+
+    return {
+      ...this.describe(transaction),
+      paymentUrl: `https://payment-gateway.com/pay/${transaction.transactionId}`
+    };
+  }
+
+  async confirmPayment(transactionId, { amount, currency = 'USD', paymentMethod } = {}) {
+    await this.delay();
+
+    const transaction = this.transactions.get(transactionId) || this.adopt(transactionId, amount, currency);
+
+    if (transaction.status === 'pending') {
+      if (this.simulation.declineReason) {
+        transaction.status = 'failed';
+        transaction.failureReason = this.simulation.declineReason;
+      } else {
+        transaction.status = 'paid';
+        transaction.paidAt = new Date();
+        transaction.paymentMethod = paymentMethod || transaction.paymentMethod;
+      }
+    }
+
+    return this.describe(transaction);
+  }
+
+  async refundPayment(transactionId, { amount, currency = 'USD', reference } = {}) {
+    await this.delay();
+
+    const refund = {
+      refundId: this.nextId('REF'),
+      transactionId,
+      reference,
+      amount,
+      currency
+    };
+
+    if (this.simulation.refundFailureReason) {
+      return { ...refund, status: 'failed', failureReason: this.simulation.refundFailureReason };
+    }
+
+    const transaction = this.transactions.get(transactionId);
+
+    if (!transaction) {
+      return { ...refund, status: 'processed', processedAt: new Date() };
+    }
+
+    const remaining = toCents(transaction.amount) - toCents(transaction.refundedAmount);
+
+    if (!['paid', 'partially_refunded'].includes(transaction.status)) {
+      return { ...refund, status: 'failed', failureReason: 'Payment has not been captured' };
+    }
+
+    if (toCents(amount) > remaining) {
+      return { ...refund, status: 'failed', failureReason: 'Refund exceeds the amount still captured' };
+    }
+
+    transaction.refundedAmount = (toCents(transaction.refundedAmount) + toCents(amount)) / 100;
+    transaction.status = toCents(amount) === remaining ? 'refunded' : 'partially_refunded';
+    transaction.refunds.push({ refundId: refund.refundId, amount, processedAt: new Date() });
+
+    if (this.simulation.asyncRefunds) {
+      return { ...refund, status: 'pending' };
+    }
+
+    return { ...refund, status: 'processed', processedAt: new Date() };
+  }
+
+  async getPaymentStatus(transactionId) {
+    await this.delay();
+
+    const transaction = this.transactions.get(transactionId);
+    return transaction ? this.describe(transaction) : null;
+  }
+
+  verifyWebhook(rawBody, signature) {
+    if (!signature || !this.getWebhookSecret()) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signWebhook(rawBody));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  parseWebhookEvent(payload) {
+    const { id, type, createdAt, data = {} } = payload || {};
+
+    if (!id || !WEBHOOK_EVENT_TYPES.includes(type) || !data.transactionId) {
+      return null;
+    }
+
+    return {
+      id,
+      type,
+      transactionId: data.transactionId,
+      refundId: data.refundId,
+      amount: data.amount,
+      failureReason: data.failureReason,
+      occurredAt: createdAt ? new Date(createdAt) : new Date()
+    };
+  }
+
+  /**
+   * Sign a webhook body the way the gateway would, for sending test events
+   * @param {string|Buffer} rawBody - Request body
+   * @returns {string} - Hex HMAC-SHA256 signature
+   */
+  signWebhook(rawBody) {
+    const secret = this.getWebhookSecret();
+    if (!secret) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  }
+
+  /**
+   * Track a transaction this instance didn't create
+   * @private
+   */
+  adopt(transactionId, amount, currency) {
+    const transaction = {
+      transactionId,
+      status: 'pending',
+      amount,
+      currency,
+      refundedAmount: 0,
+      refunds: [],
+      createdAt: new Date()
+    };
+    this.transactions.set(transactionId, transaction);
+    return transaction;
+  }
+
+  /**
+   * @private
+   */
+  nextId(prefix) {
+    this.sequence += 1;
+    return `${prefix}-${this.runId}-${String(this.sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * @private
+   */
+  async delay() {
+    if (this.simulation.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.simulation.delayMs));
+    }
+  }
+
+  /**
+   * @private
+   */
+  describe(transaction) {
+    return {
+      transactionId: transaction.transactionId,
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      refundedAmount: transaction.refundedAmount,
+      createdAt: transaction.createdAt,
+      paidAt: transaction.paidAt,
+      failureReason: transaction.failureReason
+    };
+  }
+}
+
+export default MockPaymentProvider;
@@ -0,0 +1,326 @@
+import Appointment from '../models/Appointment.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import BackgroundJob from './backgroundJob.js';
+import paymentService from './paymentService.js';
+import paymentWebhookService from './paymentWebhookService.js';
+import retryUtility from './retryUtility.js';
+import transactionManager from './transactionManager.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// How far back unsettled payments and refunds are re-checked
+const LOOKBACK_DAYS = 30;
+
+// Appointments checked per kind in one run
+const BATCH_SIZE = 200;
+
+// A refund marked pending without a gateway refund ID this long ago never reached the
+// gateway; younger ones may still be in flight
+const INTERRUPTED_REFUND_MINUTES = 30;
+
+// A refund the gateway accepted but hasn't settled this long ago needs a look
+const STUCK_REFUND_MINUTES = 24 * 60;
+
+// Gateway statuses that mean the payment was captured
+const CAPTURED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Refunds an appointment can carry and the fields tracking them
+const REFUNDS = [
+  { kind: 'refund', path: 'cancellation', statusField: 'refundStatus', idField: 'refundId', amountField: 'refundAmount', sinceField: 'cancelledAt' },
+  { kind: 'difference_refund', path: 'reassignment', statusField: 'differenceRefundStatus', idField: 'differenceRefundId', amountField: 'refundedDifference', sinceField: 'reassignedAt' }
+];
+
+// Payments taken at the front desk never went through the gateway; their refunds are paid out
+// there and recorded by staff, so they are left out of reconciliation
+const GATEWAY_PAYMENTS = {
+  'payment.paymentMethod': { $ne: 'cash' },
+  'payment.receivedBy': { $exists: false }
+};
+
+/**
+ * Background job that re-checks unsettled payments and refunds against the payment gateway,
+ * fixes statuses that drifted, retries failed refunds and saves a report of what it
+ * couldn't resolve
+ */
+class PaymentReconciliationJob extends BackgroundJob {
+  constructor() {
+    super('payment_reconciliation', 'PAYMENT_RECONCILIATION_INTERVAL', 3600);
+  }
+
+  /**
+   * Reconcile recent unpaid payments and unsettled refunds
+   * @param {Date} now - Reference time
+   * @param {Object} options - { trigger, triggeredBy } for runs started by an admin
+   * @returns {Promise<Object>} - Report ID and summary
+   */
+  async run(now, { trigger = 'scheduled', triggeredBy } = {}) {
+    const since = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * MINUTE_MS);
+    const run = {
+      summary: {
+        paymentsChecked: 0,
+        refundsChecked: 0,
+        paymentsFixed: 0,
+        refundsSettled: 0,
+        refundsRetried: 0
+      },
+      fixes: [],
+      mismatches: []
+    };
+
+    // A rescheduled appointment hands its payment to the new appointment
+    const unpaid = await Appointment.find({
+      status: { $ne: 'rescheduled' },
+      'payment.status': { $in: ['pending', 'failed'] },
+      'payment.transactionId': { $exists: true },
+      createdAt: { $gte: since }
+    }).limit(BATCH_SIZE);
+
+    for (const appointment of unpaid) {
+      run.summary.paymentsChecked++;
+      try {
+        await this.reconcilePayment(appointment, run, now);
+      } catch (error) {
+        console.error(`Reconciling payment for ${appointment.appointmentId} failed:`, error);
+        this.addEntry(run.mismatches, appointment, 'payment', { note: `Check failed: ${error.message}` });
+      }
+    }
+
+    const refunding = await Appointment.find({
+      status: { $ne: 'rescheduled' },
+      'payment.status': 'paid',
+      ...GATEWAY_PAYMENTS,
+      $or: REFUNDS.map(refund => ({ [`${refund.path}.${refund.statusField}`]: { $in: ['pending', 'failed'] } })),
+      updatedAt: { $gte: since }
+    }).limit(BATCH_SIZE);
+
+    for (const appointment of refunding) {
+      try {
+        await this.reconcileRefunds(appointment, run, now);
+      } catch (error) {
+        console.error(`Reconciling refunds for ${appointment.appointmentId} failed:`, error);
+        this.addEntry(run.mismatches, appointment, 'refund', { note: `Check failed: ${error.message}` });
+      }
+    }
+
+    const report = await ReconciliationReport.create({
+      trigger,
+      triggeredBy,
+      provider: paymentService.provider.name,
+      startedAt: now,
+      finishedAt: new Date(),
+      summary: { ...run.summary, mismatches: run.mismatches.length },
+      fixes: run.fixes,
+      mismatches: run.mismatches
+    });
+
+    return {
+      reportId: report._id,
+      ...run.summary,
+      mismatches: run.mismatches.length
+    };
+  }
+
+  /**
+   * Bring an unpaid appointment's payment status in line with the gateway
+   * @private
+   */
+  async reconcilePayment(appointment, run, now) {
+    const localStatus = appointment.payment.status;
+    const gateway = await paymentService.getPaymentStatus(appointment.payment.transactionId);
+
+    if (!gateway.success) {
+      this.addEntry(run.mismatches, appointment, 'payment', { localStatus, note: gateway.error });
+      return;
+    }
+
+    const captured = CAPTURED_STATUSES.includes(gateway.status);
+
+    if (captured && appointment.status === 'cancelled') {
+      this.addEntry(run.mismatches, appointment, 'payment', {
+        localStatus,
+        gatewayStatus: gateway.status,
+        note: 'Paid at the gateway after the booking was cancelled; refund the patient or restore the booking'
+      });
+      return;
+    }
+
+    if (captured && gateway.amount !== appointment.payment.amount) {
+      this.addEntry(run.mismatches, appointment, 'payment', {
+        localStatus,
+        gatewayStatus: gateway.status,
+        note: `Gateway captured ${gateway.amount} but the appointment costs ${appointment.payment.amount}`
+      });
+    }
+
+    const type = captured ? 'payment.succeeded' : gateway.status === 'failed' ? 'payment.failed' : null;
+    if (!type) {
+      return;
+    }
+
+    const updated = await this.applyEvent(appointment, {
+      type,
+      occurredAt: gateway.paidAt || now,
+      failureReason: gateway.failureReason
+    });
+
+    if (updated) {
+      run.summary.paymentsFixed++;
+      this.addEntry(run.fixes, appointment, 'payment', {
+        localStatus,
+        gatewayStatus: gateway.status,
+        newStatus: updated.payment.status
+      });
+    }
+  }
+
+  /**
+   * Settle refunds the gateway has completed and retry ones that failed or never reached it
+   * @private
+   */
+  async reconcileRefunds(appointment, run, now) {
+    const gateway = await paymentService.getPaymentStatus(appointment.payment.transactionId);
+
+    // What the gateway should have refunded once this refund is done
+    let expectedRefunded = REFUNDS
+      .filter(refund => appointment[refund.path]?.[refund.statusField] === 'processed')
+      .reduce((sum, refund) => sum + (appointment[refund.path][refund.amountField] || 0), 0);
+
+    for (const refund of REFUNDS) {
+      const record = appointment[refund.path];
+      const localStatus = record?.[refund.statusField];
+      const amount = record?.[refund.amountField];
+
+      if (!['pending', 'failed'].includes(localStatus) || !(amount > 0)) {
+        continue;
+      }
+
+      run.summary.refundsChecked++;
+      expectedRefunded += amount;
+
+      // The gateway already returned the money, e.g. a retry that succeeded before its result was saved
+      if (gateway.success && gateway.refundedAmount >= expectedRefunded) {
+        const updated = await this.applyEvent(appointment, {
+          type: 'refund.succeeded',
+          refundId: record[refund.idField],
+          occurredAt: now
+        });
+
+        if (updated) {
+          run.summary.refundsSettled++;
+          this.addEntry(run.fixes, appointment, refund.kind, {
+            localStatus,
+            gatewayStatus: gateway.status,
+            newStatus: 'processed'
+          });
+        }
+        continue;
+      }
+
+      const age = now - new Date(record[refund.sinceField] || appointment.updatedAt);
+
+      if (localStatus === 'pending' && record[refund.idField]) {
+        if (age >= STUCK_REFUND_MINUTES * MINUTE_MS) {
+          this.addEntry(run.mismatches, appointment, refund.kind, {
+            localStatus,
+            gatewayStatus: gateway.status,
+            note: `Refund ${record[refund.idField]} is still pending at the gateway`
+          });
+        }
+        continue;
+      }
+
+      if (localStatus === 'pending' && age < INTERRUPTED_REFUND_MINUTES * MINUTE_MS) {
+        continue;
+      }
+
+      await this.retryRefund(appointment, refund, { localStatus, amount, gatewayStatus: gateway.status }, run);
+    }
+  }
+
+  /**
+   * Send a refund to the gateway again and record the result
+   * @private
+   */
+  async retryRefund(appointment, refund, { localStatus, amount, gatewayStatus }, run) {
+    const statusPath = `${refund.path}.${refund.statusField}`;
+    let refundResult;
+
+    try {
+      refundResult = await retryUtility.withPaymentRetry(async () => {
+        return await paymentService.processRefund(appointment, amount);
+      });
+    } catch (refundError) {
+      refundResult = { success: false, error: refundError.message };
+    }
+
+    if (!refundResult.success) {
+      await Appointment.updateOne(
+        { _id: appointment._id, [statusPath]: localStatus },
+        { $set: { [statusPath]: 'failed' } }
+      );
+      this.addEntry(run.mismatches, appointment, refund.kind, {
+        localStatus,
+        gatewayStatus,
+        newStatus: 'failed',
+        note: `Refund of ${amount} failed again: ${refundResult.error}`
+      });
+      return;
+    }
+
+    const newStatus = paymentService.getRefundStatus(refundResult);
+
+    // A webhook may have settled the refund meanwhile; only move it forward from where it was
+    await Appointment.updateOne(
+      { _id: appointment._id, [statusPath]: localStatus },
+      { $set: { [statusPath]: newStatus, [`${refund.path}.${refund.idField}`]: refundResult.refundId } }
+    );
+
+    run.summary.refundsRetried++;
+    this.addEntry(run.fixes, appointment, refund.kind, {
+      localStatus,
+      gatewayStatus,
+      newStatus,
+      note: `Refund of ${amount} sent again as ${refundResult.refundId}`
+    });
+  }
+
+  /**
+   * Apply a gateway status to a fresh copy of the appointment with the webhook's
+   * forward-only rules
+   * @private
+   * @returns {Promise<Object|null>} - Updated appointment, or null if nothing changed
+   */
+  async applyEvent(appointment, event) {
+    return await transactionManager.withTransaction(async (session) => {
+      const current = await Appointment.findById(appointment._id).session(session);
+      if (!current) {
+        return null;
+      }
+
+      const { outcome } = paymentWebhookService.apply(current, event);
+      if (outcome !== 'applied') {
+        return null;
+      }
+
+      await current.save({ session });
+      return current;
+    });
+  }
+
+  /**
+   * @private
+   */
+  addEntry(entries, appointment, kind, details) {
+    entries.push({
+      appointment: appointment._id,
+      appointmentId: appointment.appointmentId,
+      transactionId: appointment.payment.transactionId,
+      kind,
+      ...details
+    });
+  }
+}
+
+const paymentReconciliationJob = new PaymentReconciliationJob();
+
+export default paymentReconciliationJob;
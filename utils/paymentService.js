@@ -1,9 +1,32 @@
+import { createPaymentProvider } from './paymentProviders/index.js';
+
 /**
- * Payment service stub for handling payment operations
+ * Payment service for handling payment operations through the configured gateway provider
  */
 class PaymentService {
-  constructor() {
+  /**
+   * @param {PaymentProvider} provider - Gateway adapter, chosen by PAYMENT_PROVIDER by default
+   */
+  constructor(provider = createPaymentProvider()) {
     this.baseAmount = 100; // $100 base consultation fee
+    this.provider = provider;
+  }
+
+  /**
+   * Minutes a patient has to complete an online payment after booking
+   * @returns {number} - Payment window in minutes
+   */
+  get paymentWindowMinutes() {
+    return parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 15;
+  }
+
+  /**
+   * Deadline for completing a payment started now
+   * @param {Date} from - Start of the payment window
+   * @returns {Date} - Payment deadline
+   */
+  getPaymentDeadline(from = new Date()) {
+    return new Date(from.getTime() + this.paymentWindowMinutes * 60 * 1000);
   }
 
   /**
@@ -12,24 +35,34 @@ class PaymentService {
    * @param {Object} paymentDetails - Payment details
    * @returns {Promise<Object>} - Payment initiation result
    */
-  async initiatePayment(appointment, paymentDetails) {
+  async initiatePayment(appointment, paymentDetails = {}) {
     try {
-      // Simulate payment gateway integration
-      const transactionId = `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 8).toUpperCase()}`;
-
-      // In a real implementation, this would call a payment gateway like Stripe, PayPal, etc.
-      const paymentResult = {
-        transactionId,
+      const expiresAt = this.getPaymentDeadline();
+      const result = await this.provider.initiatePayment({
         amount: appointment.payment.amount,
         currency: appointment.payment.currency,
-        status: 'pending',
-        paymentUrl: `https://payment-gateway.com/pay/${transactionId}`,
-        expiresAt: new Date(Date.now() + 15 * 60 * 1000) // 15 minutes
-      };
+        reference: appointment.appointmentId,
+        paymentMethod: paymentDetails.paymentMethod,
+        expiresAt
+      });
+
+      if (result.status === 'failed') {
+        return {
+          success: false,
+          error: result.failureReason || 'Payment could not be started'
+        };
+      }
 
       return {
         success: true,
-        payment: paymentResult
+        payment: {
+          transactionId: result.transactionId,
+          amount: result.amount,
+          currency: result.currency,
+          status: result.status,
+          paymentUrl: result.paymentUrl,
+          expiresAt
+        }
       };
     } catch (error) {
       console.error('Payment initiation error:', error);
@@ -48,16 +81,24 @@ class PaymentService {
    */
   async confirmPayment(transactionId, paymentData) {
     try {
-      // Simulate payment confirmation
-      // In a real implementation, this would verify with the payment gateway
+      const result = await this.provider.confirmPayment(transactionId, paymentData);
+
+      if (result.status !== 'paid') {
+        return {
+          success: false,
+          transactionId,
+          status: result.status,
+          error: result.failureReason || 'Payment was not completed'
+        };
+      }
 
       return {
         success: true,
         transactionId,
         status: 'paid',
-        paidAt: new Date(),
-        amount: paymentData.amount,
-        currency: paymentData.currency
+        paidAt: result.paidAt,
+        amount: result.amount,
+        currency: result.currency
       };
     } catch (error) {
       console.error('Payment confirmation error:', error);
@@ -69,25 +110,54 @@ class PaymentService {
   }
 
   /**
-   * Process refund for cancelled appointment
+   * Whether a payment was taken at the front desk (cash, or a card terminal there) rather
+   * than through the gateway
+   * @param {Object} appointment - Appointment object
+   * @returns {boolean}
+   */
+  isDeskPayment(appointment) {
+    return appointment.payment.paymentMethod === 'cash' || Boolean(appointment.payment.receivedBy);
+  }
+
+  /**
+   * Process refund for cancelled appointment. Desk payments are not sent to the gateway;
+   * their refunds come back as pending_manual until staff hand the money back.
    * @param {Object} appointment - Appointment object
    * @param {number} refundAmount - Amount to refund
    * @returns {Promise<Object>} - Refund result
    */
   async processRefund(appointment, refundAmount) {
+    if (this.isDeskPayment(appointment)) {
+      return {
+        success: true,
+        amount: refundAmount,
+        currency: appointment.payment.currency,
+        status: 'pending_manual'
+      };
+    }
+
     try {
-      // Simulate refund processing
-      const refundId = `REF-${Date.now()}-${Math.random().toString(36).substr(2, 8).toUpperCase()}`;
+      const result = await this.provider.refundPayment(appointment.payment.transactionId, {
+        amount: refundAmount,
+        currency: appointment.payment.currency,
+        reference: appointment.appointmentId
+      });
 
-      // In a real implementation, this would call the payment gateway's refund API
+      if (result.status === 'failed') {
+        return {
+          success: false,
+          refundId: result.refundId,
+          error: result.failureReason || 'Refund was refused'
+        };
+      }
 
       return {
         success: true,
-        refundId,
-        amount: refundAmount,
-        currency: appointment.payment.currency,
-        status: 'processed',
-        processedAt: new Date()
+        refundId: result.refundId,
+        amount: result.amount,
+        currency: result.currency,
+        status: result.status,
+        processedAt: result.processedAt
       };
     } catch (error) {
       console.error('Refund processing error:', error);
@@ -98,6 +168,16 @@ class PaymentService {
     }
   }
 
+  /**
+   * Local status for a refund that was accepted. Gateways that settle refunds asynchronously
+   * confirm them by webhook, and desk refunds stay pending_manual until recorded as paid out.
+   * @param {Object} refundResult - Result of processRefund
+   * @returns {string} - 'pending', 'pending_manual' or 'processed'
+   */
+  getRefundStatus(refundResult) {
+    return ['pending', 'pending_manual'].includes(refundResult.status) ? refundResult.status : 'processed';
+  }
+
   /**
    * Calculate consultation fee based on doctor and appointment type
    * @param {Object} doctor - Doctor object
@@ -105,29 +185,57 @@ class PaymentService {
    * @returns {number} - Calculated fee
    */
   calculateFee(doctor, appointmentData = {}) {
-    let fee = this.baseAmount;
+    return this.getFeeBreakdown(doctor, appointmentData)
+      .reduce((fee, item) => fee + item.amount, 0);
+  }
+
+  /**
+   * Itemise the consultation fee into the base fee and the surcharges that apply. A booked
+   * appointment type's catalog price replaces the base fee and the doctor surcharges.
+   * @param {Object} doctor - Doctor object
+   * @param {Object} appointmentData - Appointment data (bookingType, appointmentType)
+   * @returns {Array<Object>} - Line items with code, description and amount
+   */
+  getFeeBreakdown(doctor, appointmentData = {}) {
+    const { appointmentType } = appointmentData;
+
+    if (appointmentType?.price !== undefined) {
+      return [
+        { code: 'appointment_type', description: appointmentType.name, amount: appointmentType.price },
+        ...this.getBookingSurcharges(appointmentData)
+      ];
+    }
+
+    const items = [{ code: 'base_fee', description: 'Consultation fee', amount: this.baseAmount }];
 
     // Adjust based on doctor's experience
     if (doctor.doctorProfile?.experience) {
       if (doctor.doctorProfile.experience > 10) {
-        fee += 50; // Senior doctor surcharge
+        items.push({ code: 'experience_surcharge', description: 'Senior doctor surcharge', amount: 50 });
       } else if (doctor.doctorProfile.experience > 5) {
-        fee += 25; // Mid-level surcharge
+        items.push({ code: 'experience_surcharge', description: 'Mid-level doctor surcharge', amount: 25 });
       }
     }
 
     // Adjust based on specialization
     const premiumSpecializations = ['cardiology', 'neurology', 'oncology'];
     if (premiumSpecializations.includes(doctor.doctorProfile?.specialization?.toLowerCase())) {
-      fee += 30;
+      items.push({ code: 'specialization_surcharge', description: `Specialist surcharge (${doctor.doctorProfile.specialization})`, amount: 30 });
     }
 
-    // Adjust based on appointment type
+    return [...items, ...this.getBookingSurcharges(appointmentData)];
+  }
+
+  /**
+   * Surcharges for how the appointment was booked
+   * @private
+   */
+  getBookingSurcharges(appointmentData) {
     if (appointmentData.bookingType === 'walk_in') {
-      fee += 20; // Walk-in surcharge
+      return [{ code: 'walk_in_surcharge', description: 'Walk-in surcharge', amount: 20 }];
     }
 
-    return fee;
+    return [];
   }
 
   /**
@@ -137,16 +245,19 @@ class PaymentService {
    */
   async getPaymentStatus(transactionId) {
     try {
-      // Simulate payment status check
-      // In a real implementation, this would query the payment gateway
+      const result = await this.provider.getPaymentStatus(transactionId);
+
+      if (!result) {
+        return {
+          success: false,
+          transactionId,
+          error: 'Transaction not found'
+        };
+      }
 
       return {
-        transactionId,
-        status: 'paid', // Could be 'pending', 'paid', 'failed', 'refunded'
-        amount: 100,
-        currency: 'USD',
-        createdAt: new Date(Date.now() - 3600000), // 1 hour ago
-        paidAt: new Date(Date.now() - 1800000) // 30 minutes ago
+        success: true,
+        ...result
       };
     } catch (error) {
       console.error('Payment status check error:', error);
@@ -156,6 +267,25 @@ class PaymentService {
       };
     }
   }
+
+  /**
+   * Check that a webhook request came from the payment gateway
+   * @param {string|Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Signature header sent with it
+   * @returns {boolean} - Whether the signature is valid
+   */
+  verifyWebhook(rawBody, signature) {
+    return this.provider.verifyWebhook(rawBody, signature);
+  }
+
+  /**
+   * Turn a verified webhook payload into a gateway-neutral event
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object|null} - Event, or null if it isn't one the system handles
+   */
+  parseWebhookEvent(payload) {
+    return this.provider.parseWebhookEvent(payload);
+  }
 }
 
 const paymentService = new PaymentService();
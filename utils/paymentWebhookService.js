@@ -0,0 +1,252 @@
+import Appointment from '../models/Appointment.js';
+import PaymentEvent from '../models/PaymentEvent.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import transactionManager from './transactionManager.js';
+import paymentService from './paymentService.js';
+import retryUtility from './retryUtility.js';
+
+// Payment statuses only move forward, so a late event cannot undo a newer one.
+// A failed payment can still be paid on a later attempt.
+const PAYMENT_STATUS_ORDER = ['pending', 'failed', 'paid', 'refunded'];
+
+// Same for refunds: a failed refund can be retried, a processed one is final
+const REFUND_STATUS_ORDER = ['none', 'pending', 'failed', 'processed'];
+
+const isForward = (order, from, to) => order.indexOf(to) > order.indexOf(from || order[0]);
+
+/**
+ * Payment webhook service: applies signed gateway events to appointments exactly once
+ */
+class PaymentWebhookService {
+  /**
+   * Verify, record and apply a gateway webhook. Redelivered events are acknowledged
+   * without being applied again.
+   * @param {string|Buffer} rawBody - Request body exactly as received
+   * @param {string} signature - Signature header
+   * @param {Object} payload - Parsed request body
+   * @returns {Promise<Object>} - What happened to the event
+   */
+  async handle(rawBody, signature, payload) {
+    if (!rawBody || !paymentService.verifyWebhook(rawBody, signature)) {
+      throw ApiError.unauthorized('Invalid webhook signature');
+    }
+
+    const event = paymentService.parseWebhookEvent(payload);
+
+    if (!event) {
+      throw ApiError.badRequest('Unsupported webhook event');
+    }
+
+    const existing = await PaymentEvent.findOne({ eventId: event.id });
+    if (existing) {
+      return this.formatResult(existing, true);
+    }
+
+    let result;
+    try {
+      result = await transactionManager.withTransaction(async (session) => {
+        // A rescheduled appointment hands its payment to the new appointment
+        const appointment = await Appointment.findOne({
+          'payment.transactionId': event.transactionId,
+          status: { $ne: 'rescheduled' }
+        }).session(session);
+
+        const { outcome, note, action } = appointment ?
+          this.apply(appointment, event) :
+          { outcome: 'ignored', note: 'No appointment has this transaction' };
+
+        if (outcome === 'applied') {
+          await appointment.save({ session });
+        }
+
+        const [record] = await PaymentEvent.create([{
+          eventId: event.id,
+          type: event.type,
+          provider: paymentService.provider.name,
+          transactionId: event.transactionId,
+          refundId: event.refundId,
+          amount: event.amount,
+          appointmentId: appointment?._id,
+          outcome,
+          note,
+          occurredAt: event.occurredAt
+        }], { session });
+
+        return { record, appointment, action };
+      });
+    } catch (error) {
+      // The same event delivered twice at once; the other delivery applied it
+      if (error.code === 11000) {
+        return this.formatResult(await PaymentEvent.findOne({ eventId: event.id }), true);
+      }
+      throw error;
+    }
+
+    const { record, appointment, action } = result;
+
+    if (record.outcome === 'applied' && action === 'paid' && appointment.status === 'cancelled') {
+      await this.refundLateCapture(appointment);
+    }
+
+    if (record.outcome === 'applied') {
+      await redisCache.publish('appointment_updates', {
+        appointmentId: appointment._id,
+        slotId: appointment.slotId,
+        doctorId: appointment.doctorId,
+        action,
+        status: appointment.status,
+        timestamp: new Date()
+      });
+    }
+
+    return this.formatResult(record, false);
+  }
+
+  /**
+   * Apply an event to an appointment in memory
+   * @param {Object} appointment - Appointment document
+   * @param {Object} event - Parsed gateway event
+   * @returns {Object} - { outcome, note, action }
+   */
+  apply(appointment, event) {
+    switch (event.type) {
+      case 'payment.succeeded':
+        return this.applyPaymentStatus(appointment, 'paid', event);
+      case 'payment.failed':
+        return this.applyPaymentStatus(appointment, 'failed', event);
+      case 'refund.succeeded':
+        return this.applyRefundStatus(appointment, 'processed', event);
+      case 'refund.failed':
+        return this.applyRefundStatus(appointment, 'failed', event);
+      default:
+        return { outcome: 'ignored', note: `Unhandled event type ${event.type}` };
+    }
+  }
+
+  /**
+   * @private
+   */
+  applyPaymentStatus(appointment, status, event) {
+    const payment = appointment.payment;
+
+    if (!isForward(PAYMENT_STATUS_ORDER, payment.status, status)) {
+      return { outcome: 'ignored', note: `Payment is already ${payment.status}` };
+    }
+
+    payment.status = status;
+
+    if (status === 'failed') {
+      payment.failureReason = event.failureReason;
+      return { outcome: 'applied', action: 'payment_failed' };
+    }
+
+    payment.paidAt = event.occurredAt;
+    payment.failureReason = undefined;
+
+    if (appointment.status === 'pending') {
+      appointment.status = 'confirmed';
+      return { outcome: 'applied', action: 'paid' };
+    }
+
+    // Captured after the appointment was cancelled, for instance by the unpaid booking
+    // reaper: nothing is owed for it, so the whole payment goes back to the patient
+    if (appointment.status === 'cancelled') {
+      appointment.cancellation.refundAmount = payment.amount;
+      appointment.cancellation.refundStatus = 'pending';
+      appointment.cancellation.refundId = undefined;
+      return {
+        outcome: 'applied',
+        action: 'paid',
+        note: 'Payment received after the appointment was cancelled; refunding it in full'
+      };
+    }
+
+    return { outcome: 'applied', action: 'paid' };
+  }
+
+  /**
+   * Send back a payment captured for a cancelled appointment. A refund that can't be sent
+   * now stays pending or failed and is retried by payment reconciliation.
+   * @param {Object} appointment - Cancelled appointment document
+   */
+  async refundLateCapture(appointment) {
+    try {
+      const refundResult = await retryUtility.withPaymentRetry(async () => {
+        return await paymentService.processRefund(appointment, appointment.cancellation.refundAmount);
+      });
+
+      if (refundResult.success) {
+        appointment.cancellation.refundStatus = paymentService.getRefundStatus(refundResult);
+        appointment.cancellation.refundId = refundResult.refundId;
+      } else {
+        appointment.cancellation.refundStatus = 'failed';
+      }
+    } catch (refundError) {
+      console.error('Refund of a late payment failed:', refundError);
+      appointment.cancellation.refundStatus = 'failed';
+    }
+
+    await appointment.save();
+  }
+
+  /**
+   * Settle the cancellation refund or a substitute's fee difference refund, matching the
+   * refund ID where it was recorded and otherwise the refund still awaiting settlement
+   * @private
+   */
+  applyRefundStatus(appointment, status, event) {
+    const { cancellation, reassignment } = appointment;
+    const refunds = [
+      { target: cancellation, statusField: 'refundStatus', idField: 'refundId', isCancellation: true },
+      { target: reassignment, statusField: 'differenceRefundStatus', idField: 'differenceRefundId' }
+    ].filter(refund => refund.target?.[refund.statusField] && refund.target[refund.statusField] !== 'none');
+
+    const refund = refunds.find(candidate => event.refundId && candidate.target[candidate.idField] === event.refundId) ||
+      refunds.find(candidate => ['pending', 'failed'].includes(candidate.target[candidate.statusField]));
+
+    if (!refund) {
+      return { outcome: 'ignored', note: 'No refund matches this event' };
+    }
+
+    const current = refund.target[refund.statusField];
+    if (!isForward(REFUND_STATUS_ORDER, current, status)) {
+      return { outcome: 'ignored', note: `Refund is already ${current}` };
+    }
+
+    refund.target[refund.statusField] = status;
+    if (event.refundId) {
+      refund.target[refund.idField] = event.refundId;
+    }
+
+    if (status === 'failed') {
+      return { outcome: 'applied', action: 'refund_failed' };
+    }
+
+    // A cancellation refunded in full leaves nothing captured
+    if (refund.isCancellation && cancellation.refundAmount >= appointment.payment.amount &&
+      isForward(PAYMENT_STATUS_ORDER, appointment.payment.status, 'refunded')) {
+      appointment.payment.status = 'refunded';
+      appointment.payment.refundedAt = event.occurredAt;
+    }
+
+    return { outcome: 'applied', action: 'refunded' };
+  }
+
+  /**
+   * @private
+   */
+  formatResult(record, duplicate) {
+    return {
+      eventId: record.eventId,
+      type: record.type,
+      outcome: record.outcome,
+      note: record.note,
+      duplicate
+    };
+  }
+}
+
+const paymentWebhookService = new PaymentWebhookService();
+
+export default paymentWebhookService;
@@ -0,0 +1,131 @@
+import PromoCode from '../models/PromoCode.js';
+import Appointment from '../models/Appointment.js';
+import ApiError from './ApiError.util.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Promo code service: checks a code against a booking, works out its discount and
+ * counts its uses
+ */
+class PromoCodeService {
+  /**
+   * Check that a code can be used for a booking and work out its discount
+   * @param {string} code - Code the patient entered
+   * @param {Object} booking - { patient, doctor, amount, now }
+   * @returns {Promise<Object>} - { promoCode, discount }
+   */
+  async validate(code, { patient, doctor, amount, now = new Date() }) {
+    const normalized = String(code).trim().toUpperCase();
+    const promoCode = await PromoCode.findOne({ code: normalized, isActive: true });
+
+    if (!promoCode) {
+      throw ApiError.badRequest(`Promo code ${normalized} is not valid`);
+    }
+
+    if (promoCode.validFrom && now < promoCode.validFrom) {
+      throw ApiError.badRequest(`Promo code ${normalized} is not valid yet`);
+    }
+
+    if (promoCode.validUntil && now > promoCode.validUntil) {
+      throw ApiError.badRequest(`Promo code ${normalized} has expired`);
+    }
+
+    if (promoCode.maxUses && promoCode.usedCount >= promoCode.maxUses) {
+      throw ApiError.badRequest(`Promo code ${normalized} has been fully redeemed`);
+    }
+
+    if (!this.appliesTo(promoCode, doctor)) {
+      throw ApiError.badRequest(`Promo code ${normalized} cannot be used for appointments with ${doctor.name || 'this doctor'}`);
+    }
+
+    if (promoCode.maxUsesPerPatient) {
+      // A rescheduled booking's use moved to its new appointment
+      const patientUses = await Appointment.countDocuments({
+        patientId: patient._id,
+        'payment.discount.promoCode': promoCode._id,
+        status: { $ne: 'rescheduled' }
+      });
+
+      if (patientUses >= promoCode.maxUsesPerPatient) {
+        throw ApiError.badRequest(`You have already used promo code ${normalized} the maximum number of times`);
+      }
+    }
+
+    return {
+      promoCode,
+      discount: this.calculateDiscount(promoCode, amount)
+    };
+  }
+
+  /**
+   * Whether a code may be used with a doctor
+   * @param {Object} promoCode - Promo code document
+   * @param {Object} doctor - Doctor user object with doctorProfile
+   * @returns {boolean}
+   */
+  appliesTo(promoCode, doctor) {
+    const doctors = promoCode.doctors || [];
+    const specializations = promoCode.specializations || [];
+
+    if (doctors.length === 0 && specializations.length === 0) {
+      return true;
+    }
+
+    return doctors.some(doctorId => String(doctorId) === String(doctor._id)) ||
+      specializations.includes(doctor.doctorProfile?.specialization);
+  }
+
+  /**
+   * Discount a code gives on a fee, never more than the fee itself
+   * @param {Object} promoCode - Promo code document
+   * @param {number} amount - Fee before the discount
+   * @returns {number} - Discount
+   */
+  calculateDiscount(promoCode, amount) {
+    const discount = promoCode.discountType === 'percentage' ?
+      amount * promoCode.discountValue / 100 :
+      promoCode.discountValue;
+
+    return roundAmount(Math.min(amount, discount));
+  }
+
+  /**
+   * Count a use of a code within the booking transaction, so the use is undone if the
+   * booking fails. Uses are spent at booking and not given back on cancellation.
+   * @param {Object} promoCode - Promo code document
+   * @param {Object} session - MongoDB session
+   */
+  async redeem(promoCode, session) {
+    const redeemed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promoCode._id,
+        isActive: true,
+        ...(promoCode.maxUses && { usedCount: { $lt: promoCode.maxUses } })
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!redeemed) {
+      throw ApiError.conflict(`Promo code ${promoCode.code} has been fully redeemed`);
+    }
+  }
+
+  /**
+   * Discount to record on an appointment's payment
+   * @param {Object} promotion - Result of validate
+   * @returns {Object} - { promoCode, code, amount }
+   */
+  toPaymentDiscount({ promoCode, discount }) {
+    return {
+      promoCode: promoCode._id,
+      code: promoCode.code,
+      amount: discount
+    };
+  }
+}
+
+const promoCodeService = new PromoCodeService();
+
+export default promoCodeService;
@@ -3,6 +3,7 @@ import { createClient } from 'redis';
 class RedisCache {
   constructor() {
     this.client = null;
+    this.subscriber = null;
     this.isConnected = false;
   }
 
@@ -31,6 +32,10 @@ class RedisCache {
   }
 
   async disconnect() {
+    if (this.subscriber) {
+      await this.subscriber.disconnect();
+      this.subscriber = null;
+    }
     if (this.client && this.isConnected) {
       await this.client.disconnect();
       this.isConnected = false;
@@ -54,6 +59,21 @@ class RedisCache {
     }
   }
 
+  // Set a key only if it does not already exist, with expiration
+  async setNX(key, value, expireInSeconds) {
+    if (!this.isConnected) return false;
+    try {
+      const result = await this.client.set(key, JSON.stringify(value), {
+        NX: true,
+        EX: expireInSeconds
+      });
+      return result === 'OK';
+    } catch (error) {
+      console.error('Redis setNX error:', error);
+      return false;
+    }
+  }
+
   // Get a value by key
   async get(key) {
     if (!this.isConnected) return null;
@@ -66,6 +86,18 @@ class RedisCache {
     }
   }
 
+  // Get a value and delete its key in one step, so only one caller can read it
+  async getDel(key) {
+    if (!this.isConnected) return null;
+    try {
+      const value = await this.client.getDel(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('Redis getDel error:', error);
+      return null;
+    }
+  }
+
   // Delete a key
   async del(key) {
     if (!this.isConnected) return 0;
@@ -215,11 +247,18 @@ class RedisCache {
     }
   }
 
-  // Subscribe to a channel
+  // Subscribe to a channel. Subscriptions use a dedicated connection, as a
+  // subscribed client cannot run other commands.
   async subscribe(channel, callback) {
     if (!this.isConnected) return;
     try {
-      await this.client.subscribe(channel, (message) => {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => console.error('Redis Subscriber Error:', err));
+        await this.subscriber.connect();
+      }
+
+      await this.subscriber.subscribe(channel, (message) => {
         try {
           const parsedMessage = JSON.parse(message);
           callback(parsedMessage);
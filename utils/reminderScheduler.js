@@ -0,0 +1,142 @@
+import Appointment from '../models/Appointment.js';
+import BackgroundJob from './backgroundJob.js';
+import notificationService from './notificationService.js';
+import retryUtility from './retryUtility.js';
+import { getStartInstant } from './timezone.js';
+
+/**
+ * Background scheduler that sends appointment reminders ahead of confirmed appointments
+ */
+class ReminderScheduler extends BackgroundJob {
+  constructor() {
+    super('reminder', 'REMINDER_SWEEP_INTERVAL', 300);
+  }
+
+  /**
+   * Lead times (in minutes) at which reminders are sent, largest first.
+   * Configured in hours through REMINDER_LEAD_TIMES, e.g. "24,2".
+   * @returns {number[]} - Lead times in minutes
+   */
+  get leadTimes() {
+    const configured = (process.env.REMINDER_LEAD_TIMES || '24,2')
+      .split(',')
+      .map(hours => Math.round(parseFloat(hours) * 60))
+      .filter(minutes => minutes > 0);
+
+    return [...new Set(configured)].sort((a, b) => b - a);
+  }
+
+  /**
+   * Find confirmed appointments inside the largest lead window and remind the due ones
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async run(now) {
+    const leadTimes = this.leadTimes;
+    if (leadTimes.length === 0) {
+      return { sent: 0, failed: 0 };
+    }
+
+    // Appointment dates are stored per day, so widen the window by a day on each side
+    const windowStart = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const windowEnd = new Date(now.getTime() + (leadTimes[0] + 24 * 60) * 60 * 1000);
+
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      date: { $gte: windowStart, $lte: windowEnd },
+      'notifications.remindersSent.leadTime': { $nin: [leadTimes[leadTimes.length - 1]] }
+    })
+      .populate('patientId', 'name email profile')
+      .populate('doctorId', 'name email doctorProfile');
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const appointment of appointments) {
+      const appointmentDateTime = getStartInstant(appointment);
+      const minutesUntilStart = (appointmentDateTime - now) / (1000 * 60);
+
+      if (minutesUntilStart <= 0) continue;
+
+      const alreadySent = (appointment.notifications?.remindersSent || []).map(reminder => reminder.leadTime);
+      const dueLeadTimes = leadTimes.filter(leadTime =>
+        minutesUntilStart <= leadTime && !alreadySent.includes(leadTime)
+      );
+
+      if (dueLeadTimes.length === 0) continue;
+
+      const result = await this.sendReminder(appointment, dueLeadTimes);
+      if (result === 'sent') sent++;
+      if (result === 'failed') failed++;
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Claim the due lead times on the appointment, then send one reminder for the closest of them.
+   * Claiming first means two instances or a restart can never send the same reminder twice.
+   * @param {Object} appointment - Appointment document with populated patient and doctor
+   * @param {number[]} dueLeadTimes - Lead times (minutes) that are due and not yet sent
+   * @returns {Promise<string>} - 'sent', 'failed' or 'skipped'
+   */
+  async sendReminder(appointment, dueLeadTimes) {
+    const sentAt = new Date();
+
+    const claimed = await Appointment.findOneAndUpdate(
+      {
+        _id: appointment._id,
+        status: 'confirmed',
+        'notifications.remindersSent.leadTime': { $nin: dueLeadTimes }
+      },
+      {
+        $push: {
+          'notifications.remindersSent': {
+            $each: dueLeadTimes.map(leadTime => ({ leadTime, sentAt }))
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return 'skipped';
+    }
+
+    try {
+      await retryUtility.withNotificationRetry(async () => {
+        const result = await notificationService.sendAppointmentReminder(
+          appointment,
+          appointment.patientId,
+          appointment.doctorId,
+          { leadTime: Math.min(...dueLeadTimes) }
+        );
+
+        if (!result.success) {
+          throw new Error(result.error || 'Reminder notification failed');
+        }
+      });
+
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $set: { 'notifications.reminderSent': true } }
+      );
+
+      return 'sent';
+    } catch (error) {
+      console.error(`Reminder for appointment ${appointment.appointmentId} failed:`, error);
+
+      // Release the claim so the next sweep can try again
+      await Appointment.updateOne(
+        { _id: appointment._id },
+        { $pull: { 'notifications.remindersSent': { leadTime: { $in: dueLeadTimes }, sentAt } } }
+      );
+
+      return 'failed';
+    }
+  }
+}
+
+const reminderScheduler = new ReminderScheduler();
+
+export default reminderScheduler;
@@ -0,0 +1,563 @@
+import ScheduleException from '../models/ScheduleException.js';
+import DoctorSchedule from '../models/DoctorSchedule.js';
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import Appointment from '../models/Appointment.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import waitlistService from './waitlistService.js';
+import {
+  endOfDay,
+  fromMinutes,
+  getDayOfWeek,
+  getDefaultTimezone,
+  getDoctorTimezone,
+  startOfDay,
+  todayInTimezone,
+  toMinutes,
+  wallTimeExists,
+  zonedTimeToUtc
+} from './timezone.js';
+
+const EXCEPTION_TYPES = ['leave', 'extra_session', 'modified_hours'];
+
+/**
+ * Normalize an HH:MM time so string comparison with slot times works
+ * @param {string} time - Time string
+ * @returns {string} - Zero-padded time
+ */
+const normalizeTime = (time) => {
+  if (!/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time || '')) {
+    throw ApiError.badRequest('Times must be in HH:MM format');
+  }
+  const [hours, minutes] = time.split(':');
+  return `${hours.padStart(2, '0')}:${minutes}`;
+};
+
+/**
+ * Check whether an exception covers a date
+ * @param {Object} exception - Schedule exception
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+const coversDate = (exception, date) => exception.startDate <= date && exception.endDate >= date;
+
+/**
+ * Check whether two HH:MM time ranges overlap
+ * @returns {boolean}
+ */
+const timesOverlap = (a, b) => a.startTime < b.endTime && b.startTime < a.endTime;
+
+/**
+ * Schedule exception service: leave ranges, one-off extra sessions and modified hours
+ * layered on top of a doctor's weekly schedule
+ */
+class ScheduleExceptionService {
+  /**
+   * Get a doctor's exceptions overlapping a date range
+   * @param {string} doctorId - Doctor ID
+   * @param {Date} startDate - Range start
+   * @param {Date} endDate - Range end
+   * @returns {Promise<Array>} - Schedule exceptions
+   */
+  async getExceptionsForRange(doctorId, startDate, endDate) {
+    return (await ScheduleException.findForRange(doctorId, startOfDay(startDate), endOfDay(endDate))) || [];
+  }
+
+  /**
+   * Working hours of a weekly schedule on a date once exceptions are applied
+   * @param {Object} schedule - Weekly doctor schedule
+   * @param {Date} date - Date to resolve
+   * @param {Array} exceptions - Doctor exceptions covering the date range
+   * @returns {Object|null} - Start and end time, or null when the doctor is on leave
+   */
+  getWorkingHours(schedule, date, exceptions = []) {
+    const dayExceptions = exceptions.filter(exception => coversDate(exception, date));
+
+    if (dayExceptions.some(exception => exception.type === 'leave')) {
+      return null;
+    }
+
+    const modified = dayExceptions.find(exception =>
+      exception.type === 'modified_hours' &&
+      (!exception.scheduleId || exception.scheduleId.toString() === schedule._id.toString())
+    );
+
+    return modified
+      ? { startTime: modified.startTime, endTime: modified.endTime }
+      : { startTime: schedule.startTime, endTime: schedule.endTime };
+  }
+
+  /**
+   * Build slot documents for a single date
+   * @param {Object} template - doctorId, startTime, endTime, slotDuration and breakTimes
+   * @param {Date} date - Date for slots
+   * @param {Object} fields - Extra fields stored on every slot (scheduleId, exceptionId)
+   * @param {string} timezone - IANA timezone of the template's wall times
+   * @returns {Array} - Slot documents
+   */
+  buildSlotsForDate(template, date, fields = {}, timezone = getDefaultTimezone()) {
+    const slots = [];
+    const day = startOfDay(date);
+    const endTime = toMinutes(template.endTime);
+    const breakTimes = (template.breakTimes || []).map(breakTime => ({
+      start: toMinutes(breakTime.startTime),
+      end: toMinutes(breakTime.endTime)
+    }));
+
+    let currentTime = toMinutes(template.startTime);
+
+    while (currentTime < endTime) {
+      const slotEndTime = currentTime + template.slotDuration;
+
+      // Check if slot overlaps with break times
+      const isInBreak = breakTimes.some(breakTime =>
+        (currentTime >= breakTime.start && currentTime < breakTime.end) ||
+        (slotEndTime > breakTime.start && slotEndTime <= breakTime.end)
+      );
+
+      const startTime = fromMinutes(currentTime);
+      const slotEnd = fromMinutes(slotEndTime);
+
+      // Wall times skipped by a DST jump do not exist that day
+      if (!isInBreak && slotEndTime <= endTime &&
+          wallTimeExists(day, startTime, timezone) && wallTimeExists(day, slotEnd, timezone)) {
+        slots.push({
+          doctorId: template.doctorId,
+          ...fields,
+          date: day,
+          startTime,
+          endTime: slotEnd,
+          timezone,
+          startAt: zonedTimeToUtc(day, startTime, timezone),
+          endAt: zonedTimeToUtc(day, slotEnd, timezone),
+          status: 'available'
+        });
+      }
+
+      currentTime = slotEndTime;
+    }
+
+    return slots;
+  }
+
+  /**
+   * Create a schedule exception and apply it to slots that were already generated
+   * @param {Object} doctor - Doctor user object
+   * @param {Object} exceptionData - Exception data
+   * @param {string} createdBy - User creating the exception
+   * @returns {Promise<Object>} - Created exception, slot changes and conflicting appointments
+   */
+  async createException(doctor, exceptionData, createdBy) {
+    const doctorId = doctor._id;
+    const timezone = getDoctorTimezone(doctor);
+    const { type, startDate, endDate, startTime, endTime, scheduleId, slotDuration, location, reason } = exceptionData;
+
+    if (!EXCEPTION_TYPES.includes(type)) {
+      throw ApiError.badRequest('Invalid exception type. Use "leave", "extra_session" or "modified_hours"');
+    }
+
+    if (!startDate) {
+      throw ApiError.badRequest('Start date is required');
+    }
+
+    // Extra sessions and modified hours apply to a single date
+    const lastDate = type === 'leave' ? endDate || startDate : startDate;
+
+    if (isNaN(new Date(startDate).getTime()) || isNaN(new Date(lastDate).getTime())) {
+      throw ApiError.badRequest('Invalid date range');
+    }
+
+    const start = startOfDay(startDate);
+    const end = endOfDay(lastDate);
+
+    if (start > end) {
+      throw ApiError.badRequest('Start date cannot be after end date');
+    }
+
+    if (end < todayInTimezone(timezone)) {
+      throw ApiError.badRequest('Date range is in the past');
+    }
+
+    const exceptions = await this.getExceptionsForRange(doctorId, start, end);
+    const data = { doctorId, type, startDate: start, endDate: end, timezone, reason, createdBy };
+    let schedules = [];
+
+    if (type === 'leave') {
+      if (exceptions.some(exception => exception.type === 'leave')) {
+        throw ApiError.conflict('Leave already exists for these dates');
+      }
+    } else {
+      data.startTime = normalizeTime(startTime);
+      data.endTime = normalizeTime(endTime);
+
+      if (data.startTime >= data.endTime) {
+        throw ApiError.badRequest('Start time must be before end time');
+      }
+
+      if (exceptions.some(exception => exception.type === 'leave')) {
+        throw ApiError.conflict('Doctor is on leave on this date');
+      }
+
+      const dayOfWeek = getDayOfWeek(start);
+      const daySessions = await DoctorSchedule.find({
+        doctorId,
+        dayOfWeek,
+        isActive: true
+      });
+      const extraSessions = exceptions.filter(exception => exception.type === 'extra_session');
+
+      if (type === 'modified_hours') {
+        schedules = scheduleId
+          ? daySessions.filter(session => session._id.toString() === scheduleId.toString())
+          : daySessions;
+
+        if (schedules.length === 0) {
+          throw ApiError.badRequest('No weekly schedule on this day. Add an extra session instead');
+        }
+
+        if (schedules.length > 1) {
+          throw ApiError.badRequest('This day has several sessions. Pass the scheduleId of the session to modify');
+        }
+
+        const [session] = schedules;
+
+        const alreadyModified = exceptions.some(exception =>
+          exception.type === 'modified_hours' &&
+          (!exception.scheduleId || exception.scheduleId.toString() === session._id.toString())
+        );
+
+        if (alreadyModified) {
+          throw ApiError.conflict('Working hours are already modified for this date');
+        }
+
+        const otherHours = [
+          ...daySessions
+            .filter(other => other !== session)
+            .map(other => this.getWorkingHours(other, start, exceptions)),
+          ...extraSessions
+        ];
+
+        if (otherHours.some(hours => timesOverlap(hours, data))) {
+          throw ApiError.conflict('Modified hours overlap another session on this date');
+        }
+
+        data.scheduleId = session._id;
+      } else {
+        const workingHours = [
+          ...daySessions.map(session => this.getWorkingHours(session, start, exceptions)),
+          ...extraSessions
+        ];
+
+        if (workingHours.some(hours => timesOverlap(hours, data))) {
+          throw ApiError.conflict('Extra session overlaps existing working hours');
+        }
+
+        data.slotDuration = slotDuration || 30;
+        data.location = location;
+      }
+    }
+
+    const exception = await ScheduleException.create(data);
+
+    let changes;
+    if (type === 'leave') {
+      changes = await this.applyLeave(exception);
+    } else if (type === 'extra_session') {
+      changes = await this.applyExtraSession(exception);
+    } else {
+      changes = await this.applyModifiedHours(exception, schedules);
+    }
+
+    // Clear cache
+    await redisCache.del(`doctor_slots_${doctorId}`);
+
+    return {
+      exception,
+      ...changes
+    };
+  }
+
+  /**
+   * Block the available slots within a leave range and report bookings left in it
+   * @param {Object} exception - Leave exception
+   * @returns {Promise<Object>} - Slot changes and conflicting appointments
+   */
+  async applyLeave(exception) {
+    const slots = await AvailabilitySlot.find({
+      doctorId: exception.doctorId,
+      date: { $gte: exception.startDate, $lte: exception.endDate },
+      status: 'available'
+    });
+
+    const slotsBlocked = await this.blockSlots(exception, slots, exception.reason || 'Doctor on leave');
+
+    // Read booked slots after blocking, so a booking that won the race is still reported
+    const bookedSlots = await AvailabilitySlot.find({
+      doctorId: exception.doctorId,
+      date: { $gte: exception.startDate, $lte: exception.endDate },
+      status: 'booked'
+    });
+
+    return {
+      slotsBlocked,
+      slotsCreated: 0,
+      conflicts: await this.buildConflictReport(bookedSlots)
+    };
+  }
+
+  /**
+   * Create the slots of a one-off extra session
+   * @param {Object} exception - Extra session exception
+   * @returns {Promise<Object>} - Slot changes
+   */
+  async applyExtraSession(exception) {
+    const slots = this.buildSlotsForDate(exception, exception.startDate, {
+      exceptionId: exception._id,
+      location: exception.location
+    }, exception.timezone);
+    const slotsCreated = await this.insertSlots(slots);
+
+    return {
+      slotsBlocked: 0,
+      slotsCreated,
+      conflicts: []
+    };
+  }
+
+  /**
+   * Fit already generated slots of the day to the modified hours: block slots outside
+   * them, add slots for the new hours and report bookings that fall outside
+   * @param {Object} exception - Modified hours exception
+   * @param {Array} schedules - Weekly schedules the exception applies to
+   * @returns {Promise<Object>} - Slot changes and conflicting appointments
+   */
+  async applyModifiedHours(exception, schedules) {
+    const daySlots = await AvailabilitySlot.find({
+      doctorId: exception.doctorId,
+      date: { $gte: exception.startDate, $lte: exception.endDate },
+      scheduleId: { $in: schedules.map(schedule => schedule._id) },
+      status: { $in: ['available', 'booked', 'blocked'] }
+    });
+
+    // Slots are generated later, with the modified hours applied
+    if (daySlots.length === 0) {
+      return { slotsBlocked: 0, slotsCreated: 0, conflicts: [] };
+    }
+
+    const outside = daySlots.filter(slot => slot.startTime < exception.startTime || slot.endTime > exception.endTime);
+    const remaining = daySlots.filter(slot => !outside.includes(slot));
+
+    const slotsBlocked = await this.blockSlots(
+      exception,
+      outside.filter(slot => slot.status === 'available'),
+      exception.reason || 'Working hours changed'
+    );
+
+    const date = daySlots[0].date;
+    const newSlots = schedules.flatMap(schedule =>
+      this.buildSlotsForDate(
+        {
+          doctorId: exception.doctorId,
+          startTime: exception.startTime,
+          endTime: exception.endTime,
+          slotDuration: schedule.slotDuration,
+          breakTimes: schedule.breakTimes
+        },
+        date,
+        { scheduleId: schedule._id, exceptionId: exception._id, location: schedule.location },
+        exception.timezone
+      ).filter(slot => !remaining.some(existing => timesOverlap(existing, slot)))
+    );
+
+    const slotsCreated = await this.insertSlots(newSlots);
+
+    return {
+      slotsBlocked,
+      slotsCreated,
+      conflicts: await this.buildConflictReport(outside.filter(slot => slot.status === 'booked'))
+    };
+  }
+
+  /**
+   * Block available slots on behalf of an exception
+   * @param {Object} exception - Schedule exception
+   * @param {Array} slots - Slots to block
+   * @param {string} reason - Block reason
+   * @returns {Promise<number>} - Number of slots blocked
+   */
+  async blockSlots(exception, slots, reason) {
+    if (slots.length === 0) return 0;
+
+    // Only slots still available are blocked, so a booking committed meanwhile wins
+    const result = await AvailabilitySlot.updateMany(
+      { _id: { $in: slots.map(slot => slot._id) }, status: 'available' },
+      {
+        $set: {
+          status: 'blocked',
+          blockedBy: exception.createdBy,
+          blockedReason: reason,
+          blockedByExceptionId: exception._id
+        },
+        $unset: { hold: 1 }
+      }
+    );
+
+    for (const slot of slots) {
+      await redisCache.publish('slot_updates', {
+        slotId: slot._id,
+        doctorId: exception.doctorId,
+        action: 'blocked',
+        status: 'blocked',
+        timestamp: new Date()
+      });
+    }
+
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Insert generated slots and offer them to the waitlist
+   * @param {Array} slots - Slot documents
+   * @returns {Promise<number>} - Number of slots created
+   */
+  async insertSlots(slots) {
+    if (slots.length === 0) return 0;
+
+    const createdSlots = await AvailabilitySlot.insertMany(slots);
+
+    // Offer the new slots to the waitlist
+    await waitlistService.notifySlotsAvailable(createdSlots || []);
+
+    return slots.length;
+  }
+
+  /**
+   * List the active appointments booked on the given slots
+   * @param {Array} bookedSlots - Booked slots
+   * @returns {Promise<Array>} - Conflicting appointments
+   */
+  async buildConflictReport(bookedSlots) {
+    if (bookedSlots.length === 0) return [];
+
+    const appointments = await Appointment.find({
+      slotId: { $in: bookedSlots.map(slot => slot._id) },
+      status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+    })
+      .populate('patientId', 'name email profile')
+      .sort({ date: 1, startTime: 1 });
+
+    return appointments.map(appointment => ({
+      id: appointment._id,
+      appointmentId: appointment.appointmentId,
+      slotId: appointment.slotId,
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      status: appointment.status,
+      patient: {
+        id: appointment.patientId?._id,
+        name: appointment.patientId?.name,
+        email: appointment.patientId?.email,
+        phone: appointment.patientId?.profile?.phone
+      }
+    }));
+  }
+
+  /**
+   * List a doctor's schedule exceptions
+   * @param {string} doctorId - Doctor ID
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object>} - Schedule exceptions
+   */
+  async getExceptions(doctorId, query = {}) {
+    const { from, to, type } = query;
+
+    const filter = { doctorId };
+
+    // Upcoming exceptions unless a range is given
+    filter.endDate = { $gte: startOfDay(from || new Date()) };
+
+    if (to) {
+      filter.startDate = { $lte: endOfDay(to) };
+    }
+
+    if (type) {
+      filter.type = type;
+    }
+
+    const exceptions = await ScheduleException.find(filter).sort({ startDate: 1, startTime: 1 });
+
+    return {
+      exceptions
+    };
+  }
+
+  /**
+   * Remove a schedule exception, releasing the slots it blocked and removing
+   * the unbooked slots it created
+   * @param {string} doctorId - Doctor ID
+   * @param {string} exceptionId - Exception ID
+   * @returns {Promise<Object>} - Slot changes
+   */
+  async removeException(doctorId, exceptionId) {
+    const exception = await ScheduleException.findOne({
+      _id: exceptionId,
+      doctorId
+    });
+
+    if (!exception) {
+      throw ApiError.notFound('Schedule exception not found');
+    }
+
+    const blockedSlots = await AvailabilitySlot.find({
+      blockedByExceptionId: exception._id,
+      status: 'blocked'
+    });
+
+    let slotsReleased = 0;
+    if (blockedSlots.length > 0) {
+      const result = await AvailabilitySlot.updateMany(
+        { _id: { $in: blockedSlots.map(slot => slot._id) }, status: 'blocked' },
+        {
+          $set: { status: 'available' },
+          $unset: { blockedBy: 1, blockedReason: 1, blockedByExceptionId: 1 }
+        }
+      );
+      slotsReleased = result.modifiedCount || 0;
+
+      for (const slot of blockedSlots) {
+        await redisCache.publish('slot_updates', {
+          slotId: slot._id,
+          doctorId,
+          action: 'unblocked',
+          status: 'available',
+          timestamp: new Date()
+        });
+      }
+    }
+
+    // Booked slots stay; their appointments are unaffected
+    const removed = await AvailabilitySlot.deleteMany({
+      exceptionId: exception._id,
+      status: 'available'
+    });
+
+    await ScheduleException.deleteOne({ _id: exception._id });
+
+    // Clear cache
+    await redisCache.del(`doctor_slots_${doctorId}`);
+
+    // Offer the released slots to the waitlist
+    await waitlistService.notifySlotsAvailable(blockedSlots);
+
+    return {
+      message: 'Schedule exception removed successfully',
+      slotsReleased,
+      slotsRemoved: removed.deletedCount || 0
+    };
+  }
+}
+
+const scheduleExceptionService = new ScheduleExceptionService();
+
+export default scheduleExceptionService;
@@ -0,0 +1,251 @@
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import { toDateKey } from './timezone.js';
+
+// Verbs some publishers use for slot actions, relayed as the past-tense actions clients are documented to receive
+const ACTION_ALIASES = {
+  block: 'blocked',
+  unblock: 'unblocked'
+};
+
+/**
+ * Relays slot changes published on the 'slot_updates' channel to Server-Sent Events clients.
+ * Recent events are kept in memory so a reconnecting client can resume from its Last-Event-ID.
+ */
+class SlotEventStream {
+  constructor() {
+    this.clients = new Set();
+    this.buffer = [];
+    this.sequence = 0;
+    // Event IDs from an earlier process cannot be resumed from
+    this.epoch = Date.now().toString(36);
+    this.heartbeatTimer = null;
+    this.isStarted = false;
+    // Updates are relayed one at a time so clients see them in publish order
+    this.relayQueue = Promise.resolve();
+  }
+
+  /**
+   * Seconds between heartbeat comments that keep idle connections open
+   * @returns {number} - Heartbeat interval
+   */
+  get heartbeatInterval() {
+    return parseInt(process.env.SLOT_STREAM_HEARTBEAT_INTERVAL) || 25;
+  }
+
+  /**
+   * Number of recent events kept for resuming clients
+   * @returns {number} - Buffer size
+   */
+  get bufferSize() {
+    return parseInt(process.env.SLOT_STREAM_BUFFER_SIZE) || 500;
+  }
+
+  /**
+   * Subscribe to slot updates and start sending heartbeats
+   */
+  async start() {
+    if (this.isStarted) return;
+    this.isStarted = true;
+
+    await redisCache.subscribe('slot_updates', (message) => {
+      this.relayQueue = this.relayQueue
+        .then(() => this.handleUpdate(message))
+        .catch(error => console.error('Slot stream relay failed:', error));
+    });
+
+    this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval * 1000);
+
+    // Do not keep the process alive just for heartbeats
+    this.heartbeatTimer.unref?.();
+  }
+
+  /**
+   * Stop heartbeats and close every open stream
+   */
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  /**
+   * Build a client filter from request parameters
+   * @param {Array} doctorIds - Doctor IDs to follow; empty follows every doctor
+   * @param {string} date - Only follow slots on this date (YYYY-MM-DD)
+   * @returns {Object} - Stream filter
+   */
+  buildFilter(doctorIds = [], date) {
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+      throw ApiError.badRequest('Date must be in YYYY-MM-DD format');
+    }
+
+    return {
+      doctorIds: doctorIds.filter(Boolean).map(String),
+      date: date || null
+    };
+  }
+
+  /**
+   * Open an event stream on a response
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} filter - { doctorIds, date } to restrict events to; empty matches everything
+   * @param {string} lastEventId - ID of the last event the client received, when resuming
+   */
+  connect(req, res, filter = {}, lastEventId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop reverse proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.heartbeatInterval * 1000}\n\n`);
+
+    const client = { res, filter };
+
+    if (lastEventId) {
+      this.replay(client, lastEventId);
+    }
+
+    this.clients.add(client);
+
+    req.on('close', () => {
+      this.clients.delete(client);
+    });
+  }
+
+  /**
+   * Send the events a resuming client missed, or ask it to reload when they are no longer known
+   * @param {Object} client - Stream client
+   * @param {string} lastEventId - ID of the last event the client received
+   */
+  replay(client, lastEventId) {
+    const [epoch, sequence] = String(lastEventId).split('-');
+    const lastSequence = parseInt(sequence, 36);
+    const oldest = this.buffer[0];
+
+    const resumable = epoch === this.epoch &&
+      lastSequence <= this.sequence &&
+      (!oldest || lastSequence >= oldest.sequence - 1);
+
+    if (!resumable) {
+      this.write(client.res, 'resync', this.formatId(this.sequence), {
+        reason: 'Missed events are no longer available. Reload the slots.'
+      });
+      return;
+    }
+
+    for (const event of this.buffer) {
+      if (event.sequence > lastSequence && this.matches(client.filter, event.data)) {
+        this.write(client.res, 'slot_update', event.id, event.data);
+      }
+    }
+  }
+
+  /**
+   * Turn a published slot update into a stream event and relay it to matching clients
+   * @param {Object} message - Message published on 'slot_updates'
+   */
+  async handleUpdate(message) {
+    if (!message?.slotId) return;
+
+    const data = await this.buildEventData(message);
+    if (!data) return;
+
+    this.sequence++;
+    const event = { id: this.formatId(this.sequence), sequence: this.sequence, data };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      if (this.matches(client.filter, data)) {
+        this.write(client.res, 'slot_update', event.id, data);
+      }
+    }
+  }
+
+  /**
+   * Build the public event payload. Patient and staff IDs in the published message are not relayed.
+   * @param {Object} message - Message published on 'slot_updates'
+   * @returns {Promise<Object|null>} - Event data, or null when the slot no longer exists
+   */
+  async buildEventData(message) {
+    const slot = await AvailabilitySlot.findById(message.slotId)
+      .select('doctorId date startTime endTime timezone startAt endAt status');
+
+    if (!slot) return null;
+
+    return {
+      slotId: slot._id.toString(),
+      doctorId: (message.doctorId || slot.doctorId).toString(),
+      date: toDateKey(slot.date),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      action: ACTION_ALIASES[message.action] || message.action,
+      status: message.status || slot.status,
+      timestamp: message.timestamp || new Date()
+    };
+  }
+
+  /**
+   * Check whether an event passes a client's filter
+   * @param {Object} filter - { doctorIds, date }
+   * @param {Object} data - Event data
+   * @returns {boolean}
+   */
+  matches(filter, data) {
+    if (filter.doctorIds?.length && !filter.doctorIds.includes(data.doctorId)) {
+      return false;
+    }
+
+    if (filter.date && filter.date !== data.date) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Send a comment line so proxies and clients see the connection is alive
+   */
+  sendHeartbeat() {
+    for (const client of this.clients) {
+      client.res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }
+  }
+
+  /**
+   * Write one event to a stream
+   * @private
+   */
+  write(res, event, id, data) {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Event ID of a sequence number in this process
+   * @private
+   */
+  formatId(sequence) {
+    return `${this.epoch}-${sequence.toString(36)}`;
+  }
+}
+
+const slotEventStream = new SlotEventStream();
+
+export default slotEventStream;
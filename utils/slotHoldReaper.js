@@ -0,0 +1,62 @@
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import BackgroundJob from './backgroundJob.js';
+import redisCache from './redis.js';
+
+/**
+ * Background job that clears expired checkout holds and announces the slots as available again
+ */
+class SlotHoldReaper extends BackgroundJob {
+  constructor() {
+    super('slot_hold', 'SLOT_HOLD_SWEEP_INTERVAL', 60);
+  }
+
+  /**
+   * Release every lapsed checkout hold. Waitlist holds are left to the waitlist job,
+   * which also passes the slot on to the next patient.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async run(now) {
+    const lapsedSlots = await AvailabilitySlot.find({
+      'hold.source': 'checkout',
+      'hold.expiresAt': { $lte: now }
+    }).limit(100);
+
+    let released = 0;
+
+    for (const slot of lapsedSlots) {
+      try {
+        // Skip slots whose hold was renewed or consumed meanwhile
+        const result = await AvailabilitySlot.updateOne(
+          { _id: slot._id, 'hold.source': 'checkout', 'hold.expiresAt': { $lte: now } },
+          { $unset: { hold: 1 } }
+        );
+
+        if (!result.modifiedCount) continue;
+        released++;
+
+        if (slot.status === 'available') {
+          await redisCache.publish('slot_updates', {
+            slotId: slot._id,
+            doctorId: slot.doctorId,
+            patientId: slot.hold.patientId,
+            action: 'hold_expired',
+            status: 'available',
+            timestamp: new Date()
+          });
+
+          // Clear cache
+          await redisCache.del(`doctor_slots_${slot.doctorId}`);
+        }
+      } catch (error) {
+        console.error(`Releasing hold on slot ${slot._id} failed:`, error);
+      }
+    }
+
+    return { released };
+  }
+}
+
+const slotHoldReaper = new SlotHoldReaper();
+
+export default slotHoldReaper;
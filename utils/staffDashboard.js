@@ -0,0 +1,451 @@
+import http from 'http';
+import mongoose from 'mongoose';
+import { WebSocketServer, WebSocket } from 'ws';
+import User from '../models/users.model.js';
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import Appointment from '../models/Appointment.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import slotEventStream from './slotEventStream.js';
+import { verifyAccessToken, verifyStreamTicket } from '../middlewares/auth.js';
+import { getDoctorTimezone, todayInTimezone, toDateKey } from './timezone.js';
+
+const DASHBOARD_PATH = '/staff/dashboard';
+
+// Appointment states shown on the board; cancelled and moved bookings no longer occupy their slot
+const BOARD_STATUSES = ['pending', 'confirmed', 'checked_in', 'in_consultation', 'completed'];
+
+/**
+ * Escape a string for literal use in a regular expression
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * WebSocket server for staff front-desk dashboards. Staff subscribe to doctors or
+ * departments (specializations), receive a snapshot of today's slots and then every
+ * slot and appointment change published on Redis.
+ */
+class StaffDashboard {
+  constructor() {
+    this.wss = null;
+    this.clients = new Set();
+    this.pingTimer = null;
+  }
+
+  /**
+   * Seconds between pings that detect dropped connections
+   * @returns {number} - Ping interval
+   */
+  get pingInterval() {
+    return parseInt(process.env.STAFF_DASHBOARD_PING_INTERVAL) || 30;
+  }
+
+  /**
+   * Accept dashboard connections on an HTTP server and start relaying updates
+   * @param {Object} httpServer - HTTP server the application listens on
+   */
+  async start(httpServer) {
+    if (this.wss) return;
+
+    this.wss = new WebSocketServer({ noServer: true });
+    httpServer.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch(error => {
+        console.error('Staff dashboard upgrade failed:', error);
+        socket.destroy();
+      });
+    });
+
+    for (const channel of ['slot_updates', 'appointment_updates']) {
+      await redisCache.subscribe(channel, (message) => {
+        this.relay(channel, message).catch(error => console.error('Staff dashboard relay failed:', error));
+      });
+    }
+
+    this.pingTimer = setInterval(() => this.checkConnections(), this.pingInterval * 1000);
+
+    // Do not keep the process alive just for pings
+    this.pingTimer.unref?.();
+  }
+
+  /**
+   * Stop pinging and close every dashboard connection
+   */
+  stop() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+
+    for (const client of this.clients) {
+      client.ws.close(1001, 'Server shutting down');
+    }
+    this.clients.clear();
+  }
+
+  /**
+   * Authenticate an upgrade request and hand it to the WebSocket server
+   * @param {Object} req - HTTP upgrade request
+   * @param {Object} socket - Network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== DASHBOARD_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    let user;
+    try {
+      user = await this.authenticate(req, url);
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      socket.write(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.handleConnection(ws, user, url.searchParams).catch(error => {
+        console.error('Staff dashboard connection failed:', error);
+        ws.close(1011, 'Could not load dashboard');
+      });
+    });
+  }
+
+  /**
+   * Authenticate a dashboard connection with the same access token as the REST API.
+   * Browsers cannot set headers on a WebSocket, so they connect with a single-use stream ticket instead.
+   * @param {Object} req - HTTP upgrade request
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<Object>} - Staff user
+   */
+  async authenticate(req, url) {
+    const header = req.headers.authorization;
+    const user = header?.startsWith('Bearer')
+      ? await verifyAccessToken(header.split(' ')[1])
+      : await verifyStreamTicket(url.searchParams.get('ticket'));
+
+    if (user.role !== 'staff') {
+      throw ApiError.forbidden('Insufficient permissions');
+    }
+
+    return user;
+  }
+
+  /**
+   * Register a connection, apply the subscription from the URL and send the first snapshot
+   * @param {Object} ws - WebSocket
+   * @param {Object} user - Staff user
+   * @param {URLSearchParams} params - doctorId and department, comma separated
+   */
+  async handleConnection(ws, user, params) {
+    const client = { ws, user, all: false, doctorIds: new Set(), isAlive: true };
+
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+    ws.on('message', (raw) => {
+      this.handleMessage(client, raw).catch(error => {
+        this.send(client, { type: 'error', message: error.isOperational ? error.message : 'Request failed' });
+      });
+    });
+    ws.on('close', () => {
+      this.clients.delete(client);
+    });
+
+    this.clients.add(client);
+
+    const split = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+    await this.subscribe(client, {
+      doctorIds: split(params.get('doctorId')),
+      departments: split(params.get('department'))
+    });
+  }
+
+  /**
+   * Handle a message from a dashboard: subscribe, unsubscribe, snapshot or ping
+   * @param {Object} client - Dashboard client
+   * @param {Buffer} raw - Message data
+   */
+  async handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      throw ApiError.badRequest('Messages must be JSON');
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        await this.subscribe(client, message);
+        break;
+      case 'unsubscribe':
+        await this.unsubscribe(client, message);
+        break;
+      case 'snapshot':
+        await this.sendSnapshot(client);
+        break;
+      case 'ping':
+        this.send(client, { type: 'pong', timestamp: new Date() });
+        break;
+      default:
+        throw ApiError.badRequest('Unknown message type. Use subscribe, unsubscribe, snapshot or ping');
+    }
+  }
+
+  /**
+   * Follow doctors and departments, then send a snapshot. Nothing given follows every doctor.
+   * @param {Object} client - Dashboard client
+   * @param {Object} subscription - { doctorIds, departments }
+   */
+  async subscribe(client, { doctorIds = [], departments = [] } = {}) {
+    if (doctorIds.length === 0 && departments.length === 0) {
+      client.all = true;
+      client.doctorIds.clear();
+    } else {
+      const doctors = await this.findDoctors(doctorIds, departments);
+      client.all = false;
+      doctors.forEach(doctor => client.doctorIds.add(doctor._id.toString()));
+    }
+
+    this.send(client, {
+      type: 'subscribed',
+      all: client.all,
+      doctorIds: [...client.doctorIds]
+    });
+
+    await this.sendSnapshot(client);
+  }
+
+  /**
+   * Stop following doctors and departments. Nothing given stops following everyone.
+   * @param {Object} client - Dashboard client
+   * @param {Object} subscription - { doctorIds, departments }
+   */
+  async unsubscribe(client, { doctorIds = [], departments = [] } = {}) {
+    if (doctorIds.length === 0 && departments.length === 0) {
+      client.all = false;
+      client.doctorIds.clear();
+    } else {
+      const doctors = await this.findDoctors(doctorIds, departments);
+
+      // Following everyone becomes following every doctor but these
+      if (client.all) {
+        const everyone = await User.find({ role: 'doctor', isActive: true }).select('_id');
+        everyone.forEach(doctor => client.doctorIds.add(doctor._id.toString()));
+        client.all = false;
+      }
+
+      doctors.forEach(doctor => client.doctorIds.delete(doctor._id.toString()));
+    }
+
+    this.send(client, {
+      type: 'subscribed',
+      all: client.all,
+      doctorIds: [...client.doctorIds]
+    });
+  }
+
+  /**
+   * Find active doctors by ID or department
+   * @param {Array} doctorIds - Doctor IDs
+   * @param {Array} departments - Specializations
+   * @returns {Promise<Array>} - Doctors
+   */
+  async findDoctors(doctorIds = [], departments = []) {
+    if (!Array.isArray(doctorIds) || !Array.isArray(departments)) {
+      throw ApiError.badRequest('doctorIds and departments must be arrays');
+    }
+
+    const conditions = [];
+    const validIds = doctorIds.filter(id => mongoose.isValidObjectId(id));
+
+    if (validIds.length > 0) {
+      conditions.push({ _id: { $in: validIds } });
+    }
+
+    if (departments.length > 0) {
+      conditions.push({
+        'doctorProfile.specialization': {
+          $in: departments.map(department => new RegExp(`^${escapeRegExp(String(department))}$`, 'i'))
+        }
+      });
+    }
+
+    if (conditions.length === 0) return [];
+
+    return await User.find({
+      role: 'doctor',
+      isActive: true,
+      $or: conditions
+    }).select('name doctorProfile');
+  }
+
+  /**
+   * Send today's slots and their bookings for the doctors a client follows.
+   * Today is taken in each doctor's timezone.
+   * @param {Object} client - Dashboard client
+   */
+  async sendSnapshot(client) {
+    const filter = { role: 'doctor', isActive: true };
+    if (!client.all) {
+      filter._id = { $in: [...client.doctorIds] };
+    }
+
+    const doctors = client.all || client.doctorIds.size > 0
+      ? await User.find(filter).select('name doctorProfile').sort({ name: 1 })
+      : [];
+
+    const days = doctors.map(doctor => ({
+      doctor,
+      timezone: getDoctorTimezone(doctor),
+      date: todayInTimezone(getDoctorTimezone(doctor))
+    }));
+
+    const slots = days.length > 0
+      ? await AvailabilitySlot.find({
+        $or: days.map(day => ({ doctorId: day.doctor._id, date: day.date }))
+      }).sort({ startTime: 1 })
+      : [];
+
+    const appointments = slots.length > 0
+      ? await Appointment.find({
+        slotId: { $in: slots.map(slot => slot._id) },
+        status: { $in: BOARD_STATUSES }
+      }).populate('patientId', 'name profile')
+      : [];
+
+    // Regular booking and any overbooked walk-ins per slot
+    const bookings = new Map();
+    for (const appointment of appointments) {
+      const key = appointment.slotId.toString();
+      if (!bookings.has(key)) bookings.set(key, { appointment: null, overbooked: [] });
+      if (appointment.isOverbooked) {
+        bookings.get(key).overbooked.push(appointment);
+      } else {
+        bookings.get(key).appointment = appointment;
+      }
+    }
+
+    this.send(client, {
+      type: 'snapshot',
+      generatedAt: new Date(),
+      doctors: days.map(({ doctor, timezone, date }) => ({
+        id: doctor._id,
+        name: doctor.name,
+        specialization: doctor.doctorProfile?.specialization,
+        hospital: doctor.doctorProfile?.hospital,
+        timezone,
+        date: toDateKey(date),
+        slots: slots
+          .filter(slot => slot.doctorId.toString() === doctor._id.toString())
+          .map(slot => this.formatSlot(slot, bookings.get(slot._id.toString())))
+      }))
+    });
+  }
+
+  /**
+   * Shape a slot and its booking for the board
+   * @private
+   */
+  formatSlot(slot, { appointment, overbooked = [] } = {}) {
+    return {
+      slotId: slot._id,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      location: slot.location,
+      status: slot.status,
+      overbookLimit: slot.overbookLimit || 0,
+      appointment: appointment ? this.formatAppointment(appointment) : null,
+      overbooked: overbooked.map(extra => this.formatAppointment(extra))
+    };
+  }
+
+  /**
+   * Shape a booking for the board
+   * @private
+   */
+  formatAppointment(appointment) {
+    return {
+      appointmentId: appointment.appointmentId,
+      status: appointment.status,
+      bookingType: appointment.bookingType,
+      paymentStatus: appointment.payment?.status,
+      checkedInAt: appointment.checkIn?.checkedInAt,
+      consultationStartedAt: appointment.consultationStartedAt,
+      patient: appointment.patientId ? {
+        id: appointment.patientId._id,
+        name: appointment.patientId.name,
+        phone: appointment.patientId.profile?.phone
+      } : null
+    };
+  }
+
+  /**
+   * Relay a published update to the dashboards following its doctor
+   * @param {string} channel - Redis channel the message came from
+   * @param {Object} message - Published message
+   */
+  async relay(channel, message) {
+    if (this.clients.size === 0 || !message?.doctorId) return;
+
+    let event;
+    if (channel === 'slot_updates') {
+      const data = await slotEventStream.buildEventData(message);
+      if (!data) return;
+      event = { type: 'slot_update', ...data, appointmentId: message.appointmentId };
+    } else {
+      event = {
+        type: 'appointment_update',
+        appointmentId: message.appointmentId,
+        slotId: message.slotId,
+        doctorId: message.doctorId.toString(),
+        action: message.action,
+        status: message.status,
+        timestamp: message.timestamp || new Date()
+      };
+    }
+
+    for (const client of this.clients) {
+      if (client.all || client.doctorIds.has(event.doctorId)) {
+        this.send(client, event);
+      }
+    }
+  }
+
+  /**
+   * Ping every connection and drop the ones that did not answer the last ping
+   */
+  checkConnections() {
+    for (const client of this.clients) {
+      if (!client.isAlive) {
+        client.ws.terminate();
+        this.clients.delete(client);
+        continue;
+      }
+
+      client.isAlive = false;
+      client.ws.ping();
+    }
+  }
+
+  /**
+   * Send a message to a dashboard if its connection is open
+   * @private
+   */
+  send(client, message) {
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify(message));
+    }
+  }
+}
+
+const staffDashboard = new StaffDashboard();
+
+export default staffDashboard;
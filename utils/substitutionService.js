@@ -0,0 +1,484 @@
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import Appointment from '../models/Appointment.js';
+import User from '../models/users.model.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import distributedLock from './distributedLock.js';
+import transactionManager from './transactionManager.js';
+import paymentService from './paymentService.js';
+import notificationService from './notificationService.js';
+import waitlistService from './waitlistService.js';
+import retryUtility from './retryUtility.js';
+import massCancellationService from './massCancellationService.js';
+import appointmentTypeService from './appointmentTypeService.js';
+import insuranceService from './insuranceService.js';
+import { addDays, getStartInstant, getZonedTimes, toDateKey } from './timezone.js';
+
+// Appointments that can still move to another doctor
+const REASSIGNABLE_STATUSES = ['pending', 'confirmed'];
+
+// Alternative slots listed per appointment in a proposal
+const OPTION_COUNT = 3;
+
+/**
+ * Substitution service: proposes free slots with colleagues of an unavailable doctor and
+ * moves appointments to them, one transaction per appointment
+ */
+class SubstitutionService {
+  /**
+   * Active doctors who can stand in: same specialization at the same hospital
+   * @param {Object} doctor - Unavailable doctor
+   * @returns {Promise<Array>} - Substitute doctors
+   */
+  async findSubstitutes(doctor) {
+    const { specialization, hospital } = doctor.doctorProfile || {};
+
+    if (!specialization || !hospital) {
+      throw ApiError.badRequest('Doctor needs a specialization and hospital to find substitutes');
+    }
+
+    return await User.find({
+      _id: { $ne: doctor._id },
+      role: 'doctor',
+      isActive: true,
+      'doctorProfile.specialization': specialization,
+      'doctorProfile.hospital': hospital
+    }).select('name email doctorProfile profile');
+  }
+
+  /**
+   * Check that a doctor may stand in for another
+   * @param {Object} doctor - Unavailable doctor
+   * @param {Object} substitute - Proposed substitute
+   */
+  assertEligible(doctor, substitute) {
+    const eligible = substitute &&
+      substitute._id.toString() !== doctor._id.toString() &&
+      substitute.isActive !== false &&
+      substitute.doctorProfile?.specialization === doctor.doctorProfile?.specialization &&
+      substitute.doctorProfile?.hospital === doctor.doctorProfile?.hospital;
+
+    if (!eligible) {
+      throw ApiError.badRequest('Substitute must be another active doctor with the same specialization and hospital');
+    }
+  }
+
+  /**
+   * Propose substitute slots for a doctor's appointments in a range. Each appointment gets
+   * a suggested slot, preferring one at the same time, plus other free slots that day.
+   * @param {Object} doctor - Unavailable doctor
+   * @param {Object} rangeData - { startDate, endDate, startTime, endTime }
+   * @returns {Promise<Object>} - Proposals per appointment
+   */
+  async propose(doctor, rangeData) {
+    const range = massCancellationService.resolveRange(doctor, rangeData);
+    const now = new Date();
+    const substitutes = await this.findSubstitutes(doctor);
+
+    const appointments = (await Appointment.find({
+      doctorId: doctor._id,
+      date: { $gte: range.startDate, $lt: addDays(range.endDate, 1) },
+      status: { $in: REASSIGNABLE_STATUSES }
+    })
+      .populate('patientId', 'name email profile')
+      .sort({ date: 1, startTime: 1 }))
+      .filter(appointment => {
+        const start = getStartInstant(appointment);
+        return start >= range.from && start < range.to && start > now;
+      });
+
+    const freeSlots = substitutes.length === 0 ? [] : (await AvailabilitySlot.find({
+      doctorId: { $in: substitutes.map(substitute => substitute._id) },
+      date: { $gte: addDays(range.startDate, -1), $lt: addDays(range.endDate, 2) },
+      status: 'available',
+      ...AvailabilitySlot.notHeldCondition(now)
+    })
+      .populate('doctorId', 'name doctorProfile')
+      .sort({ date: 1, startTime: 1 }))
+      .filter(slot => getStartInstant(slot) > now);
+
+    // Substitutes only take appointment types they offer, in slots they can be booked in
+    const catalogs = new Map(await Promise.all(substitutes.map(async (substitute) =>
+      [substitute._id.toString(), await appointmentTypeService.getCatalog(substitute)]
+    )));
+
+    // Suggest each free slot to at most one appointment
+    const suggested = new Set();
+
+    const proposals = appointments.map(appointment => {
+      const start = getStartInstant(appointment);
+      const options = freeSlots
+        .filter(slot => toDateKey(slot.date) === toDateKey(appointment.date))
+        .map(slot => ({ slot, type: this.findSubstituteType(catalogs.get(slot.doctorId._id.toString()), appointment) }))
+        .filter(({ slot, type }) => type !== undefined && appointmentTypeService.fitsSlot(slot, type, freeSlots))
+        .map(({ slot, type }) => ({ slot, type, distance: Math.abs(getStartInstant(slot) - start) }))
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ slot, type, distance }) => this.formatOption(slot, appointment, type, distance === 0));
+
+      const suggestion = options.find(option => !suggested.has(option.slotId.toString())) || null;
+      if (suggestion) suggested.add(suggestion.slotId.toString());
+
+      return {
+        appointment: this.formatAppointment(appointment),
+        suggested: suggestion,
+        options: options.slice(0, OPTION_COUNT)
+      };
+    });
+
+    return {
+      doctor: {
+        id: doctor._id,
+        name: doctor.name,
+        specialization: doctor.doctorProfile?.specialization,
+        hospital: doctor.doctorProfile?.hospital
+      },
+      range: {
+        from: range.from,
+        to: range.to,
+        timezone: range.timezone
+      },
+      substitutes: substitutes.map(substitute => ({
+        id: substitute._id,
+        name: substitute.name
+      })),
+      proposals,
+      unmatched: proposals.filter(proposal => !proposal.suggested).length
+    };
+  }
+
+  /**
+   * Move an appointment to a substitute's free slot. The booking, the old slot's release
+   * and the fee change commit together; the patient never pays more than before and is
+   * refunded the difference when the substitute is cheaper.
+   * @param {Object} doctor - Unavailable doctor
+   * @param {Object} assignment - { appointmentId, slotId }
+   * @param {Object} admin - Admin user object
+   * @returns {Promise<Object>} - Reassigned appointment
+   */
+  async reassign(doctor, { appointmentId, slotId } = {}, admin) {
+    if (!appointmentId || !slotId) {
+      throw ApiError.badRequest('Appointment ID and slot ID are required');
+    }
+
+    const existing = await Appointment.findOne({
+      appointmentId,
+      doctorId: doctor._id,
+      status: { $in: REASSIGNABLE_STATUSES }
+    });
+
+    if (!existing) {
+      throw ApiError.notFound('Appointment not found or cannot be reassigned');
+    }
+
+    // Lock both slots in a fixed order so concurrent moves cannot deadlock
+    const [firstLock, secondLock] = [existing.slotId.toString(), slotId.toString()].sort();
+
+    const { appointment, newSlot, previousSlotBlocked, freedSlot } = await distributedLock.withLock(`slot_booking_${firstLock}`, async () => {
+      return await distributedLock.withLock(`slot_booking_${secondLock}`, async () => {
+        return await transactionManager.withTransaction(async (session) => {
+          const appointment = await Appointment.findOne({
+            _id: existing._id,
+            doctorId: doctor._id,
+            status: { $in: REASSIGNABLE_STATUSES }
+          }).session(session);
+
+          if (!appointment) {
+            throw ApiError.notFound('Appointment not found or cannot be reassigned');
+          }
+
+          const newSlot = await AvailabilitySlot.findById(slotId)
+            .populate('doctorId', 'name email doctorProfile profile isActive')
+            .session(session);
+
+          if (!newSlot) {
+            throw ApiError.notFound('Slot not found');
+          }
+
+          this.assertEligible(doctor, newSlot.doctorId);
+
+          if (newSlot.status !== 'available') {
+            throw ApiError.badRequest('Slot is not available');
+          }
+
+          if (getStartInstant(newSlot) <= new Date()) {
+            throw ApiError.badRequest('Cannot book past or current time slots');
+          }
+
+          const conflictingAppointment = await Appointment.findOne({
+            _id: { $ne: appointment._id },
+            patientId: appointment.patientId,
+            date: newSlot.date,
+            startTime: newSlot.startTime,
+            status: { $in: ['pending', 'confirmed', 'checked_in', 'in_consultation'] }
+          }).session(session);
+
+          if (conflictingAppointment) {
+            throw ApiError.badRequest('Patient already has a booking at this time');
+          }
+
+          // The substitute's own price and length for the type the patient booked
+          const appointmentType = appointment.appointmentType?.code ?
+            await appointmentTypeService.resolve(newSlot.doctorId, appointment.appointmentType.code) :
+            null;
+
+          const originalFee = appointment.payment.amount;
+          const newFee = paymentService.calculateFee(newSlot.doctorId, { bookingType: appointment.bookingType, appointmentType });
+
+          // An insured patient pays their plan's share of the substitute's fee, and no more than
+          // before; a plan that doesn't cover the substitute refuses the move
+          let insurance = null;
+          if (appointment.payment.insurance?.planId) {
+            const patient = await User.findById(appointment.patientId).session(session);
+            insurance = await insuranceService.getCoverage(patient, newSlot.doctorId, newFee);
+          }
+
+          const amount = Math.min(originalFee, insurance ? insurance.patientShare : newFee);
+          const refundedDifference = appointment.payment.status === 'paid' ? originalFee - amount : 0;
+
+          // The unavailable doctor's slot is blocked rather than offered to other patients. Walk-ins
+          // overbooked on it would be left on a blocked slot, so they are moved first.
+          const oldSlot = await AvailabilitySlot.findById(appointment.slotId).session(session);
+          const withdrawsOldSlot = oldSlot?.appointmentId?.toString() === appointment._id.toString();
+          if (withdrawsOldSlot && oldSlot.overbookedCount > 0) {
+            throw ApiError.conflict(`Reassign the ${oldSlot.overbookedCount} overbooked patient(s) on this slot first`);
+          }
+
+          const bookedSlot = await newSlot.bookSlot(appointment.patientId, appointment._id, appointment.notes, session);
+          if (!bookedSlot) {
+            throw ApiError.conflict('Slot is no longer available');
+          }
+
+          const freedSlot = await appointmentTypeService.fitBookedSlot(newSlot, appointmentType, session);
+
+          let previousSlotBlocked = false;
+          if (withdrawsOldSlot) {
+            previousSlotBlocked = Boolean(await oldSlot.withdrawSlot(admin._id, 'Patient reassigned to a substitute doctor', session));
+          } else if (appointment.isOverbooked && oldSlot) {
+            await oldSlot.releaseOverbooking(session);
+          }
+
+          appointment.set({
+            slotId: newSlot._id,
+            doctorId: newSlot.doctorId._id,
+            date: newSlot.date,
+            ...appointmentTypeService.getTimes(newSlot, appointmentType),
+            ...(appointmentType && { appointmentType: appointmentTypeService.toSnapshot(appointmentType) }),
+            isOverbooked: false,
+            'payment.amount': amount,
+            ...(insurance && { 'payment.insurance': { ...insurance, patientShare: amount } }),
+            reassignment: {
+              fromDoctorId: doctor._id,
+              fromSlotId: appointment.slotId,
+              reassignedBy: admin._id,
+              reassignedAt: new Date(),
+              originalFee,
+              newFee,
+              refundedDifference,
+              differenceRefundStatus: refundedDifference > 0 ? 'pending' : 'none',
+              response: 'pending'
+            }
+          });
+
+          await appointment.save({ session });
+
+          return { appointment, newSlot, previousSlotBlocked, freedSlot };
+        });
+      });
+    });
+
+    // Give back what the patient paid above the substitute's fee
+    if (appointment.reassignment.refundedDifference > 0) {
+      try {
+        const refundResult = await retryUtility.withPaymentRetry(async () => {
+          return await paymentService.processRefund(appointment, appointment.reassignment.refundedDifference);
+        });
+
+        if (refundResult.success) {
+          appointment.reassignment.differenceRefundStatus = paymentService.getRefundStatus(refundResult);
+          appointment.reassignment.differenceRefundId = refundResult.refundId;
+        } else {
+          appointment.reassignment.differenceRefundStatus = 'failed';
+        }
+      } catch (refundError) {
+        console.error('Refund processing failed:', refundError);
+        appointment.reassignment.differenceRefundStatus = 'failed';
+      }
+      await appointment.save();
+    }
+
+    await redisCache.publish('slot_updates', {
+      slotId: newSlot._id,
+      doctorId: newSlot.doctorId._id,
+      patientId: appointment.patientId,
+      appointmentId: appointment._id,
+      action: 'booked',
+      status: 'booked',
+      timestamp: new Date()
+    });
+
+    if (previousSlotBlocked) {
+      await redisCache.publish('slot_updates', {
+        slotId: appointment.reassignment.fromSlotId,
+        doctorId: doctor._id,
+        blockedBy: admin._id,
+        action: 'blocked',
+        status: 'blocked',
+        timestamp: new Date()
+      });
+    }
+
+    await redisCache.publish('appointment_updates', {
+      appointmentId: appointment._id,
+      slotId: newSlot._id,
+      doctorId: newSlot.doctorId._id,
+      previousDoctorId: doctor._id,
+      action: 'reassigned',
+      status: appointment.status,
+      timestamp: new Date()
+    });
+
+    // Clear cache
+    await redisCache.del(`doctor_slots_${doctor._id}`);
+    await redisCache.del(`doctor_slots_${newSlot.doctorId._id}`);
+
+    // Offer time a shorter appointment left free to the waitlist
+    await waitlistService.notifySlotsAvailable([freedSlot]);
+
+    // Send notifications
+    try {
+      const patient = await User.findById(appointment.patientId);
+      await retryUtility.withNotificationRetry(async () => {
+        await notificationService.sendReassignmentNotification(appointment, doctor, newSlot.doctorId, patient);
+      });
+    } catch (notificationError) {
+      console.error('Reassignment notification failed:', notificationError);
+    }
+
+    return {
+      appointment: {
+        ...this.formatAppointment(appointment),
+        doctor: {
+          id: newSlot.doctorId._id,
+          name: newSlot.doctorId.name
+        },
+        reassignment: this.formatReassignment(appointment)
+      }
+    };
+  }
+
+  /**
+   * Apply a batch of reassignments, each in its own transaction
+   * @param {Object} doctor - Unavailable doctor
+   * @param {Array} assignments - [{ appointmentId, slotId }]
+   * @param {Object} admin - Admin user object
+   * @returns {Promise<Object>} - Bulk operation results
+   */
+  async reassignMany(doctor, assignments, admin) {
+    if (!Array.isArray(assignments) || assignments.length === 0) {
+      throw ApiError.badRequest('Provide at least one assignment');
+    }
+
+    const results = [];
+    const errors = [];
+
+    for (const assignment of assignments) {
+      try {
+        const result = await this.reassign(doctor, assignment, admin);
+        results.push(result);
+      } catch (error) {
+        errors.push({
+          appointmentId: assignment?.appointmentId,
+          slotId: assignment?.slotId,
+          error: error.message
+        });
+      }
+    }
+
+    return {
+      successCount: results.length,
+      errorCount: errors.length,
+      results,
+      errors
+    };
+  }
+
+  /**
+   * A substitute's entry for the type an appointment was booked as: null for appointments
+   * booked without a type, undefined when the substitute doesn't offer it
+   * @private
+   */
+  findSubstituteType(catalog = [], appointment) {
+    const code = appointment.appointmentType?.code;
+    return code ? catalog.find(type => type.code === code) : null;
+  }
+
+  /**
+   * Shape a substitute slot for a proposal, with the fee the patient would pay
+   * @private
+   */
+  formatOption(slot, appointment, appointmentType, exactMatch) {
+    const newFee = paymentService.calculateFee(slot.doctorId, { bookingType: appointment.bookingType, appointmentType });
+
+    return {
+      slotId: slot._id,
+      doctor: {
+        id: slot.doctorId._id,
+        name: slot.doctorId.name
+      },
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      ...getZonedTimes(slot),
+      exactMatch,
+      newFee,
+      feeDifference: newFee - appointment.payment.amount
+    };
+  }
+
+  /**
+   * Shape an appointment for a proposal or result
+   * @private
+   */
+  formatAppointment(appointment) {
+    return {
+      appointmentId: appointment.appointmentId,
+      patient: appointment.patientId?.name ? {
+        id: appointment.patientId._id,
+        name: appointment.patientId.name,
+        email: appointment.patientId.email
+      } : { id: appointment.patientId },
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      ...getZonedTimes(appointment),
+      status: appointment.status,
+      payment: {
+        amount: appointment.payment.amount,
+        status: appointment.payment.status
+      }
+    };
+  }
+
+  /**
+   * Shape an appointment's reassignment record
+   * @private
+   */
+  formatReassignment(appointment) {
+    const reassignment = appointment.reassignment;
+
+    return {
+      fromDoctorId: reassignment.fromDoctorId,
+      reassignedAt: reassignment.reassignedAt,
+      originalFee: reassignment.originalFee,
+      newFee: reassignment.newFee,
+      refundedDifference: reassignment.refundedDifference,
+      differenceRefundStatus: reassignment.differenceRefundStatus,
+      response: reassignment.response,
+      respondedAt: reassignment.respondedAt
+    };
+  }
+}
+
+const substitutionService = new SubstitutionService();
+
+export default substitutionService;
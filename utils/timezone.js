@@ -0,0 +1,224 @@
+// Calendar dates (slot, appointment and exception dates) are stored as UTC midnight of the
+// doctor's local date; wall times are HH:MM in the doctor's IANA timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter that renders instants in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Timezone used when a doctor has none configured
+ * @returns {string} - IANA timezone
+ */
+export const getDefaultTimezone = () => process.env.DEFAULT_TIMEZONE || 'UTC';
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the timezone a doctor works in
+ * @param {Object} doctor - Doctor user object
+ * @returns {string} - IANA timezone
+ */
+export const getDoctorTimezone = (doctor) => doctor?.doctorProfile?.timezone || getDefaultTimezone();
+
+/**
+ * Convert HH:MM to minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number}
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to zero-padded HH:MM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string}
+ */
+export const fromMinutes = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Get the YYYY-MM-DD key of a stored calendar date or date string
+ * @param {Date|string} date - Calendar date
+ * @returns {string}
+ */
+export const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Get the start of a calendar day, as stored in date fields
+ * @param {Date|string} date - Calendar date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => new Date(`${toDateKey(date)}T00:00:00.000Z`);
+
+/**
+ * Get the last millisecond of a calendar day
+ * @param {Date|string} date - Calendar date
+ * @returns {Date}
+ */
+export const endOfDay = (date) => new Date(startOfDay(date).getTime() + DAY_MS - 1);
+
+/**
+ * Query condition matching a single calendar day
+ * @param {Date|string} date - Calendar date
+ * @returns {Object}
+ */
+export const dayRange = (date) => ({ $gte: startOfDay(date), $lt: addDays(date, 1) });
+
+/**
+ * Render a stored calendar date for people, without shifting it into the server's timezone
+ * @param {Date|string} date - Calendar date
+ * @returns {string}
+ */
+export const formatCalendarDate = (date) => new Date(date).toLocaleDateString('en-US', { timeZone: 'UTC' });
+
+/**
+ * Move a calendar date by whole days
+ * @param {Date} date - Calendar date
+ * @param {number} days - Days to add
+ * @returns {Date}
+ */
+export const addDays = (date, days) => new Date(startOfDay(date).getTime() + days * DAY_MS);
+
+/**
+ * Get the lowercase weekday name of a calendar date
+ * @param {Date|string} date - Calendar date
+ * @returns {string}
+ */
+export const getDayOfWeek = (date) => WEEKDAYS[startOfDay(date).getUTCDay()];
+
+/**
+ * Render an instant as local date and wall time in a timezone
+ * @param {Date} instant - Point in time
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM' }
+ */
+export const formatInTimezone = (instant, timezone) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(instant).map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ * @param {string} timezone - IANA timezone
+ * @param {number} instant - Milliseconds since epoch
+ * @returns {number}
+ */
+const getOffsetMinutes = (timezone, instant) => {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(new Date(instant)).map(({ type, value }) => [type, Number(value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a local date and wall time in a timezone to the UTC instant
+ * @param {Date|string} date - Calendar date
+ * @param {string} time - HH:MM wall time
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (date, time, timezone) => {
+  const wallClock = startOfDay(date).getTime() + toMinutes(time) * 60000;
+
+  // Offsets on either side of a DST change near this wall time
+  const candidates = [...new Set([
+    getOffsetMinutes(timezone, wallClock - DAY_MS / 2),
+    getOffsetMinutes(timezone, wallClock + DAY_MS / 2)
+  ])].map(offset => wallClock - offset * 60000).sort((a, b) => a - b);
+
+  // Repeated wall times resolve to the first occurrence; skipped ones to the pre-change offset
+  const instant = candidates.find(candidate => getOffsetMinutes(timezone, candidate) * 60000 === wallClock - candidate)
+    ?? wallClock - getOffsetMinutes(timezone, wallClock - DAY_MS / 2) * 60000;
+
+  return new Date(instant);
+};
+
+/**
+ * Check whether a wall time exists on a date, i.e. is not skipped by a DST jump
+ * @param {Date|string} date - Calendar date
+ * @param {string} time - HH:MM wall time
+ * @param {string} timezone - IANA timezone
+ * @returns {boolean}
+ */
+export const wallTimeExists = (date, time, timezone) =>
+  formatInTimezone(zonedTimeToUtc(date, time, timezone), timezone).time === time;
+
+/**
+ * Get today's calendar date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export const todayInTimezone = (timezone, now = new Date()) => startOfDay(formatInTimezone(now, timezone).date);
+
+/**
+ * Get the UTC instant a slot or appointment starts at
+ * @param {Object} item - Slot or appointment
+ * @returns {Date}
+ */
+export const getStartInstant = (item) =>
+  item.startAt ? new Date(item.startAt) : zonedTimeToUtc(item.date, item.startTime, item.timezone || getDefaultTimezone());
+
+/**
+ * Get the UTC instant a slot or appointment ends at
+ * @param {Object} item - Slot or appointment
+ * @returns {Date}
+ */
+export const getEndInstant = (item) =>
+  item.endAt ? new Date(item.endAt) : zonedTimeToUtc(item.date, item.endTime, item.timezone || getDefaultTimezone());
+
+/**
+ * Timezone and UTC instants of a slot or appointment, for storing or returning alongside its wall times
+ * @param {Object} item - Slot or appointment
+ * @returns {Object} - { timezone, startAt, endAt }
+ */
+export const getZonedTimes = (item) => ({
+  timezone: item.timezone || getDefaultTimezone(),
+  startAt: getStartInstant(item),
+  endAt: getEndInstant(item)
+});
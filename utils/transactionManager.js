@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * Runs multi-document writes in a MongoDB transaction
+ */
+class TransactionManager {
+  /**
+   * Execute a function inside a transaction. The function receives the session and
+   * must pass it to every read and write that belongs to the transaction.
+   * Transient transaction errors are retried, with the state of documents saved
+   * in the aborted attempt reset; any other error aborts the transaction.
+   * @param {Function} fn - Function to execute with the session
+   * @returns {Promise<any>} - Function result
+   */
+  async withTransaction(fn) {
+    return await mongoose.connection.transaction(fn);
+  }
+}
+
+const transactionManager = new TransactionManager();
+
+export default transactionManager;
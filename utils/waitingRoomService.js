@@ -0,0 +1,288 @@
+import Appointment from '../models/Appointment.js';
+import User from '../models/users.model.js';
+import ApiError from './ApiError.util.js';
+import redisCache from './redis.js';
+import {
+  dayRange,
+  getDefaultTimezone,
+  getDoctorTimezone,
+  getEndInstant,
+  getStartInstant,
+  getZonedTimes,
+  todayInTimezone,
+  toDateKey,
+  toMinutes
+} from './timezone.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Appointment states that make up a doctor's day in the waiting room
+const QUEUE_STATUSES = ['confirmed', 'checked_in', 'in_consultation', 'completed'];
+
+/**
+ * Whole minutes between two instants, never negative
+ * @returns {number}
+ */
+const minutesBetween = (from, to) => Math.max(0, Math.round((to - from) / MINUTE_MS));
+
+/**
+ * Waiting-room service: patient check-in, consultation start and the live per-doctor queue
+ */
+class WaitingRoomService {
+  /**
+   * Minutes behind schedule before a doctor is reported as running late
+   * @returns {number} - Late threshold
+   */
+  get lateThreshold() {
+    return parseInt(process.env.QUEUE_LATE_THRESHOLD) || 10;
+  }
+
+  /**
+   * Check a patient in for today's appointment
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} options - { checkedInBy, method } where method is 'staff' or 'kiosk'
+   * @returns {Promise<Object>} - Checked-in appointment
+   */
+  async checkIn(appointmentId, { checkedInBy, method = 'staff' } = {}) {
+    const appointment = await Appointment.findOne({ appointmentId });
+
+    if (!appointment) {
+      throw ApiError.notFound('Appointment not found');
+    }
+
+    if (appointment.status === 'pending') {
+      throw ApiError.badRequest('Appointment must be paid before check-in');
+    }
+
+    if (appointment.status !== 'confirmed') {
+      throw ApiError.badRequest(`Appointment is already ${appointment.status}`);
+    }
+
+    const today = todayInTimezone(appointment.timezone || getDefaultTimezone());
+    if (toDateKey(appointment.date) !== toDateKey(today)) {
+      throw ApiError.badRequest('Check-in is only open on the day of the appointment');
+    }
+
+    const checkedIn = await appointment.markCheckedIn(checkedInBy, method);
+    if (!checkedIn) {
+      throw ApiError.conflict('Appointment changed while checking in; it may already be checked in');
+    }
+
+    await this.publish(checkedIn, 'checked_in');
+
+    return checkedIn;
+  }
+
+  /**
+   * Call a checked-in patient in to see the doctor
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} doctorId - Restrict to this doctor's appointments, when called by a doctor
+   * @returns {Promise<Object>} - Appointment in consultation
+   */
+  async startConsultation(appointmentId, doctorId) {
+    const appointment = await Appointment.findOne({
+      appointmentId,
+      ...(doctorId && { doctorId })
+    });
+
+    if (!appointment) {
+      throw ApiError.notFound('Appointment not found');
+    }
+
+    if (appointment.status === 'confirmed') {
+      throw ApiError.badRequest('Patient has not checked in yet');
+    }
+
+    if (appointment.status !== 'checked_in') {
+      throw ApiError.badRequest(`Appointment is already ${appointment.status}`);
+    }
+
+    const inConsultation = await Appointment.exists({
+      doctorId: appointment.doctorId,
+      status: 'in_consultation'
+    });
+
+    if (inConsultation) {
+      throw ApiError.conflict('Doctor is still in a consultation with another patient');
+    }
+
+    let started;
+    try {
+      started = await appointment.startConsultation();
+    } catch (error) {
+      // Another patient was called in to the same doctor at the same moment
+      if (error.code === 11000) {
+        throw ApiError.conflict('Doctor is still in a consultation with another patient');
+      }
+      throw error;
+    }
+
+    if (!started) {
+      throw ApiError.conflict('Appointment changed while starting the consultation; it may already have started');
+    }
+
+    await this.publish(started, 'consultation_started');
+
+    return started;
+  }
+
+  /**
+   * Build a doctor's waiting-room queue for today. Waits are estimated from the average
+   * length of today's finished consultations, or from each booking's slot length before
+   * the first one finishes.
+   * @param {Object} doctor - Doctor user object
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - Queue with wait estimates and running-late indicator
+   */
+  async getQueue(doctor, now = new Date()) {
+    const timezone = getDoctorTimezone(doctor);
+    const today = todayInTimezone(timezone, now);
+
+    const appointments = await Appointment.find({
+      doctorId: doctor._id,
+      date: dayRange(today),
+      status: { $in: QUEUE_STATUSES }
+    })
+      .populate('patientId', 'name profile')
+      .sort({ startTime: 1 });
+
+    const byStart = (a, b) => getStartInstant(a) - getStartInstant(b) ||
+      new Date(a.checkIn?.checkedInAt) - new Date(b.checkIn?.checkedInAt);
+
+    const consultationLengths = appointments
+      .filter(appointment => appointment.status === 'completed' &&
+        appointment.consultationStartedAt && appointment.completedAt)
+      .map(appointment => minutesBetween(appointment.consultationStartedAt, appointment.completedAt));
+
+    const averageConsultationMinutes = consultationLengths.length
+      ? Math.round(consultationLengths.reduce((sum, length) => sum + length, 0) / consultationLengths.length)
+      : null;
+
+    const expectedLength = (appointment) =>
+      averageConsultationMinutes ?? toMinutes(appointment.endTime) - toMinutes(appointment.startTime);
+
+    const current = appointments.find(appointment => appointment.status === 'in_consultation');
+    const waiting = appointments.filter(appointment => appointment.status === 'checked_in').sort(byStart);
+    const notArrived = appointments.filter(appointment => appointment.status === 'confirmed').sort(byStart);
+
+    // The doctor is free once the current consultation is expected to end
+    let freeAt = now;
+    if (current) {
+      const expectedEnd = new Date(new Date(current.consultationStartedAt).getTime() + expectedLength(current) * MINUTE_MS);
+      freeAt = expectedEnd > now ? expectedEnd : now;
+    }
+
+    const waitingEntries = waiting.map((appointment, index) => {
+      const scheduledStart = getStartInstant(appointment);
+      const estimatedStartAt = freeAt > scheduledStart ? freeAt : scheduledStart;
+      freeAt = new Date(estimatedStartAt.getTime() + expectedLength(appointment) * MINUTE_MS);
+
+      return {
+        ...this.formatEntry(appointment),
+        position: index + 1,
+        estimatedStartAt,
+        estimatedWaitMinutes: minutesBetween(now, estimatedStartAt)
+      };
+    });
+
+    // How far behind schedule the next patient will be seen
+    let delayMinutes = 0;
+    if (waitingEntries.length) {
+      delayMinutes = minutesBetween(getStartInstant(waiting[0]), waitingEntries[0].estimatedStartAt);
+    } else if (current) {
+      delayMinutes = minutesBetween(getEndInstant(current), freeAt);
+    }
+
+    return {
+      doctor: {
+        id: doctor._id,
+        name: doctor.name,
+        specialization: doctor.doctorProfile?.specialization,
+        timezone
+      },
+      date: toDateKey(today),
+      averageConsultationMinutes,
+      completedConsultations: appointments.filter(appointment => appointment.status === 'completed').length,
+      runningLate: {
+        isRunningLate: delayMinutes >= this.lateThreshold,
+        delayMinutes,
+        thresholdMinutes: this.lateThreshold
+      },
+      current: current ? this.formatEntry(current) : null,
+      waiting: waitingEntries,
+      notArrived: notArrived.map(appointment => this.formatEntry(appointment))
+    };
+  }
+
+  /**
+   * Describe a check-in with the patient's place in the doctor's queue
+   * @param {Object} appointment - Checked-in appointment
+   * @returns {Promise<Object>} - Check-in summary with position and estimated wait
+   */
+  async describeCheckIn(appointment) {
+    const doctor = await User.findById(appointment.doctorId).select('name doctorProfile');
+    const queue = await this.getQueue(doctor);
+    const entry = queue.waiting.find(item => item.appointmentId === appointment.appointmentId);
+
+    return {
+      appointment: {
+        appointmentId: appointment.appointmentId,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        ...getZonedTimes(appointment),
+        status: appointment.status,
+        checkedInAt: appointment.checkIn?.checkedInAt,
+        checkInMethod: appointment.checkIn?.method
+      },
+      doctor: {
+        id: doctor._id,
+        name: doctor.name
+      },
+      position: entry?.position,
+      estimatedWaitMinutes: entry?.estimatedWaitMinutes,
+      runningLate: queue.runningLate
+    };
+  }
+
+  /**
+   * Shape an appointment for the queue
+   * @private
+   */
+  formatEntry(appointment) {
+    return {
+      appointmentId: appointment.appointmentId,
+      patient: appointment.patientId?.name ? {
+        id: appointment.patientId._id,
+        name: appointment.patientId.name,
+        phone: appointment.patientId.profile?.phone
+      } : null,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      startAt: getStartInstant(appointment),
+      status: appointment.status,
+      checkedInAt: appointment.checkIn?.checkedInAt,
+      consultationStartedAt: appointment.consultationStartedAt,
+      paymentStatus: appointment.payment?.status
+    };
+  }
+
+  /**
+   * Announce a waiting-room change to the staff dashboard
+   * @private
+   */
+  async publish(appointment, action) {
+    await redisCache.publish('appointment_updates', {
+      appointmentId: appointment._id,
+      slotId: appointment.slotId,
+      doctorId: appointment.doctorId,
+      action,
+      status: appointment.status,
+      timestamp: new Date()
+    });
+  }
+}
+
+const waitingRoomService = new WaitingRoomService();
+
+export default waitingRoomService;
@@ -0,0 +1,48 @@
+import Waitlist from '../models/Waitlist.js';
+import BackgroundJob from './backgroundJob.js';
+import waitlistService from './waitlistService.js';
+
+/**
+ * Background job that withdraws unclaimed waitlist offers and expires stale entries
+ */
+class WaitlistOfferReaper extends BackgroundJob {
+  constructor() {
+    super('waitlist_offer', 'WAITLIST_SWEEP_INTERVAL', 60);
+  }
+
+  /**
+   * Pass lapsed offers on to the next patient and expire entries whose date range has ended
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async run(now) {
+    const lapsedOffers = await Waitlist.find({
+      status: 'offered',
+      'offer.expiresAt': { $lte: now }
+    }).limit(100);
+
+    let withdrawn = 0;
+    let reoffered = 0;
+
+    for (const entry of lapsedOffers) {
+      try {
+        const nextEntry = await waitlistService.withdrawOffer(entry);
+        withdrawn++;
+        if (nextEntry) reoffered++;
+      } catch (error) {
+        console.error(`Withdrawing waitlist offer ${entry._id} failed:`, error);
+      }
+    }
+
+    const expired = await Waitlist.updateMany(
+      { status: 'waiting', dateTo: { $lt: now } },
+      { $set: { status: 'expired' } }
+    );
+
+    return { withdrawn, reoffered, expired: expired.modifiedCount || 0 };
+  }
+}
+
+const waitlistOfferReaper = new WaitlistOfferReaper();
+
+export default waitlistOfferReaper;
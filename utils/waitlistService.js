@@ -0,0 +1,191 @@
+import Waitlist from '../models/Waitlist.js';
+import AvailabilitySlot from '../models/AvailabilitySlot.js';
+import User from '../models/users.model.js';
+import notificationService from './notificationService.js';
+import redisCache from './redis.js';
+import retryUtility from './retryUtility.js';
+import { getStartInstant } from './timezone.js';
+
+/**
+ * Waitlist service that offers freed slots to waiting patients in order
+ */
+class WaitlistService {
+  constructor() {
+    this.maxClaimAttempts = 5;
+  }
+
+  /**
+   * Minutes a waitlisted patient has to claim an offered slot
+   * @returns {number} - Hold duration in minutes
+   */
+  get holdMinutes() {
+    return parseInt(process.env.WAITLIST_HOLD_MINUTES) || 30;
+  }
+
+  /**
+   * Offer slots that just became available. Errors are logged, never thrown,
+   * so the operation that freed the slots is not affected.
+   * @param {Array} slots - Slot documents or IDs
+   * @returns {Promise<number>} - Number of offers made
+   */
+  async notifySlotsAvailable(slots) {
+    let offers = 0;
+
+    try {
+      const slotIds = slots.filter(Boolean).map(slot => slot._id || slot);
+      if (slotIds.length === 0) return 0;
+
+      for (const slotId of slotIds) {
+        const entry = await this.offerSlot(slotId);
+        if (entry) offers++;
+      }
+    } catch (error) {
+      console.error('Waitlist offer failed:', error);
+    }
+
+    return offers;
+  }
+
+  /**
+   * Hold an available slot for the first matching waiting patient and notify them
+   * @param {string} slotId - Slot ID
+   * @returns {Promise<Object|null>} - Offered waitlist entry, or null if nobody was offered
+   */
+  async offerSlot(slotId) {
+    const slot = await AvailabilitySlot.findById(slotId);
+    const now = new Date();
+
+    if (!slot || slot.status !== 'available' || slot.isHeldForOther(null, now)) {
+      return null;
+    }
+
+    if (getStartInstant(slot) <= now) {
+      return null;
+    }
+
+    for (let attempt = 0; attempt < this.maxClaimAttempts; attempt++) {
+      const candidate = await Waitlist.findNextForSlot(slot);
+      if (!candidate) return null;
+
+      const expiresAt = new Date(now.getTime() + this.holdMinutes * 60 * 1000);
+
+      // Claim the entry first; another instance may be offering it a different slot
+      const entry = await Waitlist.findOneAndUpdate(
+        { _id: candidate._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offer: { slotId: slot._id, offeredAt: now, expiresAt }
+          }
+        },
+        { new: true }
+      );
+
+      if (!entry) continue;
+
+      const heldSlot = await AvailabilitySlot.placeHold(slot._id, {
+        patientId: entry.patientId,
+        source: 'waitlist',
+        waitlistId: entry._id,
+        expiresAt
+      });
+
+      if (!heldSlot) {
+        // The slot was booked or held in the meantime; put the patient back in line
+        await Waitlist.updateOne(
+          { _id: entry._id, status: 'offered' },
+          { $set: { status: 'waiting' }, $unset: { offer: 1 } }
+        );
+        return null;
+      }
+
+      await redisCache.publish('slot_updates', {
+        slotId: slot._id,
+        doctorId: slot.doctorId,
+        patientId: entry.patientId,
+        action: 'held',
+        status: 'available',
+        holdExpiresAt: expiresAt,
+        timestamp: new Date()
+      });
+
+      await redisCache.del(`doctor_slots_${slot.doctorId}`);
+
+      await this.sendOfferNotification(entry, heldSlot);
+
+      return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Take back an offer the patient did not claim and pass the slot to the next patient
+   * @param {Object} entry - Waitlist entry in 'offered' status
+   * @returns {Promise<Object|null>} - Next offered entry, if any
+   */
+  async withdrawOffer(entry) {
+    const slotId = entry.offer?.slotId;
+
+    const updated = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.slotId': slotId },
+      {
+        $set: { status: 'waiting' },
+        $unset: { offer: 1 },
+        $addToSet: { passedSlots: slotId }
+      },
+      { new: true }
+    );
+
+    if (!updated || !slotId) return null;
+
+    return await this.passSlotOn(slotId, entry.patientId);
+  }
+
+  /**
+   * Release a patient's hold on a slot and offer it to the next patient in line
+   * @param {string} slotId - Slot ID
+   * @param {string} patientId - Patient who held the slot
+   * @returns {Promise<Object|null>} - Next offered entry, if any
+   */
+  async passSlotOn(slotId, patientId) {
+    await AvailabilitySlot.releaseHold(slotId, patientId);
+
+    return await this.offerSlot(slotId);
+  }
+
+  /**
+   * Close the waitlist entry that led to a booking
+   * @param {string} waitlistId - Waitlist entry ID
+   * @param {string} appointmentId - Appointment ID
+   */
+  async markBooked(waitlistId, appointmentId) {
+    await Waitlist.updateOne(
+      { _id: waitlistId, status: { $in: ['waiting', 'offered'] } },
+      { $set: { status: 'booked', appointmentId }, $unset: { offer: 1 } }
+    );
+  }
+
+  /**
+   * Send the offer notification to the patient
+   * @private
+   */
+  async sendOfferNotification(entry, slot) {
+    try {
+      const [patient, doctor] = await Promise.all([
+        User.findById(entry.patientId).select('name email profile'),
+        User.findById(slot.doctorId).select('name email doctorProfile')
+      ]);
+
+      await retryUtility.withNotificationRetry(async () => {
+        await notificationService.sendWaitlistOffer(entry, slot, patient, doctor);
+      });
+    } catch (notificationError) {
+      console.error('Waitlist offer notification failed:', notificationError);
+    }
+  }
+}
+
+const waitlistService = new WaitlistService();
+
+export default waitlistService;